@@ -2,17 +2,58 @@
  * Animal Detector Web Component
  * Detects animals using custom trained models
  * Uses MediaPipe Tasks Vision API
+ *
+ * Add the `headless` attribute to use it as a library: no UI is rendered (or only the
+ * camera preview with headless="video") and everything is driven through the JS API:
+ * addSample(), train(), getModels(), selectModel(), start(), stop(), predict() and detect()
  */
+import { PredictionSmoother, DEFAULT_SMOOTHING_OPTIONS, SMOOTHING_ATTRIBUTES, readSmoothingAttributes } from './prediction-smoother.js';
+import { createModelBundle, readModelBundle, parseModelBundle } from './model-bundle.js';
+import { downloadBlob, toFileName } from './file-utils.js';
+import { createDatasetZip, readDataset } from './dataset-archive.js';
+import { SampleStore, createThumbnail, canvasToBlob } from './sample-store.js';
+import { stratifiedSplit, predictClassIndices, evaluateClassifier, formatEvaluationSummary, renderEvaluationReport, escapeHtml } from './model-evaluation.js';
+import { TrainingProgress, createCancelError, drawTrainingChart } from './training-progress.js';
+import { recomputeSamples, formatRecomputeSummary } from './feature-recompute.js';
+import { assignVersions, nextVersion, groupModelFamilies, findFamily, rollbackTarget, pinVersion, compareVersions, renderVersionComparison } from './model-versions.js';
+import { DEFAULT_TRAINING_CONFIG, normalizeTrainingConfig, describeTrainingConfig, buildClassifier, EarlyStopping } from './training-config.js';
+import { DEFAULT_IMAGE_AUGMENTATION_OPTIONS, normalizeImageAugmentationOptions, extractAugmentedFeatures } from './image-augmentation.js';
+import { DEFAULT_DETECTION_OPTIONS, isBackgroundLabel, generateWindows, cropWindows, nonMaxSuppression, drawDetections } from './region-detection.js';
+import { DEFAULT_FINE_TUNING_OPTIONS, normalizeFineTuningOptions, isFullModel, preprocessImage, buildFineTuneModel } from './fine-tuning.js';
+import { configuredAssetUrl, resolveAssetUrls, cdnFallbackEnabled } from './asset-config.js';
+import { PACKAGE_MOBILENET, PIXEL_FEATURES, layersExtractor, lightweightExtractor, describeExtractor, compareExtractors, staleSamples } from './feature-extractor.js';
+
 class AnimalDetector extends HTMLElement {
+  static get observedAttributes() {
+    return [
+      ...SMOOTHING_ATTRIBUTES,
+      'model-id',
+      'model-name',
+      'threshold',
+      'autostart',
+      'mirror',
+      'mode',
+      'camera-width',
+      'camera-height'
+    ];
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
     this.mediaPipeReady = false;
     this.mobilenet = null; // MobileNet model for feature extraction
+    this.featureExtractor = null; // { id, name, dimension } of the loaded extractor, see feature-extractor.js
     
     // Training-related properties
     this.trainingData = [];
     this.trainedModel = null;
+    this.activeTraining = null; // { model, cancelled } while train() runs
+    this.activeRecompute = null; // { cancelled } while recomputeFeatures() runs
+    this.expandedModelFamilies = new Set(); // Model families whose version history is open in the models list
+    this.trainingConfig = this.loadTrainingConfig();
+    this.augmentationOptions = this.loadAugmentationOptions();
+    this.fineTuningOptions = this.loadFineTuningOptions();
     this.isTrainingCameraOpen = false;
     
     // Model management
@@ -30,21 +71,250 @@ class AnimalDetector extends HTMLElement {
     this.confidenceThreshold = 0.3;
     this.showRawPredictions = false; // Bypass threshold to see raw predictions
     
-    // Load training data from localStorage
-    this.loadTrainingData();
+    // Bounding-box detection (mode="detect"): sliding windows scored by the trained model
+    this.detectionOptions = { ...DEFAULT_DETECTION_OPTIONS };
+    
+    // Temporal smoothing of live predictions (shared implementation with the hand detector)
+    this.smoothingOptions = { ...DEFAULT_SMOOTHING_OPTIONS };
+    this.smoother = new PredictionSmoother(this.smoothingOptions);
+    
+    // Load training data from IndexedDB
+    // Samples load asynchronously - the UI refreshes once they are in (see loadTrainingData)
+    this.sampleStore = new SampleStore('animal-detector-samples');
+    this.trainingDataReady = this.loadTrainingData();
   }
 
   connectedCallback() {
     this.render();
-    this.initializeMediaPipe();
+    // selectModel() waits for this to check the model against the extractor
+    this.extractorReady = this.initializeMediaPipe();
+    this.applyModelAttributes();
   }
 
   disconnectedCallback() {
+    this.cancelTraining();
     this.closeTrainingCamera();
     this.stopTestMode();
   }
 
+  // Reflected properties for the declarative attribute API
+  get modelId() {
+    return this.getAttribute('model-id');
+  }
+
+  set modelId(value) {
+    this.reflectAttribute('model-id', value);
+  }
+
+  get modelName() {
+    return this.getAttribute('model-name');
+  }
+
+  set modelName(value) {
+    this.reflectAttribute('model-name', value);
+  }
+
+  get threshold() {
+    return this.confidenceThreshold;
+  }
+
+  set threshold(value) {
+    this.reflectAttribute('threshold', value);
+  }
+
+  get autostart() {
+    return this.hasAttribute('autostart');
+  }
+
+  set autostart(value) {
+    this.toggleAttribute('autostart', !!value);
+  }
+
+  get mirror() {
+    // Mirrored display is the default; only mirror="false" turns it off
+    return this.getAttribute('mirror') !== 'false';
+  }
+
+  set mirror(value) {
+    this.setAttribute('mirror', value ? 'true' : 'false');
+  }
+
+  // 'classify' (default) labels the whole frame, 'detect' reports bounding boxes
+  get mode() {
+    return this.getAttribute('mode') === 'detect' ? 'detect' : 'classify';
+  }
+
+  set mode(value) {
+    this.reflectAttribute('mode', value);
+  }
+
+  get cameraWidth() {
+    return parseInt(this.getAttribute('camera-width')) || null;
+  }
+
+  set cameraWidth(value) {
+    this.reflectAttribute('camera-width', value);
+  }
+
+  get cameraHeight() {
+    return parseInt(this.getAttribute('camera-height')) || null;
+  }
+
+  set cameraHeight(value) {
+    this.reflectAttribute('camera-height', value);
+  }
+
+  // Read when the element is connected; toggling it later does not re-render
+  get headless() {
+    return this.hasAttribute('headless');
+  }
+
+  reflectAttribute(name, value) {
+    if (value === null || value === undefined) {
+      this.removeAttribute(name);
+    } else {
+      this.setAttribute(name, String(value));
+    }
+  }
+
+  // Public events - bubble out of the shadow DOM so host pages can listen on the element or any ancestor
+  dispatchDetectorEvent(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: { timestamp: Date.now(), ...detail }
+    }));
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (SMOOTHING_ATTRIBUTES.includes(name)) {
+      this.setSmoothingOptions(readSmoothingAttributes(this));
+      return;
+    }
+    
+    // Attributes parsed before the first render are applied from connectedCallback instead
+    const isRendered = !!this.testVideo;
+    switch (name) {
+      case 'model-id':
+      case 'model-name':
+        if (isRendered) this.applyModelAttributes();
+        break;
+      case 'threshold':
+        if (newValue !== null && !isNaN(parseFloat(newValue))) {
+          this.setConfidenceThreshold(parseFloat(newValue));
+        }
+        break;
+      case 'autostart':
+        if (isRendered && this.autostart) this.applyModelAttributes();
+        break;
+      case 'mirror':
+        this.applyMirror();
+        break;
+      case 'mode':
+        this.applyMode();
+        break;
+      // camera-width / camera-height are read the next time a camera is opened
+    }
+  }
+
+  async applyModelAttributes() {
+    const modelId = this.getAttribute('model-id');
+    const modelName = this.getAttribute('model-name');
+    
+    if (modelId || modelName) {
+      const models = this.loadSavedModelsList();
+      let target = null;
+      if (modelId) {
+        target = models.find(m => m.id === modelId);
+      } else {
+        // A name is a model family - pick its active version (pinned, or the newest)
+        const family = findFamily(models, modelName);
+        target = family ? family.active : null;
+      }
+      
+      if (!target) {
+        const message = `No saved model matches ${modelId ? `model-id="${modelId}"` : `model-name="${modelName}"`}`;
+        console.warn(message);
+        this.dispatchDetectorEvent('error', { context: 'select-model', message: message });
+        return;
+      }
+      
+      if (target.id !== this.selectedModelId) {
+        try {
+          await this.selectModel(target.id);
+        } catch (error) {
+          return; // Already reported through the error event
+        }
+      }
+    }
+    
+    if (this.autostart && this.selectedModelId && !this.isTestModeActive) {
+      await this.waitForFeatureExtractor();
+      try {
+        await this.start();
+      } catch (error) {
+        console.warn('Autostart failed:', error.message);
+      }
+    }
+  }
+
+  async waitForFeatureExtractor(timeoutMs = 30000) {
+    // MobileNet can take a while to download, and the test loop stops if it isn't ready
+    const start = Date.now();
+    while (!this.mediaPipeReady && Date.now() - start < timeoutMs) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return this.mediaPipeReady;
+  }
+
+  setConfidenceThreshold(value) {
+    this.confidenceThreshold = Math.max(0, Math.min(1, value));
+    if (this.confidenceThresholdSlider && this.thresholdValueDisplay) {
+      this.confidenceThresholdSlider.value = this.confidenceThreshold;
+      this.thresholdValueDisplay.textContent = this.confidenceThreshold.toFixed(2);
+    }
+  }
+
+  applyMirror() {
+    // Mirroring only affects how the camera is displayed
+    const transform = this.mirror ? 'scaleX(-1)' : 'none';
+    if (this.trainingVideo) this.trainingVideo.style.transform = transform;
+    if (this.testVideo) this.testVideo.style.transform = transform;
+  }
+
+  applyMode() {
+    if (this.modeSelect) this.modeSelect.value = this.mode;
+    this.clearDetections();
+    this.smoother.reset();
+  }
+
+  getCameraConstraints() {
+    const constraints = { facingMode: 'user' };
+    if (this.cameraWidth) constraints.width = this.cameraWidth;
+    if (this.cameraHeight) constraints.height = this.cameraHeight;
+    return constraints;
+  }
+
+  // UI feedback helpers - these elements don't exist in headless mode
+  setStatus(text) {
+    if (this.statusText) this.statusText.textContent = text;
+  }
+
+  setTestStatus(text) {
+    if (this.testStatus) this.testStatus.innerHTML = `<strong>Status:</strong> ${text}`;
+  }
+
+  updateTrainButton() {
+    if (this.trainBtn) this.trainBtn.disabled = this.trainingData.length === 0;
+  }
+
   render() {
+    if (this.headless) {
+      this.renderHeadless();
+      return;
+    }
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -163,6 +433,14 @@ class AnimalDetector extends HTMLElement {
           min-width: 200px;
         }
         
+        .training-controls select {
+          padding: 8px 12px;
+          font-size: 14px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          background: white;
+        }
+        
         .training-controls button {
           margin: 0;
         }
@@ -255,6 +533,21 @@ class AnimalDetector extends HTMLElement {
             <button id="closeCameraBtn" class="clear-btn" style="display: none;">Close Camera</button>
             <button id="clearBtn" class="clear-btn">Clear Training Data</button>
           </div>
+          <div class="training-controls-row">
+            <input type="file" id="datasetZipInput" accept=".zip,application/zip">
+            <input type="file" id="datasetFolderInput" webkitdirectory multiple>
+            <button id="exportDatasetBtn" class="upload-btn">Export Dataset (.zip)</button>
+            <button id="importDatasetBtn" class="upload-btn">Import Dataset (.zip)</button>
+            <button id="importFolderBtn" class="upload-btn">Import Folder</button>
+            <button id="recomputeFeaturesBtn" class="upload-btn">Recompute Features</button>
+          </div>
+          <div id="recomputeProgress" style="display: none; margin-top: 10px;">
+            <div id="recomputeProgressText" style="font-size: 14px; color: #333; margin-bottom: 6px;"></div>
+            <div style="height: 8px; background: #eee; border-radius: 4px; overflow: hidden;">
+              <div id="recomputeProgressBar" style="height: 100%; width: 0%; background: #2196F3; transition: width 0.2s;"></div>
+            </div>
+            <button id="cancelRecomputeBtn" class="clear-btn" style="width: 100%; margin-top: 10px;">Cancel</button>
+          </div>
         </div>
         <div id="trainingCameraContainer" style="display: none; margin-top: 15px; text-align: center;">
           <video id="trainingVideo" autoplay playsinline style="width: 100%; max-width: 640px; border-radius: 8px; background: #000; transform: scaleX(-1);"></video>
@@ -271,7 +564,92 @@ class AnimalDetector extends HTMLElement {
         <div style="margin-top: 15px; padding: 10px; background: white; border-radius: 4px;">
           <label for="modelNameInput" style="display: block; margin-bottom: 5px; font-weight: bold; color: #667eea;">Model Name:</label>
           <input type="text" id="modelNameInput" placeholder="Enter model name (e.g., MyAnimalModel)" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 10px;">
+          <details id="advancedTraining" style="margin-bottom: 10px; font-size: 14px; color: #333;">
+            <summary style="cursor: pointer; font-weight: bold; color: #667eea;">Advanced training</summary>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px 12px; margin: 10px 0;">
+              <label style="display: flex; flex-direction: column; gap: 4px;">Epochs
+                <input type="number" data-config="epochs" min="1" max="1000" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Batch size
+                <input type="number" data-config="batchSize" min="1" max="1024" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Learning rate
+                <input type="number" data-config="learningRate" min="0.00001" max="1" step="0.0001" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Hidden layers (units)
+                <input type="text" data-config="hiddenLayers" placeholder="e.g. 32, 16" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Dropout
+                <input type="number" data-config="dropout" min="0" max="0.9" step="0.05" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">L2 regularization
+                <input type="number" data-config="l2" min="0" max="1" step="0.0001" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Early stopping patience (0 = off)
+                <input type="number" data-config="earlyStoppingPatience" min="0" max="1000" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+            </div>
+            <button id="resetTrainingConfigBtn" class="clear-btn">Reset to Defaults</button>
+            <div style="border-top: 1px solid #eee; margin-top: 10px; padding-top: 10px;">
+              <label style="display: flex; align-items: center; gap: 6px; font-weight: bold; color: #667eea;">
+                <input type="checkbox" data-augmentation="enabled"> Image augmentation for new samples
+              </label>
+              <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px 12px; margin: 10px 0;">
+                <label style="display: flex; flex-direction: column; gap: 4px;">Copies per image
+                  <input type="number" data-augmentation="copies" min="1" max="20" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Max crop
+                  <input type="number" data-augmentation="crop" min="0" max="0.5" step="0.05" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Max rotation (°)
+                  <input type="number" data-augmentation="rotation" min="0" max="45" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Brightness
+                  <input type="number" data-augmentation="brightness" min="0" max="0.5" step="0.05" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Contrast
+                  <input type="number" data-augmentation="contrast" min="0" max="0.5" step="0.05" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Color jitter
+                  <input type="number" data-augmentation="colorJitter" min="0" max="0.5" step="0.05" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; align-items: center; gap: 6px;">
+                  <input type="checkbox" data-augmentation="flip"> Horizontal flips
+                </label>
+              </div>
+            </div>
+            <div style="border-top: 1px solid #eee; margin-top: 10px; padding-top: 10px;">
+              <label style="display: flex; align-items: center; gap: 6px; font-weight: bold; color: #667eea;">
+                <input type="checkbox" data-fine-tuning="enabled"> Fine-tune MobileNet (slow, uses the stored images)
+              </label>
+              <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px 12px; margin: 10px 0;">
+                <label style="display: flex; flex-direction: column; gap: 4px;">Blocks to unfreeze
+                  <input type="number" data-fine-tuning="blocks" min="1" max="20" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Epochs
+                  <input type="number" data-fine-tuning="epochs" min="1" max="200" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Batch size
+                  <input type="number" data-fine-tuning="batchSize" min="1" max="128" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Learning rate
+                  <input type="number" data-fine-tuning="learningRate" min="0.000001" max="0.1" step="0.00001" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+              </div>
+            </div>
+          </details>
           <button id="trainBtn" class="train-btn" disabled style="width: 100%;">Train Model</button>
+          <div id="trainingProgress" style="display: none; margin-top: 10px;">
+            <div id="trainingProgressText" style="font-size: 14px; color: #333; margin-bottom: 6px;"></div>
+            <div style="height: 8px; background: #eee; border-radius: 4px; overflow: hidden; margin-bottom: 10px;">
+              <div id="trainingProgressBar" style="height: 100%; width: 0%; background: #9C27B0; transition: width 0.2s;"></div>
+            </div>
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; justify-content: center;">
+              <canvas id="lossChart" width="300" height="160" style="border: 1px solid #eee; border-radius: 4px;"></canvas>
+              <canvas id="accuracyChart" width="300" height="160" style="border: 1px solid #eee; border-radius: 4px;"></canvas>
+            </div>
+            <button id="cancelTrainingBtn" class="clear-btn" style="width: 100%; margin-top: 10px;">Cancel Training</button>
+          </div>
         </div>
       </div>
       
@@ -280,6 +658,13 @@ class AnimalDetector extends HTMLElement {
         <div id="modelsList" style="margin-bottom: 15px; max-height: 200px; overflow-y: auto; background: white; padding: 10px; border-radius: 4px;">
           <p style="color: #666; margin: 0; text-align: center;">No models saved yet. Train a model to get started.</p>
         </div>
+        <div id="evaluationReport" style="display: none; margin-bottom: 15px; background: white; padding: 10px; border-radius: 4px; position: relative;"></div>
+        <div class="training-controls">
+          <div class="training-controls-row">
+            <input type="file" id="modelImportInput" accept=".json,application/json">
+            <button id="importModelBtn" class="upload-btn">Import Model</button>
+          </div>
+        </div>
       </div>
       
       <div class="training-section" style="margin-top: 20px;">
@@ -290,12 +675,33 @@ class AnimalDetector extends HTMLElement {
             <input type="range" id="confidenceThreshold" min="0.1" max="0.9" step="0.05" value="0.3" style="flex: 1; min-width: 200px;">
             <span id="thresholdValue" style="min-width: 50px; text-align: center; font-weight: bold; color: #667eea;">0.30</span>
           </div>
+          <div class="training-controls-row" style="margin-bottom: 10px; font-size: 14px; color: #333;">
+            <label for="modeSelect" style="font-weight: bold; color: #667eea;">Mode:</label>
+            <select id="modeSelect">
+              <option value="classify">Classify whole frame</option>
+              <option value="detect">Detect animals (bounding boxes)</option>
+            </select>
+          </div>
           <div style="margin-bottom: 10px;">
             <label style="display: flex; align-items: center; gap: 8px; font-size: 14px; color: #333;">
               <input type="checkbox" id="showRawPredictions" style="width: 18px; height: 18px; cursor: pointer;">
               <span>Show raw predictions (bypass threshold - for debugging)</span>
             </label>
           </div>
+          <div class="training-controls-row" style="margin-bottom: 10px; font-size: 14px; color: #333;">
+            <label for="smoothingSelect" style="font-weight: bold; color: #667eea;">Smoothing:</label>
+            <select id="smoothingSelect">
+              <option value="none">Off</option>
+              <option value="ema">Exponential</option>
+              <option value="moving-average">Moving average</option>
+            </select>
+            <label for="smoothingStrength">Strength:</label>
+            <input type="range" id="smoothingStrength" min="0" max="0.95" step="0.05" style="width: 100px;">
+            <label for="holdTimeInput">Hold (ms):</label>
+            <input type="number" id="holdTimeInput" min="0" max="2000" step="50" style="width: 70px; padding: 4px;">
+            <label for="hysteresisInput">Hysteresis:</label>
+            <input type="number" id="hysteresisInput" min="0" max="1" step="0.05" title="Probability margin a new label needs over the displayed one" style="width: 60px; padding: 4px;">
+          </div>
           <div style="font-size: 12px; color: #666; margin-bottom: 10px; padding: 5px; background: #f0f0f0; border-radius: 4px;">
             Predictions below this threshold will show "NONE". Higher = more strict (fewer false positives).<br>
             <strong>Tip:</strong> Enable "Show raw predictions" to see actual confidence values even when below threshold.
@@ -334,9 +740,29 @@ class AnimalDetector extends HTMLElement {
     this.takeScreenshotBtn = this.shadowRoot.getElementById('takeScreenshotBtn');
     this.closeCameraBtn = this.shadowRoot.getElementById('closeCameraBtn');
     this.trainBtn = this.shadowRoot.getElementById('trainBtn');
+    this.trainingProgressPanel = this.shadowRoot.getElementById('trainingProgress');
+    this.trainingProgressText = this.shadowRoot.getElementById('trainingProgressText');
+    this.trainingProgressBar = this.shadowRoot.getElementById('trainingProgressBar');
+    this.lossChart = this.shadowRoot.getElementById('lossChart');
+    this.accuracyChart = this.shadowRoot.getElementById('accuracyChart');
+    this.cancelTrainingBtn = this.shadowRoot.getElementById('cancelTrainingBtn');
+    this.trainingConfigInputs = this.shadowRoot.querySelectorAll('#advancedTraining [data-config]');
+    this.resetTrainingConfigBtn = this.shadowRoot.getElementById('resetTrainingConfigBtn');
+    this.augmentationInputs = this.shadowRoot.querySelectorAll('#advancedTraining [data-augmentation]');
+    this.fineTuningInputs = this.shadowRoot.querySelectorAll('#advancedTraining [data-fine-tuning]');
     this.clearBtn = this.shadowRoot.getElementById('clearBtn');
     this.animalTypeInput = this.shadowRoot.getElementById('animalTypeInput');
     this.fileInput = this.shadowRoot.getElementById('fileInput');
+    this.datasetZipInput = this.shadowRoot.getElementById('datasetZipInput');
+    this.datasetFolderInput = this.shadowRoot.getElementById('datasetFolderInput');
+    this.exportDatasetBtn = this.shadowRoot.getElementById('exportDatasetBtn');
+    this.importDatasetBtn = this.shadowRoot.getElementById('importDatasetBtn');
+    this.importFolderBtn = this.shadowRoot.getElementById('importFolderBtn');
+    this.recomputeFeaturesBtn = this.shadowRoot.getElementById('recomputeFeaturesBtn');
+    this.recomputeProgressPanel = this.shadowRoot.getElementById('recomputeProgress');
+    this.recomputeProgressText = this.shadowRoot.getElementById('recomputeProgressText');
+    this.recomputeProgressBar = this.shadowRoot.getElementById('recomputeProgressBar');
+    this.cancelRecomputeBtn = this.shadowRoot.getElementById('cancelRecomputeBtn');
     this.trainingStats = this.shadowRoot.getElementById('trainingStats');
     this.trainingCameraContainer = this.shadowRoot.getElementById('trainingCameraContainer');
     this.trainingVideo = this.shadowRoot.getElementById('trainingVideo');
@@ -345,6 +771,9 @@ class AnimalDetector extends HTMLElement {
     
     // Model management UI elements
     this.modelsList = this.shadowRoot.getElementById('modelsList');
+    this.modelImportInput = this.shadowRoot.getElementById('modelImportInput');
+    this.importModelBtn = this.shadowRoot.getElementById('importModelBtn');
+    this.evaluationReport = this.shadowRoot.getElementById('evaluationReport');
     
     // Test mode UI elements
     this.testBtn = this.shadowRoot.getElementById('testBtn');
@@ -359,9 +788,15 @@ class AnimalDetector extends HTMLElement {
     this.testConfidenceDisplay = this.shadowRoot.getElementById('testConfidenceDisplay');
     this.testConfidenceValue = this.shadowRoot.getElementById('testConfidenceValue');
     this.testStatus = this.shadowRoot.getElementById('testStatus');
+    this.applyMirror();
     this.confidenceThresholdSlider = this.shadowRoot.getElementById('confidenceThreshold');
     this.thresholdValueDisplay = this.shadowRoot.getElementById('thresholdValue');
     this.showRawPredictionsCheckbox = this.shadowRoot.getElementById('showRawPredictions');
+    this.modeSelect = this.shadowRoot.getElementById('modeSelect');
+    this.smoothingSelect = this.shadowRoot.getElementById('smoothingSelect');
+    this.smoothingStrengthSlider = this.shadowRoot.getElementById('smoothingStrength');
+    this.holdTimeInput = this.shadowRoot.getElementById('holdTimeInput');
+    this.hysteresisInput = this.shadowRoot.getElementById('hysteresisInput');
     
     // Setup confidence threshold slider
     if (this.confidenceThresholdSlider && this.thresholdValueDisplay) {
@@ -380,16 +815,56 @@ class AnimalDetector extends HTMLElement {
       });
     }
     
+    // Setup mode select (the mode attribute is the source of truth)
+    this.modeSelect.value = this.mode;
+    this.modeSelect.addEventListener('change', () => {
+      this.mode = this.modeSelect.value;
+    });
+    
+    // Setup smoothing controls
+    this.updateSmoothingControls();
+    this.smoothingSelect.addEventListener('change', () => this.setSmoothingOptions({ method: this.smoothingSelect.value }));
+    this.smoothingStrengthSlider.addEventListener('input', () => this.setSmoothingOptions({ strength: parseFloat(this.smoothingStrengthSlider.value) }));
+    this.holdTimeInput.addEventListener('change', () => this.setSmoothingOptions({ holdTime: parseFloat(this.holdTimeInput.value) }));
+    this.hysteresisInput.addEventListener('change', () => this.setSmoothingOptions({ hysteresis: parseFloat(this.hysteresisInput.value) }));
+    
     // Setup button handlers - placeholder functions for now
     this.uploadBtn.addEventListener('click', () => this.fileInput.click());
     this.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
+    this.exportDatasetBtn.addEventListener('click', () => this.downloadDataset());
+    this.importDatasetBtn.addEventListener('click', () => this.datasetZipInput.click());
+    this.importFolderBtn.addEventListener('click', () => this.datasetFolderInput.click());
+    this.recomputeFeaturesBtn.addEventListener('click', () => this.handleRecomputeFeatures());
+    this.cancelRecomputeBtn.addEventListener('click', () => this.cancelRecompute());
+    this.datasetZipInput.addEventListener('change', (e) => this.handleDatasetImport(e));
+    this.datasetFolderInput.addEventListener('change', (e) => this.handleDatasetImport(e));
     this.openCameraBtn.addEventListener('click', () => this.openTrainingCamera());
     this.takeScreenshotBtn.addEventListener('click', () => this.takeScreenshot());
     this.closeCameraBtn.addEventListener('click', () => this.closeTrainingCamera());
     this.trainBtn.addEventListener('click', () => this.trainModel());
+    this.cancelTrainingBtn.addEventListener('click', () => this.cancelTraining());
+    this.updateTrainingConfigControls();
+    this.trainingConfigInputs.forEach(input => {
+      input.addEventListener('change', () => this.setTrainingConfig({ [input.dataset.config]: input.value }));
+    });
+    this.resetTrainingConfigBtn.addEventListener('click', () => this.setTrainingConfig(this.getDefaultTrainingConfig()));
+    this.updateAugmentationControls();
+    this.augmentationInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        this.setAugmentationOptions({ [input.dataset.augmentation]: input.type === 'checkbox' ? input.checked : input.value });
+      });
+    });
+    this.updateFineTuningControls();
+    this.fineTuningInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        this.setFineTuningOptions({ [input.dataset.fineTuning]: input.type === 'checkbox' ? input.checked : input.value });
+      });
+    });
     this.clearBtn.addEventListener('click', () => this.clearTrainingData());
     this.testBtn.addEventListener('click', () => this.startTestMode());
     this.stopTestBtn.addEventListener('click', () => this.stopTestMode());
+    this.importModelBtn.addEventListener('click', () => this.modelImportInput.click());
+    this.modelImportInput.addEventListener('change', (e) => this.handleModelImport(e));
     
     // Load saved models and update UI
     this.loadSavedModels();
@@ -397,7 +872,168 @@ class AnimalDetector extends HTMLElement {
     // Update training data display
     this.updateTrainingStats();
     this.updateTrainingDataTable();
-    this.trainBtn.disabled = this.trainingData.length === 0;
+    this.updateTrainButton();
+  }
+
+  renderHeadless() {
+    // Only the test video is rendered - the camera still needs a <video> to play into
+    // headless="video" shows the preview while start() is running, plain headless keeps the element invisible
+    const showVideo = this.getAttribute('headless') === 'video';
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: ${showVideo ? 'block' : 'none'};
+          width: 100%;
+          box-sizing: border-box;
+        }
+        
+        video {
+          width: 100%;
+          height: auto;
+          display: block;
+          border-radius: 8px;
+          background: #000;
+          transform: scaleX(-1);
+        }
+      </style>
+      <div id="testCameraContainer" style="display: none;">
+        <video id="testVideo" autoplay playsinline muted></video>
+      </div>
+    `;
+
+    this.testCameraContainer = this.shadowRoot.getElementById('testCameraContainer');
+    this.testVideo = this.shadowRoot.getElementById('testVideo');
+    this.applyMirror();
+    this.loadSavedModels();
+  }
+
+  // Public JS API - used by headless embeds, but works the same with the full UI rendered
+  // Methods reject with an Error instead of showing alerts, and also dispatch the usual events
+  
+  // Add a training sample from an image source (img, canvas, video, ImageBitmap, File/Blob or URL)
+  async addSample(source, label) {
+    const animalName = (label || '').trim();
+    if (!animalName) {
+      throw new Error('A label is required');
+    }
+    if (!this.mediaPipeReady) {
+      throw new Error('Feature extractor not ready yet');
+    }
+
+    const image = await this.resolveImageSource(source);
+    const features = await this.extractFeatures(image);
+    const sample = await this.createSample(features, animalName, image, { source: 'api' });
+    this.updateTrainingStats();
+    this.updateTrainingDataTable();
+    this.updateTrainButton();
+    return sample;
+  }
+
+  // Metadata of every saved model version (pass an id to selectModel); getModelFamilies() groups them by name
+  getModels() {
+    return this.loadSavedModelsList();
+  }
+
+  // Classify a single image with the selected model (no smoothing or hold time)
+  async predict(source) {
+    if (!this.trainedModel || !this.selectedModelInfo) {
+      throw new Error('No model selected');
+    }
+    if (!this.mediaPipeReady) {
+      throw new Error('Feature extractor not ready yet');
+    }
+
+    const image = await this.resolveImageSource(source);
+    const result = await this.classifyImage(image);
+    return {
+      label: result.label,
+      confidence: result.confidence,
+      probabilities: result.probabilities,
+      modelId: this.selectedModelId,
+      modelName: this.selectedModelInfo.name
+    };
+  }
+
+  // Bounding boxes of the trained animals in one image (see region-detection.js)
+  async detect(source) {
+    if (!this.trainedModel || !this.selectedModelInfo) {
+      throw new Error('No model selected');
+    }
+    if (!this.mediaPipeReady) {
+      throw new Error('Feature extractor not ready yet');
+    }
+
+    const image = await this.resolveImageSource(source);
+    return {
+      detections: await this.detectRegions(image),
+      modelId: this.selectedModelId,
+      modelName: this.selectedModelInfo.name
+    };
+  }
+
+  // Public API: change the sliding-window detection settings (scales, overlap, minScore, iouThreshold, maxDetections)
+  setDetectionOptions(options) {
+    this.detectionOptions = { ...this.detectionOptions, ...options };
+    return this.detectionOptions;
+  }
+
+  // Embed every window with MobileNet, score the embeddings with the trained model in one batch,
+  // then keep the confident non-background windows after non-max suppression
+  // Resolves with [{ label, confidence, box }], best first
+  async detectRegions(image) {
+    const pixels = tf.browser.fromPixels(image);
+    const [height, width] = pixels.shape;
+    const windows = generateWindows(width, height, this.detectionOptions);
+    const crops = cropWindows(pixels, windows);
+    pixels.dispose();
+
+    let probabilities;
+    try {
+      if (isFullModel(this.selectedModelInfo)) {
+        // Full (fine-tuned) models score the crops directly
+        probabilities = tf.tidy(() => this.trainedModel.predict(preprocessImage(crops), { batchSize: 8 }).arraySync());
+      } else {
+        const windowFeatures = [];
+        for (let i = 0; i < windows.length; i++) {
+          const crop = tf.tidy(() => crops.slice([i, 0, 0, 0], [1, -1, -1, -1]).squeeze([0]));
+          try {
+            windowFeatures.push(await this.extractFeatures(crop));
+          } finally {
+            crop.dispose();
+          }
+        }
+        probabilities = tf.tidy(() => this.trainedModel.predict(tf.tensor2d(windowFeatures)).arraySync());
+      }
+    } finally {
+      crops.dispose();
+    }
+    const trainedLabels = this.selectedModelInfo.trainedLabels || [];
+    const detections = [];
+    probabilities.forEach((scores, index) => {
+      // Single-label models have one sigmoid output for their only label
+      const classIndex = scores.length === 1 ? 0 : scores.indexOf(Math.max(...scores));
+      const label = trainedLabels[classIndex];
+      const confidence = scores[classIndex];
+      if (label && !isBackgroundLabel(label) && confidence >= this.detectionOptions.minScore) {
+        detections.push({ label: label, confidence: confidence, box: windows[index] });
+      }
+    });
+
+    return nonMaxSuppression(detections, this.detectionOptions.iouThreshold, this.detectionOptions.maxDetections);
+  }
+
+  showDetections(detections) {
+    if (!this.testCanvas) return;
+    // Boxes are normalized, so the canvas just needs the video's aspect ratio
+    this.testCanvas.width = this.testVideo.videoWidth;
+    this.testCanvas.height = this.testVideo.videoHeight;
+    drawDetections(this.testCanvas, detections, this.mirror);
+  }
+
+  clearDetections() {
+    if (this.testCtx) {
+      this.testCtx.clearRect(0, 0, this.testCanvas.width, this.testCanvas.height);
+    }
   }
 
   async initializeMediaPipe() {
@@ -418,16 +1054,24 @@ class AnimalDetector extends HTMLElement {
         throw new Error('TensorFlow.js is not loaded');
       }
 
-      this.statusText.textContent = 'Loading MobileNet for feature extraction...';
+      this.setStatus('Loading MobileNet for feature extraction...');
       
       // Load MobileNet model - try multiple sources for reliability
       let loaded = false;
-      
-      // Try option 1: Load MobileNet v2 from TensorFlow.js model repository (most reliable)
-      const mobilenetUrls = [
-        'https://storage.googleapis.com/tfjs-models/tfjs/mobilenet_v2_1.0_224/model.json',
-        'https://tfhub.dev/tensorflow/tfjs-model/mobilenet_v2_1.0_224/1/default/1',
-        'https://tfhub.dev/google/tfjs-model/imagenet/mobilenet_v2_100_224/feature_vector/3/default/1'
+      let extractor = null; // Identity of whatever ends up loaded (see feature-extractor.js)
+
+      // A mobilenet-url attribute or window.DETECTOR_ASSETS.mobilenet is the only source tried (see asset-config.js)
+      // Otherwise the network fallbacks below run only while cdnFallback is enabled
+      const configuredUrl = configuredAssetUrl('mobilenet', this, 'mobilenet-url');
+      const networkFallbacks = !configuredUrl && cdnFallbackEnabled();
+      
+      // Try option 1: Load MobileNet v2 from the local vendor/ copy, then the TensorFlow.js model repository (most reliable)
+      const mobilenetUrls = configuredUrl ? [configuredUrl] : [
+        ...resolveAssetUrls('mobilenet'),
+        ...(networkFallbacks ? [
+          'https://tfhub.dev/tensorflow/tfjs-model/mobilenet_v2_1.0_224/1/default/1',
+          'https://tfhub.dev/google/tfjs-model/imagenet/mobilenet_v2_100_224/feature_vector/3/default/1'
+        ] : [])
       ];
       
       for (const modelUrl of mobilenetUrls) {
@@ -435,8 +1079,9 @@ class AnimalDetector extends HTMLElement {
         try {
           this.mobilenet = await tf.loadLayersModel(modelUrl);
           loaded = true;
+          extractor = layersExtractor(modelUrl);
           console.log('MobileNet v2 loaded successfully from:', modelUrl);
-          this.statusText.textContent = 'MobileNet v2 initialized. Ready for training and testing.';
+          this.setStatus('MobileNet v2 initialized. Ready for training and testing.');
           break;
         } catch (error) {
           console.warn('Failed to load MobileNet from:', modelUrl, error);
@@ -444,7 +1089,7 @@ class AnimalDetector extends HTMLElement {
       }
       
       // Try option 2: Use official MobileNet package via dynamic import
-      if (!loaded) {
+      if (!loaded && networkFallbacks) {
         try {
           // Dynamically import MobileNet package from CDN
           const mobilenetModule = await import('https://cdn.jsdelivr.net/npm/@tensorflow-models/mobilenet@2.1.0/+esm');
@@ -458,8 +1103,9 @@ class AnimalDetector extends HTMLElement {
               inputSize: 224
             });
             loaded = true;
+            extractor = { ...PACKAGE_MOBILENET };
             console.log('MobileNet v2 loaded successfully from @tensorflow-models/mobilenet package');
-            this.statusText.textContent = 'MobileNet v2 initialized. Ready for training and testing.';
+            this.setStatus('MobileNet v2 initialized. Ready for training and testing.');
           }
         } catch (error) {
           console.warn('Failed to load MobileNet from package:', error);
@@ -467,7 +1113,7 @@ class AnimalDetector extends HTMLElement {
       }
       
       // Try option 3: TensorFlow Hub as additional fallback
-      if (!loaded) {
+      if (!loaded && networkFallbacks) {
         const tfHubUrls = [
           'https://tfhub.dev/tensorflow/tfjs-model/mobilenet_v2_1.0_224/1/default/1',
           'https://tfhub.dev/google/tfjs-model/imagenet/mobilenet_v2_100_224/feature_vector/3/default/1'
@@ -478,16 +1124,18 @@ class AnimalDetector extends HTMLElement {
           try {
             this.mobilenet = await tf.loadLayersModel(modelUrl);
             loaded = true;
+            extractor = layersExtractor(modelUrl);
             console.log('MobileNet loaded successfully from TensorFlow Hub:', modelUrl);
-            this.statusText.textContent = 'MobileNet initialized from TensorFlow Hub. Ready for training and testing.';
+            this.setStatus('MobileNet initialized from TensorFlow Hub. Ready for training and testing.');
           } catch (error) {
             console.warn('TensorFlow Hub URL failed:', modelUrl, error);
           }
         }
       }
       
-      // Try option 3: Create a lightweight convolutional feature extractor
-      if (!loaded) {
+      // Try option 4: Create a lightweight convolutional feature extractor
+      // Not for a configured URL - a broken offline setup should fail instead of training on random features
+      if (!loaded && !configuredUrl) {
         try {
           // Create a simple convolutional feature extractor using standard conv2d layers
           // This is a lightweight alternative that works offline
@@ -565,31 +1213,56 @@ class AnimalDetector extends HTMLElement {
           testOutput.dispose();
           
           loaded = true;
+          extractor = lightweightExtractor();
           console.log('Created lightweight convolutional feature extractor');
-          this.statusText.textContent = 'Using lightweight feature extractor (pre-trained MobileNet unavailable). Ready for training and testing.';
+          this.setStatus('Using lightweight feature extractor (pre-trained MobileNet unavailable). Ready for training and testing.');
         } catch (error) {
           console.warn('Failed to create feature extractor:', error);
           console.error('Feature extractor error details:', error.message, error.stack);
         }
       }
       
+      if (!loaded && configuredUrl) {
+        throw new Error(`Could not load MobileNet from ${configuredUrl}`);
+      }
+
       if (!loaded) {
         // Last resort: simplified feature extraction (no MobileNet)
-        this.statusText.textContent = 'Error: Could not load MobileNet. Please check your internet connection and refresh the page.';
+        this.setStatus('Error: Could not load MobileNet. Please check your internet connection and refresh the page.');
         this.mobilenet = null;
         console.error('All MobileNet loading methods failed. Using fallback feature extraction method.');
         alert('Warning: MobileNet could not be loaded. The detector will use pixel features which may not work well. Please check your internet connection and refresh the page.');
+        extractor = { ...PIXEL_FEATURES };
+      }
+
+      // Models and cached sample features are tied to this extractor and its embedding size
+      this.featureExtractor = { ...extractor, dimension: await this.measureFeatureDimension() };
+      console.log('Feature extractor:', this.featureExtractor);
+      if (this.modelsList) {
+        this.updateModelsList(); // Flag models trained with another extractor
       }
       
       this.mediaPipeReady = true;
     } catch (error) {
       console.error('Error initializing MobileNet:', error);
-      this.statusText.textContent = `Error: ${error.message}. Check console (F12) for details.`;
+      this.dispatchDetectorEvent('error', { context: 'initialize', message: error.message, error: error });
+      this.setStatus(`Error: ${error.message}. Check console (F12) for details.`);
       this.mobilenet = null;
     }
   }
 
   // Feature extraction using MobileNet or fallback method
+  // image: anything tf.browser.fromPixels reads, or a [height, width, 3] tensor (augmented images)
+  // Length of the feature vectors extractFeatures() produces, measured on a blank image
+  async measureFeatureDimension() {
+    const blank = tf.zeros([224, 224, 3]);
+    try {
+      return (await this.extractFeatures(blank)).length;
+    } finally {
+      blank.dispose();
+    }
+  }
+
   async extractFeatures(image) {
     if (this.mobilenet) {
       // Check if this is the official MobileNet model (has infer method)
@@ -609,7 +1282,7 @@ class AnimalDetector extends HTMLElement {
         // Use MobileNet loaded as a layers model (from TensorFlow Hub or custom)
         // Preprocess image: resize to 224x224 (MobileNet input size)
         // MobileNet expects images normalized to [-1, 1] range, not [0, 1]
-        const tensor = tf.browser.fromPixels(image)
+        const tensor = (image instanceof tf.Tensor ? image : tf.browser.fromPixels(image))
           .resizeNearestNeighbor([224, 224])
           .expandDims(0)
           .toFloat()
@@ -676,7 +1349,7 @@ class AnimalDetector extends HTMLElement {
       // Fallback: Use simplified feature extraction (should not happen if MobileNet loads correctly)
       console.warn('MobileNet not available, using pixel features (not recommended)');
       // Resize image and extract pixel features
-      const tensor = tf.browser.fromPixels(image)
+      const tensor = (image instanceof tf.Tensor ? image : tf.browser.fromPixels(image))
         .resizeNearestNeighbor([64, 64]) // Smaller size for efficiency
         .expandDims(0)
         .div(255.0); // Normalize to [0, 1]
@@ -693,6 +1366,73 @@ class AnimalDetector extends HTMLElement {
     }
   }
 
+  // Write a sample and its image (img, canvas, video or Blob, or null) to IndexedDB, then add it to trainingData
+  // extractorId names the extractor the features came from (the loaded one unless they were imported as they are)
+  async createSample(features, label, image, eventDetail = {}, timestamp = Date.now(), extractorId = this.featureExtractor ? this.featureExtractor.id : null) {
+    const sample = {
+      features: features,
+      label: label,
+      timestamp: timestamp,
+      extractorId: extractorId
+    };
+    // Embeddings of augmented versions of the image; train() adds them to the training split
+    const augmentedFeatures = image ? await this.augmentImage(image) : [];
+    if (augmentedFeatures.length > 0) {
+      sample.augmentedFeatures = augmentedFeatures;
+    }
+    const imageBlob = !image || image instanceof Blob ? image : await this.imageToBlob(image);
+    const thumbnail = image ? await createThumbnail(image) : null;
+    sample.id = await this.sampleStore.addSample(sample, imageBlob, thumbnail);
+    sample.thumbnailUrl = thumbnail ? URL.createObjectURL(thumbnail) : null;
+    this.trainingData.push(sample);
+    this.dispatchDetectorEvent('sample-added', {
+      label: label,
+      ...eventDetail,
+      index: this.trainingData.length - 1,
+      totalSamples: this.trainingData.length
+    });
+    return sample;
+  }
+
+  // Feature arrays of options.copies random variations of an image (img, canvas, video or Blob)
+  // Empty when augmentation is off or the feature extractor isn't ready (e.g. a dataset import with stored features)
+  async augmentImage(image, options = this.augmentationOptions) {
+    if (!options.enabled || !this.mediaPipeReady) {
+      return [];
+    }
+    const source = await this.resolveImageSource(image);
+    return extractAugmentedFeatures(source, options, augmented => this.extractFeatures(augmented));
+  }
+
+  imageToBlob(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.videoWidth || image.naturalWidth || image.width;
+    canvas.height = image.videoHeight || image.naturalHeight || image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvasToBlob(canvas, 'image/jpeg', 0.8);
+  }
+
+  async resolveImageSource(source) {
+    // The JS API accepts anything tf.browser.fromPixels can read (img, canvas, video, ImageBitmap) plus File/Blob and URLs
+    if (source instanceof Blob) {
+      return this.loadImageFromFile(source);
+    }
+    if (typeof source === 'string') {
+      return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Could not load image: ${source}`));
+        img.src = source;
+      });
+    }
+    if (!source) {
+      throw new Error('An image source is required');
+    }
+    return source;
+  }
+
   // Load image from file
   loadImageFromFile(file) {
     return new Promise((resolve, reject) => {
@@ -708,18 +1448,44 @@ class AnimalDetector extends HTMLElement {
     });
   }
 
-  loadTrainingData() {
+  // Training data lives in IndexedDB (see sample-store.js); every change is written right away,
+  // so there is no save step. Older versions kept it in localStorage - it is moved over on first load
+  async loadTrainingData() {
     try {
-      const saved = localStorage.getItem('animalTrainingData');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.trainingData = data.trainingData || [];
-        console.log(`Loaded ${this.trainingData.length} training samples from storage`);
-      }
+      await this.sampleStore.migrateFromLocalStorage('animalTrainingData');
+      const storedSamples = (await this.sampleStore.getAll()).map(({ thumbnail, ...sample }) => ({
+        ...sample,
+        thumbnailUrl: thumbnail ? URL.createObjectURL(thumbnail) : null
+      }));
+      // Keep samples added while loading (they are already stored, but may not have been read back)
+      const storedIds = new Set(storedSamples.map(sample => sample.id));
+      this.trainingData = [...storedSamples, ...this.trainingData.filter(sample => !storedIds.has(sample.id))];
+      console.log(`Loaded ${this.trainingData.length} training samples from storage`);
     } catch (error) {
       console.error('Error loading training data:', error);
-      this.trainingData = [];
+      this.dispatchDetectorEvent('error', { context: 'load-training-data', message: error.message, error: error });
     }
+
+    // Loading finishes after render() when the element is already connected
+    this.updateTrainingStats();
+    this.updateTrainingDataTable();
+    this.updateTrainButton();
+  }
+
+  async deleteSamples(samples) {
+    await this.sampleStore.removeSamples(samples.map(sample => sample.id));
+    samples.forEach(sample => {
+      if (sample.thumbnailUrl) URL.revokeObjectURL(sample.thumbnailUrl);
+    });
+    this.trainingData = this.trainingData.filter(sample => !samples.includes(sample));
+  }
+
+  async clearSamples() {
+    await this.sampleStore.clear();
+    this.trainingData.forEach(sample => {
+      if (sample.thumbnailUrl) URL.revokeObjectURL(sample.thumbnailUrl);
+    });
+    this.trainingData = [];
   }
 
   async handleFileUpload(event) {
@@ -741,31 +1507,18 @@ class AnimalDetector extends HTMLElement {
     let processedCount = 0;
     let errorCount = 0;
 
-    this.statusText.textContent = `Processing ${files.length} image(s)...`;
+    this.setStatus(`Processing ${files.length} image(s)...`);
 
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
       try {
         const image = await this.loadImageFromFile(file);
         const features = await this.extractFeatures(image);
-        
-        // Convert image to data URL for display
-        const canvas = document.createElement('canvas');
-        canvas.width = image.width || image.naturalWidth;
-        canvas.height = image.height || image.naturalHeight;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(image, 0, 0);
-        const imageDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-        
-        this.trainingData.push({
-          features: features,
-          label: animalName,
-          imageDataUrl: imageDataUrl,
-          timestamp: Date.now()
-        });
+        await this.createSample(features, animalName, image, { source: 'upload', fileName: file.name });
         processedCount++;
       } catch (error) {
         console.error(`Error processing image ${file.name}:`, error);
+        this.dispatchDetectorEvent('error', { context: 'upload', message: error.message, error: error, fileName: file.name });
         errorCount++;
       }
     }
@@ -773,22 +1526,17 @@ class AnimalDetector extends HTMLElement {
     // Clear file input
     this.fileInput.value = '';
 
-    // Save to localStorage
-    this.saveTrainingData();
-
     // Update UI
     this.updateTrainingStats();
     this.updateTrainingDataTable();
-    this.trainBtn.disabled = this.trainingData.length === 0;
+    this.updateTrainButton();
 
     // Show feedback
     if (processedCount > 0) {
-      this.statusText.textContent = `Processed ${processedCount} ${animalName} sample(s) (Total: ${this.trainingData.length})`;
-      if (errorCount > 0) {
-        this.statusText.textContent += `. ${errorCount} image(s) had errors.`;
-      }
+      const errorText = errorCount > 0 ? `. ${errorCount} image(s) had errors.` : '';
+      this.setStatus(`Processed ${processedCount} ${animalName} sample(s) (Total: ${this.trainingData.length})${errorText}`);
     } else {
-      this.statusText.textContent = `Error processing images. Please try again.`;
+      this.setStatus(`Error processing images. Please try again.`);
     }
   }
 
@@ -799,7 +1547,7 @@ class AnimalDetector extends HTMLElement {
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { facingMode: 'user' } 
+        video: this.getCameraConstraints()
       });
       
       this.trainingStream = stream;
@@ -810,11 +1558,12 @@ class AnimalDetector extends HTMLElement {
       this.closeCameraBtn.style.display = 'inline-block';
       this.isTrainingCameraOpen = true;
       
-      this.statusText.textContent = 'Camera opened. Enter animal name and take screenshots.';
+      this.setStatus('Camera opened. Enter animal name and take screenshots.');
     } catch (error) {
       console.error('Error opening camera:', error);
+      this.dispatchDetectorEvent('error', { context: 'training-camera', message: error.message, error: error });
       alert('Error accessing camera: ' + error.message);
-      this.statusText.textContent = 'Error accessing camera';
+      this.setStatus('Error accessing camera');
     }
   }
 
@@ -837,12 +1586,12 @@ class AnimalDetector extends HTMLElement {
     }
 
     try {
-      this.statusText.textContent = 'Processing screenshot...';
+      this.setStatus('Processing screenshot...');
       
       // Check if video is ready
       if (!this.trainingVideo || this.trainingVideo.readyState < 2) {
         alert('Camera not ready. Please wait a moment and try again.');
-        this.statusText.textContent = 'Camera not ready';
+        this.setStatus('Camera not ready');
         return;
       }
       
@@ -851,7 +1600,7 @@ class AnimalDetector extends HTMLElement {
       
       if (!videoWidth || !videoHeight || videoWidth === 0 || videoHeight === 0) {
         alert('Camera video dimensions not available. Please wait a moment and try again.');
-        this.statusText.textContent = 'Camera not ready - invalid dimensions';
+        this.setStatus('Camera not ready - invalid dimensions');
         return;
       }
       
@@ -883,31 +1632,22 @@ class AnimalDetector extends HTMLElement {
       
       // Extract features
       const features = await this.extractFeatures(image);
-      const imageDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-      
-      this.trainingData.push({
-        features: features,
-        label: animalName,
-        imageDataUrl: imageDataUrl,
-        timestamp: Date.now()
-      });
-      
-      // Save to localStorage
-      this.saveTrainingData();
+      await this.createSample(features, animalName, canvas, { source: 'camera' });
       
       // Update UI
       this.updateTrainingStats();
       this.updateTrainingDataTable();
-      this.trainBtn.disabled = this.trainingData.length === 0;
+      this.updateTrainButton();
       
       // Show feedback
-      this.statusText.textContent = `Captured ${animalName} sample from screenshot (Total: ${this.trainingData.length})`;
+      this.setStatus(`Captured ${animalName} sample from screenshot (Total: ${this.trainingData.length})`);
       
       console.log(`Captured training sample: ${animalName}`, features);
     } catch (error) {
       console.error('Error taking screenshot:', error);
+      this.dispatchDetectorEvent('error', { context: 'screenshot', message: error.message, error: error });
       alert(`Error processing screenshot: ${error.message}`);
-      this.statusText.textContent = 'Error processing screenshot';
+      this.setStatus('Error processing screenshot');
     }
   }
 
@@ -921,13 +1661,16 @@ class AnimalDetector extends HTMLElement {
       this.trainingVideo.srcObject = null;
     }
     
-    this.trainingCameraContainer.style.display = 'none';
-    this.openCameraBtn.style.display = 'inline-block';
-    this.takeScreenshotBtn.style.display = 'none';
-    this.closeCameraBtn.style.display = 'none';
+    // Training camera controls are not rendered in headless mode
+    if (this.trainingCameraContainer) {
+      this.trainingCameraContainer.style.display = 'none';
+      this.openCameraBtn.style.display = 'inline-block';
+      this.takeScreenshotBtn.style.display = 'none';
+      this.closeCameraBtn.style.display = 'none';
+    }
     this.isTrainingCameraOpen = false;
     
-    this.statusText.textContent = 'Camera closed';
+    this.setStatus('Camera closed');
   }
 
   async trainModel() {
@@ -949,23 +1692,69 @@ class AnimalDetector extends HTMLElement {
       return;
     }
 
-    // Check if model name already exists
-    const existingModels = this.loadSavedModelsList();
-    if (existingModels.some(m => m.name.toLowerCase() === modelName.toLowerCase())) {
-      if (!confirm(`A model named "${modelName}" already exists. Do you want to overwrite it?`)) {
-        return;
-      }
-      // Delete existing model with same name
-      const existingModel = existingModels.find(m => m.name.toLowerCase() === modelName.toLowerCase());
-      if (existingModel) {
-        this.deleteModel(existingModel.id);
+    // An existing name gets a new version (train() keeps the older ones in the model's history)
+
+    this.trainBtn.disabled = true;
+
+    try {
+      await this.train({ name: modelName });
+      
+      // Clear model name input
+      this.modelNameInput.value = '';
+      
+      // Optionally clear training data
+      if (confirm('Model saved! Do you want to clear the training data to start fresh?')) {
+        await this.clearSamples();
+        this.updateTrainingStats();
+        this.updateTrainingDataTable();
+        this.trainBtn.disabled = true;
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Cancelled from the progress panel - the status already says so
+      } else if (error.name === 'QuotaExceededError') {
+        alert('Storage quota exceeded! Please delete some old models or clear your browser storage. The model was trained but could not be saved.');
+        this.setStatus(`Model "${modelName}" trained but could not be saved due to storage limit.`);
+      } else {
+        alert(`Error training model: ${error.message}`);
       }
+    } finally {
+      this.trainBtn.disabled = false;
     }
+  }
 
-    this.statusText.textContent = 'Training model...';
-    this.trainBtn.disabled = true;
+  // Public API: train and save a model from the current training data
+  // Resolves with the saved model's metadata; rejects instead of prompting when something is wrong
+  // An existing name gets a new version; options.overwrite: false rejects instead
+  async train(options = {}) {
+    const modelName = (options.name || '').trim();
+    const overwrite = options.overwrite !== false;
 
     try {
+      if (!modelName) {
+        throw new Error('A model name is required');
+      }
+      if (this.activeTraining) {
+        throw new Error('Training is already in progress');
+      }
+      if (this.activeRecompute) {
+        throw new Error('Features are being recomputed - wait for it to finish or cancel it');
+      }
+      await this.trainingDataReady;
+      if (this.trainingData.length === 0) {
+        throw new Error('No training data available');
+      }
+      if (typeof tf === 'undefined') {
+        throw new Error('TensorFlow.js is not loaded');
+      }
+
+      const existingModel = this.loadSavedModelsList().find(m => m.name.toLowerCase() === modelName.toLowerCase());
+      if (existingModel && !overwrite) {
+        throw new Error(`A model named "${modelName}" already exists`);
+      }
+
+      this.setStatus('Training model...');
+
       // Get unique labels from training data and sort them consistently
       const uniqueLabels = [...new Set(this.trainingData.map(sample => sample.label))].sort();
       const numClasses = uniqueLabels.length;
@@ -981,150 +1770,635 @@ class AnimalDetector extends HTMLElement {
       console.log('Number of classes:', numClasses);
       console.log('Label mapping:', labelMap);
       
-      // Prepare training data
-      const features = this.trainingData.map(sample => sample.features);
-      const labels = this.trainingData.map(sample => {
-        return labelMap[sample.label];
-      });
+      // Hold out a stratified validation set for the evaluation report
+      // Single-label models have nothing to tell apart, so they train on everything
+      const split = numClasses > 1 ? stratifiedSplit(this.trainingData) : { train: this.trainingData, validation: [] };
 
-      // Convert to tensors
-      const xs = tf.tensor2d(features);
-      
-      // Handle single-class vs multi-class models
-      let ys;
-      let model;
-      let compileConfig;
+      // Network and hyperparameters from the Advanced training settings (options.config overrides them)
+      const trainingConfig = normalizeTrainingConfig({ ...this.trainingConfig, ...(options.config || {}) }, this.getDefaultTrainingConfig());
+      console.log('Training config:', describeTrainingConfig(trainingConfig));
+      // Fine-tuning trains the top MobileNet blocks together with the head (options.fineTuning overrides the settings)
+      const fineTuning = normalizeFineTuningOptions({ ...this.fineTuningOptions, ...(options.fineTuning || {}) });
+      // A head is only as good as its inputs: features cached with another extractor are recomputed first
+      if (!fineTuning.enabled) {
+        await this.refreshStaleFeatures();
+      }
       
-      if (numClasses === 1) {
-        // Single-class model: use binary classification
-        ys = tf.ones([labels.length, 1]);
-        
-        model = tf.sequential({
-          layers: [
-            tf.layers.dense({
-              inputShape: [features[0].length],
-              units: 64,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: 32,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: 1,
-              activation: 'sigmoid'
-            })
-          ]
-        });
-
-        compileConfig = {
-          optimizer: 'adam',
-          loss: 'binaryCrossentropy',
-          metrics: ['accuracy']
-        };
+      let trainSamples;
+      let validationSamples;
+      let augmentedCount = 0;
+      if (fineTuning.enabled) {
+        // Fine-tuning runs on the stored images - augmented embeddings don't apply
+        console.log('Fine-tuning:', fineTuning);
+        trainSamples = await this.withStoredImages(split.train);
+        validationSamples = await this.withStoredImages(split.validation);
+        if (trainSamples.length === 0) {
+          throw new Error('Fine-tuning needs samples with stored images');
+        }
       } else {
-        // Multi-class model: use one-hot encoding and softmax
-        ys = tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses);
-        
-        model = tf.sequential({
-          layers: [
-            tf.layers.dense({
-              inputShape: [features[0].length],
-              units: 64,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: 32,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: numClasses,
-              activation: 'softmax'
-            })
-          ]
-        });
-
-        compileConfig = {
-          optimizer: 'adam',
-          loss: 'categoricalCrossentropy',
-          metrics: ['accuracy']
-        };
+        // Augmented embeddings stored with the samples go into the training split only,
+        // so the evaluation stays on the real images
+        trainSamples = split.train.flatMap(sample => [
+          sample,
+          ...(sample.augmentedFeatures || []).map(augmentedFeatures => ({ features: augmentedFeatures, label: sample.label }))
+        ]);
+        augmentedCount = trainSamples.length - split.train.length;
+        validationSamples = split.validation;
       }
+      console.log(`Training on ${trainSamples.length - augmentedCount} sample(s) + ${augmentedCount} augmented, validating on ${validationSamples.length}`);
       
-      // Compile the model
-      model.compile(compileConfig);
-
-      // Train model
-      await model.fit(xs, ys, {
-        epochs: 100,
-        batchSize: Math.min(32, this.trainingData.length),
-        validationSplit: 0.2,
-        shuffle: true,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            if (epoch % 20 === 0) {
-              console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, acc = ${logs.acc.toFixed(4)}`);
-            }
-          }
-        }
+      // Prepare training data
+      const labels = trainSamples.map(sample => {
+        return labelMap[sample.label];
       });
+      const validationLabels = validationSamples.map(sample => labelMap[sample.label]);
+      // Model inputs: cached embeddings, or preprocessed images when fine-tuning
+      const toInputs = samples => fineTuning.enabled
+        ? this.imagesToInputTensor(samples)
+        : tf.tensor2d(samples.map(sample => sample.features));
+
+      const model = fineTuning.enabled
+        ? await buildFineTuneModel(this.mobilenet, numClasses, trainingConfig, fineTuning)
+        : buildClassifier(trainSamples[0].features.length, numClasses, trainingConfig);
+
+      const epochs = fineTuning.enabled ? fineTuning.epochs : trainingConfig.epochs;
+      const batchSize = fineTuning.enabled ? fineTuning.batchSize : trainingConfig.batchSize;
+      const progress = new TrainingProgress(epochs);
+      const earlyStopping = new EarlyStopping(trainingConfig.earlyStoppingPatience);
+      this.activeTraining = { model: model, cancelled: false };
+      this.showTrainingProgress(progress);
 
-      // Save model
       let modelInfo;
+      let xs = null;
+      let ys = null;
+      let validationXs = null;
+      let validationYs = null;
       try {
-        modelInfo = await this.saveModel(model, modelName, this.trainingData, uniqueLabels, labelMap);
-      } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-          alert('Storage quota exceeded! Please delete some old models or clear your browser storage. The model was trained but could not be saved.');
-          this.statusText.textContent = `Model "${modelName}" trained but could not be saved due to storage limit.`;
-          this.trainBtn.disabled = false;
-          xs.dispose();
-          ys.dispose();
-          return;
-        } else {
-          throw error;
+        // Convert to tensors
+        // Single-label models use one sigmoid output with every sample as a positive
+        if (fineTuning.enabled) this.setStatus('Loading images for fine-tuning...');
+        xs = await toInputs(trainSamples);
+        ys = numClasses === 1
+          ? tf.ones([labels.length, 1])
+          : tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses);
+        if (validationSamples.length > 0) {
+          validationXs = await toInputs(validationSamples);
+          validationYs = tf.oneHot(tf.tensor1d(validationLabels, 'int32'), numClasses);
+        }
+        this.setStatus(fineTuning.enabled ? 'Fine-tuning MobileNet...' : 'Training model...');
+        
+        // Train model
+        await model.fit(xs, ys, {
+          epochs: epochs,
+          batchSize: Math.min(batchSize, trainSamples.length),
+          validationData: validationXs ? [validationXs, validationYs] : undefined,
+          shuffle: true,
+          callbacks: {
+            // Fine-tuning epochs take long - yield after every batch so Cancel stays responsive
+            onBatchEnd: fineTuning.enabled ? () => tf.nextFrame() : undefined,
+            onEpochEnd: async (epoch, logs) => {
+              if (epoch % 20 === 0) {
+                const validationText = logs.val_acc !== undefined ? `, val_acc = ${logs.val_acc.toFixed(4)}` : '';
+                console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, acc = ${logs.acc.toFixed(4)}${validationText}`);
+              }
+              progress.update(epoch, logs);
+              earlyStopping.update(logs);
+              if (earlyStopping.shouldStop()) {
+                console.log(`Early stopping at epoch ${epoch + 1}: no improvement for ${trainingConfig.earlyStoppingPatience} epochs`);
+                model.stopTraining = true;
+              }
+              this.updateTrainingProgress(progress);
+              this.dispatchDetectorEvent('training-progress', progress.toEventDetail());
+              // Give the browser a frame to repaint the panel and handle the Cancel button
+              await tf.nextFrame();
+            }
+          }
+        });
+        
+        // stopTraining ends fit() early without an error - nothing gets saved in that case
+        if (this.activeTraining.cancelled) {
+          throw createCancelError();
+        }
+        
+        // Evaluate on the held-out samples
+        let evaluation = null;
+        if (validationXs) {
+          evaluation = evaluateClassifier(validationLabels, predictClassIndices(model, validationXs), uniqueLabels);
+          console.log('Evaluation:', formatEvaluationSummary(evaluation), evaluation);
         }
+
+        // Save model
+        modelInfo = await this.saveModel(model, modelName, this.trainingData, uniqueLabels, labelMap, {
+          evaluation: evaluation,
+          trainingConfig: trainingConfig,
+          epochsTrained: progress.epoch,
+          augmentedSampleCount: augmentedCount,
+          modelType: fineTuning.enabled ? 'full' : 'head',
+          fineTuning: fineTuning.enabled ? fineTuning : null,
+          featureExtractor: this.featureExtractor
+        });
+      } finally {
+        // Clean up tensors
+        if (xs) xs.dispose();
+        if (ys) ys.dispose();
+        if (validationXs) validationXs.dispose();
+        if (validationYs) validationYs.dispose();
+        // The saved copy lives in IndexedDB - selectModel() loads it from there
+        model.dispose();
+        this.activeTraining = null;
+        this.finishTrainingProgress();
       }
       
-      // Clean up tensors
-      xs.dispose();
-      ys.dispose();
+      this.dispatchDetectorEvent('model-trained', {
+        modelId: modelInfo.id,
+        modelName: modelInfo.name,
+        version: modelInfo.version,
+        labels: modelInfo.trainedLabels,
+        labelCounts: modelInfo.labelCounts,
+        sampleCount: modelInfo.trainingDataCount,
+        evaluation: modelInfo.evaluation
+      });
 
       // Update UI
       this.updateTrainingStats();
-      this.statusText.textContent = `Model "${modelName}" trained and saved successfully with ${this.trainingData.length} samples!`;
-      
-      // Clear model name input
-      this.modelNameInput.value = '';
-      
-      // Optionally clear training data
-      if (confirm('Model saved! Do you want to clear the training data to start fresh?')) {
-        this.trainingData = [];
-        localStorage.removeItem('animalTrainingData');
-        this.updateTrainingStats();
-        this.trainBtn.disabled = true;
-      }
+      this.showEvaluationReport(modelInfo);
+      const evaluationText = modelInfo.evaluation ? ` ${formatEvaluationSummary(modelInfo.evaluation)}.` : '';
+      this.setStatus(`Model "${modelName}" v${modelInfo.version} trained and saved successfully with ${this.trainingData.length} samples!${evaluationText}${this.describePinnedFamily(modelInfo)}`);
       
       console.log('Model training completed:', modelInfo);
+      return modelInfo;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Training cancelled');
+        this.setStatus('Training cancelled');
+        throw error;
+      }
       console.error('Error training model:', error);
-      this.statusText.textContent = `Training error: ${error.message}`;
-      alert(`Error training model: ${error.message}`);
+      this.dispatchDetectorEvent('error', { context: 'train', message: error.message, error: error });
+      this.setStatus(`Training error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getDefaultTrainingConfig() {
+    // MobileNet embeddings are much wider than hand features, so the head gets wider hidden layers
+    return { ...DEFAULT_TRAINING_CONFIG, hiddenLayers: [64, 32] };
+  }
+
+  loadTrainingConfig() {
+    try {
+      const saved = localStorage.getItem('animalTrainingConfig');
+      if (saved) {
+        return normalizeTrainingConfig(JSON.parse(saved), this.getDefaultTrainingConfig());
+      }
+    } catch (error) {
+      console.error('Error loading training config:', error);
+    }
+    return this.getDefaultTrainingConfig();
+  }
+
+  // Public API: change the training settings used by train() (partial configs are merged; values are clamped)
+  setTrainingConfig(config) {
+    this.trainingConfig = normalizeTrainingConfig({ ...this.trainingConfig, ...config }, this.getDefaultTrainingConfig());
+    try {
+      localStorage.setItem('animalTrainingConfig', JSON.stringify(this.trainingConfig));
+    } catch (error) {
+      console.error('Error saving training config:', error);
+    }
+    this.updateTrainingConfigControls();
+    return this.trainingConfig;
+  }
+
+  updateTrainingConfigControls() {
+    if (!this.trainingConfigInputs) return;
+    this.trainingConfigInputs.forEach(input => {
+      const value = this.trainingConfig[input.dataset.config];
+      input.value = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+  }
+
+  // Settings line for the models list
+  describeModelTraining(modelInfo) {
+    if (isFullModel(modelInfo)) {
+      const { blocks, epochs, batchSize, learningRate } = modelInfo.fineTuning;
+      const stoppedEarly = modelInfo.epochsTrained && modelInfo.epochsTrained < epochs;
+      const layers = modelInfo.trainingConfig.hiddenLayers.length > 0 ? modelInfo.trainingConfig.hiddenLayers.join('-') : 'none';
+      return `Fine-tuned MobileNet (last ${blocks} block(s)) | ${epochs} epochs | batch ${batchSize} | lr ${learningRate} | layers ${layers}` +
+        (stoppedEarly ? ` (stopped at epoch ${modelInfo.epochsTrained})` : '');
+    }
+    if (!modelInfo.trainingConfig) return 'Default training settings';
+    const stoppedEarly = modelInfo.epochsTrained && modelInfo.epochsTrained < modelInfo.trainingConfig.epochs;
+    const augmented = modelInfo.augmentedSampleCount ? ` | +${modelInfo.augmentedSampleCount} augmented` : '';
+    return describeTrainingConfig(modelInfo.trainingConfig) + (stoppedEarly ? ` (stopped at epoch ${modelInfo.epochsTrained})` : '') + augmented;
+  }
+
+  loadAugmentationOptions() {
+    try {
+      const saved = localStorage.getItem('animalAugmentation');
+      if (saved) {
+        return normalizeImageAugmentationOptions(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading augmentation options:', error);
+    }
+    return { ...DEFAULT_IMAGE_AUGMENTATION_OPTIONS };
+  }
+
+  // Public API: change the image augmentation applied to samples added from now on
+  // (partial options are merged; values are clamped)
+  setAugmentationOptions(options) {
+    this.augmentationOptions = normalizeImageAugmentationOptions({ ...this.augmentationOptions, ...options });
+    try {
+      localStorage.setItem('animalAugmentation', JSON.stringify(this.augmentationOptions));
+    } catch (error) {
+      console.error('Error saving augmentation options:', error);
+    }
+    this.updateAugmentationControls();
+    return this.augmentationOptions;
+  }
+
+  updateAugmentationControls() {
+    if (!this.augmentationInputs) return;
+    this.augmentationInputs.forEach(input => {
+      const value = this.augmentationOptions[input.dataset.augmentation];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = String(value);
+      }
+    });
+  }
+
+  loadFineTuningOptions() {
+    try {
+      const saved = localStorage.getItem('animalFineTuning');
+      if (saved) {
+        return normalizeFineTuningOptions(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading fine-tuning options:', error);
+    }
+    return { ...DEFAULT_FINE_TUNING_OPTIONS };
+  }
+
+  // Public API: turn MobileNet fine-tuning on/off and tune it (partial options are merged; values are clamped)
+  setFineTuningOptions(options) {
+    this.fineTuningOptions = normalizeFineTuningOptions({ ...this.fineTuningOptions, ...options });
+    try {
+      localStorage.setItem('animalFineTuning', JSON.stringify(this.fineTuningOptions));
+    } catch (error) {
+      console.error('Error saving fine-tuning options:', error);
+    }
+    this.updateFineTuningControls();
+    return this.fineTuningOptions;
+  }
+
+  updateFineTuningControls() {
+    if (!this.fineTuningInputs) return;
+    this.fineTuningInputs.forEach(input => {
+      const value = this.fineTuningOptions[input.dataset.fineTuning];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = String(value);
+      }
+    });
+  }
+
+  // Samples paired with their stored full-size image; samples without one are left out
+  async withStoredImages(samples) {
+    const samplesWithImages = [];
+    for (const sample of samples) {
+      const image = await this.sampleStore.getImage(sample.id);
+      if (image) {
+        samplesWithImages.push({ ...sample, image: image });
+      }
+    }
+    return samplesWithImages;
+  }
+
+  // Recompute the features of samples cached with another extractor before training (see feature-extractor.js)
+  // Resolves with the number of samples updated; rejects when one of them can't be recomputed
+  async refreshStaleFeatures() {
+    const stale = staleSamples(this.trainingData, this.featureExtractor);
+    if (stale.length === 0) {
+      return 0;
+    }
+
+    console.log(`Recomputing features of ${stale.length} sample(s) with`, this.featureExtractor);
+    const result = await recomputeSamples(stale, sample => this.recomputeSample(sample), {
+      onProgress: (done, total) => this.setStatus(`Recomputing features with ${describeExtractor(this.featureExtractor)}: ${done}/${total}...`)
+    });
+    this.updateTrainingStats();
+    const notUpdated = [...result.failed, ...result.skipped];
+    if (notUpdated.length > 0) {
+      throw new Error(`${notUpdated.length} sample(s) have features from a different feature extractor and could not be recomputed (${notUpdated[0].reason}). Delete them or import them again with their images.`);
+    }
+    return result.updated;
+  }
+
+  // One preprocessed [samples, 224, 224, 3] tensor of the sample images, the input of a fine-tuned model
+  async imagesToInputTensor(samples) {
+    const inputs = [];
+    try {
+      for (const sample of samples) {
+        const image = await this.resolveImageSource(sample.image);
+        inputs.push(tf.tidy(() => preprocessImage(tf.browser.fromPixels(image))));
+      }
+      return tf.stack(inputs);
     } finally {
-      this.trainBtn.disabled = false;
+      inputs.forEach(input => input.dispose());
     }
   }
 
-  clearTrainingData() {
+  // Public API: stop a running train() after the current batch; train() then rejects with an AbortError
+  // Returns false when no training is running
+  cancelTraining() {
+    if (!this.activeTraining) return false;
+    this.activeTraining.cancelled = true;
+    this.activeTraining.model.stopTraining = true;
+    if (this.cancelTrainingBtn) this.cancelTrainingBtn.disabled = true;
+    this.setStatus('Cancelling training...');
+    return true;
+  }
+
+  showTrainingProgress(progress) {
+    if (!this.trainingProgressPanel) return;
+    this.trainingProgressPanel.style.display = 'block';
+    this.cancelTrainingBtn.style.display = 'block';
+    this.cancelTrainingBtn.disabled = false;
+    this.updateTrainingProgress(progress);
+  }
+
+  updateTrainingProgress(progress) {
+    if (!this.trainingProgressPanel) return;
+    this.trainingProgressText.textContent = progress.epoch > 0 ? progress.describe() : `Starting training (${progress.totalEpochs} epochs)...`;
+    this.trainingProgressBar.style.width = `${(progress.epoch / progress.totalEpochs) * 100}%`;
+    drawTrainingChart(this.lossChart, progress.history.loss, progress.history.val_loss, { title: 'Loss', totalEpochs: progress.totalEpochs });
+    drawTrainingChart(this.accuracyChart, progress.history.acc, progress.history.val_acc, { title: 'Accuracy', totalEpochs: progress.totalEpochs, maxValue: 1 });
+  }
+
+  // Keep the final curves visible, but there is nothing left to cancel
+  finishTrainingProgress() {
+    if (!this.cancelTrainingBtn) return;
+    this.cancelTrainingBtn.style.display = 'none';
+  }
+
+  // Public API: run every stored sample image through the loaded feature extractor again and save the new
+  // features (and augmented embeddings, when augmentation is on)
+  // Resolves with { total, updated, skipped, failed, cancelled }; skipped and failed list { id, label, index, reason }
+  // Samples without a stored image are skipped and keep their features
+  async recomputeFeatures() {
+    try {
+      if (this.activeTraining || this.activeRecompute) {
+        throw new Error('Training or a feature recompute is already in progress');
+      }
+      await this.trainingDataReady;
+      if (this.trainingData.length === 0) {
+        throw new Error('No training data available');
+      }
+      if (!this.mediaPipeReady) {
+        throw new Error('Feature extractor not ready yet');
+      }
+
+      const samples = [...this.trainingData];
+      let result;
+      this.activeRecompute = { cancelled: false };
+      this.showRecomputeProgress(samples.length);
+      try {
+        result = await recomputeSamples(samples, sample => this.recomputeSample(sample), {
+          isCancelled: () => this.activeRecompute.cancelled,
+          onProgress: (done, total) => this.updateRecomputeProgress(done, total)
+        });
+      } finally {
+        this.activeRecompute = null;
+        this.finishRecomputeProgress();
+        this.updateTrainingStats();
+      }
+
+      const toEntries = entries => entries.map(({ sample, reason }) => ({
+        id: sample.id,
+        label: sample.label,
+        index: samples.indexOf(sample),
+        reason: reason
+      }));
+      const detail = { ...result, skipped: toEntries(result.skipped), failed: toEntries(result.failed) };
+      this.dispatchDetectorEvent('features-recomputed', detail);
+      this.setStatus(formatRecomputeSummary(result));
+      console.log('Features recomputed:', detail);
+      return detail;
+    } catch (error) {
+      console.error('Error recomputing features:', error);
+      this.dispatchDetectorEvent('error', { context: 'recompute-features', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // One step of recomputeFeatures(): the sample is updated in place and saved right away
+  async recomputeSample(sample) {
+    const stored = await this.sampleStore.getImage(sample.id);
+    if (!stored) {
+      return { skipped: 'no stored image' };
+    }
+    const image = await this.resolveImageSource(stored);
+    sample.features = await this.extractFeatures(image);
+    sample.extractorId = this.featureExtractor.id;
+    const augmentedFeatures = await this.augmentImage(image);
+    if (augmentedFeatures.length > 0) {
+      sample.augmentedFeatures = augmentedFeatures;
+    } else {
+      delete sample.augmentedFeatures;
+    }
+    const { thumbnailUrl, ...record } = sample;
+    await this.sampleStore.updateSamples([record]);
+    return 'updated';
+  }
+
+  // Public API: stop a running recomputeFeatures() before the next sample; it resolves with cancelled: true
+  // Returns false when nothing is being recomputed
+  cancelRecompute() {
+    if (!this.activeRecompute) return false;
+    this.activeRecompute.cancelled = true;
+    if (this.cancelRecomputeBtn) this.cancelRecomputeBtn.disabled = true;
+    this.setStatus('Cancelling feature recompute...');
+    return true;
+  }
+
+  showRecomputeProgress(total) {
+    if (this.recomputeFeaturesBtn) this.recomputeFeaturesBtn.disabled = true;
+    if (!this.recomputeProgressPanel) return;
+    this.recomputeProgressPanel.style.display = 'block';
+    this.cancelRecomputeBtn.disabled = false;
+    this.updateRecomputeProgress(0, total);
+  }
+
+  updateRecomputeProgress(done, total) {
+    this.setStatus(`Recomputing features: ${done}/${total}...`);
+    if (!this.recomputeProgressPanel) return;
+    this.recomputeProgressText.textContent = `Recomputing features: ${done} / ${total} sample(s)`;
+    this.recomputeProgressBar.style.width = `${total > 0 ? (done / total) * 100 : 0}%`;
+  }
+
+  finishRecomputeProgress() {
+    if (this.recomputeFeaturesBtn) this.recomputeFeaturesBtn.disabled = false;
+    if (!this.recomputeProgressPanel) return;
+    this.recomputeProgressPanel.style.display = 'none';
+  }
+
+  async handleRecomputeFeatures() {
+    if (this.trainingData.length === 0) {
+      alert('No training data to recompute.');
+      return;
+    }
+    if (!confirm(`Run all ${this.trainingData.length} sample image(s) through ${describeExtractor(this.featureExtractor)} again and replace their stored features?`)) {
+      return;
+    }
+
+    try {
+      const result = await this.recomputeFeatures();
+      const notUpdated = [...result.failed, ...result.skipped];
+      if (notUpdated.length > 0) {
+        const listed = notUpdated.slice(0, 10).map(entry => `#${entry.index + 1} (${entry.label}): ${entry.reason}`).join('\n');
+        const more = notUpdated.length > 10 ? `\n...and ${notUpdated.length - 10} more` : '';
+        alert(`${notUpdated.length} sample(s) kept their old features:\n${listed}${more}`);
+      }
+    } catch (error) {
+      alert('Error recomputing features: ' + error.message);
+    }
+  }
+
+  // Public API: the training data as a zip Blob (one folder per label + manifest.json)
+  async exportDataset() {
+    try {
+      await this.trainingDataReady;
+      if (this.trainingData.length === 0) {
+        throw new Error('No training data to export');
+      }
+      // Full-size images are read from IndexedDB one sample at a time
+      const samples = [];
+      // Augmented embeddings are left out - they are recreated on import when augmentation is on
+      for (const { id, thumbnailUrl, augmentedFeatures, ...sample } of this.trainingData) {
+        samples.push({ ...sample, image: await this.sampleStore.getImage(id) });
+      }
+      return await createDatasetZip(samples, 'animal-detector');
+    } catch (error) {
+      console.error('Error exporting dataset:', error);
+      this.dispatchDetectorEvent('error', { context: 'export-dataset', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  async downloadDataset() {
+    if (this.trainingData.length === 0) {
+      alert('No training data to export.');
+      return;
+    }
+
+    try {
+      this.setStatus(`Exporting ${this.trainingData.length} sample(s)...`);
+      const blob = await this.exportDataset();
+      downloadBlob(blob, `animal-dataset-${new Date().toISOString().slice(0, 10)}.zip`);
+      this.setStatus(`Exported ${this.trainingData.length} sample(s)`);
+    } catch (error) {
+      alert('Error exporting dataset: ' + error.message);
+      this.setStatus('Error exporting dataset');
+    }
+  }
+
+  // Public API: add the samples of a dataset - a .zip File, or the files of a folder with one sub-folder per label
+  // Stored features are reused; samples without features are run through the feature extractor
+  // Resolves with { imported, skipped }
+  async importDataset(files) {
+    try {
+      const entries = await readDataset(files, 'animal-detector');
+      let imported = 0;
+      let skipped = 0;
+
+      this.setStatus(`Importing ${entries.length} sample(s)...`);
+      for (const entry of entries) {
+        const label = (entry.label || '').trim();
+        try {
+          const sample = label ? await this.createImportedSample(entry, label) : null;
+          if (sample) {
+            imported++;
+          } else {
+            console.warn('Skipping dataset sample without a label, features or image:', entry.label);
+            skipped++;
+          }
+        } catch (error) {
+          console.warn('Skipping dataset sample:', error);
+          skipped++;
+        }
+      }
+
+      this.updateTrainingStats();
+      this.updateTrainingDataTable();
+      this.updateTrainButton();
+
+      const skippedText = skipped > 0 ? ` (${skipped} skipped)` : '';
+      this.setStatus(`Imported ${imported} sample(s)${skippedText} (Total: ${this.trainingData.length})`);
+      return { imported, skipped };
+    } catch (error) {
+      console.error('Error importing dataset:', error);
+      this.dispatchDetectorEvent('error', { context: 'import-dataset', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  async createImportedSample(entry, label) {
+    let features = Array.isArray(entry.features) && entry.features.length > 0 ? entry.features : null;
+    let extractorId = entry.extractorId || null;
+    // Stored features are only reused when they came from the loaded extractor; otherwise the image is run again
+    const reusable = features && staleSamples([{ features, extractorId }], this.featureExtractor).length === 0;
+    if (!reusable && entry.image && (!features || this.mediaPipeReady)) {
+      if (!this.mediaPipeReady) {
+        throw new Error('Feature extractor not ready yet');
+      }
+      const image = await this.resolveImageSource(entry.image);
+      features = await this.extractFeatures(image);
+      extractorId = this.featureExtractor.id;
+    }
+    if (!features) {
+      return null;
+    }
+
+    return this.createSample(features, label, entry.image, { source: 'import' }, entry.timestamp || Date.now(), extractorId);
+  }
+
+  async handleDatasetImport(event) {
+    const input = event.target;
+    const files = Array.from(input.files || []);
+    // Clear file input so the same dataset can be picked again
+    input.value = '';
+    if (files.length === 0) return;
+
+    try {
+      const { imported, skipped } = await this.importDataset(files);
+      if (imported === 0) {
+        alert(`No samples could be imported. ${skipped} sample(s) had no label, features or image.`);
+      }
+    } catch (error) {
+      alert('Error importing dataset: ' + error.message);
+      this.setStatus('Error importing dataset');
+    }
+  }
+
+  async clearTrainingData() {
     if (confirm('Are you sure you want to clear all training data? This cannot be undone.')) {
-      this.trainingData = [];
-      localStorage.removeItem('animalTrainingData');
+      try {
+        await this.clearSamples();
+      } catch (error) {
+        console.error('Error clearing training data:', error);
+        this.dispatchDetectorEvent('error', { context: 'save-training-data', message: error.message, error: error });
+        alert('Error clearing training data: ' + error.message);
+        return;
+      }
       
       // Update UI
       this.updateTrainingStats();
       this.updateTrainingDataTable();
       this.trainBtn.disabled = true;
-      this.statusText.textContent = 'Training data cleared';
+      this.setStatus('Training data cleared');
       
       // Close training camera if open
       if (this.isTrainingCameraOpen) {
@@ -1134,9 +2408,18 @@ class AnimalDetector extends HTMLElement {
   }
 
   async startTestMode() {
+    try {
+      await this.start();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  // Public API: open the camera and run live predictions with the selected model
+  // Results are delivered through the prediction / prediction-change events
+  async start() {
     if (!this.trainedModel || !this.selectedModelInfo) {
-      alert('Please select a model first.');
-      return;
+      throw new Error('Please select a model first.');
     }
 
     if (this.isTestModeActive) {
@@ -1145,27 +2428,34 @@ class AnimalDetector extends HTMLElement {
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { facingMode: 'user' } 
+        video: this.getCameraConstraints()
       });
       
       this.testStream = stream;
       this.testVideo.srcObject = stream;
       this.testCameraContainer.style.display = 'block';
-      this.testBtn.style.display = 'none';
-      this.stopTestBtn.style.display = 'inline-block';
+      if (this.testBtn) this.testBtn.style.display = 'none';
+      if (this.stopTestBtn) this.stopTestBtn.style.display = 'inline-block';
       this.isTestModeActive = true;
+      this.smoother.reset();
       
       // Start detection loop
       this.detectAnimalsInTestMode();
       
-      this.statusText.textContent = 'Test mode active. Showing animal detection results.';
+      this.setStatus('Test mode active. Showing animal detection results.');
     } catch (error) {
       console.error('Error starting test mode:', error);
-      alert('Error accessing camera: ' + error.message);
-      this.statusText.textContent = 'Error accessing camera';
+      this.dispatchDetectorEvent('error', { context: 'test-camera', message: error.message, error: error });
+      this.setStatus('Error accessing camera');
+      throw new Error('Error accessing camera: ' + error.message);
     }
   }
 
+  // Public API: stop the camera and the prediction loop
+  stop() {
+    this.stopTestMode();
+  }
+
   stopTestMode() {
     if (this.testAnimationFrame) {
       cancelAnimationFrame(this.testAnimationFrame);
@@ -1181,14 +2471,16 @@ class AnimalDetector extends HTMLElement {
       this.testVideo.srcObject = null;
     }
     
-    this.testCameraContainer.style.display = 'none';
-    this.testBtn.style.display = 'inline-block';
-    this.stopTestBtn.style.display = 'none';
+    if (this.testCameraContainer) this.testCameraContainer.style.display = 'none';
+    if (this.testBtn) this.testBtn.style.display = 'inline-block';
+    if (this.stopTestBtn) this.stopTestBtn.style.display = 'none';
     this.isTestModeActive = false;
+    this.smoother.reset();
+    this.clearDetections();
     
     // Reset display
     this.updateTestAnimalDisplay(null, null);
-    this.statusText.textContent = 'Test mode stopped';
+    this.setStatus('Test mode stopped');
   }
 
   async detectAnimalsInTestMode() {
@@ -1196,169 +2488,254 @@ class AnimalDetector extends HTMLElement {
       return;
     }
 
-    if (this.testVideo.readyState === this.testVideo.HAVE_ENOUGH_DATA) {
+    if (this.testVideo.readyState === this.testVideo.HAVE_ENOUGH_DATA && this.mode === 'detect') {
+      try {
+        await this.detectAnimalsInFrame();
+      } catch (error) {
+        console.error('Error in detection:', error);
+        this.dispatchDetectorEvent('error', { context: 'detection', message: error.message, error: error });
+      }
+    } else if (this.testVideo.readyState === this.testVideo.HAVE_ENOUGH_DATA) {
       // Extract features from current frame
       try {
-        const features = await this.extractFeatures(this.testVideo);
-        const featuresTensor = tf.tensor2d([features]);
-        
-        // Predict
-        const prediction = this.trainedModel.predict(featuresTensor);
-        const probabilities = await prediction.data();
+        const result = await this.classifyImage(this.testVideo, this.smoother);
+        const predictedAnimal = result.label;
+        const scores = result.probabilities;
         
-        // Clean up
-        featuresTensor.dispose();
-        prediction.dispose();
+        // Hold the displayed label steady until a new one persists for the hold time
+        const stable = this.smoother.stabilize(predictedAnimal, result.confidence, performance.now(), scores);
         
-        // Map index to label
-        const trainedLabels = this.selectedModelInfo.trainedLabels || [];
-        const labelMap = this.selectedModelInfo.labelMap || {};
-        
-        let predictedAnimal = null;
-        let confidence = 0;
-        
-        // Handle both binary classification (single class) and multi-class models
-        const probArray = Array.from(probabilities);
+        // Update display
+        this.updateTestAnimalDisplay(stable.label, stable.confidence);
         
-        // Debug logging (throttled to avoid console spam)
-        if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
-          console.log('=== Prediction Debug ===');
-          console.log('Probabilities array:', probArray);
-          console.log('Array length:', probArray.length);
-          console.log('Trained labels:', trainedLabels);
-          console.log('Confidence threshold:', this.confidenceThreshold);
-          this._lastDebugLogTime = Date.now();
+        // Public events: every frame, and whenever the stabilized label changes
+        const eventDetail = {
+          label: stable.label,
+          confidence: stable.confidence,
+          rawLabel: predictedAnimal,
+          probabilities: scores,
+          modelId: this.selectedModelId,
+          modelName: this.selectedModelInfo ? this.selectedModelInfo.name : null
+        };
+        this.dispatchDetectorEvent('prediction', eventDetail);
+        if (stable.changed) {
+          this.dispatchDetectorEvent('prediction-change', { ...eventDetail, previousLabel: stable.previousLabel });
         }
-        
-        if (probArray.length === 1) {
-          // Binary classification model (single class)
-          // Output is a single probability value
-          confidence = probArray[0];
-          
-          // For binary classification, check if probability is far from 0.5 (ambiguous)
-          // If it's close to 0.5, it's uncertain
-          const ambiguityThreshold = 0.3; // If confidence is between 0.2 and 0.8, it's ambiguous
-          const isAmbiguous = Math.abs(confidence - 0.5) < ambiguityThreshold;
-          
-          // For binary classification, if probability is above threshold, it's the trained class
-          // UNLESS showRawPredictions is enabled (for debugging)
-          if ((this.showRawPredictions || (confidence >= this.confidenceThreshold && !isAmbiguous)) && trainedLabels.length > 0) {
-            predictedAnimal = trainedLabels[0];
-            // If showing raw prediction but below threshold, add a warning indicator
-            if (this.showRawPredictions && (confidence < this.confidenceThreshold || isAmbiguous)) {
-              predictedAnimal = trainedLabels[0] + ' (LOW)';
-            }
-          } else {
-            predictedAnimal = 'NONE';
-            // Debug: Log why it was rejected
-            if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
-              console.log(`Binary prediction rejected: confidence ${confidence.toFixed(4)} < threshold ${this.confidenceThreshold} or ambiguous (${isAmbiguous})`);
-              console.log('Enable "Show raw predictions" checkbox to see the actual prediction anyway.');
-            }
+      } catch (error) {
+        console.error('Error in detection:', error);
+        this.dispatchDetectorEvent('error', { context: 'prediction', message: error.message, error: error });
+      }
+    }
+    
+    // Continue loop
+    this.testAnimationFrame = requestAnimationFrame(() => this.detectAnimalsInTestMode());
+  }
+
+  // Detection mode: boxes on the test canvas, the best detection in the result display
+  // Scores every window, so frames take several MobileNet passes - the loop runs slower than in classify mode
+  async detectAnimalsInFrame() {
+    const detections = await this.detectRegions(this.testVideo);
+    // The mode may have changed while the windows were being scored
+    if (!this.isTestModeActive || this.mode !== 'detect') return;
+
+    this.showDetections(detections);
+    const best = detections[0];
+    this.updateTestAnimalDisplay(best ? best.label : 'NONE', best ? best.confidence : null);
+    this.dispatchDetectorEvent('detection', {
+      detections: detections,
+      modelId: this.selectedModelId,
+      modelName: this.selectedModelInfo ? this.selectedModelInfo.name : null
+    });
+  }
+
+  // Classify an image with the selected model: full (fine-tuned) models take the image itself,
+  // head models the MobileNet embedding
+  async classifyImage(image, smoother = null) {
+    if (isFullModel(this.selectedModelInfo)) {
+      const input = tf.tidy(() => preprocessImage(tf.browser.fromPixels(image)).expandDims(0));
+      return this.classifyFeatures(input, smoother);
+    }
+    return this.classifyFeatures(await this.extractFeatures(image), smoother);
+  }
+
+  // Turn a feature vector (or a model input tensor, which is disposed) into a label using the selected model
+  // Applies the threshold / ambiguity rules; label is 'NONE' when the prediction is rejected
+  async classifyFeatures(features, smoother = null) {
+    const featuresTensor = features instanceof tf.Tensor ? features : tf.tensor2d([features]);
+    
+    // Predict
+    const prediction = this.trainedModel.predict(featuresTensor);
+    const probabilities = await prediction.data();
+    
+    // Clean up
+    featuresTensor.dispose();
+    prediction.dispose();
+    
+    // Map index to label
+    const trainedLabels = this.selectedModelInfo.trainedLabels || [];
+    const labelMap = this.selectedModelInfo.labelMap || {};
+    
+    let predictedAnimal = null;
+    let confidence = 0;
+    
+    // Handle both binary classification (single class) and multi-class models
+    // Probabilities are smoothed over recent frames before the threshold/ambiguity checks
+    const probArray = smoother ? smoother.smooth(probabilities) : Array.from(probabilities);
+    
+    // Debug logging (throttled to avoid console spam)
+    if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
+      console.log('=== Prediction Debug ===');
+      console.log('Probabilities array:', probArray);
+      console.log('Array length:', probArray.length);
+      console.log('Trained labels:', trainedLabels);
+      console.log('Confidence threshold:', this.confidenceThreshold);
+      this._lastDebugLogTime = Date.now();
+    }
+    
+    if (probArray.length === 1) {
+      // Binary classification model (single class)
+      // Output is a single probability value
+      confidence = probArray[0];
+      
+      // For binary classification, check if probability is far from 0.5 (ambiguous)
+      // If it's close to 0.5, it's uncertain
+      const ambiguityThreshold = 0.3; // If confidence is between 0.2 and 0.8, it's ambiguous
+      const isAmbiguous = Math.abs(confidence - 0.5) < ambiguityThreshold;
+      
+      // For binary classification, if probability is above threshold, it's the trained class
+      // UNLESS showRawPredictions is enabled (for debugging)
+      if ((this.showRawPredictions || (confidence >= this.confidenceThreshold && !isAmbiguous)) && trainedLabels.length > 0) {
+        predictedAnimal = trainedLabels[0];
+        // If showing raw prediction but below threshold, add a warning indicator
+        if (this.showRawPredictions && (confidence < this.confidenceThreshold || isAmbiguous)) {
+          predictedAnimal = trainedLabels[0] + ' (LOW)';
+        }
+      } else {
+        predictedAnimal = 'NONE';
+        // Debug: Log why it was rejected
+        if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
+          console.log(`Binary prediction rejected: confidence ${confidence.toFixed(4)} < threshold ${this.confidenceThreshold} or ambiguous (${isAmbiguous})`);
+          console.log('Enable "Show raw predictions" checkbox to see the actual prediction anyway.');
+        }
+      }
+    } else {
+      // Multi-class model
+      // Get predicted class with highest probability
+      const sortedProbs = [...probArray].map((p, i) => ({ prob: p, index: i })).sort((a, b) => b.prob - a.prob);
+      const maxIndex = sortedProbs[0].index;
+      confidence = sortedProbs[0].prob;
+      
+      // Calculate entropy to detect ambiguous predictions
+      // High entropy = probabilities are similar = uncertain prediction
+      let entropy = 0;
+      for (const p of probArray) {
+        if (p > 0.0001) { // Avoid log(0)
+          entropy -= p * Math.log2(p);
+        }
+      }
+      const maxEntropy = Math.log2(probArray.length); // Maximum possible entropy
+      const normalizedEntropy = entropy / maxEntropy; // 0 = certain, 1 = completely uncertain
+      
+      // Calculate margin: difference between top 2 probabilities
+      // Small margin = ambiguous prediction
+      const margin = probArray.length > 1 
+        ? sortedProbs[0].prob - sortedProbs[1].prob 
+        : 1.0;
+      
+      // Thresholds for detecting ambiguous/background predictions
+      const entropyThreshold = 0.7; // If entropy > 70% of max, it's ambiguous
+      const marginThreshold = 0.3; // If margin < 30%, top 2 are too close
+      
+      // Special handling: If model only has 2 classes (e.g., dog/cat) without background class,
+      // be more conservative with very high confidence predictions
+      // This helps catch false positives on backgrounds
+      const hasBackgroundClass = trainedLabels.some(label => 
+        label.toLowerCase().includes('background') || 
+        label.toLowerCase().includes('none') ||
+        label.toLowerCase().includes('empty')
+      );
+      
+      // If no background class and only 2 classes, require higher confidence threshold
+      // to reduce false positives on backgrounds
+      const effectiveThreshold = (!hasBackgroundClass && probArray.length === 2) 
+        ? Math.max(this.confidenceThreshold, 0.75) // At least 75% confidence for 2-class models
+        : this.confidenceThreshold;
+      
+      const isAmbiguous = normalizedEntropy > entropyThreshold || margin < marginThreshold;
+      
+      // Debug: Log the prediction details
+      if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
+        console.log('Max probability index:', maxIndex);
+        console.log('Max probability value:', confidence);
+        console.log('Entropy:', entropy.toFixed(4), 'Normalized:', normalizedEntropy.toFixed(4));
+        console.log('Margin (top2 diff):', margin.toFixed(4));
+        console.log('Is ambiguous:', isAmbiguous);
+        console.log('All probabilities:', probArray.map((p, i) => `${trainedLabels[i] || i}: ${p.toFixed(4)}`).join(', '));
+      }
+      
+      // Only output a prediction if:
+      // 1. Confidence is above effective threshold (higher for 2-class models without background)
+      // 2. Prediction is not ambiguous (low entropy, high margin)
+      // This prevents false positives when there's no object or the object doesn't match
+      // UNLESS showRawPredictions is enabled (for debugging)
+      const shouldShowPrediction = this.showRawPredictions || (confidence >= effectiveThreshold && !isAmbiguous);
+      
+      if (shouldShowPrediction) {
+        if (trainedLabels.length > 0 && maxIndex >= 0 && maxIndex < trainedLabels.length) {
+          predictedAnimal = trainedLabels[maxIndex];
+          // If showing raw prediction but below threshold or ambiguous, add a warning indicator
+          if (this.showRawPredictions && (confidence < this.confidenceThreshold || isAmbiguous)) {
+            predictedAnimal = trainedLabels[maxIndex] + ' (LOW/AMBIG)';
           }
         } else {
-          // Multi-class model
-          // Get predicted class with highest probability
-          const sortedProbs = [...probArray].map((p, i) => ({ prob: p, index: i })).sort((a, b) => b.prob - a.prob);
-          const maxIndex = sortedProbs[0].index;
-          confidence = sortedProbs[0].prob;
-          
-          // Calculate entropy to detect ambiguous predictions
-          // High entropy = probabilities are similar = uncertain prediction
-          let entropy = 0;
-          for (const p of probArray) {
-            if (p > 0.0001) { // Avoid log(0)
-              entropy -= p * Math.log2(p);
+          predictedAnimal = 'NONE';
+        }
+      } else {
+        // Confidence is too low or prediction is ambiguous - output "NONE"
+        predictedAnimal = 'NONE';
+        // Debug: Log why it was rejected
+        if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
+          const reasons = [];
+          if (confidence < effectiveThreshold) {
+            reasons.push(`confidence ${confidence.toFixed(4)} < effective threshold ${effectiveThreshold.toFixed(4)}`);
+            if (effectiveThreshold > this.confidenceThreshold) {
+              reasons.push(`(raised from ${this.confidenceThreshold} because model has no background class)`);
             }
           }
-          const maxEntropy = Math.log2(probArray.length); // Maximum possible entropy
-          const normalizedEntropy = entropy / maxEntropy; // 0 = certain, 1 = completely uncertain
-          
-          // Calculate margin: difference between top 2 probabilities
-          // Small margin = ambiguous prediction
-          const margin = probArray.length > 1 
-            ? sortedProbs[0].prob - sortedProbs[1].prob 
-            : 1.0;
-          
-          // Thresholds for detecting ambiguous/background predictions
-          const entropyThreshold = 0.7; // If entropy > 70% of max, it's ambiguous
-          const marginThreshold = 0.3; // If margin < 30%, top 2 are too close
-          
-          // Special handling: If model only has 2 classes (e.g., dog/cat) without background class,
-          // be more conservative with very high confidence predictions
-          // This helps catch false positives on backgrounds
-          const hasBackgroundClass = trainedLabels.some(label => 
-            label.toLowerCase().includes('background') || 
-            label.toLowerCase().includes('none') ||
-            label.toLowerCase().includes('empty')
-          );
-          
-          // If no background class and only 2 classes, require higher confidence threshold
-          // to reduce false positives on backgrounds
-          const effectiveThreshold = (!hasBackgroundClass && probArray.length === 2) 
-            ? Math.max(this.confidenceThreshold, 0.75) // At least 75% confidence for 2-class models
-            : this.confidenceThreshold;
-          
-          const isAmbiguous = normalizedEntropy > entropyThreshold || margin < marginThreshold;
-          
-          // Debug: Log the prediction details
-          if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
-            console.log('Max probability index:', maxIndex);
-            console.log('Max probability value:', confidence);
-            console.log('Entropy:', entropy.toFixed(4), 'Normalized:', normalizedEntropy.toFixed(4));
-            console.log('Margin (top2 diff):', margin.toFixed(4));
-            console.log('Is ambiguous:', isAmbiguous);
-            console.log('All probabilities:', probArray.map((p, i) => `${trainedLabels[i] || i}: ${p.toFixed(4)}`).join(', '));
-          }
-          
-          // Only output a prediction if:
-          // 1. Confidence is above effective threshold (higher for 2-class models without background)
-          // 2. Prediction is not ambiguous (low entropy, high margin)
-          // This prevents false positives when there's no object or the object doesn't match
-          // UNLESS showRawPredictions is enabled (for debugging)
-          const shouldShowPrediction = this.showRawPredictions || (confidence >= effectiveThreshold && !isAmbiguous);
-          
-          if (shouldShowPrediction) {
-            if (trainedLabels.length > 0 && maxIndex >= 0 && maxIndex < trainedLabels.length) {
-              predictedAnimal = trainedLabels[maxIndex];
-              // If showing raw prediction but below threshold or ambiguous, add a warning indicator
-              if (this.showRawPredictions && (confidence < this.confidenceThreshold || isAmbiguous)) {
-                predictedAnimal = trainedLabels[maxIndex] + ' (LOW/AMBIG)';
-              }
-            } else {
-              predictedAnimal = 'NONE';
-            }
-          } else {
-            // Confidence is too low or prediction is ambiguous - output "NONE"
-            predictedAnimal = 'NONE';
-            // Debug: Log why it was rejected
-            if (!this._lastDebugLogTime || (Date.now() - this._lastDebugLogTime) > 2000) {
-              const reasons = [];
-              if (confidence < effectiveThreshold) {
-                reasons.push(`confidence ${confidence.toFixed(4)} < effective threshold ${effectiveThreshold.toFixed(4)}`);
-                if (effectiveThreshold > this.confidenceThreshold) {
-                  reasons.push(`(raised from ${this.confidenceThreshold} because model has no background class)`);
-                }
-              }
-              if (isAmbiguous) {
-                reasons.push(`ambiguous (entropy: ${normalizedEntropy.toFixed(2)}, margin: ${margin.toFixed(2)})`);
-              }
-              console.log(`Prediction rejected: ${reasons.join(', ')}`);
-              console.log('💡 Tip: Train with "background" images to improve detection accuracy.');
-              console.log('Enable "Show raw predictions" checkbox to see the actual prediction anyway.');
-            }
+          if (isAmbiguous) {
+            reasons.push(`ambiguous (entropy: ${normalizedEntropy.toFixed(2)}, margin: ${margin.toFixed(2)})`);
           }
+          console.log(`Prediction rejected: ${reasons.join(', ')}`);
+          console.log('💡 Tip: Train with "background" images to improve detection accuracy.');
+          console.log('Enable "Show raw predictions" checkbox to see the actual prediction anyway.');
         }
-        
-        // Update display
-        this.updateTestAnimalDisplay(predictedAnimal, confidence);
-      } catch (error) {
-        console.error('Error in detection:', error);
       }
     }
     
-    // Continue loop
-    this.testAnimationFrame = requestAnimationFrame(() => this.detectAnimalsInTestMode());
+    const scores = {};
+    trainedLabels.forEach((label, i) => {
+      if (i < probArray.length) {
+        scores[label] = probArray[i];
+      }
+    });
+    
+    return { label: predictedAnimal, confidence: confidence, probabilities: scores };
+  }
+
+  setSmoothingOptions(options) {
+    this.smoothingOptions = { ...this.smoothingOptions, ...options };
+    this.smoother.configure(this.smoothingOptions);
+    this.updateSmoothingControls();
+  }
+
+  updateSmoothingControls() {
+    // Controls may not exist yet when attributes are parsed before the first render
+    if (!this.smoothingSelect) return;
+    this.smoothingSelect.value = this.smoothingOptions.method;
+    this.smoothingStrengthSlider.value = this.smoothingOptions.strength;
+    this.holdTimeInput.value = this.smoothingOptions.holdTime;
+    this.hysteresisInput.value = this.smoothingOptions.hysteresis;
+    this.smoothingStrengthSlider.disabled = this.smoothingOptions.method === 'none';
   }
 
   updateTestAnimalDisplay(animal, confidence) {
@@ -1410,35 +2787,11 @@ class AnimalDetector extends HTMLElement {
     }
   }
 
-  saveTrainingData() {
-    try {
-      const dataToSave = {
-        trainingData: this.trainingData,
-        timestamp: Date.now()
-      };
-      const jsonString = JSON.stringify(dataToSave);
-      const sizeInMB = new Blob([jsonString]).size / (1024 * 1024);
-      console.log('Saving training data. Size:', sizeInMB.toFixed(2), 'MB');
-      
-      if (sizeInMB > 5) {
-        console.warn('Warning: Training data is large (', sizeInMB.toFixed(2), 'MB). localStorage has ~5-10MB limit.');
-      }
-      
-      localStorage.setItem('animalTrainingData', jsonString);
-      console.log('Training data saved successfully. Sample count:', this.trainingData.length);
-    } catch (error) {
-      console.error('Error saving training data:', error);
-      if (error.name === 'QuotaExceededError') {
-        alert('Error: Training data is too large to save. Please reduce the number of samples or clear old data.');
-      }
-    }
-  }
-
   sanitizeModelName(name) {
     return name.replace(/[^a-zA-Z0-9_-]/g, '_');
   }
 
-  async saveModel(model, modelName, trainingData, uniqueLabels = null, labelMap = null) {
+  async saveModel(model, modelName, trainingData, uniqueLabels = null, labelMap = null, trainingDetails = {}) {
     try {
       const sanitizedName = this.sanitizeModelName(modelName);
       const storageKey = `animal_model_${sanitizedName}_${Date.now()}`;
@@ -1468,46 +2821,17 @@ class AnimalDetector extends HTMLElement {
         trainedLabels: uniqueLabels,
         labelMap: labelMap,
         labelCounts: labelCounts,
+        evaluation: trainingDetails.evaluation || null, // Held-out accuracy, per-class metrics and confusion matrix (null if not evaluated)
+        trainingConfig: trainingDetails.trainingConfig || null, // Hyperparameters and hidden layers used
+        epochsTrained: trainingDetails.epochsTrained || null, // Fewer than trainingConfig.epochs after early stopping
+        augmentedSampleCount: trainingDetails.augmentedSampleCount || 0, // Augmented embeddings added to the training split
+        modelType: trainingDetails.modelType || 'head', // 'full' = fine-tuned MobileNet + head, takes images instead of embeddings
+        fineTuning: trainingDetails.fineTuning || null, // Fine-tuning options for full models
+        featureExtractor: trainingDetails.featureExtractor || null, // { id, name, dimension } the features came from (the base MobileNet for full models)
         createdAt: new Date().toISOString()
       };
       
-      const savedModels = this.loadSavedModelsList();
-      savedModels.push(modelInfo);
-      
-      const jsonString = JSON.stringify(savedModels);
-      const sizeInMB = new Blob([jsonString]).size / (1024 * 1024);
-      
-      if (sizeInMB > 4) {
-        console.warn('Warning: Model metadata is large (', sizeInMB.toFixed(2), 'MB). Consider deleting old models.');
-      }
-      
-      try {
-        localStorage.setItem('animalSavedModels', jsonString);
-      } catch (storageError) {
-        if (storageError.name === 'QuotaExceededError') {
-          console.warn('Storage quota exceeded. Attempting to free space...');
-          const sortedModels = savedModels.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-          const recentModels = sortedModels.slice(0, 10);
-          
-          const modelsToDelete = sortedModels.slice(10);
-          for (const oldModel of modelsToDelete) {
-            try {
-              const oldStorageKey = oldModel.storageKey || this.sanitizeModelName(oldModel.name);
-              await tf.io.removeModel('indexeddb://' + oldStorageKey);
-            } catch (e) {
-              console.warn('Could not remove old model from IndexedDB:', e);
-            }
-          }
-          
-          const reducedJsonString = JSON.stringify(recentModels);
-          localStorage.setItem('animalSavedModels', reducedJsonString);
-          console.log('Freed space by removing old models. Kept', recentModels.length, 'most recent models.');
-        } else {
-          throw storageError;
-        }
-      }
-      
-      this.loadSavedModels();
+      await this.registerModelInfo(modelInfo);
       
       return modelInfo;
     } catch (error) {
@@ -1516,10 +2840,54 @@ class AnimalDetector extends HTMLElement {
     }
   }
 
+  // Add model metadata to the saved models list (frees space by dropping old models if storage is full)
+  async registerModelInfo(modelInfo) {
+    const savedModels = this.loadSavedModelsList();
+    // A name that is already taken gets the next version of that model family
+    modelInfo.version = nextVersion(savedModels, modelInfo.name);
+    savedModels.push(modelInfo);
+    
+    const jsonString = JSON.stringify(savedModels);
+    const sizeInMB = new Blob([jsonString]).size / (1024 * 1024);
+    
+    if (sizeInMB > 4) {
+      console.warn('Warning: Model metadata is large (', sizeInMB.toFixed(2), 'MB). Consider deleting old models.');
+    }
+    
+    try {
+      localStorage.setItem('animalSavedModels', jsonString);
+    } catch (storageError) {
+      if (storageError.name === 'QuotaExceededError') {
+        console.warn('Storage quota exceeded. Attempting to free space...');
+        const sortedModels = savedModels.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const recentModels = sortedModels.slice(0, 10);
+        
+        const modelsToDelete = sortedModels.slice(10);
+        for (const oldModel of modelsToDelete) {
+          try {
+            const oldStorageKey = oldModel.storageKey || this.sanitizeModelName(oldModel.name);
+            await tf.io.removeModel('indexeddb://' + oldStorageKey);
+          } catch (e) {
+            console.warn('Could not remove old model from IndexedDB:', e);
+          }
+        }
+        
+        const reducedJsonString = JSON.stringify(recentModels);
+        localStorage.setItem('animalSavedModels', reducedJsonString);
+        console.log('Freed space by removing old models. Kept', recentModels.length, 'most recent models.');
+      } else {
+        throw storageError;
+      }
+    }
+    
+    this.loadSavedModels();
+  }
+
   loadSavedModelsList() {
     try {
       const saved = localStorage.getItem('animalSavedModels');
-      return saved ? JSON.parse(saved) : [];
+      // Models saved before versioning get their version numbers here
+      return saved ? assignVersions(JSON.parse(saved)) : [];
     } catch (error) {
       console.error('Error loading saved models list:', error);
       return [];
@@ -1546,17 +2914,28 @@ class AnimalDetector extends HTMLElement {
   }
 
   deleteModel(modelId) {
+    const modelInfo = this.loadSavedModelsList().find(m => m.id === modelId);
+    if (!modelInfo) {
+      alert('Model not found');
+      return;
+    }
+    
+    if (!confirm(`Are you sure you want to delete model "${modelInfo.name}" v${modelInfo.version}?`)) {
+      return;
+    }
+    
+    this.removeModel(modelId).catch(error => {
+      alert('Error deleting model: ' + error.message);
+    });
+  }
+
+  async removeModel(modelId) {
     try {
       const models = this.loadSavedModelsList();
       const modelInfo = models.find(m => m.id === modelId);
       
       if (!modelInfo) {
-        alert('Model not found');
-        return;
-      }
-      
-      if (!confirm(`Are you sure you want to delete model "${modelInfo.name}"?`)) {
-        return;
+        throw new Error('Model not found');
       }
       
       const updatedModels = models.filter(m => m.id !== modelId);
@@ -1564,7 +2943,7 @@ class AnimalDetector extends HTMLElement {
       
       try {
         const storageKey = modelInfo.storageKey || this.sanitizeModelName(modelInfo.name);
-        tf.io.removeModel('indexeddb://' + storageKey);
+        await tf.io.removeModel('indexeddb://' + storageKey);
       } catch (e) {
         console.warn('Could not remove model from IndexedDB:', e);
       }
@@ -1573,20 +2952,288 @@ class AnimalDetector extends HTMLElement {
         this.selectedModelId = null;
         this.trainedModel = null;
         this.selectedModelInfo = null;
-        this.testBtn.disabled = true;
+        if (this.testBtn) this.testBtn.disabled = true;
         if (this.isTestModeActive) {
           this.stopTestMode();
         }
-        this.testStatus.innerHTML = '<strong>Status:</strong> Selected model was deleted. Please select another model.';
+        this.setTestStatus('Selected model was deleted. Please select another model.');
       }
       
       this.loadSavedModels();
     } catch (error) {
       console.error('Error deleting model:', error);
-      alert('Error deleting model: ' + error.message);
+      this.dispatchDetectorEvent('error', { context: 'delete-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: export a saved model as a single portable file (see model-bundle.js)
+  // Resolves with a JSON Blob; the Export button in the models list downloads it
+  async exportModel(modelId) {
+    try {
+      const { model, modelInfo } = await this.loadModel(modelId);
+      if (!modelInfo.trainedLabels || !modelInfo.labelMap) {
+        model.dispose();
+        throw new Error('This model was saved by an older version and has no label information to export');
+      }
+      
+      const bundle = await createModelBundle(model, 'animal-detector', {
+        name: modelInfo.name,
+        trainingDataCount: modelInfo.trainingDataCount,
+        trainedLabels: modelInfo.trainedLabels,
+        labelMap: modelInfo.labelMap,
+        labelCounts: modelInfo.labelCounts || {},
+        createdAt: modelInfo.createdAt,
+        evaluation: modelInfo.evaluation || null,
+        trainingConfig: modelInfo.trainingConfig || null,
+        epochsTrained: modelInfo.epochsTrained || null,
+        augmentedSampleCount: modelInfo.augmentedSampleCount || 0,
+        modelType: modelInfo.modelType || 'head',
+        fineTuning: modelInfo.fineTuning || null,
+        featureExtractor: modelInfo.featureExtractor || null
+      });
+      model.dispose();
+      
+      return new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    } catch (error) {
+      console.error('Error exporting model:', error);
+      this.dispatchDetectorEvent('error', { context: 'export-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  async downloadModel(modelId) {
+    const modelInfo = this.loadSavedModelsList().find(m => m.id === modelId);
+    if (!modelInfo) {
+      alert('Model not found');
+      return;
+    }
+    
+    try {
+      const blob = await this.exportModel(modelId);
+      downloadBlob(blob, `${toFileName(modelInfo.name)}.animal-model.json`);
+      this.setStatus(`Model "${modelInfo.name}" exported`);
+    } catch (error) {
+      alert('Error exporting model: ' + error.message);
+    }
+  }
+
+  // Public API: validate and register an exported model (File/Blob, JSON text or parsed bundle)
+  // A saved model with the same name gets the import as a new version, or a rejection when options.overwrite is false
+  async importModel(source, options = {}) {
+    const overwrite = options.overwrite !== false;
+    let model = null;
+    
+    try {
+      const { artifacts, metadata } = parseModelBundle(await readModelBundle(source), 'animal-detector');
+      model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+      
+      // The network has to fit the metadata it came with
+      const outputSize = model.outputs[0].shape[1];
+      const expectedOutputs = metadata.trainedLabels.length === 1 ? 1 : metadata.trainedLabels.length;
+      if (outputSize !== expectedOutputs) {
+        throw new Error(`Model has ${outputSize} outputs but ${metadata.trainedLabels.length} trained label(s)`);
+      }
+      
+      const modelName = metadata.name.trim();
+      const existingModel = this.loadSavedModelsList().find(m => m.name.toLowerCase() === modelName.toLowerCase());
+      if (existingModel && !overwrite) {
+        throw new Error(`A model named "${modelName}" already exists`);
+      }
+      
+      const storageKey = `animal_model_${this.sanitizeModelName(modelName)}_${Date.now()}`;
+      await model.save('indexeddb://' + storageKey);
+      
+      const modelInfo = {
+        id: Date.now().toString(),
+        name: modelName,
+        storageKey: storageKey,
+        trainingDataCount: metadata.trainingDataCount || 0,
+        trainedLabels: metadata.trainedLabels,
+        labelMap: metadata.labelMap,
+        labelCounts: metadata.labelCounts || {},
+        evaluation: metadata.evaluation || null,
+        trainingConfig: metadata.trainingConfig || null,
+        epochsTrained: metadata.epochsTrained || null,
+        augmentedSampleCount: metadata.augmentedSampleCount || 0,
+        modelType: metadata.modelType || 'head',
+        fineTuning: metadata.fineTuning || null,
+        featureExtractor: metadata.featureExtractor || null,
+        createdAt: metadata.createdAt || new Date().toISOString(),
+        importedAt: new Date().toISOString()
+      };
+      await this.registerModelInfo(modelInfo);
+      
+      this.setStatus(`Model "${modelName}" imported as v${modelInfo.version} (${modelInfo.trainedLabels.length} label(s))${this.describePinnedFamily(modelInfo)}`);
+      console.log('Model imported:', modelInfo);
+      return modelInfo;
+    } catch (error) {
+      console.error('Error importing model:', error);
+      this.dispatchDetectorEvent('error', { context: 'import-model', message: error.message, error: error });
+      throw error;
+    } finally {
+      if (model) {
+        model.dispose();
+      }
+    }
+  }
+
+  async handleModelImport(event) {
+    const file = event.target.files && event.target.files[0];
+    // Clear file input so the same file can be picked again
+    this.modelImportInput.value = '';
+    if (!file) return;
+    
+    try {
+      const bundle = await readModelBundle(file);
+      const modelName = bundle && bundle.metadata && typeof bundle.metadata.name === 'string' ? bundle.metadata.name.trim() : '';
+      const family = modelName ? findFamily(this.loadSavedModelsList(), modelName) : null;
+      if (family && !confirm(`A model named "${modelName}" already exists. Add the imported model as version ${family.versions[0].version + 1}?`)) {
+        return;
+      }
+      
+      await this.importModel(bundle);
+    } catch (error) {
+      alert('Error importing model: ' + error.message);
+      this.setStatus(`Import failed: ${error.message}`);
+    }
+  }
+
+  // Show the held-out evaluation of a model below the models list
+  showEvaluationReport(modelInfo) {
+    if (!this.evaluationReport || !modelInfo) return;
+    
+    this.evaluationReport.innerHTML = `
+      <button class="close-report-btn" style="position: absolute; top: 8px; right: 8px; background: none; border: none; font-size: 18px; cursor: pointer; color: #999;" title="Close report">×</button>
+      ${renderEvaluationReport(modelInfo.evaluation, `Evaluation: ${modelInfo.name}`)}
+    `;
+    this.evaluationReport.style.display = 'block';
+    this.evaluationReport.querySelector('.close-report-btn').addEventListener('click', () => {
+      this.evaluationReport.style.display = 'none';
+    });
+  }
+  
+  // Show two versions side by side in the report area below the models list
+  showVersionComparison(modelIdA, modelIdB) {
+    if (!this.evaluationReport) return;
+    const a = this.savedModels.find(m => m.id === modelIdA);
+    const b = this.savedModels.find(m => m.id === modelIdB);
+    if (!a || !b) return;
+
+    this.evaluationReport.innerHTML = `
+      <button class="close-report-btn" style="position: absolute; top: 8px; right: 8px; background: none; border: none; font-size: 18px; cursor: pointer; color: #999;" title="Close report">×</button>
+      ${renderVersionComparison(a, b, this.compareModels(modelIdA, modelIdB))}
+    `;
+    this.evaluationReport.style.display = 'block';
+    this.evaluationReport.querySelector('.close-report-btn').addEventListener('click', () => {
+      this.evaluationReport.style.display = 'none';
+    });
+  }
+  
+  // Public API: saved models grouped by name - [{ key, name, versions (newest first), active, pinned }]
+  // The active version is the pinned one, or the newest; model-name selects it
+  getModelFamilies() {
+    return groupModelFamilies(this.loadSavedModelsList());
+  }
+
+  // Public API: make a version the active one of its family - it stays active when newer versions are trained
+  // If another version of the family is selected, the pinned one is selected instead; resolves with the family
+  async pinModel(modelId) {
+    try {
+      const models = this.loadSavedModelsList();
+      const modelInfo = models.find(m => m.id === modelId);
+      if (!modelInfo) {
+        throw new Error('Model not found');
+      }
+      this.saveSavedModelsList(pinVersion(models, modelInfo.name, modelId));
+      await this.followActiveVersion(modelInfo.name);
+      this.setStatus(`"${modelInfo.name}" v${modelInfo.version} is pinned as the active version`);
+      return findFamily(this.loadSavedModelsList(), modelInfo.name);
+    } catch (error) {
+      console.error('Error pinning model:', error);
+      this.dispatchDetectorEvent('error', { context: 'pin-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: let the active version of a family follow the newest version again; resolves with the family
+  async unpinModel(name) {
+    try {
+      const models = this.loadSavedModelsList();
+      if (!findFamily(models, name)) {
+        throw new Error(`No saved model named "${name}"`);
+      }
+      this.saveSavedModelsList(pinVersion(models, name, null));
+      await this.followActiveVersion(name);
+      const family = findFamily(this.loadSavedModelsList(), name);
+      this.setStatus(`"${family.name}" is unpinned - v${family.active.version} (newest) is active`);
+      return family;
+    } catch (error) {
+      console.error('Error unpinning model:', error);
+      this.dispatchDetectorEvent('error', { context: 'pin-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: pin the version before the active one (see pinModel()); resolves with its metadata
+  async rollbackModel(name) {
+    try {
+      const models = this.loadSavedModelsList();
+      const family = findFamily(models, name);
+      if (!family) {
+        throw new Error(`No saved model named "${name}"`);
+      }
+      const target = rollbackTarget(family);
+      if (!target) {
+        throw new Error(`"${family.name}" v${family.active.version} has no older version to roll back to`);
+      }
+      this.saveSavedModelsList(pinVersion(models, name, target.id));
+      await this.followActiveVersion(name);
+      this.setStatus(`Rolled "${family.name}" back from v${family.active.version} to v${target.version} (pinned)`);
+      return findFamily(this.loadSavedModelsList(), name).active;
+    } catch (error) {
+      console.error('Error rolling back model:', error);
+      this.dispatchDetectorEvent('error', { context: 'rollback-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: metrics and settings of two saved models side by side, usually two versions of one family
+  // Returns [{ label, a, b, changed }]
+  compareModels(modelIdA, modelIdB) {
+    const models = this.loadSavedModelsList();
+    const a = models.find(m => m.id === modelIdA);
+    const b = models.find(m => m.id === modelIdB);
+    if (!a || !b) {
+      throw new Error('Model not found');
+    }
+    return compareVersions(a, b, [
+      { label: 'Training', value: model => this.describeModelTraining(model) },
+      { label: 'Feature extractor', value: model => describeExtractor(model.featureExtractor) }
+    ]);
+  }
+
+  // Refresh the list after a family's active version changed, and move the selection along with it
+  async followActiveVersion(name) {
+    this.loadSavedModels();
+    const family = findFamily(this.savedModels, name);
+    const selectedInFamily = family && family.versions.some(m => m.id === this.selectedModelId);
+    if (selectedInFamily && this.selectedModelId !== family.active.id) {
+      await this.selectModel(family.active.id);
     }
   }
 
+  // Status suffix for a new version that isn't active because an older version is pinned
+  describePinnedFamily(modelInfo) {
+    const family = findFamily(this.loadSavedModelsList(), modelInfo.name);
+    if (!family || family.active.id === modelInfo.id) return '';
+    return ` v${family.active.version} stays active (pinned).`;
+  }
+
+  saveSavedModelsList(models) {
+    localStorage.setItem('animalSavedModels', JSON.stringify(models));
+  }
+
   loadSavedModels() {
     this.savedModels = this.loadSavedModelsList();
     this.updateModelsList();
@@ -1600,26 +3247,68 @@ class AnimalDetector extends HTMLElement {
       return;
     }
     
-    const listHTML = this.savedModels.map(model => {
-      const isSelected = this.selectedModelId === model.id;
-      const date = new Date(model.createdAt).toLocaleString();
+    // One entry per model family: the active version, plus its history when there are older versions
+    this.modelFamilies = groupModelFamilies(this.savedModels);
+    const buttonStyle = 'padding: 5px 10px; margin-right: 5px; color: white; border: none; border-radius: 4px; cursor: pointer;';
+    const listHTML = this.modelFamilies.map((family, familyIndex) => {
+      const active = family.active;
+      const isSelected = family.versions.some(m => m.id === this.selectedModelId);
+      const target = rollbackTarget(family);
+      const mismatch = active.featureExtractor ? this.checkModelExtractor(active, active.featureExtractor.dimension) : null;
+      const historyHTML = family.versions.map(model => {
+        const isActive = model.id === active.id;
+        const isSelectedVersion = model.id === this.selectedModelId;
+        return `
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 6px 0; border-top: 1px solid #eee; font-size: 12px; color: #666;">
+            <div>
+              <strong style="color: ${isActive ? '#4CAF50' : '#333'};">v${model.version}</strong>${isActive ? ' (active)' : ''}${model.pinned ? ' 📌' : ''}
+              | ${new Date(model.createdAt).toLocaleString()} | ${escapeHtml(model.trainingDataCount)} samples
+              <div style="margin-top: 2px;">${formatEvaluationSummary(model.evaluation)}</div>
+            </div>
+            <div style="white-space: nowrap;">
+              <button class="select-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #4CAF50;">${isSelectedVersion ? '✓ Selected' : 'Select'}</button>
+              ${model.pinned ? '' : `<button class="pin-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #607D8B;">Pin</button>`}
+              ${isActive ? '' : `<button class="compare-model-btn" data-model-id="${active.id}" data-compare-id="${model.id}" style="${buttonStyle} background: #FF9800;" title="Compare with the active version">Compare</button>`}
+              <button class="report-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #9C27B0;">Report</button>
+              <button class="delete-model-btn" data-model-id="${model.id}" style="${buttonStyle} margin-right: 0; background: #f44336;">Delete</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+
       return `
-        <div style="padding: 10px; margin-bottom: 8px; border: 2px solid ${isSelected ? '#4CAF50' : '#ddd'}; border-radius: 4px; background: ${isSelected ? '#f0f8f0' : 'white'}; cursor: pointer;" 
-             data-model-id="${model.id}">
+        <div style="padding: 10px; margin-bottom: 8px; border: 2px solid ${isSelected ? '#4CAF50' : '#ddd'}; border-radius: 4px; background: ${isSelected ? '#f0f8f0' : 'white'};" 
+             data-model-id="${active.id}">
           <div style="display: flex; justify-content: space-between; align-items: center;">
             <div>
-              <strong style="color: #667eea;">${model.name}</strong>
+              <strong style="color: #667eea;">${escapeHtml(family.name)}</strong>
+              <span style="font-size: 12px; color: #666;"> v${active.version}${family.pinned ? ' 📌 pinned' : ''}${family.versions.length > 1 ? ` of ${family.versions.length} versions` : ''}</span>
               <div style="font-size: 12px; color: #666; margin-top: 4px;">
-                ${model.trainingDataCount} samples | Created: ${date}
+                ${escapeHtml(active.trainingDataCount)} samples | Created: ${new Date(active.createdAt).toLocaleString()}
               </div>
+              <div style="font-size: 12px; color: #666; margin-top: 2px;">${formatEvaluationSummary(active.evaluation)}</div>
+              <div style="font-size: 12px; color: #666; margin-top: 2px;">${escapeHtml(this.describeModelTraining(active))}</div>
+              ${mismatch ? `<div style="font-size: 12px; color: ${mismatch.refuse ? '#f44336' : '#FF9800'}; margin-top: 2px;">⚠ Trained with ${escapeHtml(describeExtractor(active.featureExtractor))}</div>` : ''}
             </div>
             <div>
-              <button class="select-model-btn" data-model-id="${model.id}" style="padding: 5px 10px; margin-right: 5px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                ${isSelected ? '✓ Selected' : 'Select'}
+              <button class="report-model-btn" data-model-id="${active.id}" style="${buttonStyle} background: #9C27B0;">Report</button>
+              <button class="select-model-btn" data-model-id="${active.id}" style="${buttonStyle} background: #4CAF50;">
+                ${this.selectedModelId === active.id ? '✓ Selected' : 'Select'}
               </button>
-              <button class="delete-model-btn" data-model-id="${model.id}" style="padding: 5px 10px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer;">Delete</button>
+              <button class="export-model-btn" data-model-id="${active.id}" style="${buttonStyle} background: #2196F3;">Export</button>
+              <button class="delete-model-btn" data-model-id="${active.id}" style="${buttonStyle} margin-right: 0; background: #f44336;">Delete</button>
             </div>
           </div>
+          ${family.versions.length > 1 || family.pinned ? `
+            <details class="model-history" data-family-index="${familyIndex}" style="margin-top: 8px;" ${this.expandedModelFamilies.has(family.key) ? 'open' : ''}>
+              <summary style="cursor: pointer; font-size: 13px; color: #667eea;">History (${family.versions.length} version${family.versions.length === 1 ? '' : 's'})</summary>
+              <div style="margin: 6px 0;">
+                ${target ? `<button class="rollback-model-btn" data-family-index="${familyIndex}" style="${buttonStyle} background: #FF5722;">Roll back to v${target.version}</button>` : ''}
+                ${family.pinned ? `<button class="unpin-model-btn" data-family-index="${familyIndex}" style="${buttonStyle} background: #607D8B;">Unpin (use newest)</button>` : ''}
+              </div>
+              ${historyHTML}
+            </details>
+          ` : ''}
         </div>
       `;
     }).join('');
@@ -1630,7 +3319,23 @@ class AnimalDetector extends HTMLElement {
     this.modelsList.querySelectorAll('.select-model-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
-        this.selectModel(btn.dataset.modelId);
+        this.selectModel(btn.dataset.modelId).catch(error => {
+          alert('Error loading model: ' + error.message);
+        });
+      });
+    });
+    
+    this.modelsList.querySelectorAll('.report-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showEvaluationReport(this.savedModels.find(m => m.id === btn.dataset.modelId));
+      });
+    });
+    
+    this.modelsList.querySelectorAll('.export-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.downloadModel(btn.dataset.modelId);
       });
     });
     
@@ -1640,35 +3345,118 @@ class AnimalDetector extends HTMLElement {
         this.deleteModel(btn.dataset.modelId);
       });
     });
+
+    this.modelsList.querySelectorAll('.pin-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.pinModel(btn.dataset.modelId).catch(error => {
+          alert('Error pinning model: ' + error.message);
+        });
+      });
+    });
+
+    this.modelsList.querySelectorAll('.unpin-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.unpinModel(this.modelFamilies[btn.dataset.familyIndex].name).catch(error => {
+          alert('Error unpinning model: ' + error.message);
+        });
+      });
+    });
+
+    this.modelsList.querySelectorAll('.rollback-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const family = this.modelFamilies[btn.dataset.familyIndex];
+        if (!confirm(`Roll "${family.name}" back to v${rollbackTarget(family).version}? It is pinned as the active version; newer versions stay in the history.`)) {
+          return;
+        }
+        this.rollbackModel(family.name).catch(error => {
+          alert('Error rolling back model: ' + error.message);
+        });
+      });
+    });
+
+    this.modelsList.querySelectorAll('.compare-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showVersionComparison(btn.dataset.modelId, btn.dataset.compareId);
+      });
+    });
+
+    // Keep open histories open when the list is rebuilt
+    this.modelsList.querySelectorAll('.model-history').forEach(details => {
+      details.addEventListener('toggle', () => {
+        const key = this.modelFamilies[details.dataset.familyIndex].key;
+        if (details.open) {
+          this.expandedModelFamilies.add(key);
+        } else {
+          this.expandedModelFamilies.delete(key);
+        }
+      });
+    });
+  }
+  
+  // Whether a saved model fits the loaded feature extractor (see compareExtractors() in feature-extractor.js)
+  // Full models run their own copy of MobileNet, so the loaded extractor doesn't matter for them
+  checkModelExtractor(modelInfo, inputDimension) {
+    if (isFullModel(modelInfo)) return null;
+    return compareExtractors(modelInfo.featureExtractor, inputDimension, this.featureExtractor);
   }
 
   async selectModel(modelId) {
     try {
-      this.testStatus.innerHTML = '<strong>Status:</strong> Loading model...';
+      this.setTestStatus('Loading model...');
       
       const { model, modelInfo } = await this.loadModel(modelId);
+
+      // Models trained on another extractor's features are refused or flagged
+      // (models saved before the extractor was recorded are checked by their input size)
+      await this.extractorReady;
+      const mismatch = this.checkModelExtractor(modelInfo, model.inputs[0].shape[1]);
+      if (mismatch && mismatch.refuse) {
+        model.dispose();
+        throw new Error(mismatch.message);
+      }
+      if (mismatch) {
+        console.warn(mismatch.message);
+      }
       
       this.selectedModelId = modelId;
       this.trainedModel = model;
       this.selectedModelInfo = modelInfo;
+      this.smoother.reset(); // Probability history from the previous model is meaningless now
       
       if (!this.trainedModel) {
         throw new Error('Model loaded but is null');
       }
       
-      this.testBtn.disabled = false;
-      this.testStatus.innerHTML = `<strong>Status:</strong> Model "${modelInfo.name}" (${modelInfo.trainingDataCount} samples) loaded and ready. Click "Start Test" to begin testing.`;
+      if (this.testBtn) this.testBtn.disabled = false;
+      this.setTestStatus(mismatch
+        ? `Model "${escapeHtml(modelInfo.name)}" v${modelInfo.version} loaded. Warning: ${escapeHtml(mismatch.message)}`
+        : `Model "${escapeHtml(modelInfo.name)}" v${modelInfo.version} (${escapeHtml(modelInfo.trainingDataCount)} samples) loaded and ready. Click "Start Test" to begin testing.`);
       
       this.updateModelsList();
       
+      this.dispatchDetectorEvent('model-selected', {
+        modelId: modelId,
+        modelName: modelInfo.name,
+        version: modelInfo.version,
+        labels: modelInfo.trainedLabels || [],
+        sampleCount: modelInfo.trainingDataCount,
+        extractorWarning: mismatch ? mismatch.message : null
+      });
+      
       console.log('✓ Model selected and loaded:', modelInfo.name);
+      return modelInfo;
     } catch (error) {
       console.error('Error selecting model:', error);
-      alert('Error loading model: ' + error.message);
-      this.testStatus.innerHTML = '<strong>Status:</strong> Error loading model. Please try again.';
+      this.dispatchDetectorEvent('error', { context: 'select-model', message: error.message, error: error });
+      this.setTestStatus('Error loading model. Please try again.');
       this.selectedModelId = null;
       this.trainedModel = null;
       this.selectedModelInfo = null;
+      throw error;
     }
   }
 
@@ -1683,18 +3471,20 @@ class AnimalDetector extends HTMLElement {
       });
       
       const total = this.trainingData.length;
+      const augmentedTotal = this.trainingData.reduce((sum, sample) => sum + (sample.augmentedFeatures ? sample.augmentedFeatures.length : 0), 0);
       const modelStatus = this.trainedModel ? 'Trained' : 'Not trained';
       
       // Format counts as string (e.g., "cat: 5, dog: 3, bird: 2")
       const countsStr = Object.keys(counts).length > 0
         ? Object.entries(counts)
-            .map(([type, count]) => `${type}: ${count}`)
+            .map(([type, count]) => `${escapeHtml(type)}: ${count}`)
             .join(', ')
         : '0';
       
       this.trainingStats.innerHTML = `
         <strong>Training Data:</strong> ${total} samples 
         ${total > 0 ? `(${countsStr})` : ''} | 
+        ${augmentedTotal > 0 ? `<strong>Augmented:</strong> ${augmentedTotal} | ` : ''}
         <strong>Model Status:</strong> ${modelStatus}
       `;
     }
@@ -1711,9 +3501,11 @@ class AnimalDetector extends HTMLElement {
     const itemsHTML = this.trainingData.map((sample, index) => {
       return `
         <div style="position: relative; border: 2px solid #ddd; border-radius: 4px; overflow: hidden; background: white;">
-          <img src="${sample.imageDataUrl}" alt="Training sample" style="width: 100%; height: 120px; object-fit: cover; display: block;">
+          ${sample.thumbnailUrl
+            ? `<img src="${escapeHtml(sample.thumbnailUrl)}" alt="Training sample" style="width: 100%; height: 120px; object-fit: cover; display: block;">`
+            : '<div style="height: 120px; display: flex; align-items: center; justify-content: center; background: #f0f0f0; color: #999; font-size: 12px;">No image available</div>'}
           <div style="padding: 5px; background: #f9f9f9; text-align: center; font-size: 12px; color: #333;">
-            <strong>${sample.label}</strong>
+            <strong>${escapeHtml(sample.label)}</strong>
           </div>
           <button class="delete-sample-btn" data-index="${index}" style="position: absolute; top: 5px; right: 5px; background: rgba(244, 67, 54, 0.9); color: white; border: none; border-radius: 50%; width: 24px; height: 24px; cursor: pointer; font-size: 14px; line-height: 1;">×</button>
         </div>
@@ -1724,15 +3516,21 @@ class AnimalDetector extends HTMLElement {
     
     // Add delete event listeners
     this.trainingDataTable.querySelectorAll('.delete-sample-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const index = parseInt(btn.dataset.index);
+      btn.addEventListener('click', async (e) => {
+        const sample = this.trainingData[parseInt(btn.dataset.index)];
         if (confirm('Delete this training sample?')) {
-          this.trainingData.splice(index, 1);
-          this.saveTrainingData();
+          try {
+            await this.deleteSamples([sample]);
+          } catch (error) {
+            console.error('Error deleting sample:', error);
+            this.dispatchDetectorEvent('error', { context: 'save-training-data', message: error.message, error: error });
+            alert('Error deleting sample: ' + error.message);
+            return;
+          }
           this.updateTrainingStats();
           this.updateTrainingDataTable();
-          this.trainBtn.disabled = this.trainingData.length === 0;
-          this.statusText.textContent = 'Sample deleted';
+          this.updateTrainButton();
+          this.setStatus('Sample deleted');
         }
       });
     });
@@ -0,0 +1,95 @@
+/**
+ * Asset Config
+ * Where the detector components load their runtime assets from: TensorFlow.js, the MediaPipe
+ * tasks-vision bundle and wasm fileset, the hand landmarker model, MobileNet and JSZip
+ *
+ * Each asset is looked up in this order:
+ * 1. an attribute on the element (hand: wasm-path, hand-model-url; animal: mobilenet-url)
+ * 2. window.DETECTOR_ASSETS, set before the components load, e.g. { mobilenet: '/models/mobilenet/model.json' }
+ * 3. the local copy in vendor/ (filled by `npm run vendor`), then the public CDN
+ * A configured URL is the only one tried, so a broken offline setup fails loudly instead of quietly
+ * reaching for the network. window.DETECTOR_ASSETS = { cdnFallback: false } keeps the defaults local too
+ */
+
+// path is relative to this file; source is what `npm run vendor` downloads when it differs from cdn
+export const ASSETS = {
+  tfjs: {
+    path: 'vendor/tfjs/tf.min.js',
+    cdn: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js'
+  },
+  tasksVision: {
+    path: 'vendor/mediapipe/vision_bundle.js',
+    cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/vision_bundle.js'
+  },
+  wasm: {
+    path: 'vendor/mediapipe/wasm',
+    cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm',
+    files: ['vision_wasm_internal.js', 'vision_wasm_internal.wasm', 'vision_wasm_nosimd_internal.js', 'vision_wasm_nosimd_internal.wasm']
+  },
+  handLandmarker: {
+    path: 'vendor/models/hand_landmarker.task',
+    cdn: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+  },
+  mobilenet: {
+    path: 'vendor/models/mobilenet_v2_1.0_224/model.json',
+    cdn: 'https://storage.googleapis.com/tfjs-models/tfjs/mobilenet_v2_1.0_224/model.json'
+  },
+  jszip: {
+    // vendor/ keeps the UMD build (loaded as a script, sets window.JSZip); the CDN serves an ES module build
+    path: 'vendor/jszip/jszip.min.js',
+    cdn: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm',
+    source: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js'
+  }
+};
+
+function globalConfig() {
+  return (typeof window !== 'undefined' && window.DETECTOR_ASSETS) || {};
+}
+
+export function cdnFallbackEnabled() {
+  return globalConfig().cdnFallback !== false;
+}
+
+// The URL set for an asset by attribute or window.DETECTOR_ASSETS, or null when the defaults apply
+export function configuredAssetUrl(name, element = null, attribute = null) {
+  return (element && attribute && element.getAttribute(attribute)) || globalConfig()[name] || null;
+}
+
+// Candidate URLs for an asset, in the order they should be tried
+export function resolveAssetUrls(name, element = null, attribute = null) {
+  const configured = configuredAssetUrl(name, element, attribute);
+  if (configured) {
+    return [configured];
+  }
+  const asset = ASSETS[name];
+  const localUrl = new URL(asset.path, import.meta.url).href;
+  return cdnFallbackEnabled() ? [localUrl, asset.cdn] : [localUrl];
+}
+
+// Resolves with the result of load(url) for the first URL that works; the error lists every failure
+export async function firstAvailable(urls, load) {
+  const failures = [];
+  for (const url of urls) {
+    try {
+      return await load(url);
+    } catch (error) {
+      console.warn('Could not load asset from:', url, error);
+      failures.push(`${url}: ${error.message}`);
+    }
+  }
+  throw new Error(`Could not load asset (tried ${failures.join('; ')})`);
+}
+
+// Classic <script> loader for UMD bundles such as tf.min.js
+export function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.onload = () => resolve(url);
+    script.onerror = () => {
+      script.remove();
+      reject(new Error(`Could not load script ${url}`));
+    };
+    document.head.appendChild(script);
+  });
+}
@@ -0,0 +1,183 @@
+/**
+ * Dataset Archive
+ * Zip export / import of detector training data
+ * Layout: one folder per label holding the sample images, plus manifest.json with the
+ * per-sample data that isn't in the image (label, timestamp, features, landmarks, ...)
+ * Imports also accept zips or picked directories without a manifest - the folder name is the label
+ */
+import { readFileAsText, toFileName } from './file-utils.js';
+import { resolveAssetUrls, firstAvailable, loadScript } from './asset-config.js';
+
+export const DATASET_FORMAT = 'detector-dataset';
+export const DATASET_VERSION = 1;
+export const DATASET_MANIFEST = 'manifest.json';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'];
+const IMAGE_MIME_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp' };
+
+let jszipPromise = null;
+
+// ES module builds are imported; the vendored UMD build is loaded as a script and sets window.JSZip
+function importJSZip(url) {
+  if (/\+esm|\.mjs$/.test(url)) {
+    return import(url).then(module => module.default || module);
+  }
+  return loadScript(url).then(() => {
+    if (!window.JSZip) {
+      throw new Error(`${url} did not define JSZip`);
+    }
+    return window.JSZip;
+  });
+}
+
+// JSZip is loaded on first use, from vendor/ or the CDN like the other browser libraries (see asset-config.js)
+export function loadJSZip() {
+  if (!jszipPromise) {
+    jszipPromise = firstAvailable(resolveAssetUrls('jszip'), importJSZip)
+      .catch(error => {
+        jszipPromise = null; // Allow a retry once the network is back
+        throw new Error(`Could not load JSZip: ${error.message}`);
+      });
+  }
+  return jszipPromise;
+}
+
+// samples are trainingData entries with their image Blob as `image`; everything else goes into the manifest
+export async function createDatasetZip(samples, detector) {
+  const JSZip = await loadJSZip();
+  const zip = new JSZip();
+  const counters = {};
+  const manifestSamples = [];
+
+  samples.forEach(sample => {
+    const { image, ...data } = sample;
+    let file = null;
+
+    if (image) {
+      const folder = toFileName(sample.label);
+      counters[folder] = (counters[folder] || 0) + 1;
+      const subtype = (image.type || '').split('/')[1];
+      const extension = !subtype || subtype === 'jpeg' ? 'jpg' : subtype;
+      file = `${folder}/${String(counters[folder]).padStart(4, '0')}.${extension}`;
+      zip.file(file, image);
+    }
+
+    manifestSamples.push({ file: file, ...data });
+  });
+
+  zip.file(DATASET_MANIFEST, JSON.stringify({
+    format: DATASET_FORMAT,
+    version: DATASET_VERSION,
+    detector: detector,
+    exportedAt: new Date().toISOString(),
+    samples: manifestSamples
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+// Read a dataset from a .zip File/Blob or from the files of a directory picked with <input webkitdirectory>
+// Resolves with [{ label, image (Blob or null), ...manifest data }]; features/landmarks are only present when the manifest has them
+export async function readDataset(files, detector) {
+  const fileList = files instanceof Blob ? [files] : Array.from(files || []);
+  if (fileList.length === 0) {
+    throw new Error('No files selected');
+  }
+
+  const isZip = file => /\.zip$/i.test(file.name || '') || /zip/.test(file.type);
+  if (fileList.length === 1 && isZip(fileList[0])) {
+    return readDatasetZip(fileList[0], detector);
+  }
+
+  // Directory pick: paths look like "<picked folder>/<label>/<image>"
+  const entries = fileList.map(file => ({
+    path: stripRoot(file.webkitRelativePath || file.name),
+    readText: () => readFileAsText(file),
+    readImage: async () => file
+  }));
+  return collectSamples(entries, detector);
+}
+
+async function readDatasetZip(file, detector) {
+  const JSZip = await loadJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    throw new Error(`${file.name} is not a valid zip file`);
+  }
+
+  const entries = [];
+  zip.forEach((path, zipEntry) => {
+    if (zipEntry.dir) return;
+    entries.push({
+      path: path,
+      readText: () => zipEntry.async('string'),
+      readImage: async () => {
+        const extension = path.split('.').pop().toLowerCase();
+        const buffer = await zipEntry.async('arraybuffer');
+        return new Blob([buffer], { type: IMAGE_MIME_TYPES[extension] || 'application/octet-stream' });
+      }
+    });
+  });
+
+  // Zipping a folder puts everything under one top-level directory - treat that directory as the root
+  const manifestEntry = entries.find(entry => entry.path.split('/').pop() === DATASET_MANIFEST && entry.path.split('/').length <= 2);
+  if (manifestEntry && manifestEntry.path.includes('/')) {
+    const root = manifestEntry.path.split('/')[0] + '/';
+    entries.forEach(entry => {
+      if (entry.path.startsWith(root)) {
+        entry.path = entry.path.slice(root.length);
+      }
+    });
+  }
+
+  return collectSamples(entries, detector);
+}
+
+async function collectSamples(entries, detector) {
+  const visibleEntries = entries.filter(entry => !entry.path.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+  const manifestEntry = visibleEntries.find(entry => entry.path === DATASET_MANIFEST);
+
+  if (manifestEntry) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await manifestEntry.readText());
+    } catch (error) {
+      throw new Error(`${DATASET_MANIFEST} is not valid JSON`);
+    }
+    if (!manifest || manifest.format !== DATASET_FORMAT || !Array.isArray(manifest.samples)) {
+      throw new Error(`${DATASET_MANIFEST} is not a detector dataset manifest`);
+    }
+    if (manifest.detector && manifest.detector !== detector) {
+      throw new Error(`This dataset was exported from <${manifest.detector}> and cannot be used in <${detector}>`);
+    }
+
+    const entriesByPath = new Map(visibleEntries.map(entry => [entry.path, entry]));
+    const samples = [];
+    for (const { file, ...data } of manifest.samples) {
+      if (!data.label) continue;
+      const imageEntry = file ? entriesByPath.get(file) : null;
+      samples.push({ ...data, image: imageEntry ? await imageEntry.readImage() : null });
+    }
+    return samples;
+  }
+
+  // No manifest: every image inside a folder is a sample labelled with the folder name
+  const samples = [];
+  for (const entry of visibleEntries) {
+    const parts = entry.path.split('/');
+    const extension = parts[parts.length - 1].split('.').pop().toLowerCase();
+    if (parts.length < 2 || !IMAGE_EXTENSIONS.includes(extension)) continue;
+    samples.push({ label: parts[parts.length - 2], image: await entry.readImage() });
+  }
+  if (samples.length === 0) {
+    throw new Error('No labeled images found. Use one folder per label, e.g. up/001.jpg');
+  }
+  return samples;
+}
+
+function stripRoot(path) {
+  const parts = path.split('/');
+  return parts.length > 1 ? parts.slice(1).join('/') : path;
+}
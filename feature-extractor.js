@@ -0,0 +1,74 @@
+/**
+ * Feature Extractor
+ * Identity of the network the animal detector turns images into embeddings with
+ * MobileNet v2 as a layers model, the @tensorflow-models/mobilenet package and the randomly initialized
+ * fallback net all produce different embeddings (some with the same length), so a classifier head or
+ * cached sample features are only meaningful with the extractor that produced them
+ * The identity { id, name, dimension } is stored on every sample (extractorId) and saved model (featureExtractor)
+ */
+
+import { ASSETS } from './asset-config.js';
+
+// The standard MobileNet v2 weights are the same extractor whether they came from vendor/ or the CDN
+const STANDARD_MOBILENET = { id: 'mobilenet_v2_1.0_224', name: 'MobileNet v2' };
+
+export const PACKAGE_MOBILENET = { id: 'tfjs-models/mobilenet@2.1.0:v2-1.0-224', name: 'MobileNet v2 (@tensorflow-models/mobilenet)' };
+export const PIXEL_FEATURES = { id: 'pixels-64', name: 'Raw pixels (no MobileNet)' };
+
+// The fallback net has random weights, so it is a different extractor in every session
+const LIGHTWEIGHT_PREFIX = 'lightweight:';
+
+// MobileNet loaded as a layers model from url
+export function layersExtractor(url) {
+  const standardUrls = [new URL(ASSETS.mobilenet.path, import.meta.url).href, ASSETS.mobilenet.cdn];
+  return standardUrls.includes(url) ? { ...STANDARD_MOBILENET } : { id: `url:${url}`, name: `MobileNet from ${url}` };
+}
+
+export function lightweightExtractor() {
+  return { id: `${LIGHTWEIGHT_PREFIX}${Date.now().toString(36)}`, name: 'Untrained fallback network' };
+}
+
+export function isSessionOnlyExtractor(id) {
+  return typeof id === 'string' && id.startsWith(LIGHTWEIGHT_PREFIX);
+}
+
+// Short text for status lines and the models list
+export function describeExtractor(extractor) {
+  if (!extractor) return 'an unknown feature extractor';
+  return `${extractor.name} (${extractor.dimension}-d)`;
+}
+
+// Whether a head model can run on the current extractor
+// trained is the model's featureExtractor metadata (missing for models saved before it was recorded);
+// inputDimension is the length of the feature vector the model takes
+// Returns null when compatible, { refuse: true, message } when the model can't work at all,
+// or { refuse: false, message } when it runs but may predict badly
+export function compareExtractors(trained, inputDimension, current) {
+  if (!current) return null;
+  if (inputDimension && inputDimension !== current.dimension) {
+    return {
+      refuse: true,
+      message: `This model expects ${inputDimension}-d features, but ${describeExtractor(current)} produces ${current.dimension}-d features. Retrain it with the current feature extractor.`
+    };
+  }
+  if (!trained || trained.id === current.id) return null;
+  if (isSessionOnlyExtractor(trained.id) || isSessionOnlyExtractor(current.id)) {
+    return {
+      refuse: true,
+      message: `This model was trained with ${describeExtractor(trained)}, whose random weights only exist in one session. Retrain it with the current feature extractor.`
+    };
+  }
+  return {
+    refuse: false,
+    message: `This model was trained with ${describeExtractor(trained)}, but ${describeExtractor(current)} is loaded - predictions may be wrong. Retrain it to be sure.`
+  };
+}
+
+// Samples whose cached features didn't come from the current extractor
+// Samples from before extractor ids were recorded count as stale only when their length doesn't fit
+export function staleSamples(samples, current) {
+  if (!current) return [];
+  return samples.filter(sample => sample.extractorId
+    ? sample.extractorId !== current.id
+    : !Array.isArray(sample.features) || sample.features.length !== current.dimension);
+}
@@ -0,0 +1,51 @@
+/**
+ * Feature Recompute
+ * Runs stored training samples through the current feature pipeline again, one sample at a time, after
+ * the feature set (hand detector) or the feature extractor (animal detector) changed
+ * Each component supplies the per-sample step, which updates and saves the sample itself, so a cancelled
+ * run keeps the samples finished so far
+ */
+
+// recompute(sample) resolves with 'updated', or { skipped: reason } / { failed: reason } to leave the sample as it is
+// options.isCancelled() is checked before each sample; options.onProgress(done, total) runs after each one
+// Resolves with { total, updated, skipped, failed, cancelled }; skipped and failed list { sample, reason }
+export async function recomputeSamples(samples, recompute, options = {}) {
+  const result = { total: samples.length, updated: 0, skipped: [], failed: [], cancelled: false };
+  for (let i = 0; i < samples.length; i++) {
+    if (options.isCancelled && options.isCancelled()) {
+      result.cancelled = true;
+      break;
+    }
+    const sample = samples[i];
+    try {
+      const outcome = await recompute(sample);
+      if (outcome === 'updated') {
+        result.updated++;
+      } else if (outcome && outcome.skipped) {
+        result.skipped.push({ sample, reason: outcome.skipped });
+      } else {
+        result.failed.push({ sample, reason: (outcome && outcome.failed) || 'unknown error' });
+      }
+    } catch (error) {
+      console.warn('Could not recompute features of sample', sample.id, error);
+      result.failed.push({ sample, reason: error.message });
+    }
+    if (options.onProgress) options.onProgress(i + 1, samples.length);
+  }
+  return result;
+}
+
+// One status line, e.g. "Recomputed 40 of 42 sample(s); 2 failed (no hand detected)"
+export function formatRecomputeSummary(result) {
+  const parts = [`Recomputed ${result.updated} of ${result.total} sample(s)`];
+  if (result.failed.length > 0) {
+    parts.push(`${result.failed.length} failed (${[...new Set(result.failed.map(entry => entry.reason))].join(', ')})`);
+  }
+  if (result.skipped.length > 0) {
+    parts.push(`${result.skipped.length} skipped (${[...new Set(result.skipped.map(entry => entry.reason))].join(', ')})`);
+  }
+  if (result.cancelled) {
+    parts.push('cancelled');
+  }
+  return parts.join('; ');
+}
@@ -0,0 +1,32 @@
+/**
+ * File Utilities
+ * Small browser helpers shared by the detector components for exporting and importing files
+ */
+
+// Trigger a browser download for a Blob
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name || 'file'}`));
+    reader.readAsText(file);
+  });
+}
+
+// File-system friendly version of a user-entered name
+export function toFileName(name) {
+  return (name || 'untitled').trim().replace(/[^a-zA-Z0-9_-]+/g, '_') || 'untitled';
+}
@@ -0,0 +1,124 @@
+/**
+ * Fine-Tuning
+ * End-to-end training of MobileNet and the classifier head for the animal detector: the last N
+ * MobileNet blocks are unfrozen and trained on the stored sample images together with a new head
+ * The result is one "full" model that takes a preprocessed image instead of an embedding
+ * (modelType 'full' in the model metadata); head-only models are modelType 'head'
+ * Uses the global `tf` (TensorFlow.js), like the components
+ */
+
+import { modelToArtifacts } from './model-bundle.js';
+
+export const DEFAULT_FINE_TUNING_OPTIONS = {
+  enabled: false,
+  blocks: 2,              // MobileNet blocks to unfreeze, counted from the top
+  epochs: 10,             // Every epoch runs all images through MobileNet - keep this low
+  batchSize: 16,
+  learningRate: 0.0001    // Lower than for the head alone, so the pretrained weights aren't wiped out
+};
+
+export const FINE_TUNING_INPUT_SIZE = 224;
+
+export function normalizeFineTuningOptions(options = {}) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  const defaults = DEFAULT_FINE_TUNING_OPTIONS;
+  return {
+    enabled: options.enabled !== undefined ? !!options.enabled : defaults.enabled,
+    blocks: Math.round(number(options.blocks, defaults.blocks, 1, 20)),
+    epochs: Math.round(number(options.epochs, defaults.epochs, 1, 200)),
+    batchSize: Math.round(number(options.batchSize, defaults.batchSize, 1, 128)),
+    learningRate: number(options.learningRate, defaults.learningRate, 0.000001, 0.1)
+  };
+}
+
+export function isFullModel(modelInfo) {
+  return !!modelInfo && modelInfo.modelType === 'full';
+}
+
+// Image tensor or batch (values 0-255) -> the [-1, 1] input MobileNet layers models expect
+// Same resize as extractFeatures(), so a fine-tuned model sees what the frozen extractor saw
+export function preprocessImage(pixels) {
+  return tf.tidy(() => {
+    const [height, width] = pixels.shape.slice(-3, -1);
+    const resized = height === FINE_TUNING_INPUT_SIZE && width === FINE_TUNING_INPUT_SIZE
+      ? pixels.toFloat()
+      : pixels.resizeNearestNeighbor([FINE_TUNING_INPUT_SIZE, FINE_TUNING_INPUT_SIZE]).toFloat();
+    return resized.div(127.5).sub(1);
+  });
+}
+
+// Independent copy of a layers model (training the copy leaves the original untouched)
+export async function cloneLayersModel(model) {
+  return tf.loadLayersModel(tf.io.fromMemory(await modelToArtifacts(model)));
+}
+
+// Layers grouped into MobileNet blocks by their names (block_1_expand, block_1_depthwise, ...)
+// Layers after the last block (the top conv) join it; layers before the first block form the stem
+// Models without block names (the lightweight fallback net) are a single block
+export function groupLayersIntoBlocks(layers) {
+  const blocks = [];
+  layers.forEach(layer => {
+    const match = layer.name.match(/^(block_\d+|expanded_conv)/);
+    const name = match ? match[1] : null;
+    const current = blocks[blocks.length - 1];
+    if (!current || (name && current.name !== name)) {
+      blocks.push({ name: name || 'stem', layers: [layer] });
+    } else {
+      current.layers.push(layer);
+    }
+  });
+  return blocks;
+}
+
+// MobileNet up to its embedding (like extractFeatures()) with the last `options.blocks` blocks trainable,
+// plus a fresh dense head built from the training config
+// Returns a compiled tf.LayersModel; the MobileNet layers are cloned, so this.mobilenet keeps its weights
+export async function buildFineTuneModel(mobilenet, numClasses, config, options) {
+  if (!mobilenet || !mobilenet.layers || typeof mobilenet.save !== 'function') {
+    throw new Error('Fine-tuning needs MobileNet loaded as a layers model');
+  }
+  const backbone = await cloneLayersModel(mobilenet);
+
+  // Drop a classification layer the same way extractFeatures() does
+  const lastLayer = backbone.layers[backbone.layers.length - 1];
+  const isClassifier = lastLayer.outputShape && lastLayer.outputShape[lastLayer.outputShape.length - 1] > 100;
+  const embeddingLayers = isClassifier ? backbone.layers.slice(0, -1) : backbone.layers;
+  let embedding = embeddingLayers[embeddingLayers.length - 1].output;
+
+  // Freeze everything, then unfreeze the top blocks
+  // Batch norm layers stay frozen: their statistics would drift with small batches
+  const blocks = groupLayersIntoBlocks(embeddingLayers);
+  backbone.layers.forEach(layer => {
+    layer.trainable = false;
+  });
+  blocks.slice(-options.blocks).forEach(block => {
+    block.layers.forEach(layer => {
+      layer.trainable = !layer.getClassName().startsWith('BatchNormalization');
+    });
+  });
+
+  if (embedding.shape.length > 2) {
+    embedding = tf.layers.flatten().apply(embedding);
+  }
+  const regularizer = config.l2 > 0 ? tf.regularizers.l2({ l2: config.l2 }) : undefined;
+  let output = embedding;
+  config.hiddenLayers.forEach(units => {
+    output = tf.layers.dense({ units: units, activation: 'relu', kernelRegularizer: regularizer }).apply(output);
+    if (config.dropout > 0) {
+      output = tf.layers.dropout({ rate: config.dropout }).apply(output);
+    }
+  });
+  const singleClass = numClasses === 1;
+  output = tf.layers.dense({ units: singleClass ? 1 : numClasses, activation: singleClass ? 'sigmoid' : 'softmax' }).apply(output);
+
+  const model = tf.model({ inputs: backbone.inputs, outputs: output });
+  model.compile({
+    optimizer: tf.train.adam(options.learningRate),
+    loss: singleClass ? 'binaryCrossentropy' : 'categoricalCrossentropy',
+    metrics: ['accuracy']
+  });
+  return model;
+}
@@ -0,0 +1,80 @@
+/**
+ * Geometric Direction
+ * Rule-based pointing direction of the hand detector: the angle of the index finger (MCP -> tip) is split
+ * into N named sectors, with optional dead zones at the sector borders where no direction is reported
+ * Angles are in degrees from the user's point of view, clockwise from pointing right like screen
+ * coordinates: 0 = right, 90 = down, 180 = left, 270 = up
+ */
+
+export const FOUR_DIRECTIONS = ['right', 'down', 'left', 'up'];
+export const EIGHT_DIRECTIONS = ['right', 'down-right', 'down', 'down-left', 'left', 'up-left', 'up', 'up-right'];
+
+export const DEFAULT_GEOMETRIC_OPTIONS = {
+  sectors: 4, // 4 and 8 use the direction names above; any other count names them sector-1 ... sector-N
+  deadZone: 0, // Degrees around every sector border without a direction
+  minExtension: 0.08 // Shortest MCP -> tip distance (frame fractions) that counts as pointing
+};
+
+const MIN_SECTORS = 2;
+const MAX_SECTORS = 16;
+
+export function normalizeGeometricOptions(options = {}, defaults = DEFAULT_GEOMETRIC_OPTIONS) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  const sectors = Math.round(number(options.sectors, defaults.sectors, MIN_SECTORS, MAX_SECTORS));
+  return {
+    sectors: sectors,
+    // A dead zone can't swallow a whole sector
+    deadZone: number(options.deadZone, defaults.deadZone, 0, 360 / sectors - 1),
+    minExtension: number(options.minExtension, defaults.minExtension, 0, 0.5)
+  };
+}
+
+export function sectorNames(count) {
+  if (count === 4) return [...FOUR_DIRECTIONS];
+  if (count === 8) return [...EIGHT_DIRECTIONS];
+  return Array.from({ length: count }, (_, i) => `sector-${i + 1}`);
+}
+
+// Sector count whose names cover every label, or null when a label isn't a direction
+// (a model trained on up/down/left/right is checked against 4 sectors, one with diagonals against 8)
+export function directionSectorCount(labels) {
+  if (labels.length === 0) return null;
+  if (labels.every(label => FOUR_DIRECTIONS.includes(label))) return 4;
+  if (labels.every(label => EIGHT_DIRECTIONS.includes(label))) return 8;
+  return null;
+}
+
+// Angle and extension of the index finger; tip and mcp are landmarks as the user sees them (mirrored)
+export function measureFinger(mcp, tip) {
+  const dx = tip.x - mcp.x;
+  const dy = tip.y - mcp.y;
+  const angle = Math.atan2(dy, dx) * (180 / Math.PI);
+  return { angle: angle < 0 ? angle + 360 : angle, extension: Math.sqrt(dx * dx + dy * dy) };
+}
+
+// { label, sector, centrality } for an angle; label is null inside a dead zone (sector is still the nearest one)
+// Sector 0 is centered on 0° (right), the others follow clockwise
+// centrality is 1 on the sector's center line and falls to 0 where its dead zone (or the next sector) begins
+export function classifyAngle(angle, options) {
+  const width = 360 / options.sectors;
+  const shifted = (angle + width / 2) % 360;
+  const sector = Math.floor(shifted / width) % options.sectors;
+  const offset = shifted - sector * width; // 0..width within the sector
+  const inDeadZone = offset < options.deadZone / 2 || offset > width - options.deadZone / 2;
+  const centrality = Math.max(0, 1 - Math.abs(offset - width / 2) / ((width - options.deadZone) / 2));
+  return { label: inDeadZone ? null : sectorNames(options.sectors)[sector], sector: sector, centrality: centrality };
+}
+
+// { label, confidence, angle, extension } - label is null when the finger isn't extended or points into a
+// dead zone; confidence is the centrality of the angle in its sector (null without a label)
+export function geometricDirection(mcp, tip, options) {
+  const { angle, extension } = measureFinger(mcp, tip);
+  if (extension < options.minExtension) {
+    return { label: null, confidence: null, angle: angle, extension: extension };
+  }
+  const { label, centrality } = classifyAngle(angle, options);
+  return { label: label, confidence: label ? centrality : null, angle: angle, extension: extension };
+}
@@ -0,0 +1,223 @@
+/**
+ * Gesture Sequences
+ * Dynamic (motion) gestures for the hand detector - swipes, waves and circles are a sequence of hand
+ * poses rather than one frame. A gesture clip is the per-frame landmarks recorded in the training camera
+ * (null for frames without a hand); the temporal model classifies a fixed-length window of per-frame
+ * feature vectors with a small 1D convolutional network
+ * Each frame's vector is extractFeatures() plus the wrist's movement since the start of the window,
+ * because the static feature sets are relative to the hand and stay the same when the whole hand moves
+ */
+
+// Clips with this label are recorded "nothing happening" examples: the model learns them, but they never fire
+export const IDLE_GESTURE = 'idle';
+
+export const DEFAULT_GESTURE_OPTIONS = {
+  clipDuration: 1500, // ms recorded per clip; test mode classifies the same span of recent frames
+  windowSize: 24, // Frames every clip and test window is resampled to
+  threshold: 0.8, // Minimum confidence before a gesture event fires
+  cooldown: 1000, // ms after a gesture before the next one can fire
+  stride: 3 // Classify every n-th test frame
+};
+
+// A clip (or test window) needs at least this share of frames with a hand in them
+export const MIN_HAND_FRAMES = 0.6;
+
+const MOTION_CHANNELS = 2;
+
+export function normalizeGestureOptions(options = {}, defaults = DEFAULT_GESTURE_OPTIONS) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  return {
+    clipDuration: Math.round(number(options.clipDuration, defaults.clipDuration, 300, 5000)),
+    windowSize: Math.round(number(options.windowSize, defaults.windowSize, 8, 64)),
+    threshold: number(options.threshold, defaults.threshold, 0, 1),
+    cooldown: Math.round(number(options.cooldown, defaults.cooldown, 0, 10000)),
+    stride: Math.round(number(options.stride, defaults.stride, 1, 30))
+  };
+}
+
+// Length of one frame vector for a static feature size
+export function gestureFrameSize(featureSize) {
+  return featureSize + MOTION_CHANNELS;
+}
+
+// Share of frames that have a hand in them
+export function handCoverage(frames) {
+  if (frames.length === 0) return 0;
+  return frames.filter(Boolean).length / frames.length;
+}
+
+// Frames without a hand take the landmarks of the nearest frame that has one
+// Returns null when no frame has a hand
+export function fillMissingFrames(frames) {
+  const present = frames.map((frame, index) => frame ? index : -1).filter(index => index >= 0);
+  if (present.length === 0) return null;
+  return frames.map((frame, index) => {
+    if (frame) return frame;
+    const nearest = present.reduce((best, candidate) => Math.abs(candidate - index) < Math.abs(best - index) ? candidate : best);
+    return frames[nearest];
+  });
+}
+
+// Linear interpolation of a list of equal-length vectors to `length` entries
+// Frames are treated as evenly spaced - camera frame rates are steady enough over a clip
+export function resampleVectors(vectors, length) {
+  if (vectors.length === 1) {
+    return Array.from({ length: length }, () => [...vectors[0]]);
+  }
+  return Array.from({ length: length }, (_, i) => {
+    const position = length === 1 ? 0 : (i * (vectors.length - 1)) / (length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(vectors.length - 1, lower + 1);
+    const t = position - lower;
+    return vectors[lower].map((value, j) => value + (vectors[upper][j] - value) * t);
+  });
+}
+
+// [windowSize][frameSize] model input for a list of per-frame landmarks (or null), or null when too few
+// frames have a hand; extract(landmarks) is the component's extractFeatures with the model's schema
+export function sequenceFeatures(frames, extract, windowSize) {
+  if (frames.length === 0 || handCoverage(frames) < MIN_HAND_FRAMES) return null;
+  const filled = fillMissingFrames(frames);
+
+  // Wrist movement in palm lengths, so it doesn't depend on the distance to the camera
+  const origin = filled[0][0];
+  const palm = Math.hypot(filled[0][9].x - origin.x, filled[0][9].y - origin.y) || 1;
+  const vectors = filled.map(landmarks => [
+    ...extract(landmarks),
+    (landmarks[0].x - origin.x) / palm,
+    (landmarks[0].y - origin.y) / palm
+  ]);
+  return resampleVectors(vectors, windowSize);
+}
+
+// 1D convolutions over time, pooled over the whole window, then a softmax over the gesture labels
+export function buildGestureModel(windowSize, frameSize, numClasses, config) {
+  const model = tf.sequential();
+  model.add(tf.layers.conv1d({ inputShape: [windowSize, frameSize], filters: 32, kernelSize: 3, padding: 'same', activation: 'relu' }));
+  model.add(tf.layers.conv1d({ filters: 64, kernelSize: 3, padding: 'same', activation: 'relu' }));
+  model.add(tf.layers.globalMaxPooling1d());
+  if (config.dropout > 0) {
+    model.add(tf.layers.dropout({ rate: config.dropout }));
+  }
+  model.add(tf.layers.dense({ units: numClasses, activation: 'softmax' }));
+  model.compile({
+    optimizer: tf.train.adam(config.learningRate),
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy']
+  });
+  return model;
+}
+
+// Highest camera frame rate the test loop is sized for (most cameras deliver 30-60 fps)
+const MAX_FRAME_RATE = 120;
+
+// Ring buffer capacity that holds a whole clipDuration window plus the frame just before it
+export function gestureBufferCapacity(clipDuration) {
+  return Math.ceil(clipDuration / 1000 * MAX_FRAME_RATE) + 1;
+}
+
+// Fixed-capacity ring buffer of { frame, timestamp } for the test loop
+export class FrameRingBuffer {
+  constructor(capacity = 240) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  push(frame, timestamp) {
+    const index = (this.start + this.size) % this.capacity;
+    this.entries[index] = { frame: frame, timestamp: timestamp };
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  // Frames from the last durationMs before now, oldest first
+  // Returns null until the buffer reaches back that far, so a gesture is never read from half a window
+  window(durationMs, now) {
+    if (this.size === 0) return null;
+    const oldest = this.entries[this.start];
+    if (now - oldest.timestamp < durationMs) return null;
+    const frames = [];
+    for (let i = 0; i < this.size; i++) {
+      const entry = this.entries[(this.start + i) % this.capacity];
+      if (now - entry.timestamp <= durationMs) {
+        frames.push(entry.frame);
+      }
+    }
+    return frames;
+  }
+
+  clear() {
+    this.start = 0;
+    this.size = 0;
+  }
+}
+
+// Turns per-window probabilities into discrete gesture events: the top label has to clear the threshold,
+// can't be the idle label, and nothing fires again until the cooldown has passed
+export class GestureSpotter {
+  constructor(options = DEFAULT_GESTURE_OPTIONS) {
+    this.configure(options);
+    this.reset();
+  }
+
+  configure(options) {
+    this.threshold = options.threshold;
+    this.cooldown = options.cooldown;
+  }
+
+  reset() {
+    this.lastFired = -Infinity;
+  }
+
+  // { label, confidence } when a gesture fires, null otherwise
+  update(probabilities, labels, timestamp) {
+    let best = 0;
+    for (let i = 1; i < probabilities.length; i++) {
+      if (probabilities[i] > probabilities[best]) best = i;
+    }
+    const label = labels[best];
+    const confidence = probabilities[best];
+    if (label === IDLE_GESTURE || confidence < this.threshold || timestamp - this.lastFired < this.cooldown) {
+      return null;
+    }
+    this.lastFired = timestamp;
+    return { label: label, confidence: confidence };
+  }
+}
+
+// Resolves after durationMs, calling onFrame(elapsedMs) once per animation frame
+// Rejects with an AbortError (like cancelled training) when isCancelled() turns true
+export function recordFrames(durationMs, onFrame, isCancelled = () => false) {
+  return new Promise((resolve, reject) => {
+    const startTime = performance.now();
+    const step = () => {
+      if (isCancelled()) {
+        const error = new Error('Recording cancelled');
+        error.name = 'AbortError';
+        reject(error);
+        return;
+      }
+      const elapsed = performance.now() - startTime;
+      try {
+        onFrame(elapsed);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (elapsed >= durationMs) {
+        resolve();
+      } else {
+        requestAnimationFrame(step);
+      }
+    };
+    requestAnimationFrame(step);
+  });
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FrameRingBuffer, gestureBufferCapacity } from './gesture-sequences.js';
+
+// Pushes `fps` frames per second for durationMs and returns the timestamp of the last one
+function fill(buffer, fps, durationMs) {
+  const count = Math.floor(durationMs / 1000 * fps);
+  for (let i = 0; i <= count; i++) {
+    buffer.push({}, i * 1000 / fps);
+  }
+  return count * 1000 / fps;
+}
+
+test('a buffer sized for the longest clip returns a full window at a high frame rate', () => {
+  const buffer = new FrameRingBuffer(gestureBufferCapacity(5000));
+  const now = fill(buffer, 120, 6000);
+  const frames = buffer.window(5000, now);
+  assert.ok(frames);
+  assert.equal(frames.length, 601);
+});
+
+test('window returns null until the buffer reaches back a whole clip', () => {
+  const buffer = new FrameRingBuffer(gestureBufferCapacity(1500));
+  const now = fill(buffer, 60, 1000);
+  assert.equal(buffer.window(1500, now), null);
+});
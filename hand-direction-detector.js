@@ -1,9 +1,45 @@
 /**
  * Hand Direction Detector Web Component
- * Detects hand direction (up, down, left, right) using the index finger
+ * Detects hand direction (up, down, left, right) using the index finger,
+ * or any custom gesture labels defined by the user
  * Uses MediaPipe Tasks Vision API
+ *
+ * Add the `headless` attribute to use it as a library: no UI is rendered (or only the
+ * camera preview with headless="video") and everything is driven through the JS API:
+ * addSample(), train(), getModels(), selectModel(), start(), stop() and predict()
  */
+import { PredictionSmoother, DEFAULT_SMOOTHING_OPTIONS, SMOOTHING_ATTRIBUTES, readSmoothingAttributes } from './prediction-smoother.js';
+import { createModelBundle, readModelBundle, parseModelBundle } from './model-bundle.js';
+import { downloadBlob, toFileName } from './file-utils.js';
+import { createDatasetZip, readDataset } from './dataset-archive.js';
+import { SampleStore, createThumbnail, canvasToBlob } from './sample-store.js';
+import { stratifiedSplit, predictClassIndices, evaluateClassifier, formatEvaluationSummary, renderEvaluationReport, escapeHtml } from './model-evaluation.js';
+import { TrainingProgress, createCancelError, drawTrainingChart } from './training-progress.js';
+import { recomputeSamples, formatRecomputeSummary } from './feature-recompute.js';
+import { assignVersions, nextVersion, groupModelFamilies, findFamily, rollbackTarget, pinVersion, compareVersions, renderVersionComparison } from './model-versions.js';
+import { DEFAULT_TRAINING_CONFIG, normalizeTrainingConfig, describeTrainingConfig, buildClassifier, EarlyStopping } from './training-config.js';
+import { DEFAULT_AUGMENTATION_OPTIONS, normalizeAugmentationOptions, mirrorLabel, augmentLandmarks, augmentSamples, drawSkeleton } from './landmark-augmentation.js';
+import { resolveAssetUrls, firstAvailable } from './asset-config.js';
+import { DEFAULT_POINTER_OPTIONS, HAND_POINTER_ID, normalizePointerOptions, mapToRegion, OneEuroFilter, DwellClicker } from './pointer-control.js';
+import { DEFAULT_GEOMETRIC_OPTIONS, EIGHT_DIRECTIONS, normalizeGeometricOptions, directionSectorCount, geometricDirection } from './geometric-direction.js';
+import { IDLE_GESTURE, DEFAULT_GESTURE_OPTIONS, MIN_HAND_FRAMES, normalizeGestureOptions, handCoverage, sequenceFeatures, gestureFrameSize, buildGestureModel, gestureBufferCapacity, FrameRingBuffer, GestureSpotter, recordFrames } from './gesture-sequences.js';
+
 class HandDirectionDetector extends HTMLElement {
+  static get observedAttributes() {
+    return [
+      ...SMOOTHING_ATTRIBUTES,
+      'model-id',
+      'model-name',
+      'threshold',
+      'autostart',
+      'mirror',
+      'num-hands',
+      'detection-mode',
+      'camera-width',
+      'camera-height'
+    ];
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
@@ -13,6 +49,11 @@ class HandDirectionDetector extends HTMLElement {
     // Training-related properties
     this.trainingData = [];
     this.trainedModel = null;
+    this.activeTraining = null; // { model, cancelled } while train() runs
+    this.activeRecompute = null; // { cancelled } while recomputeFeatures() runs
+    this.expandedModelFamilies = new Set(); // Model families whose version history is open in the models list
+    this.trainingConfig = this.loadTrainingConfig();
+    this.augmentationOptions = this.loadAugmentationOptions();
     this.imageHandLandmarker = null; // Separate landmarker for image processing
     this.trainingVideo = null; // Separate video element for training camera
     this.trainingStream = null; // Stream for training camera
@@ -25,6 +66,18 @@ class HandDirectionDetector extends HTMLElement {
     this.testVideo = null; // Video element for test mode
     this.testStream = null; // Stream for test camera
     this.isTestModeActive = false; // Track if test mode is active
+    this.maxNumHands = 1; // Maximum number of hands detected per frame in test mode
+    this.confidenceThreshold = 0.25; // Multi-class predictions below this confidence are rejected
+    this.lastHandResults = []; // Per-hand results from the most recent test frame
+    
+    // Temporal smoothing of live predictions - one smoother per tracked hand
+    // A track is { smoother, wrist, handIndex }; hands are matched to tracks by wrist position (see matchHandTracks)
+    this.smoothingOptions = { ...DEFAULT_SMOOTHING_OPTIONS };
+    this.handTracks = [];
+    this.MAX_HAND_TRACK_DISTANCE = 0.25; // Farthest a wrist moves between frames (frame fractions) and stays the same hand
+    
+    // Overlay colors per detected hand (first hand keeps the original green)
+    this.HAND_COLORS = ['#00FF00', '#00BFFF', '#FF00FF', '#FFFF00'];
     
     // MediaPipe hand landmarks indices
     this.WRIST = 0;
@@ -32,21 +85,304 @@ class HandDirectionDetector extends HTMLElement {
     this.INDEX_FINGER_TIP = 8;  // Index finger tip
     this.MIDDLE_FINGER_MCP = 9;
     
-    // Load training data from localStorage
-    this.loadTrainingData();
+    // Landmark chains for each finger (wrist -> MCP -> PIP -> DIP -> TIP)
+    // Used by the full-hand feature set to compute inter-joint angles
+    this.FINGER_CHAINS = [
+      [0, 1, 2, 3, 4],     // Thumb
+      [0, 5, 6, 7, 8],     // Index
+      [0, 9, 10, 11, 12],  // Middle
+      [0, 13, 14, 15, 16], // Ring
+      [0, 17, 18, 19, 20]  // Pinky
+    ];
+    
+    // Feature schema used for new models
+    // 'index-finger' is the original 6-feature vector; 'full-hand' uses all 21 landmarks
+    // Models saved without a schema are treated as 'index-finger' (see getModelFeatureSchema)
+    this.featureSchema = this.loadFeatureSchema();
+    
+    // Default label set - the four geometric directions
+    // Users can add their own gesture labels (e.g. "thumbs-up", "fist") on top of these
+    this.DEFAULT_LABELS = ['up', 'down', 'left', 'right'];
+    
+    // Colors for the built-in direction labels (table border / test display background)
+    // Custom labels get a color derived from their name, see getLabelColor()
+    this.DIRECTION_COLORS = {
+      up: { table: '#4CAF50', display: 'rgba(0, 255, 0, 0.9)' },
+      down: { table: '#f44336', display: 'rgba(255, 0, 0, 0.9)' },
+      left: { table: '#FF9800', display: 'rgba(255, 165, 0, 0.9)' },
+      right: { table: '#2196F3', display: 'rgba(0, 100, 255, 0.9)' },
+      'up-right': { table: '#009688', display: 'rgba(0, 150, 136, 0.9)' },
+      'down-right': { table: '#673AB7', display: 'rgba(103, 58, 183, 0.9)' },
+      'down-left': { table: '#E91E63', display: 'rgba(233, 30, 99, 0.9)' },
+      'up-left': { table: '#CDDC39', display: 'rgba(205, 220, 57, 0.9)' }
+    };
+    
+    // Load label set from localStorage and training data from IndexedDB
+    // Samples load asynchronously - the UI refreshes once they are in (see loadTrainingData)
+    this.labels = [];
+    this.loadLabels();
+    this.sampleStore = new SampleStore('hand-direction-detector-samples');
+    this.trainingDataReady = this.loadTrainingData();
+    
+    // Dynamic gestures: landmark clips recorded in the training camera and a temporal model over them
+    // (see gesture-sequences.js); the gesture model runs next to the selected static model in test mode
+    this.gestureOptions = this.loadGestureOptions();
+    this.gestureClips = [];
+    this.gestureStore = new SampleStore('hand-direction-detector-gestures');
+    this.gestureClipsReady = this.loadGestureClips();
+    this.gestureModel = null;
+    this.gestureModelInfo = null;
+    this.gestureBuffer = new FrameRingBuffer(); // Recent test frames of the first hand
+    this.gestureSpotter = new GestureSpotter(this.gestureOptions);
+    this.gestureFrameCount = 0; // Test frames since the last gesture classification
+    this.activeRecording = null; // { label } while recordGestureClip() runs
+    
+    // Pointer mode: the first hand's index fingertip drives a cursor on the page (see pointer-control.js)
+    this.pointerOptions = this.loadPointerOptions();
+    this.pointerFilters = [0, 1].map(() => new OneEuroFilter(this.pointerOptions.minCutoff, this.pointerOptions.beta));
+    this.dwellClicker = new DwellClicker(this.pointerOptions.dwellTime, this.pointerOptions.dwellRadius);
+    this.pointerCursor = null; // Cursor element, added to document.body while the pointer is shown
+    this.pointerTarget = null; // Element under the pointer
+    this.pointerPosition = null; // Last filtered { x, y } in viewport px, for the leave events when the pointer goes away
+    
+    // Sectors, dead zone and extension threshold of the rule-based finger direction (see geometric-direction.js)
+    this.geometricOptions = this.loadGeometricOptions();
+    
+    // What labels test mode: 'model' (the selected trained model) or 'geometric' (the finger angle, no training)
+    // The other one still runs next to it for comparison (modelLabel / geometricLabel in the results)
+    this.DETECTION_MODES = ['model', 'geometric'];
+    this.detectionMode = this.loadDetectionMode();
   }
 
   connectedCallback() {
     this.render();
     this.initializeMediaPipe();
+    this.applyModelAttributes();
   }
 
   disconnectedCallback() {
+    this.cancelTraining();
     this.closeTrainingCamera();
     this.stopTestMode();
   }
 
+  // Reflected properties for the declarative attribute API
+  get modelId() {
+    return this.getAttribute('model-id');
+  }
+
+  set modelId(value) {
+    this.reflectAttribute('model-id', value);
+  }
+
+  get modelName() {
+    return this.getAttribute('model-name');
+  }
+
+  set modelName(value) {
+    this.reflectAttribute('model-name', value);
+  }
+
+  get threshold() {
+    return this.confidenceThreshold;
+  }
+
+  set threshold(value) {
+    this.reflectAttribute('threshold', value);
+  }
+
+  get autostart() {
+    return this.hasAttribute('autostart');
+  }
+
+  set autostart(value) {
+    this.toggleAttribute('autostart', !!value);
+  }
+
+  get mirror() {
+    // Mirrored display is the default; only mirror="false" turns it off
+    return this.getAttribute('mirror') !== 'false';
+  }
+
+  set mirror(value) {
+    this.setAttribute('mirror', value ? 'true' : 'false');
+  }
+
+  get numHands() {
+    return this.maxNumHands;
+  }
+
+  set numHands(value) {
+    // Applied through attributeChangedCallback -> setNumHands
+    this.reflectAttribute('num-hands', value);
+  }
+
+  get cameraWidth() {
+    return parseInt(this.getAttribute('camera-width')) || 640;
+  }
+
+  set cameraWidth(value) {
+    this.reflectAttribute('camera-width', value);
+  }
+
+  get cameraHeight() {
+    return parseInt(this.getAttribute('camera-height')) || 480;
+  }
+
+  set cameraHeight(value) {
+    this.reflectAttribute('camera-height', value);
+  }
+
+  // Read when the element is connected; toggling it later does not re-render
+  get headless() {
+    return this.hasAttribute('headless');
+  }
+
+  reflectAttribute(name, value) {
+    if (value === null || value === undefined) {
+      this.removeAttribute(name);
+    } else {
+      this.setAttribute(name, String(value));
+    }
+  }
+
+  // Public events - bubble out of the shadow DOM so host pages can listen on the element or any ancestor
+  dispatchDetectorEvent(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: { timestamp: Date.now(), ...detail }
+    }));
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (SMOOTHING_ATTRIBUTES.includes(name)) {
+      this.setSmoothingOptions(readSmoothingAttributes(this));
+      return;
+    }
+    
+    // Attributes parsed before the first render are applied from connectedCallback instead
+    const isRendered = !!this.testVideo;
+    switch (name) {
+      case 'model-id':
+      case 'model-name':
+        if (isRendered) this.applyModelAttributes();
+        break;
+      case 'threshold':
+        if (newValue !== null && !isNaN(parseFloat(newValue))) {
+          this.confidenceThreshold = Math.max(0, Math.min(1, parseFloat(newValue)));
+        }
+        break;
+      case 'autostart':
+        if (isRendered && this.autostart) this.applyModelAttributes();
+        break;
+      case 'mirror':
+        this.applyMirror();
+        break;
+      case 'num-hands':
+        this.setNumHands(parseInt(newValue));
+        break;
+      case 'detection-mode':
+        if (this.DETECTION_MODES.includes(newValue)) this.setDetectionMode(newValue);
+        break;
+      // camera-width / camera-height are read the next time a camera is opened
+    }
+  }
+
+  async applyModelAttributes() {
+    const modelId = this.getAttribute('model-id');
+    const modelName = this.getAttribute('model-name');
+    
+    if (modelId || modelName) {
+      const models = this.loadSavedModelsList();
+      let target = null;
+      if (modelId) {
+        target = models.find(m => m.id === modelId);
+      } else {
+        // A name is a model family - pick its active version (pinned, or the newest)
+        const family = findFamily(models, modelName);
+        target = family ? family.active : null;
+      }
+      
+      if (!target) {
+        const message = `No saved model matches ${modelId ? `model-id="${modelId}"` : `model-name="${modelName}"`}`;
+        console.warn(message);
+        this.dispatchDetectorEvent('error', { context: 'select-model', message: message });
+        return;
+      }
+      
+      if (target.id !== this.selectedModelId) {
+        try {
+          await this.selectModel(target.id);
+        } catch (error) {
+          return; // Already reported through the error event
+        }
+      }
+    }
+    
+    if (this.autostart && (this.selectedModelId || this.detectionMode === 'geometric') && !this.isTestModeActive) {
+      if (!await this.waitForMediaPipe()) {
+        const message = 'Autostart failed: MediaPipe did not finish loading in time';
+        console.warn(message);
+        this.dispatchDetectorEvent('error', { context: 'test-camera', message: message });
+        return;
+      }
+      try {
+        await this.start();
+      } catch (error) {
+        console.warn('Autostart failed:', error.message);
+      }
+    }
+  }
+
+  async waitForMediaPipe(timeoutMs = 10000) {
+    const start = Date.now();
+    while (!this.mediaPipeReady && Date.now() - start < timeoutMs) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return this.mediaPipeReady;
+  }
+
+  applyMirror() {
+    // Mirroring only affects the display; models always receive mirrored landmarks
+    const transform = this.mirror ? 'scaleX(-1)' : 'none';
+    if (this.trainingVideo) this.trainingVideo.style.transform = transform;
+    if (this.testVideo) this.testVideo.style.transform = transform;
+  }
+
+  getCameraConstraints() {
+    return { width: this.cameraWidth, height: this.cameraHeight };
+  }
+
+  // UI feedback helpers - these elements don't exist in headless mode
+  setStatus(text) {
+    if (this.statusText) this.statusText.textContent = text;
+  }
+
+  setTestStatus(text) {
+    if (this.testStatus) this.testStatus.innerHTML = `<strong>Status:</strong> ${text}`;
+  }
+
+  updateTrainButton() {
+    if (this.trainBtn) this.trainBtn.disabled = this.trainingData.length === 0;
+  }
+
+  // Test mode needs a direction model (or geometric mode), a gesture model or pointer mode
+  canStartTest() {
+    return !!(this.trainedModel && this.selectedModelId) || this.detectionMode === 'geometric' || !!this.gestureModel || this.pointerOptions.enabled;
+  }
+
+  updateTestButton() {
+    if (this.testBtn) this.testBtn.disabled = !this.canStartTest();
+  }
+
   render() {
+    if (this.headless) {
+      this.renderHeadless();
+      return;
+    }
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -258,12 +594,13 @@ class HandDirectionDetector extends HTMLElement {
         <h3>🎓 Training Mode</h3>
         <div class="training-controls">
           <div class="training-controls-row">
-            <select id="directionSelect">
-              <option value="up">UP</option>
-              <option value="down">DOWN</option>
-              <option value="left">LEFT</option>
-              <option value="right">RIGHT</option>
-            </select>
+            <select id="directionSelect"></select>
+            <button id="removeLabelBtn" class="clear-btn">Remove Label</button>
+          </div>
+          <div class="training-controls-row">
+            <input type="text" id="newLabelInput" placeholder="New label (e.g., thumbs-up, fist, open-palm)" style="flex: 1; min-width: 200px; padding: 8px 12px; font-size: 14px; border: 1px solid #ddd; border-radius: 4px;">
+            <button id="addLabelBtn" class="toggle-btn">Add Label</button>
+            <button id="addDiagonalsBtn" class="toggle-btn" title="Add up-right, down-right, down-left and up-left for 8-direction models">Add Diagonals</button>
           </div>
           <div class="training-controls-row">
             <input type="file" id="fileInput" accept="image/*" multiple>
@@ -273,12 +610,27 @@ class HandDirectionDetector extends HTMLElement {
             <button id="closeCameraBtn" class="clear-btn" style="display: none;">Close Camera</button>
             <button id="clearBtn" class="clear-btn">Clear Training Data</button>
           </div>
+          <div class="training-controls-row">
+            <input type="file" id="datasetZipInput" accept=".zip,application/zip">
+            <input type="file" id="datasetFolderInput" webkitdirectory multiple>
+            <button id="exportDatasetBtn" class="upload-btn">Export Dataset (.zip)</button>
+            <button id="importDatasetBtn" class="upload-btn">Import Dataset (.zip)</button>
+            <button id="importFolderBtn" class="upload-btn">Import Folder</button>
+            <button id="recomputeFeaturesBtn" class="upload-btn">Recompute Features</button>
+          </div>
+          <div id="recomputeProgress" style="display: none; margin-top: 10px;">
+            <div id="recomputeProgressText" style="font-size: 14px; color: #333; margin-bottom: 6px;"></div>
+            <div style="height: 8px; background: #eee; border-radius: 4px; overflow: hidden;">
+              <div id="recomputeProgressBar" style="height: 100%; width: 0%; background: #2196F3; transition: width 0.2s;"></div>
+            </div>
+            <button id="cancelRecomputeBtn" class="clear-btn" style="width: 100%; margin-top: 10px;">Cancel</button>
+          </div>
         </div>
         <div id="trainingCameraContainer" style="display: none; margin-top: 15px; text-align: center;">
           <video id="trainingVideo" autoplay playsinline style="width: 100%; max-width: 640px; border-radius: 8px; background: #000; transform: scaleX(-1);"></video>
         </div>
         <div class="training-stats" id="trainingStats">
-          <strong>Training Data:</strong> 0 samples (UP: 0, DOWN: 0, LEFT: 0, RIGHT: 0)
+          <strong>Training Data:</strong> 0 samples
         </div>
         <div id="trainingDataList" style="margin-top: 15px; padding: 10px; background: white; border-radius: 4px; max-height: 400px; overflow-y: auto;">
           <h4 style="margin-top: 0; color: #667eea;">Training Data List:</h4>
@@ -289,7 +641,120 @@ class HandDirectionDetector extends HTMLElement {
         <div style="margin-top: 15px; padding: 10px; background: white; border-radius: 4px;">
           <label for="modelNameInput" style="display: block; margin-bottom: 5px; font-weight: bold; color: #667eea;">Model Name:</label>
           <input type="text" id="modelNameInput" placeholder="Enter model name (e.g., MyHandModel)" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 10px;">
+          <div style="display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 10px; font-size: 14px; color: #333;">
+            <label for="featureSetSelect" style="font-weight: bold; color: #667eea;">Feature Set:</label>
+            <select id="featureSetSelect" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 4px;">
+              <option value="index-finger">Index finger (6 features)</option>
+              <option value="full-hand">Full hand (21 landmarks)</option>
+            </select>
+            <label style="display: flex; align-items: center; gap: 4px;">
+              <input type="checkbox" id="featureIncludeZ"> Include depth (z)
+            </label>
+            <label style="display: flex; align-items: center; gap: 4px;">
+              <input type="checkbox" id="featureIncludeAngles"> Include joint angles
+            </label>
+          </div>
+          <details id="advancedTraining" style="margin-bottom: 10px; font-size: 14px; color: #333;">
+            <summary style="cursor: pointer; font-weight: bold; color: #667eea;">Advanced training</summary>
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px 12px; margin: 10px 0;">
+              <label style="display: flex; flex-direction: column; gap: 4px;">Epochs
+                <input type="number" data-config="epochs" min="1" max="1000" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Batch size
+                <input type="number" data-config="batchSize" min="1" max="1024" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Learning rate
+                <input type="number" data-config="learningRate" min="0.00001" max="1" step="0.0001" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Hidden layers (units)
+                <input type="text" data-config="hiddenLayers" placeholder="e.g. 32, 16" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Dropout
+                <input type="number" data-config="dropout" min="0" max="0.9" step="0.05" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">L2 regularization
+                <input type="number" data-config="l2" min="0" max="1" step="0.0001" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+              <label style="display: flex; flex-direction: column; gap: 4px;">Early stopping patience (0 = off)
+                <input type="number" data-config="earlyStoppingPatience" min="0" max="1000" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+              </label>
+            </div>
+            <button id="resetTrainingConfigBtn" class="clear-btn">Reset to Defaults</button>
+            <div style="border-top: 1px solid #eee; margin-top: 10px; padding-top: 10px;">
+              <label style="display: flex; align-items: center; gap: 6px; font-weight: bold; color: #667eea;">
+                <input type="checkbox" data-augmentation="enabled"> Landmark augmentation
+              </label>
+              <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 8px 12px; margin: 10px 0;">
+                <label style="display: flex; flex-direction: column; gap: 4px;">Copies per sample
+                  <input type="number" data-augmentation="copies" min="1" max="20" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Max rotation (°)
+                  <input type="number" data-augmentation="rotation" min="0" max="45" step="1" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Scale jitter
+                  <input type="number" data-augmentation="scale" min="0" max="0.5" step="0.01" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Max translation
+                  <input type="number" data-augmentation="translation" min="0" max="0.3" step="0.01" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px;">Landmark noise
+                  <input type="number" data-augmentation="noise" min="0" max="0.05" step="0.001" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                </label>
+                <label style="display: flex; align-items: center; gap: 6px;">
+                  <input type="checkbox" data-augmentation="mirror"> Mirrored copies (swap left/right)
+                </label>
+              </div>
+              <button id="previewAugmentationBtn" class="upload-btn">Preview Augmentation</button>
+              <canvas id="augmentationPreview" width="480" height="240" style="display: none; width: 100%; max-width: 480px; margin-top: 10px; border: 1px solid #eee; border-radius: 4px; background: white;"></canvas>
+            </div>
+          </details>
           <button id="trainBtn" class="train-btn" disabled style="width: 100%;">Train Model</button>
+          <div id="trainingProgress" style="display: none; margin-top: 10px;">
+            <div id="trainingProgressText" style="font-size: 14px; color: #333; margin-bottom: 6px;"></div>
+            <div style="height: 8px; background: #eee; border-radius: 4px; overflow: hidden; margin-bottom: 10px;">
+              <div id="trainingProgressBar" style="height: 100%; width: 0%; background: #9C27B0; transition: width 0.2s;"></div>
+            </div>
+            <div style="display: flex; gap: 10px; flex-wrap: wrap; justify-content: center;">
+              <canvas id="lossChart" width="300" height="160" style="border: 1px solid #eee; border-radius: 4px;"></canvas>
+              <canvas id="accuracyChart" width="300" height="160" style="border: 1px solid #eee; border-radius: 4px;"></canvas>
+            </div>
+            <button id="cancelTrainingBtn" class="clear-btn" style="width: 100%; margin-top: 10px;">Cancel Training</button>
+          </div>
+        </div>
+      </div>
+      
+      <div class="training-section" style="margin-top: 20px;">
+        <h3>👋 Dynamic Gestures</h3>
+        <div class="training-controls">
+          <div class="training-controls-row">
+            <input type="text" id="gestureLabelInput" list="gestureLabelOptions" placeholder="Gesture label (e.g., swipe-left, wave, idle)" style="flex: 1; min-width: 200px; padding: 8px 12px; font-size: 14px; border: 1px solid #ddd; border-radius: 4px;">
+            <datalist id="gestureLabelOptions"></datalist>
+            <button id="recordClipBtn" class="capture-btn">Record Clip</button>
+          </div>
+          <div class="training-controls-row" style="font-size: 14px; color: #333;">
+            <label for="clipDurationInput">Clip length (ms):</label>
+            <input type="number" id="clipDurationInput" min="300" max="5000" step="100" style="width: 80px; padding: 4px;">
+            <label for="gestureThresholdInput">Threshold:</label>
+            <input type="number" id="gestureThresholdInput" min="0" max="1" step="0.05" style="width: 70px; padding: 4px;">
+            <label for="gestureCooldownInput">Cooldown (ms):</label>
+            <input type="number" id="gestureCooldownInput" min="0" max="10000" step="100" style="width: 80px; padding: 4px;">
+          </div>
+        </div>
+        <div style="font-size: 13px; color: #666; margin-bottom: 10px;">
+          Clips are recorded with the training camera above. Record a few clips per gesture, plus "${IDLE_GESTURE}" clips of your hand doing nothing in particular - they teach the model when not to fire.
+        </div>
+        <div id="gestureClipsList" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 10px; padding: 10px; background: white; border-radius: 4px; max-height: 300px; overflow-y: auto;">
+          <p style="grid-column: 1 / -1; color: #666; text-align: center; margin: 20px 0;">No gesture clips yet.</p>
+        </div>
+        <div style="margin-top: 15px; padding: 10px; background: white; border-radius: 4px;">
+          <label for="gestureModelNameInput" style="display: block; margin-bottom: 5px; font-weight: bold; color: #667eea;">Gesture Model Name:</label>
+          <input type="text" id="gestureModelNameInput" placeholder="Enter model name (e.g., MySwipes)" style="width: 100%; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 10px;">
+          <button id="trainGestureBtn" class="train-btn" style="width: 100%;">Train Gesture Model</button>
+          <button id="cancelGestureTrainingBtn" class="clear-btn" style="display: none; width: 100%; margin-top: 10px;">Cancel Training</button>
+          <div id="gestureStatus" style="margin-top: 10px; font-size: 14px; color: #333;"></div>
+        </div>
+        <div id="gestureModelsList" style="margin-top: 15px; max-height: 200px; overflow-y: auto; background: white; padding: 10px; border-radius: 4px;">
+          <p style="color: #666; margin: 0; text-align: center;">No gesture models saved yet.</p>
         </div>
       </div>
       
@@ -298,11 +763,69 @@ class HandDirectionDetector extends HTMLElement {
         <div id="modelsList" style="margin-bottom: 15px; max-height: 200px; overflow-y: auto; background: white; padding: 10px; border-radius: 4px;">
           <p style="color: #666; margin: 0; text-align: center;">No models saved yet. Train a model to get started.</p>
         </div>
+        <div id="evaluationReport" style="display: none; margin-bottom: 15px; background: white; padding: 10px; border-radius: 4px; position: relative;"></div>
+        <div class="training-controls">
+          <div class="training-controls-row">
+            <input type="file" id="modelImportInput" accept=".json,application/json">
+            <button id="importModelBtn" class="upload-btn">Import Model</button>
+          </div>
+        </div>
       </div>
       
       <div class="training-section" style="margin-top: 20px;">
         <h3>🧪 Test Mode</h3>
         <div class="training-controls">
+          <div class="training-controls-row">
+            <label for="numHandsSelect" style="font-weight: bold; color: #667eea;">Hands to detect:</label>
+            <select id="numHandsSelect">
+              <option value="1">1</option>
+              <option value="2">2</option>
+              <option value="3">3</option>
+              <option value="4">4</option>
+            </select>
+          </div>
+          <div class="training-controls-row" style="font-size: 14px; color: #333;">
+            <label for="smoothingSelect" style="font-weight: bold; color: #667eea;">Smoothing:</label>
+            <select id="smoothingSelect">
+              <option value="none">Off</option>
+              <option value="ema">Exponential</option>
+              <option value="moving-average">Moving average</option>
+            </select>
+            <label for="smoothingStrength">Strength:</label>
+            <input type="range" id="smoothingStrength" min="0" max="0.95" step="0.05" style="width: 100px;">
+            <label for="holdTimeInput">Hold (ms):</label>
+            <input type="number" id="holdTimeInput" min="0" max="2000" step="50" style="width: 70px; padding: 4px;">
+            <label for="hysteresisInput">Hysteresis:</label>
+            <input type="number" id="hysteresisInput" min="0" max="1" step="0.05" title="Probability margin a new label needs over the displayed one" style="width: 60px; padding: 4px;">
+          </div>
+          <div class="training-controls-row" style="font-size: 14px; color: #333;">
+            <label for="detectionModeSelect" style="font-weight: bold; color: #667eea;">Detection:</label>
+            <select id="detectionModeSelect">
+              <option value="model">Trained model</option>
+              <option value="geometric">Geometric (no training)</option>
+            </select>
+            <label for="geometricSectorsSelect">Sectors:</label>
+            <select id="geometricSectorsSelect">
+              <option value="4">4 (up/down/left/right)</option>
+              <option value="8">8 (with diagonals)</option>
+            </select>
+            <label for="sectorWidthInput">Sector width (°):</label>
+            <input type="number" id="sectorWidthInput" min="1" max="90" step="5" title="Angle each direction covers; the rest of its sector is a dead zone" style="width: 60px; padding: 4px;">
+            <label for="minExtensionInput">Min. extension:</label>
+            <input type="number" id="minExtensionInput" min="0" max="0.5" step="0.01" title="Shortest index finger (base to tip, fraction of the frame) that counts as pointing" style="width: 60px; padding: 4px;">
+          </div>
+          <div class="training-controls-row" style="font-size: 14px; color: #333;">
+            <label style="display: flex; align-items: center; gap: 4px; font-weight: bold; color: #667eea;">
+              <input type="checkbox" id="pointerModeToggle"> Pointer mode
+            </label>
+            <label for="dwellTimeInput">Dwell click (ms, 0 = off):</label>
+            <input type="number" id="dwellTimeInput" min="0" max="5000" step="100" style="width: 70px; padding: 4px;">
+            <span>Active region (%):</span>
+            <input type="number" data-pointer-region="x" min="0" max="90" step="5" title="Left" style="width: 50px; padding: 4px;">
+            <input type="number" data-pointer-region="y" min="0" max="90" step="5" title="Top" style="width: 50px; padding: 4px;">
+            <input type="number" data-pointer-region="width" min="10" max="100" step="5" title="Width" style="width: 50px; padding: 4px;">
+            <input type="number" data-pointer-region="height" min="10" max="100" step="5" title="Height" style="width: 50px; padding: 4px;">
+          </div>
           <button id="testBtn" class="toggle-btn" disabled>Start Test</button>
           <button id="stopTestBtn" class="clear-btn" style="display: none;">Stop Test</button>
         </div>
@@ -319,9 +842,12 @@ class HandDirectionDetector extends HTMLElement {
                <span id="testConfidenceValue" style="font-family: 'Courier New', monospace;">--</span>
              </div>
            </div>
+           <div id="testComparisonDisplay" style="margin-top: 8px; font-size: 13px; color: #555; font-family: 'Courier New', monospace;"></div>
+           <div id="testGestureDisplay" style="display: none; margin-top: 10px; padding: 10px 15px; border-radius: 8px; text-align: center; font-size: 20px; font-weight: bold; background: rgba(156, 39, 176, 0.9); color: #fff;"></div>
+           <div id="testHandsList" style="display: none; margin-top: 10px; padding: 10px; background: white; border-radius: 4px; font-size: 14px; color: #333; text-align: left;"></div>
         </div>
         <div id="testStatus" style="margin-top: 10px; padding: 10px; background: white; border-radius: 4px; font-size: 14px; color: #333;">
-          <strong>Status:</strong> Select a model from the list above to enable testing.
+          <strong>Status:</strong> Select a model from the list above, or choose Geometric (no training) detection, to enable testing.
         </div>
       </div>
     `;
@@ -335,14 +861,56 @@ class HandDirectionDetector extends HTMLElement {
     this.takeScreenshotBtn = this.shadowRoot.getElementById('takeScreenshotBtn');
     this.closeCameraBtn = this.shadowRoot.getElementById('closeCameraBtn');
     this.trainBtn = this.shadowRoot.getElementById('trainBtn');
+    this.trainingProgressPanel = this.shadowRoot.getElementById('trainingProgress');
+    this.trainingProgressText = this.shadowRoot.getElementById('trainingProgressText');
+    this.trainingProgressBar = this.shadowRoot.getElementById('trainingProgressBar');
+    this.lossChart = this.shadowRoot.getElementById('lossChart');
+    this.accuracyChart = this.shadowRoot.getElementById('accuracyChart');
+    this.cancelTrainingBtn = this.shadowRoot.getElementById('cancelTrainingBtn');
+    this.trainingConfigInputs = this.shadowRoot.querySelectorAll('#advancedTraining [data-config]');
+    this.resetTrainingConfigBtn = this.shadowRoot.getElementById('resetTrainingConfigBtn');
+    this.augmentationInputs = this.shadowRoot.querySelectorAll('#advancedTraining [data-augmentation]');
+    this.previewAugmentationBtn = this.shadowRoot.getElementById('previewAugmentationBtn');
+    this.augmentationPreview = this.shadowRoot.getElementById('augmentationPreview');
     this.clearBtn = this.shadowRoot.getElementById('clearBtn');
     this.directionSelect = this.shadowRoot.getElementById('directionSelect');
+    this.newLabelInput = this.shadowRoot.getElementById('newLabelInput');
+    this.addLabelBtn = this.shadowRoot.getElementById('addLabelBtn');
+    this.addDiagonalsBtn = this.shadowRoot.getElementById('addDiagonalsBtn');
+    this.removeLabelBtn = this.shadowRoot.getElementById('removeLabelBtn');
     this.fileInput = this.shadowRoot.getElementById('fileInput');
+    this.datasetZipInput = this.shadowRoot.getElementById('datasetZipInput');
+    this.datasetFolderInput = this.shadowRoot.getElementById('datasetFolderInput');
+    this.exportDatasetBtn = this.shadowRoot.getElementById('exportDatasetBtn');
+    this.importDatasetBtn = this.shadowRoot.getElementById('importDatasetBtn');
+    this.importFolderBtn = this.shadowRoot.getElementById('importFolderBtn');
+    this.recomputeFeaturesBtn = this.shadowRoot.getElementById('recomputeFeaturesBtn');
+    this.recomputeProgressPanel = this.shadowRoot.getElementById('recomputeProgress');
+    this.recomputeProgressText = this.shadowRoot.getElementById('recomputeProgressText');
+    this.recomputeProgressBar = this.shadowRoot.getElementById('recomputeProgressBar');
+    this.cancelRecomputeBtn = this.shadowRoot.getElementById('cancelRecomputeBtn');
     this.trainingStats = this.shadowRoot.getElementById('trainingStats');
     this.trainingCameraContainer = this.shadowRoot.getElementById('trainingCameraContainer');
     this.trainingVideo = this.shadowRoot.getElementById('trainingVideo');
     this.modelNameInput = this.shadowRoot.getElementById('modelNameInput');
     this.trainingDataTable = this.shadowRoot.getElementById('trainingDataTable');
+    this.featureSetSelect = this.shadowRoot.getElementById('featureSetSelect');
+    this.featureIncludeZ = this.shadowRoot.getElementById('featureIncludeZ');
+    this.featureIncludeAngles = this.shadowRoot.getElementById('featureIncludeAngles');
+    
+    // Dynamic gesture UI elements
+    this.gestureLabelInput = this.shadowRoot.getElementById('gestureLabelInput');
+    this.gestureLabelOptions = this.shadowRoot.getElementById('gestureLabelOptions');
+    this.recordClipBtn = this.shadowRoot.getElementById('recordClipBtn');
+    this.clipDurationInput = this.shadowRoot.getElementById('clipDurationInput');
+    this.gestureThresholdInput = this.shadowRoot.getElementById('gestureThresholdInput');
+    this.gestureCooldownInput = this.shadowRoot.getElementById('gestureCooldownInput');
+    this.gestureClipsList = this.shadowRoot.getElementById('gestureClipsList');
+    this.gestureModelNameInput = this.shadowRoot.getElementById('gestureModelNameInput');
+    this.trainGestureBtn = this.shadowRoot.getElementById('trainGestureBtn');
+    this.cancelGestureTrainingBtn = this.shadowRoot.getElementById('cancelGestureTrainingBtn');
+    this.gestureStatus = this.shadowRoot.getElementById('gestureStatus');
+    this.gestureModelsList = this.shadowRoot.getElementById('gestureModelsList');
     
     // Verify element was found
     if (!this.trainingDataTable) {
@@ -353,6 +921,9 @@ class HandDirectionDetector extends HTMLElement {
     
     // Model management UI elements
     this.modelsList = this.shadowRoot.getElementById('modelsList');
+    this.modelImportInput = this.shadowRoot.getElementById('modelImportInput');
+    this.importModelBtn = this.shadowRoot.getElementById('importModelBtn');
+    this.evaluationReport = this.shadowRoot.getElementById('evaluationReport');
     
     // Test mode UI elements
     this.testBtn = this.shadowRoot.getElementById('testBtn');
@@ -367,25 +938,129 @@ class HandDirectionDetector extends HTMLElement {
     this.testConfidenceDisplay = this.shadowRoot.getElementById('testConfidenceDisplay');
     this.testConfidenceValue = this.shadowRoot.getElementById('testConfidenceValue');
     this.testStatus = this.shadowRoot.getElementById('testStatus');
+    this.applyMirror();
+    this.testHandsList = this.shadowRoot.getElementById('testHandsList');
+    this.testGestureDisplay = this.shadowRoot.getElementById('testGestureDisplay');
+    this.numHandsSelect = this.shadowRoot.getElementById('numHandsSelect');
+    this.smoothingSelect = this.shadowRoot.getElementById('smoothingSelect');
+    this.smoothingStrengthSlider = this.shadowRoot.getElementById('smoothingStrength');
+    this.holdTimeInput = this.shadowRoot.getElementById('holdTimeInput');
+    this.hysteresisInput = this.shadowRoot.getElementById('hysteresisInput');
+    this.pointerModeToggle = this.shadowRoot.getElementById('pointerModeToggle');
+    this.dwellTimeInput = this.shadowRoot.getElementById('dwellTimeInput');
+    this.pointerRegionInputs = this.shadowRoot.querySelectorAll('[data-pointer-region]');
+    this.detectionModeSelect = this.shadowRoot.getElementById('detectionModeSelect');
+    this.geometricSectorsSelect = this.shadowRoot.getElementById('geometricSectorsSelect');
+    this.sectorWidthInput = this.shadowRoot.getElementById('sectorWidthInput');
+    this.minExtensionInput = this.shadowRoot.getElementById('minExtensionInput');
+    this.testComparisonDisplay = this.shadowRoot.getElementById('testComparisonDisplay');
     
     // Setup button handlers - use arrow functions to preserve 'this' context
     this.uploadBtn.addEventListener('click', () => this.fileInput.click());
     this.fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
+    this.exportDatasetBtn.addEventListener('click', () => this.downloadDataset());
+    this.importDatasetBtn.addEventListener('click', () => this.datasetZipInput.click());
+    this.importFolderBtn.addEventListener('click', () => this.datasetFolderInput.click());
+    this.recomputeFeaturesBtn.addEventListener('click', () => this.handleRecomputeFeatures());
+    this.cancelRecomputeBtn.addEventListener('click', () => this.cancelRecompute());
+    this.datasetZipInput.addEventListener('change', (e) => this.handleDatasetImport(e));
+    this.datasetFolderInput.addEventListener('change', (e) => this.handleDatasetImport(e));
     this.openCameraBtn.addEventListener('click', () => this.openTrainingCamera());
     this.takeScreenshotBtn.addEventListener('click', () => this.takeScreenshot());
     this.closeCameraBtn.addEventListener('click', () => this.closeTrainingCamera());
     this.trainBtn.addEventListener('click', () => this.trainModel());
+    this.cancelTrainingBtn.addEventListener('click', () => this.cancelTraining());
+    this.updateTrainingConfigControls();
+    this.trainingConfigInputs.forEach(input => {
+      input.addEventListener('change', () => this.setTrainingConfig({ [input.dataset.config]: input.value }));
+    });
+    this.resetTrainingConfigBtn.addEventListener('click', () => this.setTrainingConfig(this.getDefaultTrainingConfig()));
+    this.updateAugmentationControls();
+    this.augmentationInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        this.setAugmentationOptions({ [input.dataset.augmentation]: input.type === 'checkbox' ? input.checked : input.value });
+      });
+    });
+    this.previewAugmentationBtn.addEventListener('click', () => this.previewAugmentation());
     this.clearBtn.addEventListener('click', () => this.clearTrainingData());
     this.testBtn.addEventListener('click', () => this.startTestMode());
     this.stopTestBtn.addEventListener('click', () => this.stopTestMode());
+    this.importModelBtn.addEventListener('click', () => this.modelImportInput.click());
+    this.modelImportInput.addEventListener('change', (e) => this.handleModelImport(e));
+    this.numHandsSelect.value = String(this.maxNumHands);
+    this.numHandsSelect.addEventListener('change', () => this.setNumHands(parseInt(this.numHandsSelect.value)));
+    
+    // Setup smoothing controls
+    this.updateSmoothingControls();
+    this.smoothingSelect.addEventListener('change', () => this.setSmoothingOptions({ method: this.smoothingSelect.value }));
+    this.smoothingStrengthSlider.addEventListener('input', () => this.setSmoothingOptions({ strength: parseFloat(this.smoothingStrengthSlider.value) }));
+    this.holdTimeInput.addEventListener('change', () => this.setSmoothingOptions({ holdTime: parseFloat(this.holdTimeInput.value) }));
+    this.hysteresisInput.addEventListener('change', () => this.setSmoothingOptions({ hysteresis: parseFloat(this.hysteresisInput.value) }));
+    
+    // Setup detection mode and geometric controls
+    // The sector width is the part of each sector that reports a direction - the rest is its dead zone
+    this.updateGeometricControls();
+    this.detectionModeSelect.addEventListener('change', () => this.setDetectionMode(this.detectionModeSelect.value));
+    this.geometricSectorsSelect.addEventListener('change', () => {
+      // Keep the sector width's share of the sector, so 70° of 90° becomes 35° of 45° rather than a sliver
+      const sectors = parseInt(this.geometricSectorsSelect.value);
+      const share = 1 - this.geometricOptions.deadZone / (360 / this.geometricOptions.sectors);
+      this.setGeometricOptions({ sectors: sectors, deadZone: (360 / sectors) * (1 - share) });
+    });
+    this.sectorWidthInput.addEventListener('change', () => {
+      const width = parseFloat(this.sectorWidthInput.value);
+      if (!isNaN(width)) {
+        this.setGeometricOptions({ deadZone: 360 / this.geometricOptions.sectors - width });
+      }
+    });
+    this.minExtensionInput.addEventListener('change', () => this.setGeometricOptions({ minExtension: this.minExtensionInput.value }));
+    
+    // Setup pointer mode controls (the region is edited in percent)
+    this.updatePointerControls();
+    this.pointerModeToggle.addEventListener('change', () => this.setPointerOptions({ enabled: this.pointerModeToggle.checked }));
+    this.dwellTimeInput.addEventListener('change', () => this.setPointerOptions({ dwellTime: this.dwellTimeInput.value }));
+    this.pointerRegionInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        this.setPointerOptions({ region: { [input.dataset.pointerRegion]: parseFloat(input.value) / 100 } });
+      });
+    });
+    this.addLabelBtn.addEventListener('click', () => this.addLabel(this.newLabelInput.value));
+    this.addDiagonalsBtn.addEventListener('click', () => this.addDiagonalLabels());
+    this.newLabelInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.addLabel(this.newLabelInput.value);
+      }
+    });
+    this.removeLabelBtn.addEventListener('click', () => this.removeLabel(this.directionSelect.value));
+    
+    // Setup feature set controls
+    this.featureSetSelect.value = this.featureSchema.type;
+    this.featureIncludeZ.checked = !!this.featureSchema.includeZ;
+    this.featureIncludeAngles.checked = !!this.featureSchema.includeAngles;
+    this.updateFeatureSetControls();
+    [this.featureSetSelect, this.featureIncludeZ, this.featureIncludeAngles].forEach(control => {
+      control.addEventListener('change', () => this.handleFeatureSetChange());
+    });
+    
+    // Setup dynamic gesture controls
+    this.recordClipBtn.addEventListener('click', () => this.handleRecordClip());
+    this.trainGestureBtn.addEventListener('click', () => this.handleTrainGestureModel());
+    this.cancelGestureTrainingBtn.addEventListener('click', () => this.cancelTraining());
+    this.updateGestureControls();
+    this.clipDurationInput.addEventListener('change', () => this.setGestureOptions({ clipDuration: this.clipDurationInput.value }));
+    this.gestureThresholdInput.addEventListener('change', () => this.setGestureOptions({ threshold: this.gestureThresholdInput.value }));
+    this.gestureCooldownInput.addEventListener('change', () => this.setGestureOptions({ cooldown: this.gestureCooldownInput.value }));
     
     // Load saved models and update UI
     this.loadSavedModels();
+    this.updateGestureModelsList();
+    this.updateGestureClipsList();
     
     // Update training data display (data was loaded in constructor, but elements are now ready)
+    this.updateLabelSelect();
     this.updateTrainingStats();
     this.updateTrainingDataTable();
-    this.trainBtn.disabled = this.trainingData.length === 0;
+    this.updateTrainButton();
     
     // Debug: Log to verify data and element
     console.log('After render - Training data count:', this.trainingData.length);
@@ -395,6 +1070,140 @@ class HandDirectionDetector extends HTMLElement {
     }
   }
 
+  renderHeadless() {
+    // Only the test video and overlay canvas are rendered - the camera still needs a <video> to play into
+    // headless="video" shows the preview while start() is running, plain headless keeps the element invisible
+    const showVideo = this.getAttribute('headless') === 'video';
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: ${showVideo ? 'block' : 'none'};
+          width: 100%;
+          box-sizing: border-box;
+        }
+        
+        video {
+          width: 100%;
+          height: auto;
+          display: block;
+          border-radius: 8px;
+          background: #000;
+          transform: scaleX(-1);
+        }
+        
+        canvas {
+          position: absolute;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          pointer-events: none;
+        }
+      </style>
+      <div id="testCameraContainer" style="display: none; position: relative;">
+        <video id="testVideo" autoplay playsinline muted></video>
+        <canvas id="testCanvas"></canvas>
+      </div>
+    `;
+
+    this.testCameraContainer = this.shadowRoot.getElementById('testCameraContainer');
+    this.testVideo = this.shadowRoot.getElementById('testVideo');
+    this.testCanvas = this.shadowRoot.getElementById('testCanvas');
+    this.testCtx = this.testCanvas.getContext('2d');
+    this.applyMirror();
+    this.loadSavedModels();
+  }
+
+  // Public JS API - used by headless embeds, but works the same with the full UI rendered
+  // Methods reject with an Error instead of showing alerts, and also dispatch the usual events
+  
+  // Add a training sample from an image source (img, canvas, video, ImageBitmap, File/Blob or URL)
+  async addSample(source, label) {
+    const normalizedLabel = this.normalizeLabel(label);
+    if (!normalizedLabel) {
+      throw new Error('A label is required');
+    }
+    if (!this.mediaPipeReady || !this.imageHandLandmarker) {
+      throw new Error('MediaPipe not initialized yet');
+    }
+
+    const image = await this.resolveImageSource(source);
+    const landmarks = await this.detectHandsInImage(image);
+    if (!landmarks || landmarks.length === 0) {
+      throw new Error('No hand detected in image');
+    }
+
+    if (!this.labels.includes(normalizedLabel)) {
+      this.labels.push(normalizedLabel);
+      this.saveLabels();
+      this.updateLabelSelect();
+    }
+
+    const sample = await this.createSample(landmarks[0], normalizedLabel, image, { source: 'api' });
+    this.updateTrainingStats();
+    this.updateTrainingDataTable();
+    this.updateTrainButton();
+    return sample;
+  }
+
+  // Metadata of every saved model version (pass an id to selectModel); getModelFamilies() groups them by name
+  getModels() {
+    return this.loadSavedModelsList();
+  }
+
+  // Classify every hand in a single image with the selected model
+  // Still images are read as they appear, like uploaded training images, and are not smoothed
+  async predict(source) {
+    const geometric = this.detectionMode === 'geometric';
+    if (!geometric && (!this.trainedModel || !this.selectedModelInfo)) {
+      throw new Error('No model selected');
+    }
+    if (!this.mediaPipeReady || !this.imageHandLandmarker) {
+      throw new Error('MediaPipe not initialized yet');
+    }
+
+    const image = await this.resolveImageSource(source);
+    const results = this.imageHandLandmarker.detect(image);
+    const handednessList = results.handedness || results.handednesses || [];
+
+    const hands = (results.landmarks || []).map((landmarks, handIndex) => {
+      // The un-mirrored coordinates are only used for geometric validation
+      const unmirroredLandmarks = landmarks.map(landmark => ({ x: 1 - landmark.x, y: landmark.y, z: landmark.z }));
+      const modelResult = this.trainedModel ? this.detectDirectionWithTrainedModel(landmarks, unmirroredLandmarks) : null;
+      const handedness = this.getHandedness(handednessList[handIndex], true);
+      const geometry = this.measureDirection(unmirroredLandmarks);
+      const result = geometric ? (geometry.label ? { direction: geometry.label, confidence: geometry.confidence } : null) : modelResult;
+      return {
+        handIndex: handIndex,
+        handedness: handedness ? handedness.label : null,
+        label: result ? result.direction : null,
+        confidence: result ? result.confidence : null,
+        probabilities: result ? result.probabilities || null : null,
+        angle: geometry.angle,
+        extension: geometry.extension,
+        geometricLabel: geometry.label,
+        modelLabel: modelResult ? modelResult.direction : null,
+        modelConfidence: modelResult ? modelResult.confidence : null,
+        landmarks: landmarks
+      };
+    });
+
+    return {
+      label: hands[0] ? hands[0].label : null,
+      confidence: hands[0] ? hands[0].confidence : null,
+      probabilities: hands[0] ? hands[0].probabilities : null,
+      angle: hands[0] ? hands[0].angle : null,
+      extension: hands[0] ? hands[0].extension : null,
+      geometricLabel: hands[0] ? hands[0].geometricLabel : null,
+      modelLabel: hands[0] ? hands[0].modelLabel : null,
+      modelConfidence: hands[0] ? hands[0].modelConfidence : null,
+      detectionMode: this.detectionMode,
+      modelId: this.selectedModelId,
+      modelName: this.selectedModelInfo ? this.selectedModelInfo.name : null,
+      hands: hands
+    };
+  }
+
   async initializeMediaPipe() {
     try {
       // Wait for MediaPipe to be loaded
@@ -413,109 +1222,173 @@ class HandDirectionDetector extends HTMLElement {
         throw new Error('MediaPipe libraries not loaded');
       }
 
-      this.statusText.textContent = 'Initializing MediaPipe...';
-
-      const FilesetResolver = window.MediaPipeFilesetResolver;
-      const HandLandmarker = window.MediaPipeHandLandmarker;
-
-      const vision = await FilesetResolver.forVisionTasks(
-        "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-      );
+      this.setStatus('Initializing MediaPipe...');
 
       // Create landmarker for image processing (used in training and test mode)
-      // Lower confidence thresholds for better detection in training images
-      this.imageHandLandmarker = await HandLandmarker.createFromOptions(vision, {
-        baseOptions: {
-          modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-          delegate: "CPU"
-        },
-        numHands: 1,
-        runningMode: "IMAGE",
-        minHandDetectionConfidence: 0.3,  // Lowered from 0.5 for better detection
-        minHandPresenceConfidence: 0.3,    // Lowered from 0.5 for better detection
-        minTrackingConfidence: 0.3         // Lowered from 0.5 for better detection
-      });
+      // Lower confidence thresholds (0.3 instead of 0.5) for better detection in training images
+      this.imageHandLandmarker = await this.createHandLandmarker("IMAGE", 0.3);
 
       this.mediaPipeReady = true;
-      this.statusText.textContent = 'MediaPipe initialized. Ready for training and testing.';
+      this.setStatus('MediaPipe initialized. Ready for training and testing.');
     } catch (error) {
       console.error('Error initializing MediaPipe:', error);
-      this.statusText.textContent = `Error: ${error.message}. Check console (F12) for details.`;
+      this.dispatchDetectorEvent('error', { context: 'initialize', message: error.message, error: error });
+      this.setStatus(`Error: ${error.message}. Check console (F12) for details.`);
     }
   }
 
-  detectDirection(landmarks) {
-    const indexTip = landmarks[this.INDEX_FINGER_TIP];
-    const indexMCP = landmarks[this.INDEX_FINGER_MCP];
-    
-    // Calculate vector from index finger MCP (base) to tip (pointing direction)
-    // This gives us the actual direction the finger is pointing
-    // Note: In MediaPipe coordinates, y increases downward (0=top, 1=bottom)
-    const dx = indexTip.x - indexMCP.x;
-    const dy = indexTip.y - indexMCP.y;
-    
-    // Calculate distance to determine if finger is extended
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Check if index finger is extended enough
-    if (distance < 0.08) {
-      return null; // Finger not extended enough
+  // Hand landmarker from the configured wasm fileset and model (see asset-config.js)
+  // Local vendor/ copies are tried before the CDN unless wasm-path / hand-model-url point elsewhere
+  async createHandLandmarker(runningMode, minConfidence) {
+    const FilesetResolver = window.MediaPipeFilesetResolver;
+    const HandLandmarker = window.MediaPipeHandLandmarker;
+
+    if (!this.visionFileset) {
+      // forVisionTasks() only records the path, so check that the loader is really there first
+      this.visionFileset = await firstAvailable(resolveAssetUrls('wasm', this, 'wasm-path'), async url => {
+        const response = await fetch(`${url.replace(/\/$/, '')}/vision_wasm_internal.js`, { method: 'HEAD' });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return FilesetResolver.forVisionTasks(url);
+      });
     }
-    
+
+    // The model is fetched when the landmarker is created, so a missing file fails here
+    const modelUrls = this.handModelAssetUrl ? [this.handModelAssetUrl] : resolveAssetUrls('handLandmarker', this, 'hand-model-url');
+    return firstAvailable(modelUrls, async url => {
+      const landmarker = await HandLandmarker.createFromOptions(this.visionFileset, {
+        baseOptions: {
+          modelAssetPath: url,
+          delegate: "CPU"
+        },
+        numHands: this.maxNumHands,
+        runningMode: runningMode,
+        minHandDetectionConfidence: minConfidence,
+        minHandPresenceConfidence: minConfidence,
+        minTrackingConfidence: minConfidence
+      });
+      this.handModelAssetUrl = url;
+      return landmarker;
+    });
+  }
+
+  // Rule-based direction of the index finger: { label, confidence, angle, extension }
+  // label is null when the finger isn't extended enough or points into a dead zone between sectors
+  // confidence is how close the finger is to the center of its sector
+  measureDirection(landmarks, options = this.geometricOptions) {
     // IMPORTANT: MediaPipe processes the original (non-mirrored) video stream
     // The video display is mirrored (scaleX(-1)) but MediaPipe sees the original
-    // So we need to flip x coordinate to account for mirrored display
-    // This way, when user points left, we detect left correctly
-    
-    // Flip x coordinate to account for mirrored display
-    const userDx = -dx;  // Flip for user's perspective
-    const userDy = dy;   // Y doesn't need flipping (up/down are the same)
-    
-    // Use angle-based detection for more accurate direction
-    // Math.atan2(dy, dx) returns:
-    // - Right (dx > 0, dy = 0): 0°
-    // - Down (dx = 0, dy > 0): 90°
-    // - Left (dx < 0, dy = 0): 180° or -180°
-    // - Up (dx = 0, dy < 0): -90° or 270°
-    const angle = Math.atan2(userDy, userDx) * (180 / Math.PI);
-    
-    // Normalize angle to 0-360 range
-    let normalizedAngle = angle;
-    if (normalizedAngle < 0) {
-      normalizedAngle += 360;
-    }
-    
-    // Map angle to direction with 45° tolerance zones
-    // Right: -45° to 45° (or 315° to 360° and 0° to 45°)
-    // Down: 45° to 135°
-    // Left: 135° to 225°
-    // Up: 225° to 315°
-    
-    if ((normalizedAngle >= 0 && normalizedAngle < 45) || 
-        (normalizedAngle >= 315 && normalizedAngle <= 360)) {
-      return 'right';
-    } else if (normalizedAngle >= 45 && normalizedAngle < 135) {
-      return 'down';
-    } else if (normalizedAngle >= 135 && normalizedAngle < 225) {
-      return 'left';
-    } else if (normalizedAngle >= 225 && normalizedAngle < 315) {
-      return 'up';
-    }
-    
-    // Fallback (shouldn't reach here)
-    return null;
+    // So we flip x to the user's perspective - when the user points left, we detect left
+    const toUserView = landmark => ({ x: 1 - landmark.x, y: landmark.y });
+    return geometricDirection(
+      toUserView(landmarks[this.INDEX_FINGER_MCP]),
+      toUserView(landmarks[this.INDEX_FINGER_TIP]),
+      normalizeGeometricOptions(options)
+    );
   }
 
-  // Training methods
-  async handleFileUpload(event) {
-    const files = event.target.files;
+  // With the default options: four 90° sectors centered on right/down/left/up, finger extended at least 0.08
+  detectDirection(landmarks, options = this.geometricOptions) {
+    return this.measureDirection(landmarks, options).label;
+  }
+
+  // Geometric check of a directional model's prediction: sectors to match its labels (4 or 8), no dead zones
+  // Returns null for models with labels that aren't directions
+  validationDirection(landmarks, trainedClasses) {
+    const sectors = directionSectorCount(trainedClasses);
+    return sectors ? this.detectDirection(landmarks, { ...this.geometricOptions, sectors: sectors, deadZone: 0 }) : null;
+  }
+
+  // Geometric Direction Methods
+  loadGeometricOptions() {
+    try {
+      const saved = localStorage.getItem('handDirectionGeometricOptions');
+      if (saved) {
+        return normalizeGeometricOptions(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading geometric options:', error);
+    }
+    return normalizeGeometricOptions(DEFAULT_GEOMETRIC_OPTIONS);
+  }
+
+  // Public API: tune the rule-based direction: sectors (2-16; 4 and 8 are named directions), deadZone
+  // (degrees around each sector border without a direction), minExtension (MCP -> tip distance); partial options are merged
+  setGeometricOptions(options) {
+    this.geometricOptions = normalizeGeometricOptions({ ...this.geometricOptions, ...options });
+    try {
+      localStorage.setItem('handDirectionGeometricOptions', JSON.stringify(this.geometricOptions));
+    } catch (error) {
+      console.error('Error saving geometric options:', error);
+    }
+    this.updateGeometricControls();
+    return this.geometricOptions;
+  }
+
+  loadDetectionMode() {
+    try {
+      const saved = localStorage.getItem('handDirectionDetectionMode');
+      if (this.DETECTION_MODES.includes(saved)) {
+        return saved;
+      }
+    } catch (error) {
+      console.error('Error loading detection mode:', error);
+    }
+    return 'model';
+  }
+
+  // Public API: label test mode with the selected trained model ('model') or the finger angle ('geometric')
+  // Geometric mode needs no training, so test mode can start without a model
+  setDetectionMode(mode) {
+    if (!this.DETECTION_MODES.includes(mode)) {
+      throw new Error(`Unknown detection mode "${mode}" (expected ${this.DETECTION_MODES.join(' or ')})`);
+    }
+    if (mode !== this.detectionMode) {
+      this.detectionMode = mode;
+      // Smoothed labels from the other source would otherwise linger
+      this.resetSmoothers();
+    }
+    try {
+      localStorage.setItem('handDirectionDetectionMode', mode);
+    } catch (error) {
+      console.error('Error saving detection mode:', error);
+    }
+    this.updateGeometricControls();
+    this.updateTestButton();
+    if (this.isTestModeActive) {
+      this.setTestStatus(this.describeTestMode());
+    }
+    return this.detectionMode;
+  }
+
+  updateGeometricControls() {
+    if (!this.detectionModeSelect) return;
+    this.detectionModeSelect.value = this.detectionMode;
+    
+    // Sector counts set through setGeometricOptions() get their own entry
+    const sectors = String(this.geometricOptions.sectors);
+    if (![...this.geometricSectorsSelect.options].some(option => option.value === sectors)) {
+      this.geometricSectorsSelect.add(new Option(`${sectors} (sector-1 … sector-${sectors})`, sectors));
+    }
+    this.geometricSectorsSelect.value = sectors;
+    
+    const sectorSize = 360 / this.geometricOptions.sectors;
+    this.sectorWidthInput.max = String(Math.floor(sectorSize));
+    this.sectorWidthInput.value = String(Math.round((sectorSize - this.geometricOptions.deadZone) * 10) / 10);
+    this.minExtensionInput.value = String(this.geometricOptions.minExtension);
+  }
+
+  // Training methods
+  async handleFileUpload(event) {
+    const files = event.target.files;
     if (!files || files.length === 0) return;
 
     const direction = this.directionSelect.value;
     let processedCount = 0;
     let errorCount = 0;
 
-    this.statusText.textContent = `Processing ${files.length} image(s)...`;
+    this.setStatus(`Processing ${files.length} image(s)...`);
 
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
@@ -524,22 +1397,7 @@ class HandDirectionDetector extends HTMLElement {
         const landmarks = await this.detectHandsInImage(image);
         
         if (landmarks && landmarks.length > 0) {
-          const features = this.extractFeatures(landmarks[0]);
-          
-          // Convert image to data URL for display
-          const canvas = document.createElement('canvas');
-          canvas.width = image.width || image.naturalWidth;
-          canvas.height = image.height || image.naturalHeight;
-          const ctx = canvas.getContext('2d');
-          ctx.drawImage(image, 0, 0);
-          const imageDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-          
-          this.trainingData.push({
-            features: features,
-            label: direction,
-            imageDataUrl: imageDataUrl,
-            timestamp: Date.now()
-          });
+          await this.createSample(landmarks[0], direction, image, { source: 'upload', fileName: file.name });
           processedCount++;
         } else {
           errorCount++;
@@ -547,6 +1405,7 @@ class HandDirectionDetector extends HTMLElement {
         }
       } catch (error) {
         console.error(`Error processing image ${file.name}:`, error);
+        this.dispatchDetectorEvent('error', { context: 'upload', message: error.message, error: error, fileName: file.name });
         errorCount++;
       }
     }
@@ -554,22 +1413,17 @@ class HandDirectionDetector extends HTMLElement {
     // Clear file input
     this.fileInput.value = '';
 
-    // Save to localStorage
-    this.saveTrainingData();
-
     // Update UI
     this.updateTrainingStats();
     this.updateTrainingDataTable();
-    this.trainBtn.disabled = this.trainingData.length === 0;
+    this.updateTrainButton();
 
     // Show feedback
     if (processedCount > 0) {
-      this.statusText.textContent = `Processed ${processedCount} ${direction.toUpperCase()} sample(s) (Total: ${this.trainingData.length})`;
-      if (errorCount > 0) {
-        this.statusText.textContent += `. ${errorCount} image(s) had no hand detected.`;
-      }
+      const errorText = errorCount > 0 ? `. ${errorCount} image(s) had no hand detected.` : '';
+      this.setStatus(`Processed ${processedCount} ${direction.toUpperCase()} sample(s) (Total: ${this.trainingData.length})${errorText}`);
     } else {
-      this.statusText.textContent = `No hands detected in uploaded images. Please try different images.`;
+      this.setStatus(`No hands detected in uploaded images. Please try different images.`);
     }
   }
 
@@ -586,7 +1440,7 @@ class HandDirectionDetector extends HTMLElement {
 
       // Request camera access
       this.trainingStream = await navigator.mediaDevices.getUserMedia({ 
-        video: { width: 640, height: 480 } 
+        video: this.getCameraConstraints()
       });
       
       this.trainingVideo.srcObject = this.trainingStream;
@@ -616,9 +1470,10 @@ class HandDirectionDetector extends HTMLElement {
       this.closeCameraBtn.style.display = 'inline-block';
       
       this.isTrainingCameraOpen = true;
-      this.statusText.textContent = 'Training camera ready. Position your hand and click "Take Screenshot"';
+      this.setStatus('Training camera ready. Position your hand and click "Take Screenshot"');
     } catch (error) {
       console.error('Error opening training camera:', error);
+      this.dispatchDetectorEvent('error', { context: 'training-camera', message: error.message, error: error });
       alert(`Error opening camera: ${error.message}. Please check permissions.`);
     }
   }
@@ -634,14 +1489,16 @@ class HandDirectionDetector extends HTMLElement {
       this.trainingVideo.srcObject = null;
     }
     
-    // Hide training camera and buttons
-    this.trainingCameraContainer.style.display = 'none';
-    this.openCameraBtn.style.display = 'inline-block';
-    this.takeScreenshotBtn.style.display = 'none';
-    this.closeCameraBtn.style.display = 'none';
+    // Hide training camera and buttons (not rendered in headless mode)
+    if (this.trainingCameraContainer) {
+      this.trainingCameraContainer.style.display = 'none';
+      this.openCameraBtn.style.display = 'inline-block';
+      this.takeScreenshotBtn.style.display = 'none';
+      this.closeCameraBtn.style.display = 'none';
+    }
     
     this.isTrainingCameraOpen = false;
-    this.statusText.textContent = 'Training camera closed';
+    this.setStatus('Training camera closed');
   }
 
   async takeScreenshot() {
@@ -663,12 +1520,12 @@ class HandDirectionDetector extends HTMLElement {
     }
 
     try {
-      this.statusText.textContent = 'Processing screenshot...';
+      this.setStatus('Processing screenshot...');
       
       // Check if video is ready
       if (!this.trainingVideo || this.trainingVideo.readyState < 2) {
         alert('Camera not ready. Please wait a moment and try again.');
-        this.statusText.textContent = 'Camera not ready';
+        this.setStatus('Camera not ready');
         return;
       }
       
@@ -678,7 +1535,7 @@ class HandDirectionDetector extends HTMLElement {
       
       if (!videoWidth || !videoHeight || videoWidth === 0 || videoHeight === 0) {
         alert('Camera video dimensions not available. Please wait a moment and try again.');
-        this.statusText.textContent = 'Camera not ready - invalid dimensions';
+        this.setStatus('Camera not ready - invalid dimensions');
         return;
       }
       
@@ -853,7 +1710,7 @@ class HandDirectionDetector extends HTMLElement {
       
       if (!landmarks || landmarks.length === 0) {
         alert('No hand detected in the screenshot. Please make sure:\n- Your hand is clearly visible\n- Your hand is well-lit\n- Your index finger is extended\n- Try moving closer to the camera');
-        this.statusText.textContent = 'No hand detected. Try again.';
+        this.setStatus('No hand detected. Try again.');
         return;
       }
       
@@ -865,36 +1722,82 @@ class HandDirectionDetector extends HTMLElement {
         return;
       }
       
-      // Capture image as data URL for display
-      const imageDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-      
-      // Add to training data with image
-      this.trainingData.push({
-        features: features,
-        label: direction,
-        imageDataUrl: imageDataUrl,
-        timestamp: Date.now()
-      });
-      
-      // Save to localStorage
-      this.saveTrainingData();
+      // Add to training data - the captured frame is stored with the sample
+      await this.createSample(landmarks[0], direction, canvas, { source: 'camera' });
       
       // Update UI
       this.updateTrainingStats();
       this.updateTrainingDataTable();
-      this.trainBtn.disabled = this.trainingData.length === 0;
+      this.updateTrainButton();
       
       // Show feedback
-      this.statusText.textContent = `Captured ${direction.toUpperCase()} sample from screenshot (Total: ${this.trainingData.length})`;
+      this.setStatus(`Captured ${direction.toUpperCase()} sample from screenshot (Total: ${this.trainingData.length})`);
       
       console.log(`Captured training sample: ${direction}`, features);
     } catch (error) {
       console.error('Error taking screenshot:', error);
+      this.dispatchDetectorEvent('error', { context: 'screenshot', message: error.message, error: error });
       alert(`Error processing screenshot: ${error.message}`);
-      this.statusText.textContent = 'Error processing screenshot';
+      this.setStatus('Error processing screenshot');
     }
   }
 
+  // image is the sample's picture (img, canvas, video or Blob), or null
+  async createSample(landmarks, label, image, eventDetail = {}, timestamp = Date.now()) {
+    return this.storeSample({
+      features: this.extractFeatures(landmarks),
+      landmarks: this.serializeLandmarks(landmarks),
+      label: label,
+      timestamp: timestamp
+    }, image, eventDetail);
+  }
+
+  // Write a sample and its image to IndexedDB, then add it to trainingData
+  async storeSample(sample, image, eventDetail = {}) {
+    const imageBlob = !image || image instanceof Blob ? image : await this.imageToBlob(image);
+    const thumbnail = image ? await createThumbnail(image) : null;
+    sample.id = await this.sampleStore.addSample(sample, imageBlob, thumbnail);
+    sample.thumbnailUrl = thumbnail ? URL.createObjectURL(thumbnail) : null;
+    this.trainingData.push(sample);
+    this.dispatchDetectorEvent('sample-added', {
+      label: sample.label,
+      ...eventDetail,
+      index: this.trainingData.length - 1,
+      totalSamples: this.trainingData.length,
+      features: sample.features
+    });
+    return sample;
+  }
+
+  imageToBlob(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.videoWidth || image.naturalWidth || image.width;
+    canvas.height = image.videoHeight || image.naturalHeight || image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvasToBlob(canvas, 'image/jpeg', 0.8);
+  }
+
+  async resolveImageSource(source) {
+    // The JS API accepts anything MediaPipe can read (img, canvas, video, ImageBitmap) plus File/Blob and URLs
+    if (source instanceof Blob) {
+      return this.loadImageFromFile(source);
+    }
+    if (typeof source === 'string') {
+      return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Could not load image: ${source}`));
+        img.src = source;
+      });
+    }
+    if (!source) {
+      throw new Error('An image source is required');
+    }
+    return source;
+  }
+
   loadImageFromFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -947,7 +1850,15 @@ class HandDirectionDetector extends HTMLElement {
     }
   }
 
-  extractFeatures(landmarks) {
+  extractFeatures(landmarks, schema = this.featureSchema) {
+    // Dispatch to the feature extractor named by the schema
+    if (schema && schema.type === 'full-hand') {
+      return this.extractFullHandFeatures(landmarks, schema);
+    }
+    return this.extractIndexFingerFeatures(landmarks);
+  }
+
+  extractIndexFingerFeatures(landmarks) {
     // Extract normalized features from hand landmarks
     // Use key points: wrist, index finger MCP, index finger tip
     const wrist = landmarks[this.WRIST];
@@ -981,33 +1892,145 @@ class HandDirectionDetector extends HTMLElement {
     ];
   }
 
+  extractFullHandFeatures(landmarks, schema) {
+    // Extract features from all 21 landmarks
+    // Positions are relative to the wrist and scaled by the wrist -> middle finger MCP distance,
+    // so the vector is invariant to where the hand is in the frame and how far it is from the camera
+    const wrist = landmarks[this.WRIST];
+    const middleMCP = landmarks[this.MIDDLE_FINGER_MCP];
+    const palmDx = middleMCP.x - wrist.x;
+    const palmDy = middleMCP.y - wrist.y;
+    const palmDz = (middleMCP.z || 0) - (wrist.z || 0);
+    const scale = Math.sqrt(palmDx * palmDx + palmDy * palmDy + (schema.includeZ ? palmDz * palmDz : 0)) || 1;
+    
+    const features = [];
+    for (const landmark of landmarks) {
+      features.push((landmark.x - wrist.x) / scale);
+      features.push((landmark.y - wrist.y) / scale);
+      if (schema.includeZ) {
+        features.push(((landmark.z || 0) - (wrist.z || 0)) / scale);
+      }
+    }
+    
+    // Inter-joint angles: bend at MCP, PIP and DIP of each finger, normalized to [0, 1]
+    if (schema.includeAngles) {
+      for (const chain of this.FINGER_CHAINS) {
+        for (let i = 1; i < chain.length - 1; i++) {
+          features.push(this.jointAngle(landmarks[chain[i - 1]], landmarks[chain[i]], landmarks[chain[i + 1]], schema.includeZ) / Math.PI);
+        }
+      }
+    }
+    
+    return features;
+  }
+
+  jointAngle(a, b, c, useZ = false) {
+    // Angle at b between segments b->a and b->c (radians, 0..PI)
+    const v1 = [a.x - b.x, a.y - b.y, useZ ? (a.z || 0) - (b.z || 0) : 0];
+    const v2 = [c.x - b.x, c.y - b.y, useZ ? (c.z || 0) - (b.z || 0) : 0];
+    const dot = v1[0] * v2[0] + v1[1] * v2[1] + v1[2] * v2[2];
+    const len1 = Math.sqrt(v1[0] * v1[0] + v1[1] * v1[1] + v1[2] * v1[2]);
+    const len2 = Math.sqrt(v2[0] * v2[0] + v2[1] * v2[1] + v2[2] * v2[2]);
+    if (len1 === 0 || len2 === 0) return 0;
+    return Math.acos(Math.max(-1, Math.min(1, dot / (len1 * len2))));
+  }
+
+  serializeLandmarks(landmarks) {
+    // Keep only the coordinates so samples can be re-featurized later with a different schema
+    return landmarks.map(landmark => ({ x: landmark.x, y: landmark.y, z: landmark.z || 0 }));
+  }
+
+  getFeatureSize(schema) {
+    if (!schema || schema.type !== 'full-hand') return 6;
+    const perLandmark = schema.includeZ ? 3 : 2;
+    const angles = schema.includeAngles ? this.FINGER_CHAINS.length * 3 : 0;
+    return 21 * perLandmark + angles;
+  }
+
+  getModelFeatureSchema(modelInfo) {
+    // Models saved before feature schemas existed always used the 6-feature index finger vector
+    return modelInfo?.featureSchema || { type: 'index-finger', includeZ: false, includeAngles: false, size: 6 };
+  }
+
+  describeFeatureSchema(schema) {
+    if (!schema || schema.type !== 'full-hand') return 'Index finger (6 features)';
+    const extras = [schema.includeZ ? 'z' : null, schema.includeAngles ? 'angles' : null].filter(Boolean);
+    return `Full hand${extras.length > 0 ? ' + ' + extras.join(' + ') : ''} (${this.getFeatureSize(schema)} features)`;
+  }
+
+  getSampleFeatures(sample, schema) {
+    // Recompute from stored landmarks when available so any schema can be trained from the same data
+    if (sample.landmarks && sample.landmarks.length === 21) {
+      return this.extractFeatures(sample.landmarks, schema);
+    }
+    // Older samples only have precomputed features - usable only if they match the schema size
+    if (sample.features && sample.features.length === this.getFeatureSize(schema)) {
+      return sample.features;
+    }
+    return null;
+  }
+
+  loadFeatureSchema() {
+    try {
+      const saved = localStorage.getItem('handDirectionFeatureSchema');
+      if (saved) {
+        const schema = JSON.parse(saved);
+        return { ...schema, size: this.getFeatureSize(schema) };
+      }
+    } catch (error) {
+      console.error('Error loading feature schema:', error);
+    }
+    return { type: 'index-finger', includeZ: false, includeAngles: false, size: 6 };
+  }
+
+  handleFeatureSetChange() {
+    const schema = {
+      type: this.featureSetSelect.value,
+      includeZ: this.featureIncludeZ.checked,
+      includeAngles: this.featureIncludeAngles.checked
+    };
+    schema.size = this.getFeatureSize(schema);
+    this.featureSchema = schema;
+    localStorage.setItem('handDirectionFeatureSchema', JSON.stringify(schema));
+    this.updateFeatureSetControls();
+    this.setStatus(`Feature set: ${this.describeFeatureSchema(schema)}`);
+  }
+
+  updateFeatureSetControls() {
+    // Depth and angle options only apply to the full-hand feature set
+    const isFullHand = this.featureSetSelect.value === 'full-hand';
+    this.featureIncludeZ.disabled = !isFullHand;
+    this.featureIncludeAngles.disabled = !isFullHand;
+  }
+
   async trainModel() {
     if (this.trainingData.length === 0) {
       alert('No training data available. Please capture some images first.');
       return;
     }
 
-    // Check how many unique directions are in the training data
+    // Check how many of the configured labels are in the training data
     const uniqueLabels = new Set(this.trainingData.map(sample => sample.label));
     const labelCounts = {};
     this.trainingData.forEach(sample => {
       labelCounts[sample.label] = (labelCounts[sample.label] || 0) + 1;
     });
+    const allLabelsText = this.labels.map(l => l.toUpperCase()).join(', ');
     
     if (uniqueLabels.size === 1) {
       const onlyLabel = Array.from(uniqueLabels)[0];
-      if (!confirm(`Warning: You are training with only "${onlyLabel.toUpperCase()}" direction (${this.trainingData.length} samples).\n\nThe model will always predict "${onlyLabel.toUpperCase()}" regardless of the actual finger direction.\n\nFor proper detection, please train with samples from all 4 directions (UP, DOWN, LEFT, RIGHT).\n\nDo you want to continue anyway?`)) {
+      if (!confirm(`Warning: You are training with only the "${onlyLabel.toUpperCase()}" label (${this.trainingData.length} samples).\n\nThe model will always predict "${onlyLabel.toUpperCase()}" regardless of the actual hand pose.\n\nFor proper detection, please train with samples from all ${this.labels.length} labels (${allLabelsText}).\n\nDo you want to continue anyway?`)) {
         return;
       }
-    } else if (uniqueLabels.size < 4) {
-      const missing = ['up', 'down', 'left', 'right'].filter(d => !uniqueLabels.has(d));
-      if (!confirm(`Warning: Your training data is missing ${missing.length} direction(s): ${missing.map(d => d.toUpperCase()).join(', ')}.\n\nCurrent data: ${Object.entries(labelCounts).map(([label, count]) => `${label.toUpperCase()}: ${count}`).join(', ')}\n\nFor best accuracy, train with samples from all 4 directions.\n\nDo you want to continue anyway?`)) {
+    } else {
+      const missing = this.labels.filter(label => !uniqueLabels.has(label));
+      if (missing.length > 0 && !confirm(`Warning: Your training data is missing ${missing.length} label(s): ${missing.map(d => d.toUpperCase()).join(', ')}.\n\nCurrent data: ${Object.entries(labelCounts).map(([label, count]) => `${label.toUpperCase()}: ${count}`).join(', ')}\n\nFor best accuracy, train with samples from all ${this.labels.length} labels.\n\nDo you want to continue anyway?`)) {
         return;
       }
     }
 
     if (this.trainingData.length < 4) {
-      alert('Please capture at least 4 samples (one for each direction) for better accuracy.');
+      alert('Please capture at least 4 samples for better accuracy.');
       return;
     }
 
@@ -1024,25 +2047,90 @@ class HandDirectionDetector extends HTMLElement {
       return;
     }
 
-    // Check if model name already exists
-    const existingModels = this.loadSavedModelsList();
-    if (existingModels.some(m => m.name.toLowerCase() === modelName.toLowerCase())) {
-      if (!confirm(`A model named "${modelName}" already exists. Do you want to overwrite it?`)) {
-        return;
+    // An existing name gets a new version (train() keeps the older ones in the model's history)
+
+    this.trainBtn.disabled = true;
+
+    try {
+      await this.train({ name: modelName });
+      
+      // Clear model name input
+      this.modelNameInput.value = '';
+      
+      // Optionally clear training data (user can choose to keep it for another model)
+      if (confirm('Model saved! Do you want to clear the training data to start fresh?')) {
+        await this.clearSamples();
+        this.updateTrainingStats();
+        this.updateTrainingDataTable();
+        this.trainBtn.disabled = true;
       }
-      // Delete existing model with same name
-      const existingModel = existingModels.find(m => m.name.toLowerCase() === modelName.toLowerCase());
-      if (existingModel) {
-        this.deleteModel(existingModel.id);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Cancelled from the progress panel - the status already says so
+      } else if (error.name === 'QuotaExceededError') {
+        alert('Storage quota exceeded! Please delete some old models or clear your browser storage. The model was trained but could not be saved.');
+        this.setStatus(`Model "${modelName}" trained but could not be saved due to storage limit.`);
+      } else {
+        alert(`Error training model: ${error.message}`);
       }
+    } finally {
+      this.trainBtn.disabled = false;
     }
+  }
 
-    this.statusText.textContent = 'Training model...';
-    this.trainBtn.disabled = true;
+  // Public API: train and save a model from the current training data
+  // Resolves with the saved model's metadata; rejects instead of prompting when something is wrong
+  // An existing name gets a new version; options.overwrite: false rejects instead
+  async train(options = {}) {
+    const modelName = (options.name || '').trim();
+    const overwrite = options.overwrite !== false;
 
     try {
+      if (!modelName) {
+        throw new Error('A model name is required');
+      }
+      if (this.activeTraining) {
+        throw new Error('Training is already in progress');
+      }
+      if (this.activeRecompute) {
+        throw new Error('Features are being recomputed - wait for it to finish or cancel it');
+      }
+      await this.trainingDataReady;
+      if (this.trainingData.length < 4) {
+        throw new Error('At least 4 training samples are required');
+      }
+      if (typeof tf === 'undefined') {
+        throw new Error('TensorFlow.js is not loaded');
+      }
+
+      const existingModel = this.loadSavedModelsList().find(m => m.name.toLowerCase() === modelName.toLowerCase());
+      if (existingModel && !overwrite) {
+        throw new Error(`A model named "${modelName}" already exists`);
+      }
+
+      this.setStatus('Training model...');
+
+      // Build feature vectors for the selected feature schema
+      // Samples are re-featurized from their stored landmarks, so the same data can train any schema
+      const featureSchema = { ...this.featureSchema, size: this.getFeatureSize(this.featureSchema) };
+      const samples = [];
+      this.trainingData.forEach(sample => {
+        const sampleFeatures = this.getSampleFeatures(sample, featureSchema);
+        if (sampleFeatures) {
+          samples.push({ features: sampleFeatures, label: sample.label, landmarks: sample.landmarks });
+        }
+      });
+      
+      const skippedCount = this.trainingData.length - samples.length;
+      if (skippedCount > 0) {
+        console.warn(`Skipping ${skippedCount} sample(s) without landmarks for feature set:`, this.describeFeatureSchema(featureSchema));
+      }
+      if (samples.length === 0) {
+        throw new Error('No samples have landmarks for the selected feature set. Capture new samples or switch to the index finger feature set.');
+      }
+      
       // Get unique labels from training data and sort them consistently
-      const uniqueLabels = [...new Set(this.trainingData.map(sample => sample.label))].sort();
+      const uniqueLabels = [...new Set(samples.map(sample => sample.label))].sort();
       const numClasses = uniqueLabels.length;
       
       // Create dynamic label mapping based on actual training data
@@ -1056,149 +2144,149 @@ class HandDirectionDetector extends HTMLElement {
       console.log('Unique labels found:', uniqueLabels);
       console.log('Number of classes:', numClasses);
       console.log('Label mapping:', labelMap);
+      console.log('Feature set:', this.describeFeatureSchema(featureSchema));
+      
+      // Hold out a stratified validation set for the evaluation report
+      // Single-label models have nothing to tell apart, so they train on everything
+      const split = numClasses > 1 ? stratifiedSplit(samples) : { train: samples, validation: [] };
+      
+      // Augmented copies are added to the training split only, so the evaluation stays on real samples
+      // (options.augmentation overrides the saved augmentation settings)
+      const augmentation = normalizeAugmentationOptions({ ...this.augmentationOptions, ...(options.augmentation || {}) });
+      const augmentedSamples = augmentation.enabled
+        ? augmentSamples(split.train, augmentation, uniqueLabels).map(sample => ({
+          features: this.extractFeatures(sample.landmarks, featureSchema),
+          label: sample.label
+        }))
+        : [];
+      const trainSamples = [...split.train, ...augmentedSamples];
+      console.log(`Training on ${split.train.length} sample(s) + ${augmentedSamples.length} augmented, validating on ${split.validation.length}`);
       
       // Prepare training data
-      const features = this.trainingData.map(sample => sample.features);
-      const labels = this.trainingData.map(sample => {
+      const features = trainSamples.map(sample => sample.features);
+      const labels = trainSamples.map(sample => {
         return labelMap[sample.label];
       });
+      const validationFeatures = split.validation.map(sample => sample.features);
+      const validationLabels = split.validation.map(sample => labelMap[sample.label]);
+
+      // Network and hyperparameters from the Advanced training settings (options.config overrides them)
+      const trainingConfig = normalizeTrainingConfig({ ...this.trainingConfig, ...(options.config || {}) }, this.getDefaultTrainingConfig());
+      console.log('Training config:', describeTrainingConfig(trainingConfig));
+      const model = buildClassifier(featureSchema.size, numClasses, trainingConfig);
 
       // Convert to tensors
+      // Single-label models use one sigmoid output with every sample as a positive
       const xs = tf.tensor2d(features);
-      
-      // Handle single-class vs multi-class models differently
-      let ys;
-      let model;
-      let compileConfig;
-      
-      if (numClasses === 1) {
-        // Single-class model: use binary classification approach
-        // All labels are 0 (or we can use 1, but 0 is more standard for binary)
-        // We'll use a single output with sigmoid activation
-        ys = tf.ones([labels.length, 1]); // All samples are positive (the single class)
-        
-        // Create model with single output for binary classification
-        model = tf.sequential({
-          layers: [
-            tf.layers.dense({
-              inputShape: [6],
-              units: 16,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: 8,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: 1, // Single output for binary classification
-              activation: 'sigmoid'
-            })
-          ]
-        });
-
-        // Compile model with binary crossentropy
-        compileConfig = {
-          optimizer: 'adam',
-          loss: 'binaryCrossentropy',
-          metrics: ['accuracy']
-        };
-      } else {
-        // Multi-class model: use one-hot encoding and softmax
-        ys = tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses);
-        
-        // Create model with dynamic number of output classes
-        model = tf.sequential({
-          layers: [
-            tf.layers.dense({
-              inputShape: [6],
-              units: 16,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: 8,
-              activation: 'relu'
-            }),
-            tf.layers.dense({
-              units: numClasses, // Dynamic number of classes
-              activation: 'softmax'
-            })
-          ]
-        });
+      const ys = numClasses === 1
+        ? tf.ones([labels.length, 1])
+        : tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses);
 
-        // Compile model with categorical crossentropy
-        compileConfig = {
-          optimizer: 'adam',
-          loss: 'categoricalCrossentropy',
-          metrics: ['accuracy']
-        };
-      }
-      
-      // Compile the model
-      model.compile(compileConfig);
+      const epochs = trainingConfig.epochs;
+      const progress = new TrainingProgress(epochs);
+      const earlyStopping = new EarlyStopping(trainingConfig.earlyStoppingPatience);
+      this.activeTraining = { model: model, cancelled: false };
+      this.showTrainingProgress(progress);
 
-      // Train model
-      await model.fit(xs, ys, {
-        epochs: 100,
-        batchSize: Math.min(32, this.trainingData.length),
-        validationSplit: 0.2,
-        shuffle: true,
-        callbacks: {
-          onEpochEnd: (epoch, logs) => {
-            if (epoch % 20 === 0) {
-              console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, acc = ${logs.acc.toFixed(4)}`);
+      let modelInfo;
+      let validationXs = null;
+      let validationYs = null;
+      try {
+        if (validationFeatures.length > 0) {
+          validationXs = tf.tensor2d(validationFeatures);
+          validationYs = tf.oneHot(tf.tensor1d(validationLabels, 'int32'), numClasses);
+        }
+        
+        // Train model
+        await model.fit(xs, ys, {
+          epochs: epochs,
+          batchSize: Math.min(trainingConfig.batchSize, trainSamples.length),
+          validationData: validationXs ? [validationXs, validationYs] : undefined,
+          shuffle: true,
+          callbacks: {
+            onEpochEnd: async (epoch, logs) => {
+              if (epoch % 20 === 0) {
+                const validationText = logs.val_acc !== undefined ? `, val_acc = ${logs.val_acc.toFixed(4)}` : '';
+                console.log(`Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, acc = ${logs.acc.toFixed(4)}${validationText}`);
+              }
+              progress.update(epoch, logs);
+              earlyStopping.update(logs);
+              if (earlyStopping.shouldStop()) {
+                console.log(`Early stopping at epoch ${epoch + 1}: no improvement for ${trainingConfig.earlyStoppingPatience} epochs`);
+                model.stopTraining = true;
+              }
+              this.updateTrainingProgress(progress);
+              this.dispatchDetectorEvent('training-progress', progress.toEventDetail());
+              // Give the browser a frame to repaint the panel and handle the Cancel button
+              await tf.nextFrame();
             }
           }
+        });
+        
+        // stopTraining ends fit() early without an error - nothing gets saved in that case
+        if (this.activeTraining.cancelled) {
+          throw createCancelError();
         }
-      });
-
-      // Save model with name and label mapping
-      let modelInfo;
-      try {
-        modelInfo = await this.saveModel(model, modelName, this.trainingData, uniqueLabels, labelMap);
-      } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-          alert('Storage quota exceeded! Please delete some old models or clear your browser storage. The model was trained but could not be saved.');
-          this.statusText.textContent = `Model "${modelName}" trained but could not be saved due to storage limit.`;
-          this.trainBtn.disabled = false;
-          // Clean up tensors before returning
-          xs.dispose();
-          ys.dispose();
-          return;
-        } else {
-          throw error;
+        
+        // Evaluate on the held-out samples
+        let evaluation = null;
+        if (validationFeatures.length > 0) {
+          evaluation = evaluateClassifier(validationLabels, predictClassIndices(model, validationFeatures), uniqueLabels);
+          console.log('Evaluation:', formatEvaluationSummary(evaluation), evaluation);
         }
+
+        // Save model with name, label mapping and evaluation
+        modelInfo = await this.saveModel(model, modelName, samples, uniqueLabels, labelMap, featureSchema, {
+          evaluation: evaluation,
+          trainingConfig: trainingConfig,
+          epochsTrained: progress.epoch,
+          augmentation: augmentation.enabled ? augmentation : null
+        });
+      } finally {
+        // Clean up tensors
+        xs.dispose();
+        ys.dispose();
+        if (validationXs) validationXs.dispose();
+        if (validationYs) validationYs.dispose();
+        // The saved copy lives in IndexedDB - selectModel() loads it from there
+        model.dispose();
+        this.activeTraining = null;
+        this.finishTrainingProgress();
       }
       
-      // Clean up tensors
-      xs.dispose();
-      ys.dispose();
+      this.dispatchDetectorEvent('model-trained', {
+        modelId: modelInfo.id,
+        modelName: modelInfo.name,
+        version: modelInfo.version,
+        labels: modelInfo.trainedLabels,
+        labelCounts: modelInfo.labelCounts,
+        sampleCount: modelInfo.trainingDataCount,
+        featureSchema: modelInfo.featureSchema,
+        evaluation: modelInfo.evaluation
+      });
 
       // Update UI
       this.updateTrainingStats();
-      this.statusText.textContent = `Model "${modelName}" trained and saved successfully with ${this.trainingData.length} samples!`;
-      
-      // Clear model name input
-      this.modelNameInput.value = '';
-      
-      // Optionally clear training data (user can choose to keep it for another model)
-      if (confirm('Model saved! Do you want to clear the training data to start fresh?')) {
-        this.trainingData = [];
-        localStorage.removeItem('handDirectionTrainingData');
-        this.updateTrainingStats();
-        this.trainBtn.disabled = true;
-      }
+      this.showEvaluationReport(modelInfo);
+      const evaluationText = modelInfo.evaluation ? ` ${formatEvaluationSummary(modelInfo.evaluation)}.` : '';
+      this.setStatus(`Model "${modelName}" v${modelInfo.version} trained and saved successfully with ${samples.length} samples!${evaluationText}${this.describePinnedFamily(modelInfo)}`);
       
       console.log('Model training completed:', modelInfo);
+      return modelInfo;
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Training cancelled');
+        this.setStatus('Training cancelled');
+        throw error;
+      }
       console.error('Error training model:', error);
-      this.statusText.textContent = `Training error: ${error.message}`;
-      alert(`Error training model: ${error.message}`);
-    } finally {
-      this.trainBtn.disabled = false;
+      this.dispatchDetectorEvent('error', { context: 'train', message: error.message, error: error });
+      this.setStatus(`Training error: ${error.message}`);
+      throw error;
     }
   }
 
-  detectDirectionWithTrainedModel(mirroredLandmarks, originalLandmarks = null) {
+  detectDirectionWithTrainedModel(mirroredLandmarks, originalLandmarks = null, smoother = null) {
     // Verify we have a trained model - if not, return null (use ONLY the selected model)
     if (!this.trainedModel) {
       console.warn('WARNING: detectDirectionWithTrainedModel called but no trained model available!');
@@ -1207,12 +2295,23 @@ class HandDirectionDetector extends HTMLElement {
 
     try {
       // Extract features from mirrored landmarks (model was trained on mirrored images)
-      const features = this.extractFeatures(mirroredLandmarks);
+      // using the feature schema the selected model was trained with
+      const featureSchema = this.getModelFeatureSchema(this.selectedModelInfo);
+      const features = this.extractFeatures(mirroredLandmarks, featureSchema);
+      
+      const expectedSize = this.trainedModel.inputs?.[0]?.shape?.[1];
+      if (expectedSize && features.length !== expectedSize) {
+        console.error('Feature size mismatch:', features.length, 'features but model expects', expectedSize, '- schema:', featureSchema);
+        return null;
+      }
       
       // Predict using ONLY the selected trained model
-      const prediction = this.trainedModel.predict(tf.tensor2d([features]));
-      const probabilities = prediction.dataSync();
-      prediction.dispose();
+      let probabilities = tf.tidy(() => Array.from(this.trainedModel.predict(tf.tensor2d([features])).dataSync()));
+      
+      // Temporal smoothing over the raw class probabilities (per hand)
+      if (smoother) {
+        probabilities = smoother.smooth(probabilities);
+      }
       
       // Check what directions this model was trained on
       // Use trainedLabels from model metadata (we no longer store full trainingData to save space)
@@ -1346,9 +2445,24 @@ class HandDirectionDetector extends HTMLElement {
         confidence = probabilities[maxIndex];
       }
       
+      // Full probability vector keyed by label (returned with every prediction)
+      const probabilityLabels = (trainedLabels.length > 0 && trainedLabels.length === probabilities.length)
+        ? trainedLabels
+        : (isBinaryClassificationModel ? trainedClasses : ['up', 'down', 'left', 'right']);
+      const probabilityMap = {};
+      probabilityLabels.forEach((label, i) => {
+        if (i < probabilities.length) {
+          probabilityMap[label] = probabilities[i];
+        }
+      });
+      
       // Get geometric detection early so we can use it for validation
       const landmarksForValidation = originalLandmarks || mirroredLandmarks;
-      const actualDirection = this.detectDirection(landmarksForValidation);
+      const actualDirection = this.validationDirection(landmarksForValidation, trainedClasses);
+      
+      // Geometric validation only makes sense when every trained label is a direction (4 or 8 of them)
+      // Custom gesture labels (e.g. "fist", "thumbs-up") cannot be checked against the finger angle
+      const isDirectionalModel = directionSectorCount(trainedClasses) !== null;
       
       // Log model information for debugging (only once per second to avoid spam)
       if (!this._lastModelLogTime || (Date.now() - this._lastModelLogTime) > 1000) {
@@ -1388,7 +2502,7 @@ class HandDirectionDetector extends HTMLElement {
         // detectDirection expects non-mirrored landmarks (it does its own flipping)
         // If originalLandmarks provided, use them; otherwise use mirrored (less accurate)
         const landmarksForValidation = originalLandmarks || mirroredLandmarks;
-        const actualDirection = this.detectDirection(landmarksForValidation);
+        const actualDirection = this.validationDirection(landmarksForValidation, trainedClasses);
         
         // For binary classification models, check confidence threshold first
         if (isBinaryClassificationModel) {
@@ -1409,6 +2523,11 @@ class HandDirectionDetector extends HTMLElement {
           }
         }
         
+        // Custom gesture model - no geometric check available, trust the model
+        if (!isDirectionalModel) {
+          return { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
+        }
+        
         // Only return prediction if:
         // 1. Model predicts the trained class (which it always will for single-class)
         // 2. For binary models: confidence is above threshold (already checked above)
@@ -1426,7 +2545,7 @@ class HandDirectionDetector extends HTMLElement {
               isBinary: isBinaryClassificationModel
             });
           }
-          return { direction: predictedClass, confidence: confidence };
+          return { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
         } else {
           // Model predicts trained class but actual direction is different - no match
           if (Math.random() < 0.05) {
@@ -1470,6 +2589,11 @@ class HandDirectionDetector extends HTMLElement {
         return null;
       }
       
+      // Custom gesture models skip the geometric checks below - only the confidence floor applies
+      if (!isDirectionalModel) {
+        return confidence < this.confidenceThreshold ? null : { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
+      }
+      
       // CRITICAL: For multi-class models, validate that actual finger direction is in trained set
       // If finger is pointing in a direction NOT in the trained set, return null (show "--")
       // This prevents the model from always outputting one of the trained classes
@@ -1500,7 +2624,7 @@ class HandDirectionDetector extends HTMLElement {
       }
       
       // Check confidence threshold - if very low, reject immediately
-      if (confidence < 0.25) {
+      if (confidence < this.confidenceThreshold) {
         // Very low confidence - return null
         if (!this._lastLowConfLogTime || (Date.now() - this._lastLowConfLogTime) > 2000) {
           // Format probabilities based on model format
@@ -1548,7 +2672,7 @@ class HandDirectionDetector extends HTMLElement {
             });
             this._lastPredictionLogTime = Date.now();
           }
-          return { direction: predictedClass, confidence: confidence };
+          return { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
         } else {
           // Actual direction is in trained set but doesn't match prediction
           // When confidence is low (< 0.4), trust geometric detection over model
@@ -1567,7 +2691,7 @@ class HandDirectionDetector extends HTMLElement {
               this._lastLowConfMismatchLogTime = Date.now();
             }
             // Use geometric detection instead of model prediction
-            return { direction: actualDirection, confidence: 0.5 }; // Use medium confidence for geometric detection
+            return { direction: actualDirection, confidence: 0.5, probabilities: probabilityMap }; // Use medium confidence for geometric detection
           } else {
             // High confidence - trust the model even if actualDirection differs
             // (actualDirection might be slightly off due to angle detection limitations)
@@ -1582,7 +2706,7 @@ class HandDirectionDetector extends HTMLElement {
               });
               this._lastHighConfMismatchLogTime = Date.now();
             }
-            return { direction: predictedClass, confidence: confidence };
+            return { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
           }
         }
       }
@@ -1603,7 +2727,7 @@ class HandDirectionDetector extends HTMLElement {
             });
             this._lastNoActualDirLogTime = Date.now();
           }
-          return { direction: predictedClass, confidence: confidence };
+          return { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
         }
       }
       
@@ -1629,69 +2753,887 @@ class HandDirectionDetector extends HTMLElement {
           });
           this._lastPredictionLogTime = Date.now();
         }
-        return { direction: predictedClass, confidence: confidence };
+        return { direction: predictedClass, confidence: confidence, probabilities: probabilityMap };
       }
       
       // If we get here, actualDirection is null and confidence is low - reject
       return null;
     } catch (error) {
       console.error('Error in trained model prediction:', error);
+      this.dispatchDetectorEvent('error', { context: 'prediction', message: error.message, error: error });
       console.error('Model ID:', this.selectedModelId);
       console.error('Model info:', this.selectedModelInfo);
       return null; // Return null instead of falling back to default detection
     }
   }
 
-  // Test Mode Methods
-  async startTestMode() {
-    if (!this.trainedModel || !this.selectedModelId) {
-      alert('Please select a model from the list first.');
-      return;
+  // Dynamic Gesture Methods
+  loadGestureOptions() {
+    try {
+      const saved = localStorage.getItem('handDirectionGestureOptions');
+      if (saved) {
+        return normalizeGestureOptions(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading gesture options:', error);
     }
+    return { ...DEFAULT_GESTURE_OPTIONS };
+  }
 
-    if (!this.mediaPipeReady || !this.imageHandLandmarker) {
-      alert('MediaPipe not initialized yet. Please wait...');
+  // Public API: change clip length, window size, threshold, cooldown or stride (partial options are merged; values are clamped)
+  // windowSize applies to gesture models trained afterwards - a saved model keeps the window it was trained with
+  setGestureOptions(options) {
+    this.gestureOptions = normalizeGestureOptions({ ...this.gestureOptions, ...options });
+    try {
+      localStorage.setItem('handDirectionGestureOptions', JSON.stringify(this.gestureOptions));
+    } catch (error) {
+      console.error('Error saving gesture options:', error);
+    }
+    this.gestureSpotter.configure(this.gestureOptions);
+    this.updateGestureControls();
+    return this.gestureOptions;
+  }
+
+  updateGestureControls() {
+    if (!this.clipDurationInput) return;
+    this.clipDurationInput.value = this.gestureOptions.clipDuration;
+    this.gestureThresholdInput.value = this.gestureOptions.threshold;
+    this.gestureCooldownInput.value = this.gestureOptions.cooldown;
+  }
+
+  setGestureStatus(text) {
+    if (this.gestureStatus) this.gestureStatus.textContent = text;
+  }
+
+  async loadGestureClips() {
+    try {
+      const storedClips = (await this.gestureStore.getAll()).map(({ thumbnail, ...clip }) => ({
+        ...clip,
+        thumbnailUrl: thumbnail ? URL.createObjectURL(thumbnail) : null
+      }));
+      const storedIds = new Set(storedClips.map(clip => clip.id));
+      this.gestureClips = [...storedClips, ...this.gestureClips.filter(clip => !storedIds.has(clip.id))];
+    } catch (error) {
+      console.error('Error loading gesture clips:', error);
+      this.dispatchDetectorEvent('error', { context: 'load-gesture-clips', message: error.message, error: error });
+    }
+    this.updateGestureClipsList();
+  }
+
+  // Public API: the recorded gesture clips ({ id, label, frames, durationMs, timestamp, source })
+  getGestureClips() {
+    return this.gestureClips.map(({ thumbnailUrl, ...clip }) => clip);
+  }
+
+  async handleRecordClip() {
+    const label = this.gestureLabelInput.value;
+    if (!this.normalizeLabel(label)) {
+      alert('Please enter a gesture label first.');
+      this.gestureLabelInput.focus();
+      return;
+    }
+    if (!this.isTrainingCameraOpen) {
+      alert('Please open the training camera first.');
       return;
     }
 
+    this.recordClipBtn.disabled = true;
     try {
-      // Create video landmarker for test mode if not exists
+      const clip = await this.recordGestureClip(label);
+      this.setStatus(`Recorded a "${clip.label}" clip (${clip.frames.length} frames)`);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        alert(`Error recording clip: ${error.message}`);
+      }
+    } finally {
+      this.recordClipBtn.disabled = false;
+    }
+  }
+
+  // Public API: record a gesture clip from the open training camera and save it under label
+  // options.duration (ms) overrides the clip length setting; resolves with the saved clip
+  // Closing the camera while recording rejects with an AbortError
+  async recordGestureClip(label, options = {}) {
+    const normalizedLabel = this.normalizeLabel(label);
+    try {
+      if (!normalizedLabel) {
+        throw new Error('A gesture label is required');
+      }
+      if (!this.isTrainingCameraOpen || !this.trainingVideo) {
+        throw new Error('Open the training camera first');
+      }
+      if (!this.mediaPipeReady) {
+        throw new Error('MediaPipe not initialized yet');
+      }
+      if (this.activeRecording) {
+        throw new Error('A clip is already being recorded');
+      }
+      this.activeRecording = { label: normalizedLabel };
+
+      const duration = normalizeGestureOptions({ clipDuration: options.duration }, this.gestureOptions).clipDuration;
       if (!this.handLandmarker) {
-        this.testStatus.innerHTML = '<strong>Status:</strong> Initializing video detector...';
-        const FilesetResolver = window.MediaPipeFilesetResolver;
-        const HandLandmarker = window.MediaPipeHandLandmarker;
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm"
-        );
-        
-        this.handLandmarker = await HandLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-            delegate: "CPU"
-          },
-          numHands: 1,
-          runningMode: "VIDEO",
-          minHandDetectionConfidence: 0.5,
-          minHandPresenceConfidence: 0.5,
-          minTrackingConfidence: 0.5
-        });
+        this.handLandmarker = await this.createHandLandmarker("VIDEO", 0.5);
       }
 
-      // Request camera access
-      this.testStream = await navigator.mediaDevices.getUserMedia({ 
-        video: { width: 640, height: 480 } 
-      });
-      
-      this.testVideo.srcObject = this.testStream;
-      await this.testVideo.play();
-      
-      // Wait for video to be ready
-      await new Promise((resolve) => {
-        const checkReady = () => {
-          if (this.testVideo.readyState >= 2 && this.testVideo.videoWidth > 0) {
-            resolve();
-          } else {
-            setTimeout(checkReady, 100);
+      // The first frame becomes the clip's thumbnail (with the fingertip trail drawn over it)
+      const snapshot = this.captureMirroredFrame(this.trainingVideo);
+      const frames = [];
+      await recordFrames(duration, elapsed => {
+        const results = this.handLandmarker.detectForVideo(this.trainingVideo, performance.now());
+        const landmarks = results.landmarks && results.landmarks[0];
+        // Mirrored like the test loop feeds landmarks to the models
+        frames.push(landmarks ? landmarks.map(landmark => ({ x: 1 - landmark.x, y: landmark.y, z: landmark.z || 0 })) : null);
+        this.setStatus(`Recording "${normalizedLabel}"... ${(Math.max(0, duration - elapsed) / 1000).toFixed(1)}s`);
+      }, () => !this.isTrainingCameraOpen);
+
+      return await this.addGestureClip(frames, normalizedLabel, { durationMs: duration, image: snapshot, source: 'camera' });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.setStatus('Recording cancelled');
+      } else {
+        console.error('Error recording gesture clip:', error);
+        this.dispatchDetectorEvent('error', { context: 'record-gesture', message: error.message, error: error });
+        this.setStatus(`Recording failed: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      this.activeRecording = null;
+    }
+  }
+
+  // Public API: save a gesture clip from per-frame landmarks - 21 points per frame, mirrored the way test mode
+  // sees them, null for frames without a hand. details: { durationMs, image, source }; resolves with the clip
+  async addGestureClip(frames, label, details = {}) {
+    const normalizedLabel = this.normalizeLabel(label);
+    try {
+      if (!normalizedLabel) {
+        throw new Error('A gesture label is required');
+      }
+      if (!Array.isArray(frames) || frames.length < 2) {
+        throw new Error('A gesture clip needs at least 2 frames');
+      }
+      const clipFrames = frames.map(frame => Array.isArray(frame) && frame.length === 21 ? this.serializeLandmarks(frame) : null);
+      const coverage = handCoverage(clipFrames);
+      if (coverage < MIN_HAND_FRAMES) {
+        throw new Error(`A hand was found in only ${Math.round(coverage * 100)}% of the frames - keep your hand in view while recording`);
+      }
+
+      const clip = {
+        label: normalizedLabel,
+        frames: clipFrames,
+        durationMs: details.durationMs || this.gestureOptions.clipDuration,
+        timestamp: Date.now(),
+        source: details.source || 'api'
+      };
+      const thumbnail = await createThumbnail(this.drawGestureTrail(clipFrames, details.image || null));
+      clip.id = await this.gestureStore.addSample(clip, null, thumbnail);
+      clip.thumbnailUrl = URL.createObjectURL(thumbnail);
+      this.gestureClips.push(clip);
+
+      this.dispatchDetectorEvent('gesture-clip-added', {
+        id: clip.id,
+        label: clip.label,
+        frameCount: clip.frames.length,
+        durationMs: clip.durationMs,
+        totalClips: this.gestureClips.length
+      });
+      this.updateGestureClipsList();
+      return clip;
+    } catch (error) {
+      console.error('Error adding gesture clip:', error);
+      this.dispatchDetectorEvent('error', { context: 'add-gesture-clip', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: delete a recorded gesture clip
+  async removeGestureClip(id) {
+    const clip = this.gestureClips.find(candidate => candidate.id === id);
+    if (!clip) {
+      throw new Error('Gesture clip not found');
+    }
+    await this.gestureStore.removeSamples([id]);
+    if (clip.thumbnailUrl) URL.revokeObjectURL(clip.thumbnailUrl);
+    this.gestureClips = this.gestureClips.filter(candidate => candidate !== clip);
+    this.updateGestureClipsList();
+  }
+
+  captureMirroredFrame(video) {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(-1, 1);
+    ctx.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  // Canvas with the index fingertip's path over the clip (drawn on image when given), for the clip thumbnail
+  drawGestureTrail(frames, image = null) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image ? image.width : 320;
+    canvas.height = image ? image.height : 240;
+    const ctx = canvas.getContext('2d');
+    if (image) {
+      ctx.drawImage(image, 0, 0);
+    } else {
+      ctx.fillStyle = '#f0f0f0';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    const points = frames.filter(Boolean).map(landmarks => ({
+      x: landmarks[this.INDEX_FINGER_TIP].x * canvas.width,
+      y: landmarks[this.INDEX_FINGER_TIP].y * canvas.height
+    }));
+    const lineWidth = Math.max(3, canvas.width / 80);
+    ctx.strokeStyle = '#9C27B0';
+    ctx.lineWidth = lineWidth;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    points.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+    ctx.stroke();
+    // The end of the trail is marked, so the direction of the motion is visible
+    if (points.length > 0) {
+      const last = points[points.length - 1];
+      ctx.fillStyle = '#9C27B0';
+      ctx.beginPath();
+      ctx.arc(last.x, last.y, lineWidth * 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    return canvas;
+  }
+
+  updateGestureClipsList() {
+    if (!this.gestureClipsList) return;
+
+    // Labels already used are offered in the label input, the idle label always
+    const labels = [...new Set([...this.gestureClips.map(clip => clip.label), IDLE_GESTURE])].sort();
+    this.gestureLabelOptions.replaceChildren(...labels.map(label => new Option('', label)));
+
+    if (this.gestureClips.length === 0) {
+      this.gestureClipsList.innerHTML = '<p style="grid-column: 1 / -1; color: #666; text-align: center; margin: 20px 0;">No gesture clips yet.</p>';
+      return;
+    }
+
+    this.gestureClipsList.innerHTML = this.gestureClips.map((clip, index) => {
+      const color = this.getLabelColor(clip.label);
+      return `
+        <div style="border: 2px solid ${color}; border-radius: 8px; padding: 8px; background: white; display: flex; flex-direction: column; align-items: center; position: relative;">
+          ${clip.thumbnailUrl
+            ? `<img src="${clip.thumbnailUrl}" alt="Gesture clip ${index + 1}" style="width: 100%; height: 100px; object-fit: cover; border-radius: 4px; background: #f0f0f0;">`
+            : '<div style="display: flex; width: 100%; height: 100px; background: #f0f0f0; border-radius: 4px; align-items: center; justify-content: center; color: #999; font-size: 12px;">No preview</div>'}
+          <div style="margin-top: 8px; padding: 4px 8px; background: ${color}; color: white; border-radius: 4px; font-weight: bold; font-size: 12px; text-align: center; width: 100%;">
+            ${escapeHtml(clip.label.toUpperCase())}
+          </div>
+          <div style="margin-top: 4px; font-size: 11px; color: #666;">${clip.frames.length} frames | ${(clip.durationMs / 1000).toFixed(1)}s</div>
+          <button class="delete-clip-btn" data-index="${index}"
+                  style="position: absolute; top: 4px; right: 4px; background: rgba(255,0,0,0.7); color: white; border: none; border-radius: 50%; width: 24px; height: 24px; cursor: pointer; font-size: 14px; line-height: 1; display: flex; align-items: center; justify-content: center;"
+                  title="Delete this clip">×</button>
+        </div>
+      `;
+    }).join('');
+
+    this.gestureClipsList.querySelectorAll('.delete-clip-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const clip = this.gestureClips[parseInt(btn.dataset.index)];
+        if (!confirm(`Delete this ${clip.label.toUpperCase()} clip?`)) return;
+        try {
+          await this.removeGestureClip(clip.id);
+          this.setStatus('Gesture clip deleted');
+        } catch (error) {
+          console.error('Error deleting gesture clip:', error);
+          alert('Error deleting clip: ' + error.message);
+        }
+      });
+    });
+  }
+
+  async handleTrainGestureModel() {
+    const modelName = this.gestureModelNameInput.value.trim();
+    if (!modelName) {
+      alert('Please enter a gesture model name before training.');
+      this.gestureModelNameInput.focus();
+      return;
+    }
+
+    this.trainGestureBtn.disabled = true;
+    try {
+      await this.trainGestureModel({ name: modelName });
+      this.gestureModelNameInput.value = '';
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        alert(`Error training gesture model: ${error.message}`);
+      }
+    } finally {
+      this.trainGestureBtn.disabled = false;
+    }
+  }
+
+  // Public API: train and save a gesture model from the recorded clips
+  // Uses the current feature set for the per-frame features and the Advanced training settings
+  // (epochs, batch size, learning rate, dropout, early stopping; options.config overrides them)
+  // An existing name gets a new version; resolves with the saved model's metadata
+  async trainGestureModel(options = {}) {
+    const modelName = (options.name || '').trim();
+
+    try {
+      if (!modelName) {
+        throw new Error('A model name is required');
+      }
+      if (this.activeTraining) {
+        throw new Error('Training is already in progress');
+      }
+      if (typeof tf === 'undefined') {
+        throw new Error('TensorFlow.js is not loaded');
+      }
+      await this.gestureClipsReady;
+
+      // Every clip is resampled to the same number of frames; clips with too few hand frames are skipped
+      const featureSchema = { ...this.featureSchema, size: this.getFeatureSize(this.featureSchema) };
+      const windowSize = this.gestureOptions.windowSize;
+      const extract = landmarks => this.extractFeatures(landmarks, featureSchema);
+      const samples = [];
+      this.gestureClips.forEach(clip => {
+        const features = sequenceFeatures(clip.frames, extract, windowSize);
+        if (features) {
+          samples.push({ features: features, label: clip.label, durationMs: clip.durationMs });
+        }
+      });
+      const uniqueLabels = [...new Set(samples.map(sample => sample.label))].sort();
+      if (samples.length < 4) {
+        throw new Error('At least 4 gesture clips are required');
+      }
+      if (uniqueLabels.length < 2) {
+        throw new Error(`Record clips of at least 2 gestures (e.g. a gesture and "${IDLE_GESTURE}")`);
+      }
+      const labelMap = {};
+      uniqueLabels.forEach((label, index) => {
+        labelMap[label] = index;
+      });
+
+      this.setGestureStatus('Training gesture model...');
+      const split = stratifiedSplit(samples);
+      const trainingConfig = normalizeTrainingConfig({ ...this.trainingConfig, ...(options.config || {}) }, this.getDefaultTrainingConfig());
+      const model = buildGestureModel(windowSize, gestureFrameSize(featureSchema.size), uniqueLabels.length, trainingConfig);
+      console.log(`Training gesture model on ${split.train.length} clip(s), validating on ${split.validation.length}:`, uniqueLabels);
+
+      const xs = tf.tensor3d(split.train.map(sample => sample.features));
+      const ys = tf.oneHot(tf.tensor1d(split.train.map(sample => labelMap[sample.label]), 'int32'), uniqueLabels.length);
+      const validationLabels = split.validation.map(sample => labelMap[sample.label]);
+      let validationXs = null;
+      let validationYs = null;
+
+      const progress = new TrainingProgress(trainingConfig.epochs);
+      const earlyStopping = new EarlyStopping(trainingConfig.earlyStoppingPatience);
+      this.activeTraining = { model: model, cancelled: false };
+      if (this.cancelGestureTrainingBtn) this.cancelGestureTrainingBtn.style.display = 'block';
+
+      let modelInfo;
+      try {
+        if (split.validation.length > 0) {
+          validationXs = tf.tensor3d(split.validation.map(sample => sample.features));
+          validationYs = tf.oneHot(tf.tensor1d(validationLabels, 'int32'), uniqueLabels.length);
+        }
+
+        await model.fit(xs, ys, {
+          epochs: trainingConfig.epochs,
+          batchSize: Math.min(trainingConfig.batchSize, split.train.length),
+          validationData: validationXs ? [validationXs, validationYs] : undefined,
+          shuffle: true,
+          callbacks: {
+            onEpochEnd: async (epoch, logs) => {
+              progress.update(epoch, logs);
+              earlyStopping.update(logs);
+              if (earlyStopping.shouldStop()) {
+                model.stopTraining = true;
+              }
+              this.setGestureStatus(progress.describe());
+              this.dispatchDetectorEvent('training-progress', progress.toEventDetail());
+              await tf.nextFrame();
+            }
+          }
+        });
+
+        if (this.activeTraining.cancelled) {
+          throw createCancelError();
+        }
+
+        const evaluation = validationXs
+          ? evaluateClassifier(validationLabels, predictClassIndices(model, validationXs), uniqueLabels)
+          : null;
+
+        const storageKey = `hand_gesture_${this.sanitizeModelName(modelName)}_${Date.now()}`;
+        await model.save('indexeddb://' + storageKey);
+
+        const labelCounts = {};
+        samples.forEach(sample => {
+          labelCounts[sample.label] = (labelCounts[sample.label] || 0) + 1;
+        });
+        const savedModels = this.loadGestureModelsList();
+        modelInfo = {
+          id: Date.now().toString(),
+          name: modelName,
+          version: nextVersion(savedModels, modelName),
+          storageKey: storageKey,
+          trainingDataCount: samples.length,
+          trainedLabels: uniqueLabels,
+          labelMap: labelMap,
+          labelCounts: labelCounts,
+          featureSchema: featureSchema, // Per-frame features, rebuilt the same way in test mode
+          windowSize: windowSize, // Frames per resampled window
+          clipDuration: Math.round(samples.reduce((sum, sample) => sum + sample.durationMs, 0) / samples.length), // ms of recent frames test mode classifies
+          evaluation: evaluation,
+          trainingConfig: trainingConfig,
+          epochsTrained: progress.epoch,
+          createdAt: new Date().toISOString()
+        };
+        savedModels.push(modelInfo);
+        this.saveGestureModelsList(savedModels);
+      } finally {
+        xs.dispose();
+        ys.dispose();
+        if (validationXs) validationXs.dispose();
+        if (validationYs) validationYs.dispose();
+        model.dispose();
+        this.activeTraining = null;
+        if (this.cancelGestureTrainingBtn) this.cancelGestureTrainingBtn.style.display = 'none';
+      }
+
+      this.dispatchDetectorEvent('gesture-model-trained', {
+        modelId: modelInfo.id,
+        modelName: modelInfo.name,
+        version: modelInfo.version,
+        labels: modelInfo.trainedLabels,
+        labelCounts: modelInfo.labelCounts,
+        sampleCount: modelInfo.trainingDataCount,
+        evaluation: modelInfo.evaluation
+      });
+      this.updateGestureModelsList();
+      const evaluationText = modelInfo.evaluation ? ` ${formatEvaluationSummary(modelInfo.evaluation)}.` : '';
+      this.setGestureStatus(`Gesture model "${modelName}" v${modelInfo.version} trained on ${samples.length} clips.${evaluationText}`);
+      return modelInfo;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.setGestureStatus('Training cancelled');
+        throw error;
+      }
+      console.error('Error training gesture model:', error);
+      this.dispatchDetectorEvent('error', { context: 'train-gesture', message: error.message, error: error });
+      this.setGestureStatus(`Training error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  loadGestureModelsList() {
+    try {
+      const saved = localStorage.getItem('handDirectionGestureModels');
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('Error loading gesture models list:', error);
+      return [];
+    }
+  }
+
+  saveGestureModelsList(models) {
+    localStorage.setItem('handDirectionGestureModels', JSON.stringify(models));
+  }
+
+  // Public API: metadata of every saved gesture model
+  getGestureModels() {
+    return this.loadGestureModelsList();
+  }
+
+  // Public API: load a gesture model for test mode; resolves with its metadata
+  async selectGestureModel(modelId) {
+    try {
+      const modelInfo = this.loadGestureModelsList().find(m => m.id === modelId);
+      if (!modelInfo) {
+        throw new Error('Gesture model not found');
+      }
+      const model = await tf.loadLayersModel('indexeddb://' + modelInfo.storageKey);
+      if (this.gestureModel) this.gestureModel.dispose();
+      this.gestureModel = model;
+      this.gestureModelInfo = modelInfo;
+      this.gestureBuffer = new FrameRingBuffer(gestureBufferCapacity(modelInfo.clipDuration));
+      this.resetGestureState();
+
+      this.updateTestButton();
+      this.updateGestureModelsList();
+      this.setGestureStatus(`Gesture model "${modelInfo.name}" v${modelInfo.version} selected - gestures are reported in test mode`);
+      this.dispatchDetectorEvent('gesture-model-selected', {
+        modelId: modelInfo.id,
+        modelName: modelInfo.name,
+        version: modelInfo.version,
+        labels: modelInfo.trainedLabels
+      });
+      return modelInfo;
+    } catch (error) {
+      console.error('Error selecting gesture model:', error);
+      this.dispatchDetectorEvent('error', { context: 'select-gesture-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: stop recognizing gestures (the static model keeps running)
+  clearGestureModel() {
+    if (this.gestureModel) this.gestureModel.dispose();
+    this.gestureModel = null;
+    this.gestureModelInfo = null;
+    this.resetGestureState();
+    this.updateTestButton();
+    this.updateGestureModelsList();
+  }
+
+  // Public API: delete a saved gesture model
+  async removeGestureModel(modelId) {
+    try {
+      const models = this.loadGestureModelsList();
+      const modelInfo = models.find(m => m.id === modelId);
+      if (!modelInfo) {
+        throw new Error('Gesture model not found');
+      }
+      this.saveGestureModelsList(models.filter(m => m.id !== modelId));
+      try {
+        await tf.io.removeModel('indexeddb://' + modelInfo.storageKey);
+      } catch (e) {
+        console.warn('Could not remove gesture model from IndexedDB:', e);
+      }
+      if (this.gestureModelInfo && this.gestureModelInfo.id === modelId) {
+        this.clearGestureModel();
+      }
+      this.updateGestureModelsList();
+    } catch (error) {
+      console.error('Error deleting gesture model:', error);
+      this.dispatchDetectorEvent('error', { context: 'delete-gesture-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  updateGestureModelsList() {
+    if (!this.gestureModelsList) return;
+    const models = this.loadGestureModelsList();
+    if (models.length === 0) {
+      this.gestureModelsList.innerHTML = '<p style="color: #666; margin: 0; text-align: center;">No gesture models saved yet.</p>';
+      return;
+    }
+
+    const buttonStyle = 'padding: 5px 10px; margin-right: 5px; color: white; border: none; border-radius: 4px; cursor: pointer;';
+    const selectedId = this.gestureModelInfo ? this.gestureModelInfo.id : null;
+    this.gestureModelsList.innerHTML = models.map(model => `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 10px; margin-bottom: 8px; border: 2px solid ${model.id === selectedId ? '#9C27B0' : '#ddd'}; border-radius: 4px;">
+        <div>
+          <strong style="color: #667eea;">${escapeHtml(model.name)}</strong>
+          <span style="font-size: 12px; color: #666;"> v${model.version}</span>
+          <div style="font-size: 12px; color: #666; margin-top: 4px;">
+            ${escapeHtml(model.trainedLabels.join(', '))} | ${escapeHtml(model.trainingDataCount)} clips | ${escapeHtml(this.describeFeatureSchema(model.featureSchema))} | ${(model.clipDuration / 1000).toFixed(1)}s window
+          </div>
+          <div style="font-size: 12px; color: #666; margin-top: 2px;">${formatEvaluationSummary(model.evaluation)}</div>
+        </div>
+        <div style="white-space: nowrap;">
+          <button class="select-gesture-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #9C27B0;" ${model.id === selectedId ? 'title="Click to stop recognizing gestures"' : ''}>${model.id === selectedId ? '✓ Selected' : 'Select'}</button>
+          <button class="report-gesture-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #607D8B;">Report</button>
+          <button class="delete-gesture-model-btn" data-model-id="${model.id}" style="${buttonStyle} margin-right: 0; background: #f44336;">Delete</button>
+        </div>
+      </div>
+    `).join('');
+
+    this.gestureModelsList.querySelectorAll('.select-gesture-model-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.modelId === selectedId) {
+          this.clearGestureModel();
+          this.setGestureStatus('Gesture recognition off');
+          return;
+        }
+        this.selectGestureModel(btn.dataset.modelId).catch(error => {
+          alert('Error loading gesture model: ' + error.message);
+        });
+      });
+    });
+    this.gestureModelsList.querySelectorAll('.report-gesture-model-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.showEvaluationReport(models.find(m => m.id === btn.dataset.modelId));
+      });
+    });
+    this.gestureModelsList.querySelectorAll('.delete-gesture-model-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const modelInfo = models.find(m => m.id === btn.dataset.modelId);
+        if (!confirm(`Are you sure you want to delete gesture model "${modelInfo.name}" v${modelInfo.version}?`)) return;
+        this.removeGestureModel(modelInfo.id).catch(error => {
+          alert('Error deleting gesture model: ' + error.message);
+        });
+      });
+    });
+  }
+
+  resetGestureState() {
+    this.gestureBuffer.clear();
+    this.gestureSpotter.reset();
+    this.gestureFrameCount = 0;
+    clearTimeout(this.gestureDisplayTimer);
+    if (this.testGestureDisplay) this.testGestureDisplay.style.display = 'none';
+  }
+
+  // One test frame for the gesture model: landmarks are the first hand's (mirrored) landmarks or null
+  // Every `stride` frames the last clipDuration ms are classified; a gesture fires through the spotter
+  processGestureFrame(landmarks, timestamp) {
+    const modelInfo = this.gestureModelInfo;
+    this.gestureBuffer.push(landmarks, timestamp);
+    this.gestureFrameCount++;
+    if (this.gestureFrameCount < this.gestureOptions.stride) return;
+    this.gestureFrameCount = 0;
+
+    const frames = this.gestureBuffer.window(modelInfo.clipDuration, timestamp);
+    if (!frames) return;
+    const features = sequenceFeatures(frames, frame => this.extractFeatures(frame, modelInfo.featureSchema), modelInfo.windowSize);
+    if (!features) return;
+
+    const probabilities = tf.tidy(() => Array.from(this.gestureModel.predict(tf.tensor3d([features])).dataSync()));
+    const gesture = this.gestureSpotter.update(probabilities, modelInfo.trainedLabels, timestamp);
+    if (!gesture) return;
+
+    // The frames that made this gesture must not make it again once the cooldown is over
+    this.gestureBuffer.clear();
+    const probabilityMap = {};
+    modelInfo.trainedLabels.forEach((label, index) => {
+      probabilityMap[label] = probabilities[index];
+    });
+    this.dispatchDetectorEvent('gesture', {
+      label: gesture.label,
+      confidence: gesture.confidence,
+      probabilities: probabilityMap,
+      modelId: modelInfo.id,
+      modelName: modelInfo.name,
+      version: modelInfo.version
+    });
+
+    if (this.testGestureDisplay) {
+      this.testGestureDisplay.textContent = `👋 ${gesture.label.toUpperCase()} (${gesture.confidence.toFixed(2)})`;
+      this.testGestureDisplay.style.display = 'block';
+      clearTimeout(this.gestureDisplayTimer);
+      this.gestureDisplayTimer = setTimeout(() => {
+        this.testGestureDisplay.style.display = 'none';
+      }, 1500);
+    }
+  }
+
+  // Pointer Mode Methods
+  loadPointerOptions() {
+    try {
+      const saved = localStorage.getItem('handDirectionPointerOptions');
+      if (saved) {
+        return normalizePointerOptions(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading pointer options:', error);
+    }
+    return normalizePointerOptions(DEFAULT_POINTER_OPTIONS);
+  }
+
+  // Public API: turn pointer mode on or off and tune it: enabled, region ({ x, y, width, height } as fractions
+  // of the mirrored camera frame), minCutoff, beta, dwellTime, dwellRadius; partial options are merged
+  setPointerOptions(options) {
+    const region = { ...this.pointerOptions.region, ...(options.region || {}) };
+    this.pointerOptions = normalizePointerOptions({ ...this.pointerOptions, ...options, region: region });
+    try {
+      localStorage.setItem('handDirectionPointerOptions', JSON.stringify(this.pointerOptions));
+    } catch (error) {
+      console.error('Error saving pointer options:', error);
+    }
+    this.pointerFilters.forEach(filter => filter.configure(this.pointerOptions.minCutoff, this.pointerOptions.beta));
+    this.dwellClicker.configure(this.pointerOptions.dwellTime, this.pointerOptions.dwellRadius);
+    if (!this.pointerOptions.enabled) {
+      this.hidePointer();
+    }
+    this.updatePointerControls();
+    this.updateTestButton();
+    return this.pointerOptions;
+  }
+
+  updatePointerControls() {
+    if (!this.pointerModeToggle) return;
+    this.pointerModeToggle.checked = this.pointerOptions.enabled;
+    this.dwellTimeInput.value = this.pointerOptions.dwellTime;
+    this.pointerRegionInputs.forEach(input => {
+      input.value = Math.round(this.pointerOptions.region[input.dataset.pointerRegion] * 100);
+    });
+  }
+
+  // One test frame in pointer mode: landmarks are the first hand's mirrored landmarks, or null without a hand
+  updatePointer(landmarks, timestamp) {
+    this.drawPointerRegion();
+    if (!landmarks) {
+      this.hidePointer();
+      return;
+    }
+
+    const position = mapToRegion(landmarks[this.INDEX_FINGER_TIP], this.pointerOptions.region);
+    const x = this.pointerFilters[0].filter(position.x * window.innerWidth, timestamp);
+    const y = this.pointerFilters[1].filter(position.y * window.innerHeight, timestamp);
+
+    const target = this.pointerTargetAt(x, y);
+    this.pointerPosition = { x: x, y: y };
+    this.setPointerTarget(target, x, y);
+    if (target) this.dispatchPointerEvent(target, 'pointermove', x, y);
+
+    const dwell = this.dwellClicker.update(x, y, timestamp);
+    const cursor = this.ensurePointerCursor();
+    cursor.style.display = 'block';
+    cursor.style.transform = `translate(${x}px, ${y}px)`;
+    cursor.style.background = `conic-gradient(rgba(156, 39, 176, 0.8) ${Math.round(dwell.progress * 360)}deg, rgba(156, 39, 176, 0.2) 0deg)`;
+
+    if (dwell.click && target) {
+      this.dispatchPointerEvent(target, 'pointerdown', x, y);
+      this.dispatchPointerEvent(target, 'pointerup', x, y);
+      this.dispatchPointerEvent(target, 'click', x, y);
+      this.dispatchDetectorEvent('pointer-click', { x: x, y: y, target: target });
+    }
+  }
+
+  // elementFromPoint stops at shadow hosts, so open shadow roots are searched too
+  pointerTargetAt(x, y) {
+    let target = document.elementFromPoint(x, y);
+    while (target && target.shadowRoot) {
+      const inner = target.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === target) break;
+      target = inner;
+    }
+    return target;
+  }
+
+  // pointerout/pointerleave for the element the pointer left, pointerover/pointerenter for the new one
+  // enter and leave don't bubble, so they go to every ancestor the pointer entered or left (like a real mouse)
+  setPointerTarget(target, x, y) {
+    const previous = this.pointerTarget;
+    if (target === previous) return;
+    const left = previous ? this.pointerAncestors(previous) : [];
+    const entered = target ? this.pointerAncestors(target) : [];
+    if (previous) {
+      this.dispatchPointerEvent(previous, 'pointerout', x, y);
+      left.filter(element => !entered.includes(element)).forEach(element => this.dispatchPointerEvent(element, 'pointerleave', x, y));
+    }
+    if (target) {
+      this.dispatchPointerEvent(target, 'pointerover', x, y);
+      entered.filter(element => !left.includes(element)).reverse().forEach(element => this.dispatchPointerEvent(element, 'pointerenter', x, y));
+    }
+    this.pointerTarget = target;
+  }
+
+  // The element and its ancestors, innermost first, crossing open shadow roots to their hosts
+  pointerAncestors(element) {
+    const chain = [];
+    for (let node = element; node; node = node.parentNode || node.host) {
+      if (node.nodeType === Node.ELEMENT_NODE) chain.push(node);
+    }
+    return chain;
+  }
+
+  dispatchPointerEvent(target, type, x, y) {
+    const init = {
+      bubbles: type !== 'pointerenter' && type !== 'pointerleave',
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: x,
+      clientY: y,
+      button: 0,
+      buttons: type === 'pointerdown' ? 1 : 0,
+      pointerId: HAND_POINTER_ID,
+      pointerType: 'mouse',
+      isPrimary: true
+    };
+    target.dispatchEvent(type === 'click' ? new MouseEvent(type, init) : new PointerEvent(type, init));
+  }
+
+  // The cursor lives in document.body, so it is shown in headless mode and above everything on the page
+  ensurePointerCursor() {
+    if (!this.pointerCursor) {
+      this.pointerCursor = document.createElement('div');
+      this.pointerCursor.setAttribute('aria-hidden', 'true');
+      this.pointerCursor.style.cssText = 'position: fixed; left: -14px; top: -14px; width: 28px; height: 28px; box-sizing: border-box; border: 3px solid #9C27B0; border-radius: 50%; pointer-events: none; z-index: 2147483647; display: none;';
+      document.body.appendChild(this.pointerCursor);
+    }
+    return this.pointerCursor;
+  }
+
+  // Hide the cursor, let the hovered element know the pointer left, cancel a pending dwell click and
+  // forget the filtered position (the next hand starts fresh)
+  hidePointer() {
+    if (this.pointerCursor) {
+      this.pointerCursor.remove();
+      this.pointerCursor = null;
+    }
+    if (this.pointerTarget) {
+      const position = this.pointerPosition || { x: 0, y: 0 };
+      this.setPointerTarget(null, position.x, position.y);
+    }
+    this.pointerFilters.forEach(filter => filter.reset());
+    this.dwellClicker.reset();
+    this.pointerTarget = null;
+    this.pointerPosition = null;
+  }
+
+  // Dashed outline of the active region on the test overlay
+  drawPointerRegion() {
+    if (!this.testCtx) return;
+    const region = this.pointerOptions.region;
+    // The region is in mirrored coordinates, like the preview when mirror is on
+    const x = this.mirror ? region.x : 1 - region.x - region.width;
+    this.testCtx.save();
+    this.testCtx.strokeStyle = 'rgba(156, 39, 176, 0.8)';
+    this.testCtx.lineWidth = 2;
+    this.testCtx.setLineDash([8, 6]);
+    this.testCtx.strokeRect(x * this.testCanvas.width, region.y * this.testCanvas.height, region.width * this.testCanvas.width, region.height * this.testCanvas.height);
+    this.testCtx.restore();
+  }
+
+  // Test Mode Methods
+  async startTestMode() {
+    try {
+      await this.start();
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  // Public API: open the camera and run live predictions with the selected model
+  // Results are delivered through the prediction / prediction-change events, the gesture event when a
+  // gesture model is selected, and synthetic pointer events in pointer mode (any one of them is enough to start)
+  // Geometric detection mode starts without any model
+  async start() {
+    if (!this.canStartTest()) {
+      throw new Error('Please select a model from the list first, or switch to geometric detection.');
+    }
+
+    if (!this.mediaPipeReady || !this.imageHandLandmarker) {
+      throw new Error('MediaPipe not initialized yet. Please wait...');
+    }
+
+    if (this.isTestModeActive) {
+      return; // Already running
+    }
+
+    try {
+      // Create video landmarker for test mode if not exists
+      if (!this.handLandmarker) {
+        this.setTestStatus('Initializing video detector...');
+        this.handLandmarker = await this.createHandLandmarker("VIDEO", 0.5);
+      }
+
+      // Request camera access
+      this.testStream = await navigator.mediaDevices.getUserMedia({ 
+        video: this.getCameraConstraints()
+      });
+      
+      this.testVideo.srcObject = this.testStream;
+      await this.testVideo.play();
+      
+      // Wait for video to be ready
+      await new Promise((resolve) => {
+        const checkReady = () => {
+          if (this.testVideo.readyState >= 2 && this.testVideo.videoWidth > 0) {
+            resolve();
+          } else {
+            setTimeout(checkReady, 100);
           }
         };
         checkReady();
@@ -1707,21 +3649,23 @@ class HandDirectionDetector extends HTMLElement {
       this.testCanvas.style.height = 'auto';
       
       // Verify model is still loaded before starting
-      if (!this.trainedModel || !this.selectedModelId) {
-        alert('Model was lost. Please select a model again.');
-        this.testStatus.innerHTML = '<strong>Status:</strong> Error: Model not available. Please select a model.';
-        return;
+      if (!this.canStartTest()) {
+        this.stopTestMode();
+        this.setTestStatus('Error: Model not available. Please select a model.');
+        throw new Error('Model was lost. Please select a model again.');
       }
       
       // Show test camera and start detection
+      this.resetSmoothers();
+      this.resetGestureState();
       this.testCameraContainer.style.display = 'block';
-      this.testBtn.style.display = 'none';
-      this.stopTestBtn.style.display = 'inline-block';
+      if (this.testBtn) this.testBtn.style.display = 'none';
+      if (this.stopTestBtn) this.stopTestBtn.style.display = 'inline-block';
       this.isTestModeActive = true;
       
       // Display which model is being used
       const modelName = this.selectedModelInfo ? this.selectedModelInfo.name : 'Unknown';
-      this.testStatus.innerHTML = `<strong>Status:</strong> Testing with model "<strong style="color: #4CAF50;">${modelName}</strong>". Point your finger in different directions.`;
+      this.setTestStatus(this.describeTestMode());
       
       console.log('✓ Test mode started');
       console.log('✓ Using model ID:', this.selectedModelId);
@@ -1732,11 +3676,31 @@ class HandDirectionDetector extends HTMLElement {
       this.detectInTestMode();
     } catch (error) {
       console.error('Error starting test mode:', error);
-      alert(`Error starting test camera: ${error.message}. Please check permissions.`);
-      this.testStatus.innerHTML = '<strong>Status:</strong> Error starting test mode.';
+      this.dispatchDetectorEvent('error', { context: 'test-camera', message: error.message, error: error });
+      this.setTestStatus('Error starting test mode.');
+      throw new Error(`Error starting test camera: ${error.message}. Please check permissions.`);
     }
   }
 
+  // Status line for a running test: what labels the frames and what runs next to it
+  describeTestMode() {
+    const modelName = escapeHtml(this.selectedModelInfo ? this.selectedModelInfo.name : 'Unknown');
+    const gestureText = this.gestureModelInfo ? ` Gestures from "<strong style="color: #9C27B0;">${escapeHtml(this.gestureModelInfo.name)}</strong>" v${this.gestureModelInfo.version}.` : '';
+    const pointerText = this.pointerOptions.enabled ? ' Pointer mode is on.' : '';
+    if (this.detectionMode === 'geometric') {
+      const comparisonText = this.trainedModel ? ` Model "${modelName}" runs alongside for comparison.` : '';
+      return `Geometric detection with <strong style="color: #4CAF50;">${this.geometricOptions.sectors} sectors</strong> (no training). Point your finger in different directions.${comparisonText}${gestureText}${pointerText}`;
+    }
+    return this.trainedModel
+      ? `Testing with model "<strong style="color: #4CAF50;">${modelName}</strong>". Point your finger in different directions.${gestureText}${pointerText}`
+      : `Running without a direction model.${gestureText}${pointerText}`;
+  }
+
+  // Public API: stop the camera and the prediction loop
+  stop() {
+    this.stopTestMode();
+  }
+
   stopTestMode() {
     this.isTestModeActive = false;
     
@@ -1751,74 +3715,318 @@ class HandDirectionDetector extends HTMLElement {
     }
     
     // Hide test camera
-    this.testCameraContainer.style.display = 'none';
-    this.testBtn.style.display = 'inline-block';
-    this.stopTestBtn.style.display = 'none';
+    if (this.testCameraContainer) this.testCameraContainer.style.display = 'none';
+    if (this.testBtn) this.testBtn.style.display = 'inline-block';
+    if (this.stopTestBtn) this.stopTestBtn.style.display = 'none';
     
     // Clear canvas
-    this.testCtx.clearRect(0, 0, this.testCanvas.width, this.testCanvas.height);
+    if (this.testCtx) this.testCtx.clearRect(0, 0, this.testCanvas.width, this.testCanvas.height);
     
     // Reset display boxes to default
     this.updateTestDirectionDisplay(null, null);
+    this.updateTestComparisonDisplay(null);
+    this.lastHandResults = [];
+    this.resetSmoothers();
+    this.resetGestureState();
+    this.hidePointer();
+    if (this.testHandsList) {
+      this.testHandsList.style.display = 'none';
+    }
+    
+    this.setTestStatus(`Test mode stopped.`);
+  }
+
+  async detectInTestMode() {
+    if (!this.isTestModeActive) return;
+
+    const startTimeMs = performance.now();
+    
+    // Only process if video has advanced
+    if (this.testVideo.currentTime > 0) {
+      const results = this.handLandmarker.detectForVideo(this.testVideo, startTimeMs);
+      this.processTestResults(results);
+    }
+
+    if (this.isTestModeActive) {
+      requestAnimationFrame(() => this.detectInTestMode());
+    }
+  }
+
+  processTestResults(results) {
+    // Clear canvas
+    this.testCtx.clearRect(0, 0, this.testCanvas.width, this.testCanvas.height);
+
+    // tasks-vision has used both "handedness" and "handednesses" for this field
+    const handednessList = results.handedness || results.handednesses || [];
+    const handResults = [];
+    const timestamp = performance.now();
+    const { tracks, lost } = this.matchHandTracks(results.landmarks || []);
+
+    (results.landmarks || []).forEach((landmarks, handIndex) => {
+      // Mirror landmarks for both drawing and detection
+      // Video is mirrored (scaleX(-1)) for display, so we need to mirror landmarks for drawing
+      // Model was trained on mirrored images, so we also need mirrored landmarks for detection
+      const mirroredLandmarks = landmarks.map(landmark => ({
+        x: 1 - landmark.x, // Mirror x coordinate (flip horizontally)
+        y: landmark.y,     // Keep y coordinate the same
+        z: landmark.z      // Keep z coordinate the same
+      }));
+      
+      // Detect direction using trained model with mirrored landmarks
+      // (model was trained on mirrored images, so we need mirrored landmarks)
+      // Pass both original and mirrored landmarks: original for validation, mirrored for model
+      // The per-hand smoother smooths probabilities inside and then holds the label steady
+      // In geometric mode the finger angle labels the hand and the model (if any) only runs for comparison
+      const smoother = tracks[handIndex].smoother;
+      const geometric = this.detectionMode === 'geometric';
+      const geometry = this.measureDirection(landmarks);
+      const modelResult = this.trainedModel ? this.detectDirectionWithTrainedModel(mirroredLandmarks, landmarks, geometric ? null : smoother) : null;
+      const rawResult = geometric
+        ? (geometry.label ? { direction: geometry.label, confidence: geometry.confidence, probabilities: null } : null)
+        : modelResult;
+      const stable = smoother.stabilize(
+        rawResult ? rawResult.direction : null,
+        rawResult ? rawResult.confidence : null,
+        timestamp,
+        rawResult ? rawResult.probabilities : null
+      );
+      const result = stable.label ? { direction: stable.label, confidence: stable.confidence } : null;
+      const handedness = this.getHandedness(handednessList[handIndex]);
+      
+      handResults.push({
+        handIndex: handIndex,
+        handedness: handedness ? handedness.label : null,
+        handednessScore: handedness ? handedness.score : null,
+        direction: result ? result.direction : null,
+        confidence: result ? result.confidence : null,
+        rawDirection: rawResult ? rawResult.direction : null,
+        probabilities: rawResult ? rawResult.probabilities : null,
+        angle: geometry.angle,
+        extension: geometry.extension,
+        geometricLabel: geometry.label,
+        modelLabel: modelResult ? modelResult.direction : null,
+        modelConfidence: modelResult ? modelResult.confidence : null,
+        landmarks: mirroredLandmarks
+      });
+      
+      if (stable.changed) {
+        this.dispatchPredictionChange(handResults[handIndex], stable.previousLabel);
+      }
+      
+      // Draw hand landmarks using mirrored coordinates when the video is mirrored, original otherwise
+      this.drawHandLandmarksOnCanvas(this.mirror ? mirroredLandmarks : landmarks, this.testCtx, this.testCanvas, {
+        color: this.HAND_COLORS[handIndex % this.HAND_COLORS.length],
+        label: this.maxNumHands > 1 ? this.formatHandLabel(handResults[handIndex]) : null
+      });
+    });
+
+    // Hands that left the frame still go through the hold-time rule before their label clears,
+    // then their track is dropped so a new hand starts with a fresh smoother
+    let primary = handResults[0];
+    lost.forEach(track => {
+      track.smoother.clearHistory();
+      const held = track.smoother.stabilize(null, null, timestamp);
+      if (!primary && track.handIndex === 0) {
+        primary = { direction: held.label, confidence: held.confidence };
+      }
+      if (held.changed) {
+        this.dispatchPredictionChange({ handIndex: track.handIndex, handedness: null, direction: null, confidence: null, probabilities: null, angle: null, extension: null, geometricLabel: null, modelLabel: null, modelConfidence: null }, held.previousLabel);
+      }
+      if (held.label === null) {
+        track.smoother.reset();
+        this.handTracks = this.handTracks.filter(other => other !== track);
+      }
+    });
+
+    this.lastHandResults = handResults;
+
+    // The gesture model follows the first hand; frames without a hand go into the window as gaps
+    if (this.gestureModel) {
+      this.processGestureFrame(handResults[0] ? handResults[0].landmarks : null, timestamp);
+    }
+    if (this.pointerOptions.enabled) {
+      this.updatePointer(handResults[0] ? handResults[0].landmarks : null, timestamp);
+    }
+
+    // Fired for every processed frame, including frames without a hand (label: null)
+    this.dispatchDetectorEvent('prediction', {
+      label: primary ? primary.direction : null,
+      confidence: primary ? primary.confidence : null,
+      rawLabel: handResults[0] ? handResults[0].rawDirection : null,
+      probabilities: handResults[0] ? handResults[0].probabilities : null,
+      angle: handResults[0] ? handResults[0].angle : null,
+      extension: handResults[0] ? handResults[0].extension : null,
+      geometricLabel: handResults[0] ? handResults[0].geometricLabel : null,
+      modelLabel: handResults[0] ? handResults[0].modelLabel : null,
+      modelConfidence: handResults[0] ? handResults[0].modelConfidence : null,
+      detectionMode: this.detectionMode,
+      modelId: this.selectedModelId,
+      modelName: this.selectedModelInfo ? this.selectedModelInfo.name : null,
+      hands: handResults.map(handResult => this.toHandEventDetail(handResult))
+    });
+
+    // The main display boxes always show the first hand; every hand is listed below when numHands > 1
+    this.updateTestDirectionDisplay(primary ? primary.direction : null, primary ? primary.confidence : null);
+    this.updateTestHandsDisplay(handResults);
+    this.updateTestComparisonDisplay(handResults[0] || null);
+  }
+
+  toHandEventDetail(handResult) {
+    return {
+      handIndex: handResult.handIndex,
+      handedness: handResult.handedness,
+      label: handResult.direction,
+      confidence: handResult.confidence,
+      probabilities: handResult.probabilities,
+      // Finger angle (degrees, clockwise from right) and MCP -> tip extension, with the rule-based label
+      angle: handResult.angle,
+      extension: handResult.extension,
+      geometricLabel: handResult.geometricLabel,
+      // Per-frame label of the selected trained model, before the hold time, in either detection mode (null without a model)
+      modelLabel: handResult.modelLabel,
+      modelConfidence: handResult.modelConfidence
+    };
+  }
+
+  dispatchPredictionChange(handResult, previousLabel) {
+    // Fired when a hand's stabilized (smoothed + held) label changes
+    this.dispatchDetectorEvent('prediction-change', {
+      ...this.toHandEventDetail(handResult),
+      previousLabel: previousLabel,
+      detectionMode: this.detectionMode,
+      modelId: this.selectedModelId,
+      modelName: this.selectedModelInfo ? this.selectedModelInfo.name : null
+    });
+  }
+
+  // Pair this frame's hands with the tracked hands by nearest wrist, so every hand keeps its own smoother -
+  // MediaPipe doesn't keep the order of the hands stable between frames when several are visible
+  // Returns { tracks (one per hand, in result order), lost (tracks whose hand isn't in this frame) }
+  matchHandTracks(landmarksList) {
+    const pairs = [];
+    landmarksList.forEach((landmarks, handIndex) => {
+      const wrist = landmarks[this.WRIST];
+      this.handTracks.forEach(track => {
+        const distance = Math.hypot(wrist.x - track.wrist.x, wrist.y - track.wrist.y);
+        if (distance <= this.MAX_HAND_TRACK_DISTANCE) {
+          pairs.push({ handIndex: handIndex, track: track, distance: distance });
+        }
+      });
+    });
     
-    this.testStatus.innerHTML = `<strong>Status:</strong> Test mode stopped.`;
+    // Closest pairs first; each hand and each track is used once
+    const tracks = landmarksList.map(() => null);
+    const matched = new Set();
+    pairs.sort((a, b) => a.distance - b.distance).forEach(pair => {
+      if (tracks[pair.handIndex] || matched.has(pair.track)) return;
+      tracks[pair.handIndex] = pair.track;
+      matched.add(pair.track);
+    });
+    const lost = this.handTracks.filter(track => !matched.has(track));
+    
+    landmarksList.forEach((landmarks, handIndex) => {
+      if (!tracks[handIndex]) {
+        tracks[handIndex] = { smoother: new PredictionSmoother(this.smoothingOptions) };
+      }
+      tracks[handIndex].wrist = { x: landmarks[this.WRIST].x, y: landmarks[this.WRIST].y };
+      tracks[handIndex].handIndex = handIndex;
+    });
+    this.handTracks = [...tracks, ...lost];
+    return { tracks: tracks, lost: lost };
+  }
+
+  resetSmoothers() {
+    this.handTracks.forEach(track => track.smoother.reset());
+    this.handTracks = [];
   }
 
-  async detectInTestMode() {
-    if (!this.isTestModeActive) return;
+  setSmoothingOptions(options) {
+    this.smoothingOptions = { ...this.smoothingOptions, ...options };
+    this.handTracks.forEach(track => track.smoother.configure(this.smoothingOptions));
+    this.updateSmoothingControls();
+  }
 
-    const startTimeMs = performance.now();
+  updateSmoothingControls() {
+    // Controls may not exist yet when attributes are parsed before the first render
+    if (!this.smoothingSelect) return;
+    this.smoothingSelect.value = this.smoothingOptions.method;
+    this.smoothingStrengthSlider.value = this.smoothingOptions.strength;
+    this.holdTimeInput.value = this.smoothingOptions.holdTime;
+    this.hysteresisInput.value = this.smoothingOptions.hysteresis;
+    this.smoothingStrengthSlider.disabled = this.smoothingOptions.method === 'none';
+  }
+
+  getHandedness(categories, mirroredInput = false) {
+    if (!categories || categories.length === 0) return null;
+    const category = categories[0];
+    const name = (category.categoryName || category.displayName || '').toLowerCase();
     
-    // Only process if video has advanced
-    if (this.testVideo.currentTime > 0) {
-      const results = this.handLandmarker.detectForVideo(this.testVideo, startTimeMs);
-      this.processTestResults(results);
+    // MediaPipe assumes a mirrored (selfie) input when labelling handedness
+    // The test landmarker sees the raw, non-mirrored camera frame, so the label is swapped
+    if (mirroredInput) {
+      return name === 'left' || name === 'right' ? { label: name, score: category.score } : null;
     }
+    const label = name === 'left' ? 'right' : name === 'right' ? 'left' : null;
+    return label ? { label: label, score: category.score } : null;
+  }
 
-    if (this.isTestModeActive) {
-      requestAnimationFrame(() => this.detectInTestMode());
-    }
+  formatHandLabel(handResult) {
+    const hand = handResult.handedness ? `${handResult.handedness.toUpperCase()} hand` : `Hand ${handResult.handIndex + 1}`;
+    const direction = handResult.direction ? handResult.direction.toUpperCase() : '--';
+    const confidence = handResult.confidence !== null ? ` (${handResult.confidence.toFixed(2)})` : '';
+    return `${hand}: ${direction}${confidence}`;
   }
 
-  processTestResults(results) {
-    // Clear canvas
-    this.testCtx.clearRect(0, 0, this.testCanvas.width, this.testCanvas.height);
+  updateTestHandsDisplay(handResults) {
+    if (!this.testHandsList) return;
+    
+    if (this.maxNumHands <= 1) {
+      this.testHandsList.style.display = 'none';
+      return;
+    }
+    
+    this.testHandsList.style.display = 'block';
+    if (handResults.length === 0) {
+      this.testHandsList.innerHTML = '<strong>Hands:</strong> none detected';
+      return;
+    }
+    
+    this.testHandsList.innerHTML = handResults.map(handResult => `
+      <div style="display: flex; align-items: center; gap: 8px; margin: 4px 0;">
+        <span style="display: inline-block; width: 12px; height: 12px; border-radius: 50%; background: ${this.HAND_COLORS[handResult.handIndex % this.HAND_COLORS.length]};"></span>
+        <span style="font-family: 'Courier New', monospace;">${escapeHtml(this.formatHandLabel(handResult))}</span>
+      </div>
+    `).join('');
+  }
 
-    if (results.landmarks && results.landmarks.length > 0) {
-      const landmarks = results.landmarks[0];
-      
-      // Mirror landmarks for both drawing and detection
-      // Video is mirrored (scaleX(-1)) for display, so we need to mirror landmarks for drawing
-      // Model was trained on mirrored images, so we also need mirrored landmarks for detection
-      const mirroredLandmarks = landmarks.map(landmark => ({
-        x: 1 - landmark.x, // Mirror x coordinate (flip horizontally)
-        y: landmark.y,     // Keep y coordinate the same
-        z: landmark.z      // Keep z coordinate the same
-      }));
-      
-      // Draw hand landmarks using mirrored coordinates (video is mirrored, so use mirrored landmarks)
-      this.drawHandLandmarksOnCanvas(mirroredLandmarks, this.testCtx, this.testCanvas);
-      
-      // Detect direction using trained model with mirrored landmarks
-      // (model was trained on mirrored images, so we need mirrored landmarks)
-      // Pass both original and mirrored landmarks: original for validation, mirrored for model
-      const result = this.detectDirectionWithTrainedModel(mirroredLandmarks, landmarks);
-      const direction = result ? result.direction : null;
-      const confidence = result ? result.confidence : null;
-      this.updateTestDirectionDisplay(direction, confidence);
-    } else {
-      // No hand detected - reset to default
-      this.updateTestDirectionDisplay(null, null);
+  async setNumHands(numHands) {
+    this.maxNumHands = Math.max(1, Math.min(4, numHands || 1));
+    if (this.numHandsSelect) {
+      this.numHandsSelect.value = String(this.maxNumHands);
+    }
+    
+    // Existing landmarkers can be reconfigured in place
+    try {
+      if (this.handLandmarker) {
+        await this.handLandmarker.setOptions({ numHands: this.maxNumHands });
+      }
+      if (this.imageHandLandmarker) {
+        await this.imageHandLandmarker.setOptions({ numHands: this.maxNumHands });
+      }
+    } catch (error) {
+      console.error('Error updating number of hands:', error);
     }
+    
+    this.updateTestHandsDisplay(this.lastHandResults);
   }
 
-  drawHandLandmarksOnCanvas(landmarks, ctx, canvas) {
+  drawHandLandmarksOnCanvas(landmarks, ctx, canvas, options = {}) {
     // Draw index finger line
     const wrist = landmarks[this.WRIST];
     const indexMCP = landmarks[this.INDEX_FINGER_MCP];
     const indexTip = landmarks[this.INDEX_FINGER_TIP];
     
-    ctx.strokeStyle = '#00FF00';
+    ctx.strokeStyle = options.color || '#00FF00';
     ctx.lineWidth = 3;
     ctx.beginPath();
     ctx.moveTo(wrist.x * canvas.width, wrist.y * canvas.height);
@@ -1831,6 +4039,41 @@ class HandDirectionDetector extends HTMLElement {
     ctx.beginPath();
     ctx.arc(indexTip.x * canvas.width, indexTip.y * canvas.height, 8, 0, 2 * Math.PI);
     ctx.fill();
+    
+    // Per-hand label below the wrist (multi-hand mode)
+    if (options.label) {
+      ctx.font = 'bold 16px Arial, sans-serif';
+      ctx.textAlign = 'center';
+      const textX = wrist.x * canvas.width;
+      const textY = Math.min(wrist.y * canvas.height + 24, canvas.height - 6);
+      const textWidth = ctx.measureText(options.label).width;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.fillRect(textX - textWidth / 2 - 6, textY - 16, textWidth + 12, 22);
+      ctx.fillStyle = options.color || '#00FF00';
+      ctx.fillText(options.label, textX, textY);
+    }
+  }
+
+  // One line under the display boxes with the finger angle and the label of the other detection mode,
+  // so geometric detection and the trained model can be compared on the same frames
+  updateTestComparisonDisplay(handResult) {
+    if (!this.testComparisonDisplay) return;
+    if (!handResult) {
+      this.testComparisonDisplay.textContent = '';
+      return;
+    }
+    const format = (label, confidence) => label
+      ? `${label.toUpperCase()}${confidence !== null ? ` (${confidence.toFixed(2)})` : ''}`
+      : '--';
+    const parts = [`Angle ${Math.round(handResult.angle)}°`, `extension ${handResult.extension.toFixed(2)}`];
+    if (this.detectionMode === 'geometric') {
+      if (this.trainedModel) {
+        parts.push(`Model: ${format(handResult.modelLabel, handResult.modelConfidence)}`);
+      }
+    } else {
+      parts.push(`Geometric: ${format(handResult.geometricLabel, null)}`);
+    }
+    this.testComparisonDisplay.textContent = parts.join(' · ');
   }
 
   updateTestDirectionDisplay(direction, confidence = null) {
@@ -1838,20 +4081,9 @@ class HandDirectionDetector extends HTMLElement {
     if (direction && this.testDirectionValue && this.testDirectionDisplay) {
       this.testDirectionValue.textContent = direction.toUpperCase();
       
-      // Set direction box colors based on direction
-      if (direction === 'up') {
-        this.testDirectionDisplay.style.background = 'rgba(0, 255, 0, 0.9)';
-        this.testDirectionDisplay.style.color = '#ffffff';
-      } else if (direction === 'down') {
-        this.testDirectionDisplay.style.background = 'rgba(255, 0, 0, 0.9)';
-        this.testDirectionDisplay.style.color = '#ffffff';
-      } else if (direction === 'left') {
-        this.testDirectionDisplay.style.background = 'rgba(255, 165, 0, 0.9)';
-        this.testDirectionDisplay.style.color = '#ffffff';
-      } else if (direction === 'right') {
-        this.testDirectionDisplay.style.background = 'rgba(0, 100, 255, 0.9)';
-        this.testDirectionDisplay.style.color = '#ffffff';
-      }
+      // Set direction box colors based on label
+      this.testDirectionDisplay.style.background = this.getLabelColor(direction, 'display');
+      this.testDirectionDisplay.style.color = '#ffffff';
     } else {
       // No detection - default style
       if (this.testDirectionValue) {
@@ -1895,18 +4127,435 @@ class HandDirectionDetector extends HTMLElement {
     }
   }
 
-  clearTrainingData() {
+  getDefaultTrainingConfig() {
+    return { ...DEFAULT_TRAINING_CONFIG };
+  }
+
+  loadTrainingConfig() {
+    try {
+      const saved = localStorage.getItem('handDirectionTrainingConfig');
+      if (saved) {
+        return normalizeTrainingConfig(JSON.parse(saved), this.getDefaultTrainingConfig());
+      }
+    } catch (error) {
+      console.error('Error loading training config:', error);
+    }
+    return this.getDefaultTrainingConfig();
+  }
+
+  // Public API: change the training settings used by train() (partial configs are merged; values are clamped)
+  setTrainingConfig(config) {
+    this.trainingConfig = normalizeTrainingConfig({ ...this.trainingConfig, ...config }, this.getDefaultTrainingConfig());
+    try {
+      localStorage.setItem('handDirectionTrainingConfig', JSON.stringify(this.trainingConfig));
+    } catch (error) {
+      console.error('Error saving training config:', error);
+    }
+    this.updateTrainingConfigControls();
+    return this.trainingConfig;
+  }
+
+  updateTrainingConfigControls() {
+    if (!this.trainingConfigInputs) return;
+    this.trainingConfigInputs.forEach(input => {
+      const value = this.trainingConfig[input.dataset.config];
+      input.value = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+  }
+
+  // Settings line for the models list
+  describeModelTraining(modelInfo) {
+    if (!modelInfo.trainingConfig) return 'Default training settings';
+    const stoppedEarly = modelInfo.epochsTrained && modelInfo.epochsTrained < modelInfo.trainingConfig.epochs;
+    const augmented = modelInfo.augmentation ? ` | augmented ×${modelInfo.augmentation.copies}` : '';
+    return describeTrainingConfig(modelInfo.trainingConfig) + (stoppedEarly ? ` (stopped at epoch ${modelInfo.epochsTrained})` : '') + augmented;
+  }
+
+  loadAugmentationOptions() {
+    try {
+      const saved = localStorage.getItem('handDirectionAugmentation');
+      if (saved) {
+        return normalizeAugmentationOptions(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.error('Error loading augmentation options:', error);
+    }
+    return { ...DEFAULT_AUGMENTATION_OPTIONS };
+  }
+
+  // Public API: change the landmark augmentation used by train() (partial options are merged; values are clamped)
+  setAugmentationOptions(options) {
+    this.augmentationOptions = normalizeAugmentationOptions({ ...this.augmentationOptions, ...options });
+    try {
+      localStorage.setItem('handDirectionAugmentation', JSON.stringify(this.augmentationOptions));
+    } catch (error) {
+      console.error('Error saving augmentation options:', error);
+    }
+    this.updateAugmentationControls();
+    return this.augmentationOptions;
+  }
+
+  updateAugmentationControls() {
+    if (!this.augmentationInputs) return;
+    this.augmentationInputs.forEach(input => {
+      const value = this.augmentationOptions[input.dataset.augmentation];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = String(value);
+      }
+    });
+  }
+
+  // Draw a random sample (gray) next to augmented variations of it, all on the same scale
+  previewAugmentation() {
+    const candidates = this.trainingData.filter(sample => sample.landmarks && sample.landmarks.length === 21);
+    if (candidates.length === 0) {
+      alert('No samples with landmarks to preview. Capture some training samples first.');
+      return;
+    }
+    const sample = candidates[Math.floor(Math.random() * candidates.length)];
+    // Like train(), mirrored copies are dropped when no samples carry the mirrored label
+    const trainedLabels = new Set(this.trainingData.map(trainingSample => trainingSample.label));
+    const options = { ...this.augmentationOptions, copies: 7 };
+    const variations = [];
+    for (let i = 0; i < options.copies; i++) {
+      const { landmarks, mirrored } = augmentLandmarks(sample.landmarks, options);
+      const label = mirrored ? mirrorLabel(sample.label) : sample.label;
+      variations.push({ landmarks: landmarks, label: trainedLabels.has(label) ? label : `${label} (dropped)`, mirrored: mirrored });
+    }
+
+    const all = [sample.landmarks, ...variations.map(variation => variation.landmarks)].flat();
+    const minX = Math.min(...all.map(landmark => landmark.x));
+    const minY = Math.min(...all.map(landmark => landmark.y));
+    const bounds = {
+      minX: minX,
+      minY: minY,
+      size: Math.max(Math.max(...all.map(landmark => landmark.x)) - minX, Math.max(...all.map(landmark => landmark.y)) - minY, 0.0001)
+    };
+
+    const canvas = this.augmentationPreview;
+    const ctx = canvas.getContext('2d');
+    const columns = 4;
+    const cellWidth = canvas.width / columns;
+    const cellHeight = canvas.height / 2;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    canvas.style.display = 'block';
+    const cells = [{ landmarks: sample.landmarks, label: `${sample.label} (original)`, color: '#999' }, ...variations.map(variation => ({
+      landmarks: variation.landmarks,
+      label: variation.label + (variation.mirrored ? ' ⇄' : ''),
+      color: variation.mirrored ? '#FF9800' : '#667eea'
+    }))];
+    cells.forEach((cell, index) => {
+      drawSkeleton(ctx, cell.landmarks, {
+        x: (index % columns) * cellWidth,
+        y: Math.floor(index / columns) * cellHeight,
+        width: cellWidth,
+        height: cellHeight - 12
+      }, { color: cell.color, label: cell.label, bounds: bounds });
+    });
+  }
+
+  // Public API: stop a running train() after the current batch; train() then rejects with an AbortError
+  // Returns false when no training is running
+  cancelTraining() {
+    if (!this.activeTraining) return false;
+    this.activeTraining.cancelled = true;
+    this.activeTraining.model.stopTraining = true;
+    if (this.cancelTrainingBtn) this.cancelTrainingBtn.disabled = true;
+    this.setStatus('Cancelling training...');
+    return true;
+  }
+
+  showTrainingProgress(progress) {
+    if (!this.trainingProgressPanel) return;
+    this.trainingProgressPanel.style.display = 'block';
+    this.cancelTrainingBtn.style.display = 'block';
+    this.cancelTrainingBtn.disabled = false;
+    this.updateTrainingProgress(progress);
+  }
+
+  updateTrainingProgress(progress) {
+    if (!this.trainingProgressPanel) return;
+    this.trainingProgressText.textContent = progress.epoch > 0 ? progress.describe() : `Starting training (${progress.totalEpochs} epochs)...`;
+    this.trainingProgressBar.style.width = `${(progress.epoch / progress.totalEpochs) * 100}%`;
+    drawTrainingChart(this.lossChart, progress.history.loss, progress.history.val_loss, { title: 'Loss', totalEpochs: progress.totalEpochs });
+    drawTrainingChart(this.accuracyChart, progress.history.acc, progress.history.val_acc, { title: 'Accuracy', totalEpochs: progress.totalEpochs, maxValue: 1 });
+  }
+
+  // Keep the final curves visible, but there is nothing left to cancel
+  finishTrainingProgress() {
+    if (!this.cancelTrainingBtn) return;
+    this.cancelTrainingBtn.style.display = 'none';
+  }
+
+  // Public API: detect the hand in every stored sample image again and rebuild its landmarks and features with
+  // the current feature set (samples without an image are recomputed from their stored landmarks)
+  // Resolves with { total, updated, skipped, failed, cancelled }; skipped and failed list { id, label, index, reason }
+  // Samples whose image no longer yields a hand are reported as failed and left unchanged
+  async recomputeFeatures() {
+    try {
+      if (this.activeTraining || this.activeRecompute) {
+        throw new Error('Training or a feature recompute is already in progress');
+      }
+      await this.trainingDataReady;
+      if (this.trainingData.length === 0) {
+        throw new Error('No training data available');
+      }
+      if (!this.mediaPipeReady || !this.imageHandLandmarker) {
+        throw new Error('MediaPipe not initialized yet. Please wait...');
+      }
+
+      const samples = [...this.trainingData];
+      let result;
+      this.activeRecompute = { cancelled: false };
+      this.showRecomputeProgress(samples.length);
+      try {
+        result = await recomputeSamples(samples, sample => this.recomputeSample(sample), {
+          isCancelled: () => this.activeRecompute.cancelled,
+          onProgress: (done, total) => this.updateRecomputeProgress(done, total)
+        });
+      } finally {
+        this.activeRecompute = null;
+        this.finishRecomputeProgress();
+        this.updateTrainingDataTable();
+      }
+
+      const toEntries = entries => entries.map(({ sample, reason }) => ({
+        id: sample.id,
+        label: sample.label,
+        index: samples.indexOf(sample),
+        reason: reason
+      }));
+      const detail = { ...result, skipped: toEntries(result.skipped), failed: toEntries(result.failed) };
+      this.dispatchDetectorEvent('features-recomputed', detail);
+      this.setStatus(formatRecomputeSummary(result));
+      console.log('Features recomputed:', detail);
+      return detail;
+    } catch (error) {
+      console.error('Error recomputing features:', error);
+      this.dispatchDetectorEvent('error', { context: 'recompute-features', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // One step of recomputeFeatures(): the sample is updated in place and saved right away
+  async recomputeSample(sample) {
+    const image = await this.sampleStore.getImage(sample.id);
+    if (image) {
+      const landmarks = await this.detectHandsInImage(await this.resolveImageSource(image));
+      if (!landmarks || landmarks.length === 0) {
+        return { failed: 'no hand detected' };
+      }
+      sample.landmarks = this.serializeLandmarks(landmarks[0]);
+    } else if (!sample.landmarks || sample.landmarks.length !== 21) {
+      return { skipped: 'no image or landmarks' };
+    }
+    sample.features = this.extractFeatures(sample.landmarks);
+    const { thumbnailUrl, ...record } = sample;
+    await this.sampleStore.updateSamples([record]);
+    return 'updated';
+  }
+
+  // Public API: stop a running recomputeFeatures() before the next sample; it resolves with cancelled: true
+  // Returns false when nothing is being recomputed
+  cancelRecompute() {
+    if (!this.activeRecompute) return false;
+    this.activeRecompute.cancelled = true;
+    if (this.cancelRecomputeBtn) this.cancelRecomputeBtn.disabled = true;
+    this.setStatus('Cancelling feature recompute...');
+    return true;
+  }
+
+  showRecomputeProgress(total) {
+    if (this.recomputeFeaturesBtn) this.recomputeFeaturesBtn.disabled = true;
+    if (!this.recomputeProgressPanel) return;
+    this.recomputeProgressPanel.style.display = 'block';
+    this.cancelRecomputeBtn.disabled = false;
+    this.updateRecomputeProgress(0, total);
+  }
+
+  updateRecomputeProgress(done, total) {
+    this.setStatus(`Recomputing features: ${done}/${total}...`);
+    if (!this.recomputeProgressPanel) return;
+    this.recomputeProgressText.textContent = `Recomputing features: ${done} / ${total} sample(s)`;
+    this.recomputeProgressBar.style.width = `${total > 0 ? (done / total) * 100 : 0}%`;
+  }
+
+  finishRecomputeProgress() {
+    if (this.recomputeFeaturesBtn) this.recomputeFeaturesBtn.disabled = false;
+    if (!this.recomputeProgressPanel) return;
+    this.recomputeProgressPanel.style.display = 'none';
+  }
+
+  async handleRecomputeFeatures() {
+    if (this.trainingData.length === 0) {
+      alert('No training data to recompute.');
+      return;
+    }
+    if (!confirm(`Detect the hand in all ${this.trainingData.length} sample image(s) again and recompute their features (${this.describeFeatureSchema(this.featureSchema)})?`)) {
+      return;
+    }
+
+    try {
+      const result = await this.recomputeFeatures();
+      if (result.failed.length === 0) return;
+
+      const listed = result.failed.slice(0, 10).map(entry => `#${entry.index + 1} (${entry.label})`).join(', ');
+      const more = result.failed.length > 10 ? ` and ${result.failed.length - 10} more` : '';
+      if (confirm(`${result.failed.length} sample(s) no longer yield a hand: ${listed}${more}.\n\nDelete them from the training data?`)) {
+        const failedIds = new Set(result.failed.map(entry => entry.id));
+        await this.deleteSamples(this.trainingData.filter(sample => failedIds.has(sample.id)));
+        this.updateLabelSelect();
+        this.updateTrainingStats();
+        this.updateTrainingDataTable();
+        this.updateTrainButton();
+        this.setStatus(`Deleted ${failedIds.size} sample(s) without a detectable hand (Total: ${this.trainingData.length})`);
+      }
+    } catch (error) {
+      alert('Error recomputing features: ' + error.message);
+    }
+  }
+
+  // Public API: the training data as a zip Blob (one folder per label + manifest.json)
+  async exportDataset() {
+    try {
+      await this.trainingDataReady;
+      if (this.trainingData.length === 0) {
+        throw new Error('No training data to export');
+      }
+      // Full-size images are read from IndexedDB one sample at a time
+      const samples = [];
+      for (const { id, thumbnailUrl, ...sample } of this.trainingData) {
+        samples.push({ ...sample, image: await this.sampleStore.getImage(id) });
+      }
+      return await createDatasetZip(samples, 'hand-direction-detector');
+    } catch (error) {
+      console.error('Error exporting dataset:', error);
+      this.dispatchDetectorEvent('error', { context: 'export-dataset', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  async downloadDataset() {
+    if (this.trainingData.length === 0) {
+      alert('No training data to export.');
+      return;
+    }
+
+    try {
+      this.setStatus(`Exporting ${this.trainingData.length} sample(s)...`);
+      const blob = await this.exportDataset();
+      downloadBlob(blob, `hand-dataset-${new Date().toISOString().slice(0, 10)}.zip`);
+      this.setStatus(`Exported ${this.trainingData.length} sample(s)`);
+    } catch (error) {
+      alert('Error exporting dataset: ' + error.message);
+      this.setStatus('Error exporting dataset');
+    }
+  }
+
+  // Public API: add the samples of a dataset - a .zip File, or the files of a folder with one sub-folder per label
+  // Samples keep their stored landmarks; samples without landmarks are re-detected from their image
+  // Resolves with { imported, skipped }
+  async importDataset(files) {
+    try {
+      const entries = await readDataset(files, 'hand-direction-detector');
+      let imported = 0;
+      let skipped = 0;
+
+      this.setStatus(`Importing ${entries.length} sample(s)...`);
+      for (const entry of entries) {
+        const label = this.normalizeLabel(entry.label);
+        try {
+          const sample = label ? await this.createImportedSample(entry, label) : null;
+          if (sample) {
+            if (!this.labels.includes(label)) {
+              this.labels.push(label);
+            }
+            imported++;
+          } else {
+            console.warn('Skipping dataset sample without a label or a detectable hand:', entry.label);
+            skipped++;
+          }
+        } catch (error) {
+          console.warn('Skipping dataset sample:', error);
+          skipped++;
+        }
+      }
+
+      this.saveLabels();
+      this.updateLabelSelect();
+      this.updateTrainingStats();
+      this.updateTrainingDataTable();
+      this.updateTrainButton();
+
+      const skippedText = skipped > 0 ? ` (${skipped} skipped)` : '';
+      this.setStatus(`Imported ${imported} sample(s)${skippedText} (Total: ${this.trainingData.length})`);
+      return { imported, skipped };
+    } catch (error) {
+      console.error('Error importing dataset:', error);
+      this.dispatchDetectorEvent('error', { context: 'import-dataset', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  async createImportedSample(entry, label) {
+    const eventDetail = { source: 'import' };
+    const timestamp = entry.timestamp || Date.now();
+
+    if (Array.isArray(entry.landmarks) && entry.landmarks.length === 21) {
+      return this.createSample(entry.landmarks, label, entry.image, eventDetail, timestamp);
+    }
+    if (entry.image) {
+      const image = await this.resolveImageSource(entry.image);
+      const landmarks = await this.detectHandsInImage(image);
+      if (landmarks && landmarks.length > 0) {
+        return this.createSample(landmarks[0], label, entry.image, eventDetail, timestamp);
+      }
+      return null;
+    }
+    if (Array.isArray(entry.features) && entry.features.length > 0) {
+      // Older samples without landmarks or an image only carry their features
+      return this.storeSample({ features: entry.features, label: label, timestamp: timestamp }, null, eventDetail);
+    }
+    return null;
+  }
+
+  async handleDatasetImport(event) {
+    const input = event.target;
+    const files = Array.from(input.files || []);
+    // Clear file input so the same dataset can be picked again
+    input.value = '';
+    if (files.length === 0) return;
+
+    try {
+      const { imported, skipped } = await this.importDataset(files);
+      if (imported === 0) {
+        alert(`No samples could be imported. ${skipped} sample(s) had no label or no detectable hand.`);
+      }
+    } catch (error) {
+      alert('Error importing dataset: ' + error.message);
+      this.setStatus('Error importing dataset');
+    }
+  }
+
+  async clearTrainingData() {
     if (confirm('Are you sure you want to clear all training data? This cannot be undone.')) {
-      this.trainingData = [];
-      
-      // Clear current training data from localStorage (but keep saved models)
-      localStorage.removeItem('handDirectionTrainingData');
+      try {
+        // Saved models are kept
+        await this.clearSamples();
+      } catch (error) {
+        console.error('Error clearing training data:', error);
+        this.dispatchDetectorEvent('error', { context: 'save-training-data', message: error.message, error: error });
+        alert('Error clearing training data: ' + error.message);
+        return;
+      }
       
       // Update UI
       this.updateTrainingStats();
       this.updateTrainingDataTable();
       this.trainBtn.disabled = true;
-      this.statusText.textContent = 'Training data cleared';
+      this.setStatus('Training data cleared');
       
       // Close training camera if open
       if (this.isTrainingCameraOpen) {
@@ -1915,44 +4564,52 @@ class HandDirectionDetector extends HTMLElement {
     }
   }
 
-  saveTrainingData() {
+  // Training data lives in IndexedDB (see sample-store.js); every change is written right away,
+  // so there is no save step. Older versions kept it in localStorage - it is moved over on first load
+  async loadTrainingData() {
     try {
-      // Save current training data to localStorage (for current session)
-      const dataToSave = {
-        trainingData: this.trainingData,
-        timestamp: Date.now()
-      };
-      const jsonString = JSON.stringify(dataToSave);
-      const sizeInMB = new Blob([jsonString]).size / (1024 * 1024);
-      console.log('Saving training data. Size:', sizeInMB.toFixed(2), 'MB');
-      
-      if (sizeInMB > 5) {
-        console.warn('Warning: Training data is large (', sizeInMB.toFixed(2), 'MB). localStorage has ~5-10MB limit.');
-      }
+      await this.sampleStore.migrateFromLocalStorage('handDirectionTrainingData');
+      const storedSamples = (await this.sampleStore.getAll()).map(({ thumbnail, ...sample }) => ({
+        ...sample,
+        thumbnailUrl: thumbnail ? URL.createObjectURL(thumbnail) : null
+      }));
+      // Keep samples added while loading (they are already stored, but may not have been read back)
+      const storedIds = new Set(storedSamples.map(sample => sample.id));
+      this.trainingData = [...storedSamples, ...this.trainingData.filter(sample => !storedIds.has(sample.id))];
+      console.log(`Loaded ${this.trainingData.length} training samples from storage`);
       
-      localStorage.setItem('handDirectionTrainingData', jsonString);
-      console.log('Training data saved successfully. Sample count:', this.trainingData.length);
+      // Make sure every label present in the data is selectable (e.g. labels removed from the list)
+      this.trainingData.forEach(sample => {
+        if (sample && sample.label && !this.labels.includes(sample.label)) {
+          this.labels.push(sample.label);
+        }
+      });
     } catch (error) {
-      console.error('Error saving training data:', error);
-      if (error.name === 'QuotaExceededError') {
-        alert('Error: Training data is too large to save. Please reduce the number of samples or clear old data.');
-      }
+      console.error('Error loading training data:', error);
+      this.dispatchDetectorEvent('error', { context: 'load-training-data', message: error.message, error: error });
     }
+    
+    // Loading finishes after render() when the element is already connected
+    this.updateLabelSelect();
+    this.updateTrainingStats();
+    this.updateTrainingDataTable();
+    this.updateTrainButton();
   }
 
-  loadTrainingData() {
-    try {
-      const saved = localStorage.getItem('handDirectionTrainingData');
-      if (saved) {
-        const data = JSON.parse(saved);
-        this.trainingData = data.trainingData || [];
-        console.log(`Loaded ${this.trainingData.length} training samples from storage`);
-        // Note: UI updates will happen after render() in connectedCallback
-      }
-    } catch (error) {
-      console.error('Error loading training data:', error);
-      this.trainingData = [];
-    }
+  async deleteSamples(samples) {
+    await this.sampleStore.removeSamples(samples.map(sample => sample.id));
+    samples.forEach(sample => {
+      if (sample.thumbnailUrl) URL.revokeObjectURL(sample.thumbnailUrl);
+    });
+    this.trainingData = this.trainingData.filter(sample => !samples.includes(sample));
+  }
+
+  async clearSamples() {
+    await this.sampleStore.clear();
+    this.trainingData.forEach(sample => {
+      if (sample.thumbnailUrl) URL.revokeObjectURL(sample.thumbnailUrl);
+    });
+    this.trainingData = [];
   }
   
   // Model Management Methods
@@ -1961,7 +4618,7 @@ class HandDirectionDetector extends HTMLElement {
     return name.replace(/[^a-zA-Z0-9_-]/g, '_');
   }
   
-  async saveModel(model, modelName, trainingData, uniqueLabels = null, labelMap = null) {
+  async saveModel(model, modelName, trainingData, uniqueLabels = null, labelMap = null, featureSchema = null, trainingDetails = {}) {
     try {
       // Sanitize model name for storage
       const sanitizedName = this.sanitizeModelName(modelName);
@@ -2006,58 +4663,17 @@ class HandDirectionDetector extends HTMLElement {
         trainedLabels: uniqueLabels, // Store only the list of trained labels (sorted)
         labelMap: labelMap, // Store label mapping (label -> index) for prediction
         labelCounts: labelCounts, // Store label counts for reference
+        featureSchema: featureSchema || this.getModelFeatureSchema(null), // Needed to rebuild the input vector at prediction time
+        evaluation: trainingDetails.evaluation || null, // Held-out accuracy, per-class metrics and confusion matrix (null if not evaluated)
+        trainingConfig: trainingDetails.trainingConfig || null, // Hyperparameters and hidden layers used
+        epochsTrained: trainingDetails.epochsTrained || null, // Fewer than trainingConfig.epochs after early stopping
+        augmentation: trainingDetails.augmentation || null, // Landmark augmentation options, null when off
         createdAt: new Date().toISOString()
         // NOTE: We don't store full trainingData to avoid localStorage quota issues
         // The model itself is saved in IndexedDB, and we only need label info for validation
       };
       
-      // Load existing models
-      const savedModels = this.loadSavedModelsList();
-      savedModels.push(modelInfo);
-      
-      // Check storage size before saving
-      const jsonString = JSON.stringify(savedModels);
-      const sizeInMB = new Blob([jsonString]).size / (1024 * 1024);
-      
-      if (sizeInMB > 4) {
-        console.warn('Warning: Model metadata is large (', sizeInMB.toFixed(2), 'MB). Consider deleting old models.');
-      }
-      
-      // Save to localStorage with error handling
-      try {
-        localStorage.setItem('handDirectionSavedModels', jsonString);
-      } catch (storageError) {
-        if (storageError.name === 'QuotaExceededError') {
-          // Try to free up space by removing old models
-          console.warn('Storage quota exceeded. Attempting to free space...');
-          
-          // Keep only the 10 most recent models
-          const sortedModels = savedModels.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-          const recentModels = sortedModels.slice(0, 10);
-          
-          // Remove old models from IndexedDB
-          const modelsToDelete = sortedModels.slice(10);
-          for (const oldModel of modelsToDelete) {
-            try {
-              const oldStorageKey = oldModel.storageKey || this.sanitizeModelName(oldModel.name);
-              await tf.io.removeModel('indexeddb://' + oldStorageKey);
-            } catch (e) {
-              console.warn('Could not remove old model from IndexedDB:', e);
-            }
-          }
-          
-          // Try saving again with only recent models
-          const reducedJsonString = JSON.stringify(recentModels);
-          localStorage.setItem('handDirectionSavedModels', reducedJsonString);
-          
-          console.log('Freed space by removing old models. Kept', recentModels.length, 'most recent models.');
-        } else {
-          throw storageError;
-        }
-      }
-      
-      // Reload models list
-      this.loadSavedModels();
+      await this.registerModelInfo(modelInfo);
       
       return modelInfo;
     } catch (error) {
@@ -2066,10 +4682,64 @@ class HandDirectionDetector extends HTMLElement {
     }
   }
   
+  // Add model metadata to the saved models list (frees space by dropping old models if storage is full)
+  async registerModelInfo(modelInfo) {
+    // Load existing models
+    const savedModels = this.loadSavedModelsList();
+    // A name that is already taken gets the next version of that model family
+    modelInfo.version = nextVersion(savedModels, modelInfo.name);
+    savedModels.push(modelInfo);
+    
+    // Check storage size before saving
+    const jsonString = JSON.stringify(savedModels);
+    const sizeInMB = new Blob([jsonString]).size / (1024 * 1024);
+    
+    if (sizeInMB > 4) {
+      console.warn('Warning: Model metadata is large (', sizeInMB.toFixed(2), 'MB). Consider deleting old models.');
+    }
+    
+    // Save to localStorage with error handling
+    try {
+      localStorage.setItem('handDirectionSavedModels', jsonString);
+    } catch (storageError) {
+      if (storageError.name === 'QuotaExceededError') {
+        // Try to free up space by removing old models
+        console.warn('Storage quota exceeded. Attempting to free space...');
+        
+        // Keep only the 10 most recent models
+        const sortedModels = savedModels.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        const recentModels = sortedModels.slice(0, 10);
+        
+        // Remove old models from IndexedDB
+        const modelsToDelete = sortedModels.slice(10);
+        for (const oldModel of modelsToDelete) {
+          try {
+            const oldStorageKey = oldModel.storageKey || this.sanitizeModelName(oldModel.name);
+            await tf.io.removeModel('indexeddb://' + oldStorageKey);
+          } catch (e) {
+            console.warn('Could not remove old model from IndexedDB:', e);
+          }
+        }
+        
+        // Try saving again with only recent models
+        const reducedJsonString = JSON.stringify(recentModels);
+        localStorage.setItem('handDirectionSavedModels', reducedJsonString);
+        
+        console.log('Freed space by removing old models. Kept', recentModels.length, 'most recent models.');
+      } else {
+        throw storageError;
+      }
+    }
+    
+    // Reload models list
+    this.loadSavedModels();
+  }
+
   loadSavedModelsList() {
     try {
       const saved = localStorage.getItem('handDirectionSavedModels');
-      return saved ? JSON.parse(saved) : [];
+      // Models saved before versioning get their version numbers here
+      return saved ? assignVersions(JSON.parse(saved)) : [];
     } catch (error) {
       console.error('Error loading saved models list:', error);
       return [];
@@ -2097,27 +4767,38 @@ class HandDirectionDetector extends HTMLElement {
   }
   
   deleteModel(modelId) {
+    const modelInfo = this.loadSavedModelsList().find(m => m.id === modelId);
+    if (!modelInfo) {
+      alert('Model not found');
+      return;
+    }
+    
+    if (!confirm(`Are you sure you want to delete model "${modelInfo.name}" v${modelInfo.version}?`)) {
+      return;
+    }
+    
+    this.removeModel(modelId).catch(error => {
+      alert('Error deleting model: ' + error.message);
+    });
+  }
+  
+  async removeModel(modelId) {
     try {
       const models = this.loadSavedModelsList();
       const modelInfo = models.find(m => m.id === modelId);
       
       if (!modelInfo) {
-        alert('Model not found');
-        return;
-      }
-      
-      if (!confirm(`Are you sure you want to delete model "${modelInfo.name}"?`)) {
-        return;
+        throw new Error('Model not found');
       }
       
       // Remove from list
       const updatedModels = models.filter(m => m.id !== modelId);
       localStorage.setItem('handDirectionSavedModels', JSON.stringify(updatedModels));
       
-      // Try to delete from IndexedDB (may fail silently if not found)
+      // Try to delete from IndexedDB (may fail if not found)
       try {
         const storageKey = modelInfo.storageKey || this.sanitizeModelName(modelInfo.name);
-        tf.io.removeModel('indexeddb://' + storageKey);
+        await tf.io.removeModel('indexeddb://' + storageKey);
       } catch (e) {
         console.warn('Could not remove model from IndexedDB:', e);
       }
@@ -2127,22 +4808,296 @@ class HandDirectionDetector extends HTMLElement {
         this.selectedModelId = null;
         this.trainedModel = null;
         this.selectedModelInfo = null;
-        this.testBtn.disabled = true;
-        // Stop test mode if active
-        if (this.isTestModeActive) {
-          this.stopTestMode();
+        this.updateTestButton();
+        // Stop test mode if active, unless geometric detection, gestures or the pointer keep it running
+        if (this.isTestModeActive && this.canStartTest()) {
+          this.setTestStatus(this.describeTestMode());
+        } else {
+          if (this.isTestModeActive) {
+            this.stopTestMode();
+          }
+          this.setTestStatus('Selected model was deleted. Please select another model.');
         }
-        this.testStatus.innerHTML = '<strong>Status:</strong> Selected model was deleted. Please select another model.';
       }
       
       // Reload models list
       this.loadSavedModels();
     } catch (error) {
       console.error('Error deleting model:', error);
-      alert('Error deleting model: ' + error.message);
+      this.dispatchDetectorEvent('error', { context: 'delete-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+  
+  // Public API: export a saved model as a single portable file (see model-bundle.js)
+  // Resolves with a JSON Blob; the Export button in the models list downloads it
+  async exportModel(modelId) {
+    try {
+      const { model, modelInfo } = await this.loadModel(modelId);
+      if (!modelInfo.trainedLabels || !modelInfo.labelMap) {
+        model.dispose();
+        throw new Error('This model was saved by an older version and has no label information to export');
+      }
+      
+      const bundle = await createModelBundle(model, 'hand-direction-detector', {
+        name: modelInfo.name,
+        trainingDataCount: modelInfo.trainingDataCount,
+        trainedLabels: modelInfo.trainedLabels,
+        labelMap: modelInfo.labelMap,
+        labelCounts: modelInfo.labelCounts || {},
+        createdAt: modelInfo.createdAt,
+        featureSchema: this.getModelFeatureSchema(modelInfo),
+        evaluation: modelInfo.evaluation || null,
+        trainingConfig: modelInfo.trainingConfig || null,
+        epochsTrained: modelInfo.epochsTrained || null,
+        augmentation: modelInfo.augmentation || null
+      });
+      model.dispose();
+      
+      return new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+    } catch (error) {
+      console.error('Error exporting model:', error);
+      this.dispatchDetectorEvent('error', { context: 'export-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  async downloadModel(modelId) {
+    const modelInfo = this.loadSavedModelsList().find(m => m.id === modelId);
+    if (!modelInfo) {
+      alert('Model not found');
+      return;
+    }
+    
+    try {
+      const blob = await this.exportModel(modelId);
+      downloadBlob(blob, `${toFileName(modelInfo.name)}.hand-model.json`);
+      this.setStatus(`Model "${modelInfo.name}" exported`);
+    } catch (error) {
+      alert('Error exporting model: ' + error.message);
+    }
+  }
+
+  // Public API: validate and register an exported model (File/Blob, JSON text or parsed bundle)
+  // A saved model with the same name gets the import as a new version, or a rejection when options.overwrite is false
+  async importModel(source, options = {}) {
+    const overwrite = options.overwrite !== false;
+    let model = null;
+    
+    try {
+      const { artifacts, metadata } = parseModelBundle(await readModelBundle(source), 'hand-direction-detector');
+      model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+      
+      // The network has to fit the metadata it came with
+      const featureSchema = { ...this.getModelFeatureSchema(metadata) };
+      featureSchema.size = this.getFeatureSize(featureSchema);
+      const inputSize = model.inputs[0].shape[1];
+      if (inputSize !== featureSchema.size) {
+        throw new Error(`Model expects ${inputSize} input features, but its feature set (${this.describeFeatureSchema(featureSchema)}) produces ${featureSchema.size}`);
+      }
+      const outputSize = model.outputs[0].shape[1];
+      const expectedOutputs = metadata.trainedLabels.length === 1 ? 1 : metadata.trainedLabels.length;
+      if (outputSize !== expectedOutputs) {
+        throw new Error(`Model has ${outputSize} outputs but ${metadata.trainedLabels.length} trained label(s)`);
+      }
+      
+      const modelName = metadata.name.trim();
+      const existingModel = this.loadSavedModelsList().find(m => m.name.toLowerCase() === modelName.toLowerCase());
+      if (existingModel && !overwrite) {
+        throw new Error(`A model named "${modelName}" already exists`);
+      }
+      
+      const storageKey = `hand_model_${this.sanitizeModelName(modelName)}_${Date.now()}`;
+      await model.save('indexeddb://' + storageKey);
+      
+      const modelInfo = {
+        id: Date.now().toString(),
+        name: modelName,
+        storageKey: storageKey,
+        trainingDataCount: metadata.trainingDataCount || 0,
+        trainedLabels: metadata.trainedLabels,
+        labelMap: metadata.labelMap,
+        labelCounts: metadata.labelCounts || {},
+        featureSchema: featureSchema,
+        evaluation: metadata.evaluation || null,
+        trainingConfig: metadata.trainingConfig || null,
+        epochsTrained: metadata.epochsTrained || null,
+        augmentation: metadata.augmentation || null,
+        createdAt: metadata.createdAt || new Date().toISOString(),
+        importedAt: new Date().toISOString()
+      };
+      await this.registerModelInfo(modelInfo);
+      
+      this.setStatus(`Model "${modelName}" imported as v${modelInfo.version} (${modelInfo.trainedLabels.length} label(s))${this.describePinnedFamily(modelInfo)}`);
+      console.log('Model imported:', modelInfo);
+      return modelInfo;
+    } catch (error) {
+      console.error('Error importing model:', error);
+      this.dispatchDetectorEvent('error', { context: 'import-model', message: error.message, error: error });
+      throw error;
+    } finally {
+      if (model) {
+        model.dispose();
+      }
+    }
+  }
+
+  async handleModelImport(event) {
+    const file = event.target.files && event.target.files[0];
+    // Clear file input so the same file can be picked again
+    this.modelImportInput.value = '';
+    if (!file) return;
+    
+    try {
+      const bundle = await readModelBundle(file);
+      const modelName = bundle && bundle.metadata && typeof bundle.metadata.name === 'string' ? bundle.metadata.name.trim() : '';
+      const family = modelName ? findFamily(this.loadSavedModelsList(), modelName) : null;
+      if (family && !confirm(`A model named "${modelName}" already exists. Add the imported model as version ${family.versions[0].version + 1}?`)) {
+        return;
+      }
+      
+      await this.importModel(bundle);
+    } catch (error) {
+      alert('Error importing model: ' + error.message);
+      this.setStatus(`Import failed: ${error.message}`);
     }
   }
+
+  // Show the held-out evaluation of a model below the models list
+  showEvaluationReport(modelInfo) {
+    if (!this.evaluationReport || !modelInfo) return;
+    
+    this.evaluationReport.innerHTML = `
+      <button class="close-report-btn" style="position: absolute; top: 8px; right: 8px; background: none; border: none; font-size: 18px; cursor: pointer; color: #999;" title="Close report">×</button>
+      ${renderEvaluationReport(modelInfo.evaluation, `Evaluation: ${modelInfo.name}`)}
+    `;
+    this.evaluationReport.style.display = 'block';
+    this.evaluationReport.querySelector('.close-report-btn').addEventListener('click', () => {
+      this.evaluationReport.style.display = 'none';
+    });
+  }
+  
+  // Show two versions side by side in the report area below the models list
+  showVersionComparison(modelIdA, modelIdB) {
+    if (!this.evaluationReport) return;
+    const a = this.savedModels.find(m => m.id === modelIdA);
+    const b = this.savedModels.find(m => m.id === modelIdB);
+    if (!a || !b) return;
+
+    this.evaluationReport.innerHTML = `
+      <button class="close-report-btn" style="position: absolute; top: 8px; right: 8px; background: none; border: none; font-size: 18px; cursor: pointer; color: #999;" title="Close report">×</button>
+      ${renderVersionComparison(a, b, this.compareModels(modelIdA, modelIdB))}
+    `;
+    this.evaluationReport.style.display = 'block';
+    this.evaluationReport.querySelector('.close-report-btn').addEventListener('click', () => {
+      this.evaluationReport.style.display = 'none';
+    });
+  }
   
+  // Public API: saved models grouped by name - [{ key, name, versions (newest first), active, pinned }]
+  // The active version is the pinned one, or the newest; model-name selects it
+  getModelFamilies() {
+    return groupModelFamilies(this.loadSavedModelsList());
+  }
+
+  // Public API: make a version the active one of its family - it stays active when newer versions are trained
+  // If another version of the family is selected, the pinned one is selected instead; resolves with the family
+  async pinModel(modelId) {
+    try {
+      const models = this.loadSavedModelsList();
+      const modelInfo = models.find(m => m.id === modelId);
+      if (!modelInfo) {
+        throw new Error('Model not found');
+      }
+      this.saveSavedModelsList(pinVersion(models, modelInfo.name, modelId));
+      await this.followActiveVersion(modelInfo.name);
+      this.setStatus(`"${modelInfo.name}" v${modelInfo.version} is pinned as the active version`);
+      return findFamily(this.loadSavedModelsList(), modelInfo.name);
+    } catch (error) {
+      console.error('Error pinning model:', error);
+      this.dispatchDetectorEvent('error', { context: 'pin-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: let the active version of a family follow the newest version again; resolves with the family
+  async unpinModel(name) {
+    try {
+      const models = this.loadSavedModelsList();
+      if (!findFamily(models, name)) {
+        throw new Error(`No saved model named "${name}"`);
+      }
+      this.saveSavedModelsList(pinVersion(models, name, null));
+      await this.followActiveVersion(name);
+      const family = findFamily(this.loadSavedModelsList(), name);
+      this.setStatus(`"${family.name}" is unpinned - v${family.active.version} (newest) is active`);
+      return family;
+    } catch (error) {
+      console.error('Error unpinning model:', error);
+      this.dispatchDetectorEvent('error', { context: 'pin-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: pin the version before the active one (see pinModel()); resolves with its metadata
+  async rollbackModel(name) {
+    try {
+      const models = this.loadSavedModelsList();
+      const family = findFamily(models, name);
+      if (!family) {
+        throw new Error(`No saved model named "${name}"`);
+      }
+      const target = rollbackTarget(family);
+      if (!target) {
+        throw new Error(`"${family.name}" v${family.active.version} has no older version to roll back to`);
+      }
+      this.saveSavedModelsList(pinVersion(models, name, target.id));
+      await this.followActiveVersion(name);
+      this.setStatus(`Rolled "${family.name}" back from v${family.active.version} to v${target.version} (pinned)`);
+      return findFamily(this.loadSavedModelsList(), name).active;
+    } catch (error) {
+      console.error('Error rolling back model:', error);
+      this.dispatchDetectorEvent('error', { context: 'rollback-model', message: error.message, error: error });
+      throw error;
+    }
+  }
+
+  // Public API: metrics and settings of two saved models side by side, usually two versions of one family
+  // Returns [{ label, a, b, changed }]
+  compareModels(modelIdA, modelIdB) {
+    const models = this.loadSavedModelsList();
+    const a = models.find(m => m.id === modelIdA);
+    const b = models.find(m => m.id === modelIdB);
+    if (!a || !b) {
+      throw new Error('Model not found');
+    }
+    return compareVersions(a, b, [
+      { label: 'Feature set', value: model => this.describeFeatureSchema(this.getModelFeatureSchema(model)) },
+      { label: 'Training', value: model => this.describeModelTraining(model) }
+    ]);
+  }
+
+  // Refresh the list after a family's active version changed, and move the selection along with it
+  async followActiveVersion(name) {
+    this.loadSavedModels();
+    const family = findFamily(this.savedModels, name);
+    const selectedInFamily = family && family.versions.some(m => m.id === this.selectedModelId);
+    if (selectedInFamily && this.selectedModelId !== family.active.id) {
+      await this.selectModel(family.active.id);
+    }
+  }
+
+  // Status suffix for a new version that isn't active because an older version is pinned
+  describePinnedFamily(modelInfo) {
+    const family = findFamily(this.loadSavedModelsList(), modelInfo.name);
+    if (!family || family.active.id === modelInfo.id) return '';
+    return ` v${family.active.version} stays active (pinned).`;
+  }
+
+  saveSavedModelsList(models) {
+    localStorage.setItem('handDirectionSavedModels', JSON.stringify(models));
+  }
+
   loadSavedModels() {
     this.savedModels = this.loadSavedModelsList();
     this.updateModelsList();
@@ -2156,26 +5111,66 @@ class HandDirectionDetector extends HTMLElement {
       return;
     }
     
-    const listHTML = this.savedModels.map(model => {
-      const isSelected = this.selectedModelId === model.id;
-      const date = new Date(model.createdAt).toLocaleString();
+    // One entry per model family: the active version, plus its history when there are older versions
+    this.modelFamilies = groupModelFamilies(this.savedModels);
+    const buttonStyle = 'padding: 5px 10px; margin-right: 5px; color: white; border: none; border-radius: 4px; cursor: pointer;';
+    const listHTML = this.modelFamilies.map((family, familyIndex) => {
+      const active = family.active;
+      const isSelected = family.versions.some(m => m.id === this.selectedModelId);
+      const target = rollbackTarget(family);
+      const historyHTML = family.versions.map(model => {
+        const isActive = model.id === active.id;
+        const isSelectedVersion = model.id === this.selectedModelId;
+        return `
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 6px 0; border-top: 1px solid #eee; font-size: 12px; color: #666;">
+            <div>
+              <strong style="color: ${isActive ? '#4CAF50' : '#333'};">v${model.version}</strong>${isActive ? ' (active)' : ''}${model.pinned ? ' 📌' : ''}
+              | ${new Date(model.createdAt).toLocaleString()} | ${escapeHtml(model.trainingDataCount)} samples
+              <div style="margin-top: 2px;">${formatEvaluationSummary(model.evaluation)}</div>
+            </div>
+            <div style="white-space: nowrap;">
+              <button class="select-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #4CAF50;">${isSelectedVersion ? '✓ Selected' : 'Select'}</button>
+              ${model.pinned ? '' : `<button class="pin-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #607D8B;">Pin</button>`}
+              ${isActive ? '' : `<button class="compare-model-btn" data-model-id="${active.id}" data-compare-id="${model.id}" style="${buttonStyle} background: #FF9800;" title="Compare with the active version">Compare</button>`}
+              <button class="report-model-btn" data-model-id="${model.id}" style="${buttonStyle} background: #9C27B0;">Report</button>
+              <button class="delete-model-btn" data-model-id="${model.id}" style="${buttonStyle} margin-right: 0; background: #f44336;">Delete</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+
       return `
-        <div style="padding: 10px; margin-bottom: 8px; border: 2px solid ${isSelected ? '#4CAF50' : '#ddd'}; border-radius: 4px; background: ${isSelected ? '#f0f8f0' : 'white'}; cursor: pointer;" 
-             data-model-id="${model.id}">
+        <div style="padding: 10px; margin-bottom: 8px; border: 2px solid ${isSelected ? '#4CAF50' : '#ddd'}; border-radius: 4px; background: ${isSelected ? '#f0f8f0' : 'white'};" 
+             data-model-id="${active.id}">
           <div style="display: flex; justify-content: space-between; align-items: center;">
             <div>
-              <strong style="color: #667eea;">${model.name}</strong>
+              <strong style="color: #667eea;">${escapeHtml(family.name)}</strong>
+              <span style="font-size: 12px; color: #666;"> v${active.version}${family.pinned ? ' 📌 pinned' : ''}${family.versions.length > 1 ? ` of ${family.versions.length} versions` : ''}</span>
               <div style="font-size: 12px; color: #666; margin-top: 4px;">
-                ${model.trainingDataCount} samples | Created: ${date}
+                ${escapeHtml(active.trainingDataCount)} samples | ${escapeHtml(this.describeFeatureSchema(this.getModelFeatureSchema(active)))} | Created: ${new Date(active.createdAt).toLocaleString()}
               </div>
+              <div style="font-size: 12px; color: #666; margin-top: 2px;">${formatEvaluationSummary(active.evaluation)}</div>
+              <div style="font-size: 12px; color: #666; margin-top: 2px;">${escapeHtml(this.describeModelTraining(active))}</div>
             </div>
             <div>
-              <button class="select-model-btn" data-model-id="${model.id}" style="padding: 5px 10px; margin-right: 5px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                ${isSelected ? '✓ Selected' : 'Select'}
+              <button class="report-model-btn" data-model-id="${active.id}" style="${buttonStyle} background: #9C27B0;">Report</button>
+              <button class="select-model-btn" data-model-id="${active.id}" style="${buttonStyle} background: #4CAF50;">
+                ${this.selectedModelId === active.id ? '✓ Selected' : 'Select'}
               </button>
-              <button class="delete-model-btn" data-model-id="${model.id}" style="padding: 5px 10px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer;">Delete</button>
+              <button class="export-model-btn" data-model-id="${active.id}" style="${buttonStyle} background: #2196F3;">Export</button>
+              <button class="delete-model-btn" data-model-id="${active.id}" style="${buttonStyle} margin-right: 0; background: #f44336;">Delete</button>
             </div>
           </div>
+          ${family.versions.length > 1 || family.pinned ? `
+            <details class="model-history" data-family-index="${familyIndex}" style="margin-top: 8px;" ${this.expandedModelFamilies.has(family.key) ? 'open' : ''}>
+              <summary style="cursor: pointer; font-size: 13px; color: #667eea;">History (${family.versions.length} version${family.versions.length === 1 ? '' : 's'})</summary>
+              <div style="margin: 6px 0;">
+                ${target ? `<button class="rollback-model-btn" data-family-index="${familyIndex}" style="${buttonStyle} background: #FF5722;">Roll back to v${target.version}</button>` : ''}
+                ${family.pinned ? `<button class="unpin-model-btn" data-family-index="${familyIndex}" style="${buttonStyle} background: #607D8B;">Unpin (use newest)</button>` : ''}
+              </div>
+              ${historyHTML}
+            </details>
+          ` : ''}
         </div>
       `;
     }).join('');
@@ -2186,7 +5181,23 @@ class HandDirectionDetector extends HTMLElement {
     this.modelsList.querySelectorAll('.select-model-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
-        this.selectModel(btn.dataset.modelId);
+        this.selectModel(btn.dataset.modelId).catch(error => {
+          alert('Error loading model: ' + error.message);
+        });
+      });
+    });
+    
+    this.modelsList.querySelectorAll('.report-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showEvaluationReport(this.savedModels.find(m => m.id === btn.dataset.modelId));
+      });
+    });
+    
+    this.modelsList.querySelectorAll('.export-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.downloadModel(btn.dataset.modelId);
       });
     });
     
@@ -2196,11 +5207,61 @@ class HandDirectionDetector extends HTMLElement {
         this.deleteModel(btn.dataset.modelId);
       });
     });
+
+    this.modelsList.querySelectorAll('.pin-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.pinModel(btn.dataset.modelId).catch(error => {
+          alert('Error pinning model: ' + error.message);
+        });
+      });
+    });
+
+    this.modelsList.querySelectorAll('.unpin-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.unpinModel(this.modelFamilies[btn.dataset.familyIndex].name).catch(error => {
+          alert('Error unpinning model: ' + error.message);
+        });
+      });
+    });
+
+    this.modelsList.querySelectorAll('.rollback-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const family = this.modelFamilies[btn.dataset.familyIndex];
+        if (!confirm(`Roll "${family.name}" back to v${rollbackTarget(family).version}? It is pinned as the active version; newer versions stay in the history.`)) {
+          return;
+        }
+        this.rollbackModel(family.name).catch(error => {
+          alert('Error rolling back model: ' + error.message);
+        });
+      });
+    });
+
+    this.modelsList.querySelectorAll('.compare-model-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showVersionComparison(btn.dataset.modelId, btn.dataset.compareId);
+      });
+    });
+
+    // Keep open histories open when the list is rebuilt
+    this.modelsList.querySelectorAll('.model-history').forEach(details => {
+      details.addEventListener('toggle', () => {
+        const key = this.modelFamilies[details.dataset.familyIndex].key;
+        if (details.open) {
+          this.expandedModelFamilies.add(key);
+        } else {
+          this.expandedModelFamilies.delete(key);
+        }
+      });
+    });
   }
   
   async selectModel(modelId) {
     try {
-      this.testStatus.innerHTML = '<strong>Status:</strong> Loading model...';
+      this.setTestStatus('Loading model...');
       
       const { model, modelInfo } = await this.loadModel(modelId);
       
@@ -2208,6 +5269,7 @@ class HandDirectionDetector extends HTMLElement {
       this.selectedModelId = modelId;
       this.trainedModel = model;
       this.selectedModelInfo = modelInfo; // Store model info for verification
+      this.resetSmoothers(); // Probability history from the previous model is meaningless now
       
       // Verify model is loaded
       if (!this.trainedModel) {
@@ -2215,53 +5277,192 @@ class HandDirectionDetector extends HTMLElement {
       }
       
       // Enable test button
-      this.testBtn.disabled = false;
-      this.testStatus.innerHTML = `<strong>Status:</strong> Model "${modelInfo.name}" (${modelInfo.trainingDataCount} samples) loaded and ready. Click "Start Test" to begin testing.`;
+      if (this.testBtn) this.testBtn.disabled = false;
+      this.setTestStatus(`Model "${escapeHtml(modelInfo.name)}" v${modelInfo.version} (${escapeHtml(modelInfo.trainingDataCount)} samples) loaded and ready. Click "Start Test" to begin testing.`);
       
       // Update models list to show selection
       this.updateModelsList();
       
+      this.dispatchDetectorEvent('model-selected', {
+        modelId: modelId,
+        modelName: modelInfo.name,
+        version: modelInfo.version,
+        labels: modelInfo.trainedLabels || [],
+        sampleCount: modelInfo.trainingDataCount,
+        featureSchema: this.getModelFeatureSchema(modelInfo)
+      });
+      
       console.log('✓ Model selected and loaded:', modelInfo.name);
       console.log('✓ Model ID:', modelId);
       console.log('✓ Model training samples:', modelInfo.trainingDataCount);
       console.log('✓ Trained model object:', this.trainedModel);
+      return modelInfo;
     } catch (error) {
       console.error('Error selecting model:', error);
-      alert('Error loading model: ' + error.message);
-      this.testStatus.innerHTML = '<strong>Status:</strong> Error loading model. Please try again.';
+      this.dispatchDetectorEvent('error', { context: 'select-model', message: error.message, error: error });
+      this.setTestStatus('Error loading model. Please try again.');
       this.selectedModelId = null;
       this.trainedModel = null;
       this.selectedModelInfo = null;
+      throw error;
+    }
+  }
+
+  // Label Management Methods
+  loadLabels() {
+    try {
+      const saved = localStorage.getItem('handDirectionLabels');
+      const labels = saved ? JSON.parse(saved) : null;
+      this.labels = Array.isArray(labels) && labels.length > 0 ? labels : [...this.DEFAULT_LABELS];
+    } catch (error) {
+      console.error('Error loading labels:', error);
+      this.labels = [...this.DEFAULT_LABELS];
+    }
+  }
+  
+  saveLabels() {
+    try {
+      localStorage.setItem('handDirectionLabels', JSON.stringify(this.labels));
+    } catch (error) {
+      console.error('Error saving labels:', error);
+    }
+  }
+  
+  normalizeLabel(label) {
+    // Labels are stored lowercase with single dashes instead of whitespace ("Point and hold" -> "point-and-hold")
+    return (label || '').trim().toLowerCase().replace(/\s+/g, '-');
+  }
+  
+  addLabel(rawLabel) {
+    const label = this.normalizeLabel(rawLabel);
+    if (!label) {
+      alert('Please enter a label name.');
+      this.newLabelInput.focus();
+      return;
+    }
+    
+    if (!this.labels.includes(label)) {
+      this.labels.push(label);
+      this.saveLabels();
+    }
+    
+    this.newLabelInput.value = '';
+    this.updateLabelSelect();
+    this.directionSelect.value = label;
+    this.updateTrainingStats();
+    this.setStatus(`Label "${label.toUpperCase()}" ready for training`);
+  }
+  
+  // Add the diagonal directions (up-right, down-right, down-left, up-left) to the label set
+  // A model trained on all eight directions is validated against 8 geometric sectors instead of 4
+  addDiagonalLabels() {
+    const added = EIGHT_DIRECTIONS.filter(label => !this.labels.includes(label));
+    if (added.length === 0) {
+      this.setStatus('All eight directions are already labels');
+      return;
+    }
+    this.labels.push(...added);
+    this.saveLabels();
+    this.updateLabelSelect();
+    this.directionSelect.value = added[0];
+    this.updateTrainingStats();
+    this.setStatus(`Added ${added.map(label => label.toUpperCase()).join(', ')} for 8-direction training`);
+  }
+  
+  async removeLabel(label) {
+    if (!label || !this.labels.includes(label)) return;
+    
+    if (this.labels.length === 1) {
+      alert('At least one label is required.');
+      return;
+    }
+    
+    const labelSamples = this.trainingData.filter(sample => sample.label === label);
+    const sampleCount = labelSamples.length;
+    const message = sampleCount > 0
+      ? `Remove label "${label.toUpperCase()}" and its ${sampleCount} training sample(s)?`
+      : `Remove label "${label.toUpperCase()}"?`;
+    if (!confirm(message)) return;
+    
+    if (sampleCount > 0) {
+      try {
+        await this.deleteSamples(labelSamples);
+      } catch (error) {
+        console.error('Error removing label samples:', error);
+        this.dispatchDetectorEvent('error', { context: 'save-training-data', message: error.message, error: error });
+        alert('Error removing training samples: ' + error.message);
+        return;
+      }
+    }
+    
+    this.labels = this.labels.filter(l => l !== label);
+    this.saveLabels();
+    
+    if (sampleCount > 0) {
+      this.updateTrainingDataTable();
+      this.updateTrainButton();
+    }
+    
+    this.updateLabelSelect();
+    this.updateTrainingStats();
+    this.setStatus(`Label "${label.toUpperCase()}" removed`);
+  }
+  
+  updateLabelSelect() {
+    if (!this.directionSelect) return;
+    
+    const previousValue = this.directionSelect.value;
+    // Options are built as elements - labels are user input and must not be parsed as HTML
+    this.directionSelect.replaceChildren(...this.labels.map(label => new Option(label.toUpperCase(), label)));
+    
+    if (this.labels.includes(previousValue)) {
+      this.directionSelect.value = previousValue;
+    }
+  }
+  
+  getLabelColor(label, variant = 'table') {
+    // Built-in directions keep their original colors
+    if (this.DIRECTION_COLORS[label]) {
+      return this.DIRECTION_COLORS[label][variant];
+    }
+    
+    // Custom labels: derive a stable hue from the label name
+    let hash = 0;
+    for (let i = 0; i < label.length; i++) {
+      hash = (hash * 31 + label.charCodeAt(i)) | 0;
     }
+    const hue = Math.abs(hash) % 360;
+    return variant === 'display' ? `hsla(${hue}, 70%, 45%, 0.9)` : `hsl(${hue}, 60%, 45%)`;
   }
 
   updateTrainingStats() {
-    const counts = {
-      up: 0,
-      down: 0,
-      left: 0,
-      right: 0
-    };
+    if (!this.trainingStats) return;
+    
+    const counts = {};
+    this.labels.forEach(label => {
+      counts[label] = 0;
+    });
     
     this.trainingData.forEach(sample => {
-      counts[sample.label]++;
+      counts[sample.label] = (counts[sample.label] || 0) + 1;
     });
     
     const total = this.trainingData.length;
     const modelStatus = this.trainedModel ? 'Trained' : 'Not trained';
+    const countsStr = Object.entries(counts)
+      .map(([label, count]) => `${escapeHtml(label.toUpperCase())}: ${count}`)
+      .join(', ');
     
     this.trainingStats.innerHTML = `
       <strong>Training Data:</strong> ${total} samples 
-      (UP: ${counts.up}, DOWN: ${counts.down}, LEFT: ${counts.left}, RIGHT: ${counts.right}) | 
+      (${countsStr}) | 
       <strong>Model Status:</strong> ${modelStatus}
     `;
   }
   
   updateTrainingDataTable() {
-    if (!this.trainingDataTable) {
-      console.error('trainingDataTable element not found! Cannot update table.');
-      return;
-    }
+    // The table isn't rendered in headless mode
+    if (!this.trainingDataTable) return;
     
     console.log('=== Updating training data table ===');
     console.log('Sample count:', this.trainingData ? this.trainingData.length : 0);
@@ -2288,29 +5489,15 @@ class HandDirectionDetector extends HTMLElement {
       }
       
       validItemsCount++;
-      const directionColors = {
-        up: '#4CAF50',
-        down: '#f44336',
-        left: '#FF9800',
-        right: '#2196F3'
-      };
-      
-      const directionLabels = {
-        up: 'UP',
-        down: 'DOWN',
-        left: 'LEFT',
-        right: 'RIGHT'
-      };
-      
-      const color = directionColors[sample.label] || '#667eea';
-      const label = directionLabels[sample.label] || sample.label.toUpperCase();
+      const color = this.getLabelColor(sample.label);
+      const label = escapeHtml(sample.label.toUpperCase());
       
-      const hasImage = sample.imageDataUrl && sample.imageDataUrl.length > 0;
+      const hasImage = !!sample.thumbnailUrl;
       
       return `
         <div data-sample-index="${index}" style="border: 2px solid ${color}; border-radius: 8px; padding: 8px; background: white; display: flex; flex-direction: column; align-items: center; position: relative;">
           ${hasImage ? `
-            <img src="${sample.imageDataUrl}" 
+            <img src="${sample.thumbnailUrl}" 
                  alt="Training sample ${index + 1}" 
                  style="width: 100%; height: 120px; object-fit: cover; border-radius: 4px; background: #f0f0f0;"
                  onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
@@ -2346,15 +5533,21 @@ class HandDirectionDetector extends HTMLElement {
     
     // Add event listeners for delete buttons
     this.trainingDataTable.querySelectorAll('.delete-sample-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const index = parseInt(btn.dataset.index);
-        if (confirm(`Delete this ${this.trainingData[index].label.toUpperCase()} sample?`)) {
-          this.trainingData.splice(index, 1);
-          this.saveTrainingData();
+      btn.addEventListener('click', async (e) => {
+        const sample = this.trainingData[parseInt(btn.dataset.index)];
+        if (confirm(`Delete this ${sample.label.toUpperCase()} sample?`)) {
+          try {
+            await this.deleteSamples([sample]);
+          } catch (error) {
+            console.error('Error deleting sample:', error);
+            this.dispatchDetectorEvent('error', { context: 'save-training-data', message: error.message, error: error });
+            alert('Error deleting sample: ' + error.message);
+            return;
+          }
           this.updateTrainingStats();
           this.updateTrainingDataTable();
-          this.trainBtn.disabled = this.trainingData.length === 0;
-          this.statusText.textContent = 'Sample deleted';
+          this.updateTrainButton();
+          this.setStatus('Sample deleted');
         }
       });
     });
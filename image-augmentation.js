@@ -0,0 +1,91 @@
+/**
+ * Image Augmentation
+ * Random variations of a training image for the animal detector: random crop, horizontal flip,
+ * small rotation, brightness/contrast and per-channel color jitter, all as tf ops
+ * Each variation is run through MobileNet, so one photo yields several training embeddings
+ * Uses the global `tf` (TensorFlow.js), like the components
+ */
+
+export const DEFAULT_IMAGE_AUGMENTATION_OPTIONS = {
+  enabled: false,
+  copies: 4,          // Augmented embeddings per source image
+  crop: 0.2,          // Max share of each side cropped away (0.2 = keep 80%..100%)
+  flip: true,         // Flip half of the copies horizontally
+  rotation: 10,       // Max rotation in degrees (either direction)
+  brightness: 0.2,    // Max brightness shift, as a share of the full range
+  contrast: 0.2,      // Max contrast change (0.2 = 80%..120%)
+  colorJitter: 0.1    // Max gain change of each color channel
+};
+
+// Augmented images come out at the MobileNet input size
+export const AUGMENTED_IMAGE_SIZE = 224;
+
+export function normalizeImageAugmentationOptions(options = {}) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  const defaults = DEFAULT_IMAGE_AUGMENTATION_OPTIONS;
+  return {
+    enabled: options.enabled !== undefined ? !!options.enabled : defaults.enabled,
+    copies: Math.round(number(options.copies, defaults.copies, 1, 20)),
+    crop: number(options.crop, defaults.crop, 0, 0.5),
+    flip: options.flip !== undefined ? !!options.flip : defaults.flip,
+    rotation: number(options.rotation, defaults.rotation, 0, 45),
+    brightness: number(options.brightness, defaults.brightness, 0, 0.5),
+    contrast: number(options.contrast, defaults.contrast, 0, 0.5),
+    colorJitter: number(options.colorJitter, defaults.colorJitter, 0, 0.5)
+  };
+}
+
+// One random variation of an image tensor ([height, width, 3], values 0-255)
+// Returns a new float tensor of AUGMENTED_IMAGE_SIZE x AUGMENTED_IMAGE_SIZE; the caller disposes it
+export function augmentImageTensor(pixels, options, random = Math.random) {
+  const uniform = max => (random() * 2 - 1) * max;
+  return tf.tidy(() => {
+    let image = pixels.toFloat().expandDims(0);
+
+    // Random crop at a random position, resized back to the MobileNet input size
+    const keep = 1 - random() * options.crop;
+    const top = random() * (1 - keep);
+    const left = random() * (1 - keep);
+    image = tf.image.cropAndResize(image, [[top, left, top + keep, left + keep]], [0], [AUGMENTED_IMAGE_SIZE, AUGMENTED_IMAGE_SIZE]);
+
+    if (options.flip && random() < 0.5) {
+      image = tf.image.flipLeftRight(image);
+    }
+    if (options.rotation > 0) {
+      // Corners uncovered by the rotation are filled with mid gray
+      image = tf.image.rotateWithOffset(image, uniform(options.rotation) * Math.PI / 180, 128);
+    }
+
+    // Contrast around the mean, then brightness and per-channel gain
+    const mean = image.mean();
+    image = image.sub(mean).mul(1 + uniform(options.contrast)).add(mean);
+    image = image.add(uniform(options.brightness) * 255);
+    image = image.mul(tf.tensor1d([0, 1, 2].map(() => 1 + uniform(options.colorJitter))));
+
+    return image.clipByValue(0, 255).squeeze([0]);
+  });
+}
+
+// Embeddings of `options.copies` random variations of a drawable image (img, canvas, video, ImageBitmap)
+// extractFeatures receives each augmented tensor and resolves with its feature array
+export async function extractAugmentedFeatures(image, options, extractFeatures) {
+  const pixels = tf.browser.fromPixels(image);
+  const augmentedFeatures = [];
+  try {
+    for (let i = 0; i < options.copies; i++) {
+      const augmented = augmentImageTensor(pixels, options);
+      try {
+        augmentedFeatures.push(await extractFeatures(augmented));
+      } finally {
+        augmented.dispose();
+      }
+    }
+  } finally {
+    pixels.dispose();
+  }
+  return augmentedFeatures;
+}
+
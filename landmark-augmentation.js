@@ -0,0 +1,143 @@
+/**
+ * Landmark Augmentation
+ * Synthetic variations of hand landmark samples for training the hand detector: small rotations,
+ * scale jitter, translation, Gaussian landmark noise and mirrored copies (left/right labels swapped)
+ * Works on the 21 normalized MediaPipe landmarks, before feature extraction
+ */
+
+export const DEFAULT_AUGMENTATION_OPTIONS = {
+  enabled: false,
+  copies: 3,          // Augmented copies per training sample
+  rotation: 10,       // Max rotation in degrees (either direction)
+  scale: 0.1,         // Max scale change (0.1 = 90%..110%)
+  translation: 0.05,  // Max shift in normalized image coordinates
+  noise: 0.005,       // Standard deviation of per-landmark Gaussian noise
+  mirror: true        // Mirror half of the copies horizontally
+};
+
+// Bones drawn by the preview (MediaPipe hand topology)
+export const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4],
+  [0, 5], [5, 6], [6, 7], [7, 8],
+  [5, 9], [9, 10], [10, 11], [11, 12],
+  [9, 13], [13, 14], [14, 15], [15, 16],
+  [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]
+];
+
+export function normalizeAugmentationOptions(options = {}) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  const defaults = DEFAULT_AUGMENTATION_OPTIONS;
+  return {
+    enabled: options.enabled !== undefined ? !!options.enabled : defaults.enabled,
+    copies: Math.round(number(options.copies, defaults.copies, 1, 20)),
+    rotation: number(options.rotation, defaults.rotation, 0, 45),
+    scale: number(options.scale, defaults.scale, 0, 0.5),
+    translation: number(options.translation, defaults.translation, 0, 0.3),
+    noise: number(options.noise, defaults.noise, 0, 0.05),
+    mirror: options.mirror !== undefined ? !!options.mirror : defaults.mirror
+  };
+}
+
+// Swap "left" and "right" in a label ("left" -> "right", "swipe-left" -> "swipe-right"); other labels are unchanged
+export function mirrorLabel(label) {
+  return label.split('-').map(part => part === 'left' ? 'right' : part === 'right' ? 'left' : part).join('-');
+}
+
+// One random variation of a landmark list: { landmarks, mirrored }
+export function augmentLandmarks(landmarks, options, random = Math.random) {
+  const uniform = max => (random() * 2 - 1) * max;
+  const mirrored = options.mirror && random() < 0.5;
+  const angle = uniform(options.rotation) * Math.PI / 180;
+  const scale = 1 + uniform(options.scale);
+  const shiftX = uniform(options.translation);
+  const shiftY = uniform(options.translation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Rotate and scale around the hand's center so it stays in place
+  const centerX = landmarks.reduce((sum, landmark) => sum + landmark.x, 0) / landmarks.length;
+  const centerY = landmarks.reduce((sum, landmark) => sum + landmark.y, 0) / landmarks.length;
+
+  const augmented = landmarks.map(landmark => {
+    const x = (mirrored ? 2 * centerX - landmark.x : landmark.x) - centerX;
+    const y = landmark.y - centerY;
+    return {
+      x: centerX + (x * cos - y * sin) * scale + shiftX + gaussian(random) * options.noise,
+      y: centerY + (x * sin + y * cos) * scale + shiftY + gaussian(random) * options.noise,
+      z: (landmark.z || 0) * scale + gaussian(random) * options.noise
+    };
+  });
+
+  return { landmarks: augmented, mirrored: mirrored };
+}
+
+// Augmented copies of samples with landmarks ({ landmarks, label })
+// A mirrored copy takes the mirrored label, and is dropped when that label isn't one of `labels`
+// (a mirrored "thumbs-up" is still "thumbs-up", a mirrored "left" only helps if "right" is trained too)
+export function augmentSamples(samples, options, labels, random = Math.random) {
+  const labelSet = new Set(labels);
+  const augmentedSamples = [];
+  samples.forEach(sample => {
+    if (!sample.landmarks || sample.landmarks.length !== 21) return;
+    for (let i = 0; i < options.copies; i++) {
+      const { landmarks, mirrored } = augmentLandmarks(sample.landmarks, options, random);
+      const label = mirrored ? mirrorLabel(sample.label) : sample.label;
+      if (labelSet.has(label)) {
+        augmentedSamples.push({ landmarks: landmarks, label: label, mirrored: mirrored });
+      }
+    }
+  });
+  return augmentedSamples;
+}
+
+// Draw a landmark skeleton fitted into a cell of the preview canvas
+export function drawSkeleton(ctx, landmarks, cell, options = {}) {
+  const xs = landmarks.map(landmark => landmark.x);
+  const ys = landmarks.map(landmark => landmark.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 0.0001);
+  // options.bounds keeps several skeletons on the same scale
+  const bounds = options.bounds || { minX: minX, minY: minY, size: size };
+  const padding = 12;
+  const scale = (Math.min(cell.width, cell.height) - padding * 2) / bounds.size;
+  const point = landmark => ({
+    x: cell.x + padding + (landmark.x - bounds.minX) * scale,
+    y: cell.y + padding + (landmark.y - bounds.minY) * scale
+  });
+
+  ctx.strokeStyle = options.color || '#667eea';
+  ctx.lineWidth = 2;
+  HAND_CONNECTIONS.forEach(([from, to]) => {
+    const a = point(landmarks[from]);
+    const b = point(landmarks[to]);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  });
+  ctx.fillStyle = options.color || '#667eea';
+  landmarks.forEach(landmark => {
+    const p = point(landmark);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 2.5, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  if (options.label) {
+    ctx.fillStyle = '#333';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(options.label, cell.x + cell.width / 2, cell.y + cell.height - 4);
+  }
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
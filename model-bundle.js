@@ -0,0 +1,208 @@
+/**
+ * Model Bundle
+ * Portable single-file format for models trained by the detector components
+ * A bundle is a JSON document holding the TensorFlow.js artifacts (topology, weight specs and
+ * base64-encoded weights) together with the detector metadata needed to use the model
+ * (trainedLabels, labelMap, labelCounts, ...), so it can be shared or checked into a repository
+ */
+
+import { readFileAsText } from './file-utils.js';
+
+export const MODEL_BUNDLE_FORMAT = 'detector-model-bundle';
+export const MODEL_BUNDLE_VERSION = 1;
+
+// Bytes per element for the weight dtypes tf.js writes
+const DTYPE_SIZES = { float32: 4, int32: 4, bool: 1 };
+
+// Bytes per element of quantized weights (spec.quantization.dtype)
+const QUANTIZED_DTYPE_SIZES = { uint8: 1, uint16: 2, float16: 2 };
+
+// Capture a loaded tf.js model as in-memory artifacts
+export async function modelToArtifacts(model) {
+  let artifacts = null;
+  await model.save(tf.io.withSaveHandler(async (modelArtifacts) => {
+    artifacts = modelArtifacts;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  return artifacts;
+}
+
+// detector is the custom element name, so a bundle can't be imported into the wrong component
+export async function createModelBundle(model, detector, metadata) {
+  const artifacts = await modelToArtifacts(model);
+  return {
+    format: MODEL_BUNDLE_FORMAT,
+    version: MODEL_BUNDLE_VERSION,
+    detector: detector,
+    exportedAt: new Date().toISOString(),
+    metadata: metadata,
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData: arrayBufferToBase64(joinWeightData(artifacts.weightData))
+  };
+}
+
+// Accepts a File/Blob, JSON text or an already parsed bundle object
+export async function readModelBundle(source) {
+  if (source && typeof source === 'object' && !(source instanceof Blob)) {
+    return source;
+  }
+  const text = source instanceof Blob ? await readFileAsText(source) : source;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not an exported detector model (invalid JSON)');
+  }
+}
+
+// Validate a parsed bundle and return { artifacts, metadata }
+// artifacts can be passed to tf.io.fromMemory(); throws an Error describing the first problem found
+export function parseModelBundle(bundle, detector) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== MODEL_BUNDLE_FORMAT) {
+    throw new Error('This file is not an exported detector model');
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > MODEL_BUNDLE_VERSION) {
+    throw new Error(`Unsupported model bundle version: ${bundle.version}`);
+  }
+  if (bundle.detector !== detector) {
+    throw new Error(`This model was exported from <${bundle.detector}> and cannot be used in <${detector}>`);
+  }
+
+  const metadata = bundle.metadata;
+  if (!metadata || typeof metadata !== 'object') {
+    throw new Error('Model bundle has no metadata');
+  }
+  if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+    throw new Error('Model bundle has no model name');
+  }
+  if (!Array.isArray(metadata.trainedLabels) || metadata.trainedLabels.length === 0) {
+    throw new Error('Model bundle has no trained labels');
+  }
+  if (!metadata.labelMap || typeof metadata.labelMap !== 'object') {
+    throw new Error('Model bundle has no label map');
+  }
+
+  // Every trained label needs its own output index
+  const indices = metadata.trainedLabels.map(label => metadata.labelMap[label]);
+  const validIndices = indices.every(index => Number.isInteger(index) && index >= 0 && index < metadata.trainedLabels.length);
+  if (!validIndices || new Set(indices).size !== indices.length) {
+    throw new Error('Model bundle label map does not match its trained labels');
+  }
+
+  // A full (fine-tuned) model can't be described without its fine-tuning and head settings
+  if (metadata.modelType !== undefined && metadata.modelType !== null && !['head', 'full'].includes(metadata.modelType)) {
+    throw new Error(`Model bundle has an unknown model type: ${metadata.modelType}`);
+  }
+  if (metadata.modelType === 'full' && (!isValidFineTuning(metadata.fineTuning) || !isValidTrainingConfig(metadata.trainingConfig))) {
+    throw new Error('Model bundle is a fine-tuned model without valid fine-tuning settings');
+  }
+
+  if (!bundle.modelTopology || !Array.isArray(bundle.weightSpecs) || typeof bundle.weightData !== 'string') {
+    throw new Error('Model bundle is missing the model topology or weights');
+  }
+
+  let weightData;
+  try {
+    weightData = base64ToArrayBuffer(bundle.weightData);
+  } catch (error) {
+    throw new Error('Model bundle weights are not valid base64');
+  }
+
+  const expectedBytes = bundle.weightSpecs.reduce((total, spec) => {
+    const elements = (spec.shape || []).reduce((product, dim) => product * dim, 1);
+    let bytesPerElement = DTYPE_SIZES[spec.dtype] || 4;
+    if (spec.quantization) {
+      bytesPerElement = QUANTIZED_DTYPE_SIZES[spec.quantization.dtype];
+      if (!bytesPerElement) {
+        throw new Error(`Model bundle uses an unsupported weight quantization (${spec.quantization.dtype})`);
+      }
+    }
+    return total + elements * bytesPerElement;
+  }, 0);
+  if (expectedBytes !== weightData.byteLength) {
+    throw new Error(`Model bundle weights are corrupt (expected ${expectedBytes} bytes, found ${weightData.byteLength})`);
+  }
+
+  // Informational fields that are malformed are dropped rather than rejected - the model itself still works,
+  // and the models list treats a missing evaluation or training config as "not recorded"
+  return {
+    artifacts: {
+      modelTopology: bundle.modelTopology,
+      weightSpecs: bundle.weightSpecs,
+      weightData: weightData
+    },
+    metadata: {
+      ...metadata,
+      evaluation: isValidEvaluation(metadata.evaluation) ? metadata.evaluation : null,
+      trainingConfig: isValidTrainingConfig(metadata.trainingConfig) ? metadata.trainingConfig : null,
+      fineTuning: isValidFineTuning(metadata.fineTuning) ? metadata.fineTuning : null
+    }
+  };
+}
+
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// The shape evaluateClassifier() (model-evaluation.js) produces
+export function isValidEvaluation(evaluation) {
+  if (!evaluation || typeof evaluation !== 'object') return false;
+  const { labels, perClass, confusionMatrix } = evaluation;
+  if (!Array.isArray(labels) || !labels.every(label => typeof label === 'string')) return false;
+  if (![evaluation.accuracy, evaluation.macroF1, evaluation.sampleCount].every(isFiniteNumber)) return false;
+  if (!perClass || typeof perClass !== 'object') return false;
+  const validClasses = labels.every(label => {
+    const stats = perClass[label];
+    return stats && typeof stats === 'object' && [stats.precision, stats.recall, stats.f1, stats.support].every(isFiniteNumber);
+  });
+  if (!validClasses) return false;
+  return Array.isArray(confusionMatrix) && confusionMatrix.length === labels.length &&
+    confusionMatrix.every(row => Array.isArray(row) && row.length === labels.length && row.every(isFiniteNumber));
+}
+
+// The shape normalizeTrainingConfig() (training-config.js) produces
+export function isValidTrainingConfig(config) {
+  if (!config || typeof config !== 'object') return false;
+  if (![config.epochs, config.batchSize, config.learningRate].every(isFiniteNumber)) return false;
+  if (!Array.isArray(config.hiddenLayers) || !config.hiddenLayers.every(units => Number.isInteger(units) && units > 0)) return false;
+  return ['dropout', 'l2', 'earlyStoppingPatience'].every(key => config[key] === undefined || isFiniteNumber(config[key]));
+}
+
+// The shape normalizeFineTuningOptions() (fine-tuning.js) produces
+export function isValidFineTuning(fineTuning) {
+  if (!fineTuning || typeof fineTuning !== 'object') return false;
+  return [fineTuning.blocks, fineTuning.epochs, fineTuning.batchSize, fineTuning.learningRate].every(isFiniteNumber);
+}
+
+// Newer tf.js versions may hand weights over as a list of buffers
+function joinWeightData(weightData) {
+  if (!Array.isArray(weightData)) {
+    return weightData;
+  }
+  const totalBytes = weightData.reduce((total, buffer) => total + buffer.byteLength, 0);
+  const joined = new Uint8Array(totalBytes);
+  let offset = 0;
+  weightData.forEach(buffer => {
+    joined.set(new Uint8Array(buffer), offset);
+    offset += buffer.byteLength;
+  });
+  return joined.buffer;
+}
+
+export function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Convert in chunks - String.fromCharCode can't take millions of arguments at once
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+export function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODEL_BUNDLE_FORMAT, MODEL_BUNDLE_VERSION, parseModelBundle, arrayBufferToBase64 } from './model-bundle.js';
+
+const DETECTOR = 'animal-detector';
+
+const validEvaluation = {
+  labels: ['cat', 'dog'],
+  sampleCount: 4,
+  accuracy: 0.75,
+  macroF1: 0.73,
+  perClass: {
+    cat: { precision: 1, recall: 0.5, f1: 0.67, support: 2 },
+    dog: { precision: 0.67, recall: 1, f1: 0.8, support: 2 }
+  },
+  confusionMatrix: [[1, 1], [0, 2]]
+};
+
+const validTrainingConfig = {
+  epochs: 100,
+  batchSize: 32,
+  learningRate: 0.001,
+  hiddenLayers: [16, 8],
+  dropout: 0,
+  l2: 0,
+  earlyStoppingPatience: 0
+};
+
+const validFineTuning = { enabled: true, blocks: 2, epochs: 10, batchSize: 16, learningRate: 0.0001 };
+
+// Two float32 weights (8 bytes) unless weightSpecs/weightBytes say otherwise
+function createBundle(metadata = {}, { weightSpecs, weightBytes = 8 } = {}) {
+  return {
+    format: MODEL_BUNDLE_FORMAT,
+    version: MODEL_BUNDLE_VERSION,
+    detector: DETECTOR,
+    metadata: {
+      name: 'pets',
+      trainedLabels: ['cat', 'dog'],
+      labelMap: { cat: 0, dog: 1 },
+      ...metadata
+    },
+    modelTopology: {},
+    weightSpecs: weightSpecs || [{ name: 'dense/kernel', shape: [2], dtype: 'float32' }],
+    weightData: arrayBufferToBase64(new ArrayBuffer(weightBytes))
+  };
+}
+
+test('keeps well-formed evaluation, training config and fine-tuning settings', () => {
+  const { metadata } = parseModelBundle(createBundle({
+    evaluation: validEvaluation,
+    trainingConfig: validTrainingConfig,
+    modelType: 'full',
+    fineTuning: validFineTuning
+  }), DETECTOR);
+  assert.deepEqual(metadata.evaluation, validEvaluation);
+  assert.deepEqual(metadata.trainingConfig, validTrainingConfig);
+  assert.deepEqual(metadata.fineTuning, validFineTuning);
+  assert.equal(metadata.modelType, 'full');
+});
+
+test('drops a malformed evaluation', () => {
+  assert.equal(parseModelBundle(createBundle({ evaluation: {} }), DETECTOR).metadata.evaluation, null);
+  const noMatrix = { ...validEvaluation, confusionMatrix: [[1, 1]] };
+  assert.equal(parseModelBundle(createBundle({ evaluation: noMatrix }), DETECTOR).metadata.evaluation, null);
+  const badClass = { ...validEvaluation, perClass: { cat: validEvaluation.perClass.cat } };
+  assert.equal(parseModelBundle(createBundle({ evaluation: badClass }), DETECTOR).metadata.evaluation, null);
+});
+
+test('drops a malformed training config', () => {
+  assert.equal(parseModelBundle(createBundle({ trainingConfig: {} }), DETECTOR).metadata.trainingConfig, null);
+  const textLayers = { ...validTrainingConfig, hiddenLayers: '16, 8' };
+  assert.equal(parseModelBundle(createBundle({ trainingConfig: textLayers }), DETECTOR).metadata.trainingConfig, null);
+});
+
+test('drops malformed fine-tuning settings of a head model', () => {
+  const { metadata } = parseModelBundle(createBundle({ modelType: 'head', fineTuning: { blocks: 'all' } }), DETECTOR);
+  assert.equal(metadata.fineTuning, null);
+});
+
+test('rejects a full model without valid fine-tuning or training settings', () => {
+  assert.throws(() => parseModelBundle(createBundle({ modelType: 'full', trainingConfig: validTrainingConfig }), DETECTOR), /fine-tuning settings/);
+  assert.throws(() => parseModelBundle(createBundle({ modelType: 'full', fineTuning: validFineTuning }), DETECTOR), /fine-tuning settings/);
+});
+
+test('rejects an unknown model type', () => {
+  assert.throws(() => parseModelBundle(createBundle({ modelType: 'mystery' }), DETECTOR), /unknown model type/);
+});
+
+test('counts quantized weights by their quantization dtype', () => {
+  const quantized = dtype => [{ name: 'dense/kernel', shape: [4], dtype: 'float32', quantization: { dtype: dtype } }];
+  assert.doesNotThrow(() => parseModelBundle(createBundle({}, { weightSpecs: quantized('float16'), weightBytes: 8 }), DETECTOR));
+  assert.doesNotThrow(() => parseModelBundle(createBundle({}, { weightSpecs: quantized('uint8'), weightBytes: 4 }), DETECTOR));
+  assert.throws(() => parseModelBundle(createBundle({}, { weightSpecs: quantized('float16'), weightBytes: 4 }), DETECTOR), /corrupt/);
+});
@@ -0,0 +1,168 @@
+/**
+ * Model Evaluation
+ * Held-out evaluation for the models trained by the detector components: a stratified
+ * train/validation split, per-class precision/recall/F1 and a confusion matrix
+ * The evaluation summary is stored in the model metadata and rendered as an HTML report
+ */
+
+export const VALIDATION_FRACTION = 0.2;
+
+// Classes with fewer samples than this are used for training only
+const MIN_SAMPLES_FOR_VALIDATION = 3;
+
+// Split samples per label, so every class ends up in the validation set in the same proportion
+// (validationSplit in model.fit takes the last samples, which are often all of one label)
+export function stratifiedSplit(samples, validationFraction = VALIDATION_FRACTION) {
+  const samplesByLabel = new Map();
+  samples.forEach(sample => {
+    if (!samplesByLabel.has(sample.label)) {
+      samplesByLabel.set(sample.label, []);
+    }
+    samplesByLabel.get(sample.label).push(sample);
+  });
+
+  const train = [];
+  const validation = [];
+  samplesByLabel.forEach(labelSamples => {
+    const shuffled = shuffle([...labelSamples]);
+    const validationCount = labelSamples.length < MIN_SAMPLES_FOR_VALIDATION
+      ? 0
+      : Math.min(labelSamples.length - 1, Math.max(1, Math.round(labelSamples.length * validationFraction)));
+    validation.push(...shuffled.slice(0, validationCount));
+    train.push(...shuffled.slice(validationCount));
+  });
+
+  return { train: shuffle(train), validation: validation };
+}
+
+// Class index with the highest output for every feature vector (or every row of a model input tensor)
+export function predictClassIndices(model, features) {
+  return tf.tidy(() => {
+    const inputs = features instanceof tf.Tensor ? features : tf.tensor2d(features);
+    return Array.from(model.predict(inputs, { batchSize: 32 }).argMax(-1).dataSync());
+  });
+}
+
+// actual and predicted are class indices into labels
+// Confusion matrix rows are the actual labels, columns the predicted ones
+export function evaluateClassifier(actual, predicted, labels) {
+  const confusionMatrix = labels.map(() => labels.map(() => 0));
+  actual.forEach((actualIndex, i) => {
+    confusionMatrix[actualIndex][predicted[i]]++;
+  });
+
+  const perClass = {};
+  let correct = 0;
+  labels.forEach((label, index) => {
+    const truePositives = confusionMatrix[index][index];
+    const support = confusionMatrix[index].reduce((sum, count) => sum + count, 0);
+    const predictedCount = confusionMatrix.reduce((sum, row) => sum + row[index], 0);
+    const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    perClass[label] = { precision: round(precision), recall: round(recall), f1: round(f1), support: support };
+    correct += truePositives;
+  });
+
+  // Macro F1 over the classes that were actually in the validation set
+  const evaluatedLabels = labels.filter(label => perClass[label].support > 0);
+  const macroF1 = evaluatedLabels.length > 0
+    ? evaluatedLabels.reduce((sum, label) => sum + perClass[label].f1, 0) / evaluatedLabels.length
+    : 0;
+
+  return {
+    labels: labels,
+    sampleCount: actual.length,
+    accuracy: actual.length > 0 ? round(correct / actual.length) : 0,
+    macroF1: round(macroF1),
+    perClass: perClass,
+    confusionMatrix: confusionMatrix
+  };
+}
+
+// One-line summary for the models list
+export function formatEvaluationSummary(evaluation) {
+  if (!evaluation) return 'Not evaluated';
+  return `Validation accuracy ${formatPercent(evaluation.accuracy)} | F1 ${evaluation.macroF1.toFixed(2)} (${evaluation.sampleCount} held-out)`;
+}
+
+export function renderEvaluationReport(evaluation, title) {
+  const heading = `<h4 style="margin: 0 0 10px 0; color: #667eea;">${escapeHtml(title)}</h4>`;
+  if (!evaluation) {
+    return `${heading}<p style="margin: 0; color: #666; font-size: 14px;">No held-out evaluation for this model. It needs at least two labels, with ${MIN_SAMPLES_FOR_VALIDATION} or more samples for some of them.</p>`;
+  }
+
+  const cellStyle = 'padding: 4px 8px; border: 1px solid #ddd; text-align: center;';
+  const headerCells = evaluation.labels.map(label => `<th style="${cellStyle} background: #f5f5f5;">${escapeHtml(label)}</th>`).join('');
+  const matrixRows = evaluation.labels.map((label, rowIndex) => {
+    const row = evaluation.confusionMatrix[rowIndex];
+    const rowTotal = row.reduce((sum, count) => sum + count, 0);
+    const cells = row.map((count, columnIndex) => {
+      // Shade by share of the actual class: green on the diagonal, red for confusions
+      const share = rowTotal > 0 ? count / rowTotal : 0;
+      const color = rowIndex === columnIndex ? `rgba(76, 175, 80, ${share})` : `rgba(244, 67, 54, ${share})`;
+      return `<td style="${cellStyle} background: ${count > 0 ? color : 'white'};">${count}</td>`;
+    }).join('');
+    return `<tr><th style="${cellStyle} background: #f5f5f5; text-align: left;">${escapeHtml(label)}</th>${cells}</tr>`;
+  }).join('');
+
+  const classRows = evaluation.labels.map(label => {
+    const stats = evaluation.perClass[label];
+    return `
+      <tr>
+        <th style="${cellStyle} background: #f5f5f5; text-align: left;">${escapeHtml(label)}</th>
+        <td style="${cellStyle}">${formatPercent(stats.precision)}</td>
+        <td style="${cellStyle}">${formatPercent(stats.recall)}</td>
+        <td style="${cellStyle}">${stats.f1.toFixed(2)}</td>
+        <td style="${cellStyle}">${stats.support}</td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    ${heading}
+    <div style="font-size: 14px; color: #333; margin-bottom: 10px;">
+      <strong>Accuracy:</strong> ${formatPercent(evaluation.accuracy)} |
+      <strong>Macro F1:</strong> ${evaluation.macroF1.toFixed(2)} |
+      <strong>Held-out samples:</strong> ${evaluation.sampleCount}
+    </div>
+    <div style="display: flex; gap: 20px; flex-wrap: wrap; font-size: 13px; overflow-x: auto;">
+      <table style="border-collapse: collapse;">
+        <caption style="caption-side: top; text-align: left; font-weight: bold; color: #667eea; padding-bottom: 4px;">Confusion matrix (rows: actual, columns: predicted)</caption>
+        <tr><th style="${cellStyle} background: #f5f5f5;"></th>${headerCells}</tr>
+        ${matrixRows}
+      </table>
+      <table style="border-collapse: collapse;">
+        <caption style="caption-side: top; text-align: left; font-weight: bold; color: #667eea; padding-bottom: 4px;">Per class</caption>
+        <tr>
+          <th style="${cellStyle} background: #f5f5f5;">Label</th>
+          <th style="${cellStyle} background: #f5f5f5;">Precision</th>
+          <th style="${cellStyle} background: #f5f5f5;">Recall</th>
+          <th style="${cellStyle} background: #f5f5f5;">F1</th>
+          <th style="${cellStyle} background: #f5f5f5;">Support</th>
+        </tr>
+        ${classRows}
+      </table>
+    </div>
+  `;
+}
+
+function shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
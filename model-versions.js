@@ -0,0 +1,126 @@
+/**
+ * Model Versions
+ * Saved models with the same name (case-insensitive) form a model family: training or importing under an
+ * existing name adds a numbered version instead of replacing the model
+ * The active version of a family is the pinned one, or the newest when nothing is pinned; model-name
+ * selects it and rolling back pins the version before it
+ * Works on the metadata lists the components keep in localStorage; version and pinned are stored per model
+ */
+
+import { formatPercent, escapeHtml } from './model-evaluation.js';
+
+export function familyKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+// Number models saved before versioning existed by creation date within their family
+// Returns a new list in the same order; models that already have a version keep it
+export function assignVersions(models) {
+  const lastVersion = new Map();
+  const versions = new Map();
+  [...models]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(model => {
+      const key = familyKey(model.name);
+      const version = model.version || (lastVersion.get(key) || 0) + 1;
+      lastVersion.set(key, Math.max(lastVersion.get(key) || 0, version));
+      versions.set(model, version);
+    });
+  return models.map(model => model.version ? model : { ...model, version: versions.get(model) });
+}
+
+export function nextVersion(models, name) {
+  const key = familyKey(name);
+  return models.filter(model => familyKey(model.name) === key).reduce((max, model) => Math.max(max, model.version || 0), 0) + 1;
+}
+
+export function activeVersion(versions) {
+  return versions.find(model => model.pinned) || versions[0] || null;
+}
+
+// [{ key, name, versions (newest first), active, pinned }] in the order the families were first saved
+export function groupModelFamilies(models) {
+  const families = new Map();
+  assignVersions(models).forEach(model => {
+    const key = familyKey(model.name);
+    if (!families.has(key)) {
+      families.set(key, { key: key, versions: [] });
+    }
+    families.get(key).versions.push(model);
+  });
+  return [...families.values()].map(family => {
+    const versions = family.versions.sort((a, b) => b.version - a.version);
+    const active = activeVersion(versions);
+    return { key: family.key, name: versions[0].name, versions: versions, active: active, pinned: !!active.pinned };
+  });
+}
+
+export function findFamily(models, name) {
+  return groupModelFamilies(models).find(family => family.key === familyKey(name)) || null;
+}
+
+// The version a rollback goes to: the newest one older than the active version (null if there is none)
+export function rollbackTarget(family) {
+  return family.versions.find(model => model.version < family.active.version) || null;
+}
+
+// Set pinned on exactly one version of modelId's family (or none when modelId is null); returns the new list
+export function pinVersion(models, name, modelId) {
+  const key = familyKey(name);
+  return models.map(model => familyKey(model.name) === key ? { ...model, pinned: model.id === modelId } : model);
+}
+
+// Side-by-side rows for two versions: [{ label, a, b, changed }]
+// extraRows are component-specific [{ label, value: modelInfo => text }] (feature set, extractor, ...)
+export function compareVersions(a, b, extraRows = []) {
+  const percent = evaluation => evaluation ? formatPercent(evaluation.accuracy) : '-';
+  const f1 = evaluation => evaluation ? evaluation.macroF1.toFixed(2) : '-';
+  const rows = [
+    { label: 'Created', value: model => new Date(model.createdAt).toLocaleString() },
+    { label: 'Samples', value: model => String(model.trainingDataCount) },
+    { label: 'Labels', value: model => (model.trainedLabels || []).join(', ') },
+    { label: 'Validation accuracy', value: model => percent(model.evaluation) },
+    { label: 'Macro F1', value: model => f1(model.evaluation) },
+    { label: 'Held-out samples', value: model => model.evaluation ? String(model.evaluation.sampleCount) : '-' },
+    ...extraRows
+  ].map(row => {
+    const valueA = row.value(a);
+    const valueB = row.value(b);
+    return { label: row.label, a: valueA, b: valueB, changed: valueA !== valueB };
+  });
+
+  // Per-label F1 for every label either version knows
+  const labels = [...new Set([...(a.trainedLabels || []), ...(b.trainedLabels || [])])];
+  const labelF1 = (model, label) => model.evaluation && model.evaluation.perClass[label] ? model.evaluation.perClass[label].f1.toFixed(2) : '-';
+  labels.forEach(label => {
+    const valueA = labelF1(a, label);
+    const valueB = labelF1(b, label);
+    rows.push({ label: `F1 "${label}"`, a: valueA, b: valueB, changed: valueA !== valueB });
+  });
+  return rows;
+}
+
+export function renderVersionComparison(a, b, rows) {
+  const cellStyle = 'padding: 4px 8px; border: 1px solid #ddd; text-align: left;';
+  const bodyRows = rows.map(row => `
+    <tr>
+      <th style="${cellStyle} background: #f5f5f5;">${escapeHtml(row.label)}</th>
+      <td style="${cellStyle}">${escapeHtml(row.a)}</td>
+      <td style="${cellStyle} ${row.changed ? 'background: #fff8e1;' : ''}">${escapeHtml(row.b)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <h4 style="margin: 0 0 10px 0; color: #667eea;">Compare: ${escapeHtml(a.name)} v${a.version} → v${b.version}</h4>
+    <div style="font-size: 13px; overflow-x: auto;">
+      <table style="border-collapse: collapse;">
+        <tr>
+          <th style="${cellStyle} background: #f5f5f5;"></th>
+          <th style="${cellStyle} background: #f5f5f5;">v${a.version}</th>
+          <th style="${cellStyle} background: #f5f5f5;">v${b.version}</th>
+        </tr>
+        ${bodyRows}
+      </table>
+    </div>
+  `;
+}
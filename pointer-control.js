@@ -0,0 +1,136 @@
+/**
+ * Pointer Control
+ * Fingertip pointer for the hand detector: the (mirrored) index fingertip is mapped from an active region of
+ * the camera frame to page coordinates, filtered with a One Euro filter, and held still to click (dwell)
+ * The component moves its cursor and dispatches the synthetic pointer events; this module only does the math
+ */
+
+// pointerId of the synthetic events, distinct from the ids browsers give the mouse, pens and touches
+export const HAND_POINTER_ID = 1000;
+
+export const DEFAULT_POINTER_OPTIONS = {
+  enabled: false,
+  // Part of the camera frame (fractions, mirrored like the preview) that maps onto the whole viewport,
+  // so the page edges can be reached without the fingertip leaving the frame
+  region: { x: 0.15, y: 0.15, width: 0.7, height: 0.7 },
+  minCutoff: 1.0, // One Euro filter: lower = less jitter when the finger is still (Hz)
+  beta: 0.01, // One Euro filter: higher = less lag when the finger moves fast
+  dwellTime: 800, // ms the pointer has to stay within dwellRadius to click, 0 = no dwell clicks
+  dwellRadius: 30 // px
+};
+
+export function normalizePointerOptions(options = {}, defaults = DEFAULT_POINTER_OPTIONS) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  const region = { ...defaults.region, ...(options.region || {}) };
+  const x = number(region.x, defaults.region.x, 0, 0.9);
+  const y = number(region.y, defaults.region.y, 0, 0.9);
+  return {
+    enabled: options.enabled !== undefined ? !!options.enabled : defaults.enabled,
+    region: {
+      x: x,
+      y: y,
+      width: number(region.width, defaults.region.width, 0.1, 1 - x),
+      height: number(region.height, defaults.region.height, 0.1, 1 - y)
+    },
+    minCutoff: number(options.minCutoff, defaults.minCutoff, 0.01, 10),
+    beta: number(options.beta, defaults.beta, 0, 1),
+    dwellTime: Math.round(number(options.dwellTime, defaults.dwellTime, 0, 5000)),
+    dwellRadius: Math.round(number(options.dwellRadius, defaults.dwellRadius, 5, 200))
+  };
+}
+
+// Position of a point (frame fractions) within region, clamped to 0..1 on both axes
+export function mapToRegion(point, region) {
+  const clamp = value => Math.min(1, Math.max(0, value));
+  return {
+    x: clamp((point.x - region.x) / region.width),
+    y: clamp((point.y - region.y) / region.height)
+  };
+}
+
+function smoothingFactor(cutoff, dt) {
+  const r = 2 * Math.PI * cutoff * dt;
+  return r / (r + 1);
+}
+
+// One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises with speed,
+// so a still finger doesn't jitter and a moving one doesn't lag
+export class OneEuroFilter {
+  constructor(minCutoff, beta, derivativeCutoff = 1.0) {
+    this.configure(minCutoff, beta, derivativeCutoff);
+    this.reset();
+  }
+
+  configure(minCutoff, beta, derivativeCutoff = 1.0) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.derivativeCutoff = derivativeCutoff;
+  }
+
+  reset() {
+    this.previousValue = null;
+    this.previousDerivative = 0;
+    this.previousTime = null;
+  }
+
+  // timestamp in ms
+  filter(value, timestamp) {
+    if (this.previousValue === null) {
+      this.previousValue = value;
+      this.previousTime = timestamp;
+      return value;
+    }
+    const dt = Math.max(1e-3, (timestamp - this.previousTime) / 1000);
+    const derivative = (value - this.previousValue) / dt;
+    const alphaDerivative = smoothingFactor(this.derivativeCutoff, dt);
+    this.previousDerivative = this.previousDerivative + alphaDerivative * (derivative - this.previousDerivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.previousDerivative);
+    const alpha = smoothingFactor(cutoff, dt);
+    this.previousValue = this.previousValue + alpha * (value - this.previousValue);
+    this.previousTime = timestamp;
+    return this.previousValue;
+  }
+}
+
+// Clicks once the pointer has stayed within radius for dwellTime; it has to leave that spot before it can click again
+export class DwellClicker {
+  constructor(dwellTime, radius) {
+    this.configure(dwellTime, radius);
+    this.reset();
+  }
+
+  configure(dwellTime, radius) {
+    this.dwellTime = dwellTime;
+    this.radius = radius;
+  }
+
+  reset() {
+    this.anchor = null;
+    this.clicked = false;
+  }
+
+  // { progress (0..1), click } for the pointer at x, y (px) at timestamp (ms)
+  update(x, y, timestamp) {
+    if (this.dwellTime <= 0) {
+      return { progress: 0, click: false };
+    }
+    if (!this.anchor || Math.hypot(x - this.anchor.x, y - this.anchor.y) > this.radius) {
+      this.anchor = { x: x, y: y, since: timestamp };
+      this.clicked = false;
+      return { progress: 0, click: false };
+    }
+    if (this.clicked) {
+      return { progress: 0, click: false };
+    }
+    const progress = Math.min(1, (timestamp - this.anchor.since) / this.dwellTime);
+    if (progress >= 1) {
+      this.clicked = true;
+      return { progress: 1, click: true };
+    }
+    return { progress: progress, click: false };
+  }
+}
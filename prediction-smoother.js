@@ -0,0 +1,144 @@
+/**
+ * Prediction Smoother
+ * Stabilizes per-frame classifier output for the detector components
+ * Smooths class probabilities over time (exponential or moving average) and applies
+ * a hold-time / hysteresis rule before the displayed label is allowed to change
+ */
+
+// Attributes both components accept for configuring smoothing from markup
+export const SMOOTHING_ATTRIBUTES = ['smoothing', 'smoothing-strength', 'hold-time', 'hysteresis'];
+
+export const DEFAULT_SMOOTHING_OPTIONS = {
+  method: 'ema',  // 'none' | 'ema' | 'moving-average'
+  strength: 0.5,  // 0 = follow every frame, 0.95 = very smooth
+  holdTime: 150,  // ms a new label must persist before it is displayed
+  hysteresis: 0.1 // probability margin a new label needs over the displayed one (when probabilities are known)
+};
+
+export class PredictionSmoother {
+  constructor(options = {}) {
+    this.configure({ ...DEFAULT_SMOOTHING_OPTIONS, ...options });
+    this.reset();
+  }
+
+  configure(options = {}) {
+    if (options.method !== undefined) {
+      this.method = ['none', 'ema', 'moving-average'].includes(options.method) ? options.method : 'ema';
+    }
+    if (options.strength !== undefined && !isNaN(options.strength)) {
+      this.strength = Math.max(0, Math.min(0.95, options.strength));
+    }
+    if (options.holdTime !== undefined && !isNaN(options.holdTime)) {
+      this.holdTime = Math.max(0, options.holdTime);
+    }
+    if (options.hysteresis !== undefined && !isNaN(options.hysteresis)) {
+      this.hysteresis = Math.max(0, Math.min(1, options.hysteresis));
+    }
+
+    // Strength maps to the EMA weight of the newest frame, or to the moving average window
+    this.alpha = 1 - this.strength;
+    this.windowSize = 1 + Math.round(this.strength * 10);
+    if (this.history && this.history.length > this.windowSize) {
+      this.history = this.history.slice(-this.windowSize);
+    }
+  }
+
+  reset() {
+    this.clearHistory();
+    this.currentLabel = null;
+    this.currentConfidence = null;
+    this.candidateLabel = undefined;
+    this.candidateSince = 0;
+  }
+
+  clearHistory() {
+    // Forget the probability history but keep the displayed label (used when the subject leaves the frame)
+    this.smoothed = null;
+    this.history = [];
+  }
+
+  smooth(probabilities) {
+    const values = Array.from(probabilities);
+
+    // A model with a different number of outputs invalidates the history
+    if (this.smoothed && this.smoothed.length !== values.length) {
+      this.clearHistory();
+    }
+
+    if (this.method === 'none') {
+      this.smoothed = values;
+    } else if (this.method === 'moving-average') {
+      this.history.push(values);
+      if (this.history.length > this.windowSize) {
+        this.history.shift();
+      }
+      this.smoothed = values.map((_, i) => this.history.reduce((sum, frame) => sum + frame[i], 0) / this.history.length);
+    } else {
+      this.smoothed = this.smoothed
+        ? values.map((value, i) => this.alpha * value + (1 - this.alpha) * this.smoothed[i])
+        : values;
+    }
+
+    return this.smoothed;
+  }
+
+  stabilize(label, confidence, timestamp = performance.now(), scores = null) {
+    // label === null means "nothing detected" and goes through the same hold-time rule
+    if (this.method === 'none' && this.holdTime === 0) {
+      return this.commit(label, confidence);
+    }
+
+    if (label === this.currentLabel) {
+      this.candidateLabel = undefined;
+      this.currentConfidence = confidence;
+      return { label: this.currentLabel, confidence: this.currentConfidence, changed: false };
+    }
+
+    // Hysteresis: a different label must clearly beat the displayed one before the hold timer starts
+    if (scores && label !== null && this.currentLabel !== null) {
+      const margin = (scores[label] || 0) - (scores[this.currentLabel] || 0);
+      if (margin < this.hysteresis) {
+        this.candidateLabel = undefined;
+        return { label: this.currentLabel, confidence: this.currentConfidence, changed: false };
+      }
+    }
+
+    if (label !== this.candidateLabel) {
+      this.candidateLabel = label;
+      this.candidateSince = timestamp;
+    }
+
+    if (timestamp - this.candidateSince >= this.holdTime) {
+      return this.commit(label, confidence);
+    }
+
+    return { label: this.currentLabel, confidence: this.currentConfidence, changed: false };
+  }
+
+  commit(label, confidence) {
+    const previousLabel = this.currentLabel;
+    const changed = label !== previousLabel;
+    this.currentLabel = label;
+    this.currentConfidence = label === null ? null : confidence;
+    this.candidateLabel = undefined;
+    return { label: this.currentLabel, confidence: this.currentConfidence, changed: changed, previousLabel: previousLabel };
+  }
+}
+
+// Read smoothing options from an element's attributes (missing attributes are left out)
+export function readSmoothingAttributes(element) {
+  const options = {};
+  if (element.hasAttribute('smoothing')) {
+    options.method = element.getAttribute('smoothing');
+  }
+  if (element.hasAttribute('smoothing-strength')) {
+    options.strength = parseFloat(element.getAttribute('smoothing-strength'));
+  }
+  if (element.hasAttribute('hold-time')) {
+    options.holdTime = parseFloat(element.getAttribute('hold-time'));
+  }
+  if (element.hasAttribute('hysteresis')) {
+    options.hysteresis = parseFloat(element.getAttribute('hysteresis'));
+  }
+  return options;
+}
@@ -0,0 +1,104 @@
+/**
+ * Region Detection
+ * Sliding-window localization for the animal detector: square windows at a few scales are
+ * cropped from the frame, embedded with MobileNet and scored by the trained classifier head,
+ * then overlapping boxes of the same label are merged with non-max suppression
+ * Boxes are { x, y, width, height } normalized to 0-1 of the source image (not mirrored)
+ */
+
+export const DEFAULT_DETECTION_OPTIONS = {
+  scales: [0.5, 0.8],  // Window side as a share of the shorter image side
+  overlap: 0.5,        // Overlap of neighbouring windows (0.5 = step of half a window)
+  minScore: 0.6,       // Lowest class probability reported as a detection
+  iouThreshold: 0.4,   // Boxes of the same label overlapping more than this are merged
+  maxDetections: 5
+};
+
+// Labels treated as "no animal" - never reported as detections (same rule as the classifier)
+export function isBackgroundLabel(label) {
+  const lower = label.toLowerCase();
+  return lower.includes('background') || lower.includes('none') || lower.includes('empty');
+}
+
+// Windows covering the whole image at every scale; the last window of a row/column is aligned to the edge
+export function generateWindows(imageWidth, imageHeight, options = DEFAULT_DETECTION_OPTIONS) {
+  const windows = [];
+  const shortSide = Math.min(imageWidth, imageHeight);
+  const positions = (length, size, step) => {
+    const starts = [];
+    for (let start = 0; start + size < length; start += step) {
+      starts.push(start);
+    }
+    starts.push(Math.max(0, length - size));
+    return starts;
+  };
+
+  options.scales.forEach(scale => {
+    const size = Math.round(shortSide * scale);
+    const step = Math.max(1, Math.round(size * (1 - options.overlap)));
+    positions(imageHeight, size, step).forEach(top => {
+      positions(imageWidth, size, step).forEach(left => {
+        windows.push({ x: left / imageWidth, y: top / imageHeight, width: size / imageWidth, height: size / imageHeight });
+      });
+    });
+  });
+  return windows;
+}
+
+// Crop every window out of an image tensor ([height, width, 3]) and resize it to size x size
+// Returns a [windows, size, size, 3] float tensor; the caller disposes it
+export function cropWindows(pixels, windows, size = 224) {
+  return tf.tidy(() => {
+    const boxes = windows.map(box => [box.y, box.x, box.y + box.height, box.x + box.width]);
+    return tf.image.cropAndResize(pixels.toFloat().expandDims(0), boxes, windows.map(() => 0), [size, size]);
+  });
+}
+
+export function intersectionOverUnion(a, b) {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, right - left) * Math.max(0, bottom - top);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Greedy per-label non-max suppression over [{ label, confidence, box }], best first
+export function nonMaxSuppression(detections, iouThreshold, maxDetections) {
+  const kept = [];
+  [...detections].sort((a, b) => b.confidence - a.confidence).forEach(detection => {
+    if (kept.length >= maxDetections) return;
+    const overlaps = kept.some(other => other.label === detection.label && intersectionOverUnion(other.box, detection.box) > iouThreshold);
+    if (!overlaps) {
+      kept.push(detection);
+    }
+  });
+  return kept;
+}
+
+// Draw labelled boxes over the test video; mirror flips the boxes to match a mirrored video
+export function drawDetections(canvas, detections, mirror) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.lineWidth = 3;
+  ctx.font = 'bold 16px sans-serif';
+  ctx.textAlign = 'left';
+
+  detections.forEach(detection => {
+    const box = detection.box;
+    const x = (mirror ? 1 - box.x - box.width : box.x) * canvas.width;
+    const y = box.y * canvas.height;
+    const width = box.width * canvas.width;
+    const height = box.height * canvas.height;
+    const text = `${detection.label} ${(detection.confidence * 100).toFixed(0)}%`;
+
+    ctx.strokeStyle = '#4CAF50';
+    ctx.strokeRect(x, y, width, height);
+    const textWidth = ctx.measureText(text).width + 8;
+    ctx.fillStyle = 'rgba(76, 175, 80, 0.9)';
+    ctx.fillRect(x, Math.max(0, y - 22), textWidth, 22);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(text, x + 4, Math.max(0, y - 22) + 16);
+  });
+}
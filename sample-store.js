@@ -0,0 +1,221 @@
+/**
+ * Sample Store
+ * IndexedDB storage for detector training samples
+ * Every sample is its own record (label, features, landmarks, timestamp, ...) in `samples`, with the
+ * full-size image as a Blob in `images` and a small JPEG preview in `thumbnails`, all keyed by the sample id.
+ * Adding or deleting a sample only writes that sample's records instead of rewriting the whole data set
+ */
+
+const DB_VERSION = 1;
+const SAMPLES = 'samples';
+const IMAGES = 'images';
+const THUMBNAILS = 'thumbnails';
+
+// Longest side of a thumbnail in pixels (the training data list shows them ~150px wide)
+export const THUMBNAIL_SIZE = 240;
+
+// Migrations in progress per database, so two components of the same type can't import old data twice
+const migrations = new Map();
+
+export class SampleStore {
+  constructor(dbName) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(SAMPLES, { keyPath: 'id', autoIncrement: true });
+          db.createObjectStore(IMAGES);
+          db.createObjectStore(THUMBNAILS);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run fn({ samples, images, thumbnails }) in one transaction and resolve once it has committed
+  async transaction(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([SAMPLES, IMAGES, THUMBNAILS], mode);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      fn({
+        samples: tx.objectStore(SAMPLES),
+        images: tx.objectStore(IMAGES),
+        thumbnails: tx.objectStore(THUMBNAILS)
+      });
+    });
+  }
+
+  // All samples in the order they were added, each with its `thumbnail` Blob (or null)
+  async getAll() {
+    let samples = [];
+    const thumbnails = new Map();
+    await this.transaction('readonly', stores => {
+      const samplesRequest = stores.samples.getAll();
+      samplesRequest.onsuccess = () => {
+        samples = samplesRequest.result;
+      };
+      const cursorRequest = stores.thumbnails.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          thumbnails.set(cursor.key, cursor.value);
+          cursor.continue();
+        }
+      };
+    });
+    return samples.map(sample => ({ ...sample, thumbnail: thumbnails.get(sample.id) || null }));
+  }
+
+  async getImage(id) {
+    let image = null;
+    await this.transaction('readonly', stores => {
+      const request = stores.images.get(id);
+      request.onsuccess = () => {
+        image = request.result || null;
+      };
+    });
+    return image;
+  }
+
+  // entries: [{ sample, image, thumbnail }] - written in a single transaction, resolves with the new ids
+  async addSamples(entries) {
+    const ids = [];
+    await this.transaction('readwrite', stores => {
+      entries.forEach(({ sample, image, thumbnail }, index) => {
+        const { id, ...record } = sample;
+        const request = stores.samples.add(record);
+        request.onsuccess = () => {
+          ids[index] = request.result;
+          if (image) stores.images.put(image, request.result);
+          if (thumbnail) stores.thumbnails.put(thumbnail, request.result);
+        };
+      });
+    });
+    return ids;
+  }
+
+  async addSample(sample, image = null, thumbnail = null) {
+    const [id] = await this.addSamples([{ sample, image, thumbnail }]);
+    return id;
+  }
+
+  // Rewrite existing sample records (e.g. after their features were recomputed); images and thumbnails are kept
+  async updateSamples(samples) {
+    await this.transaction('readwrite', stores => {
+      samples.forEach(sample => stores.samples.put(sample));
+    });
+  }
+
+  async removeSamples(ids) {
+    await this.transaction('readwrite', stores => {
+      ids.forEach(id => {
+        stores.samples.delete(id);
+        stores.images.delete(id);
+        stores.thumbnails.delete(id);
+      });
+    });
+  }
+
+  async clear() {
+    await this.transaction('readwrite', stores => {
+      stores.samples.clear();
+      stores.images.clear();
+      stores.thumbnails.clear();
+    });
+  }
+
+  // One-time move of the samples older versions kept in localStorage ({ trainingData: [...] } with base64 images)
+  // The localStorage key is only removed after everything has been written; resolves with the number of samples moved
+  migrateFromLocalStorage(key) {
+    if (!migrations.has(this.dbName)) {
+      const migration = this.runMigration(key).finally(() => migrations.delete(this.dbName));
+      migrations.set(this.dbName, migration);
+    }
+    return migrations.get(this.dbName);
+  }
+
+  async runMigration(key) {
+    const saved = localStorage.getItem(key);
+    if (!saved) return 0;
+
+    let legacySamples;
+    try {
+      legacySamples = JSON.parse(saved).trainingData || [];
+    } catch (error) {
+      // Leave unreadable data where it is rather than destroying it
+      console.error('Could not read training data from localStorage:', error);
+      return 0;
+    }
+
+    // Blobs and thumbnails are prepared up front - an IndexedDB transaction can't wait on other promises
+    const entries = [];
+    for (const legacySample of legacySamples) {
+      if (!legacySample || !legacySample.label) continue;
+      const { imageDataUrl, ...sample } = legacySample;
+      let image = null;
+      let thumbnail = null;
+      if (imageDataUrl) {
+        try {
+          image = dataUrlToBlob(imageDataUrl);
+          thumbnail = await createThumbnail(image);
+        } catch (error) {
+          console.warn('Could not convert image of migrated sample:', error);
+        }
+      }
+      entries.push({ sample, image, thumbnail });
+    }
+
+    await this.addSamples(entries);
+    localStorage.removeItem(key);
+    console.log(`Moved ${entries.length} training sample(s) from localStorage to IndexedDB`);
+    return entries.length;
+  }
+}
+
+// Scaled-down JPEG of an image (img, canvas, video, ImageBitmap or Blob) for the training data list
+export async function createThumbnail(image, maxSize = THUMBNAIL_SIZE) {
+  const source = image instanceof Blob ? await createImageBitmap(image) : image;
+  const width = source.videoWidth || source.naturalWidth || source.width;
+  const height = source.videoHeight || source.naturalHeight || source.height;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  if (source !== image) {
+    source.close();
+  }
+  return canvasToBlob(canvas, 'image/jpeg', 0.7);
+}
+
+export function canvasToBlob(canvas, type = 'image/jpeg', quality = 0.8) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), type, quality);
+  });
+}
+
+export function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(',');
+  const mimeType = (/^data:([^;,]+)/.exec(header) || [])[1] || 'application/octet-stream';
+  const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
@@ -0,0 +1,79 @@
+/**
+ * Vendor Assets
+ * Downloads every runtime asset listed in asset-config.js into vendor/, so index.html and the
+ * components work without network access. Run with `npm run vendor`; files that are already
+ * there are kept unless `--force` is passed
+ */
+import { mkdir, writeFile, readFile, access } from 'node:fs/promises';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ASSETS } from '../asset-config.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const force = process.argv.includes('--force');
+
+async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function download(url, target) {
+  const name = relative(ROOT, target);
+  if (!force && await exists(target)) {
+    console.log(`  ${name} (already there)`);
+    return;
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`  ${name}`);
+}
+
+// A tf.js model is model.json plus the weight shards it lists, stored next to it
+async function downloadModel(url, target) {
+  await download(url, target);
+  const modelJson = JSON.parse(await readFile(target, 'utf8'));
+  for (const group of modelJson.weightsManifest || []) {
+    for (const path of group.paths) {
+      await download(new URL(path, url).href, join(dirname(target), path));
+    }
+  }
+}
+
+async function vendorAsset(asset) {
+  const target = join(ROOT, asset.path);
+  const source = asset.source || asset.cdn;
+  if (asset.files) {
+    for (const file of asset.files) {
+      await download(`${source}/${file}`, join(target, file));
+    }
+  } else if (asset.path.endsWith('model.json')) {
+    await downloadModel(source, target);
+  } else {
+    await download(source, target);
+  }
+}
+
+const failures = [];
+for (const [name, asset] of Object.entries(ASSETS)) {
+  console.log(`${name}:`);
+  try {
+    await vendorAsset(asset);
+  } catch (error) {
+    console.error(`  failed: ${error.message}`);
+    failures.push(name);
+  }
+}
+
+if (failures.length > 0) {
+  console.error(`\nCould not vendor: ${failures.join(', ')}`);
+  process.exit(1);
+}
+console.log(`\nAll assets are in ${relative(process.cwd(), join(ROOT, 'vendor')) || 'vendor'}/`);
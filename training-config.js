@@ -0,0 +1,118 @@
+/**
+ * Training Config
+ * Hyperparameters and architecture of the dense classifier the detector components train
+ * on top of their features, and the builder for that network
+ * The config used is stored with the model metadata as `trainingConfig`
+ */
+
+// Defaults match what the components always trained with; the hand detector passes hiddenLayers [16, 8],
+// the animal detector [64, 32] (its MobileNet embeddings are much wider)
+export const DEFAULT_TRAINING_CONFIG = {
+  epochs: 100,
+  batchSize: 32,
+  learningRate: 0.001, // tf.train.adam default
+  hiddenLayers: [16, 8],
+  dropout: 0,
+  l2: 0,
+  earlyStoppingPatience: 0 // Epochs without improvement before stopping, 0 = off
+};
+
+// Clamp and parse user input (hiddenLayers may be given as text, e.g. "32, 16")
+export function normalizeTrainingConfig(config = {}, defaults = DEFAULT_TRAINING_CONFIG) {
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+
+  let hiddenLayers = config.hiddenLayers !== undefined ? config.hiddenLayers : defaults.hiddenLayers;
+  if (typeof hiddenLayers === 'string') {
+    hiddenLayers = hiddenLayers.split(/[\s,]+/).filter(Boolean);
+  }
+  hiddenLayers = (Array.isArray(hiddenLayers) ? hiddenLayers : [])
+    .map(units => Math.round(parseFloat(units)))
+    .filter(units => Number.isFinite(units) && units > 0)
+    .map(units => Math.min(units, 1024));
+
+  return {
+    epochs: Math.round(number(config.epochs, defaults.epochs, 1, 1000)),
+    batchSize: Math.round(number(config.batchSize, defaults.batchSize, 1, 1024)),
+    learningRate: number(config.learningRate, defaults.learningRate, 0.00001, 1),
+    hiddenLayers: hiddenLayers,
+    dropout: number(config.dropout, defaults.dropout, 0, 0.9),
+    l2: number(config.l2, defaults.l2, 0, 1),
+    earlyStoppingPatience: Math.round(number(config.earlyStoppingPatience, defaults.earlyStoppingPatience, 0, 1000))
+  };
+}
+
+// One line for the models list, e.g. "100 epochs | batch 32 | lr 0.001 | layers 16-8 | dropout 0.2"
+export function describeTrainingConfig(config) {
+  if (!config) return 'Default training settings';
+  const parts = [
+    `${config.epochs} epochs`,
+    `batch ${config.batchSize}`,
+    `lr ${config.learningRate}`,
+    `layers ${config.hiddenLayers.length > 0 ? config.hiddenLayers.join('-') : 'none'}`
+  ];
+  if (config.dropout > 0) parts.push(`dropout ${config.dropout}`);
+  if (config.l2 > 0) parts.push(`L2 ${config.l2}`);
+  if (config.earlyStoppingPatience > 0) parts.push(`early stop ${config.earlyStoppingPatience}`);
+  return parts.join(' | ');
+}
+
+// Dense classifier: hidden relu layers (with optional L2 and dropout) and a softmax output,
+// or a single sigmoid output for single-label models
+export function buildClassifier(inputSize, numClasses, config) {
+  const regularizer = config.l2 > 0 ? tf.regularizers.l2({ l2: config.l2 }) : undefined;
+  const model = tf.sequential();
+
+  config.hiddenLayers.forEach((units, index) => {
+    model.add(tf.layers.dense({
+      inputShape: index === 0 ? [inputSize] : undefined,
+      units: units,
+      activation: 'relu',
+      kernelRegularizer: regularizer
+    }));
+    if (config.dropout > 0) {
+      model.add(tf.layers.dropout({ rate: config.dropout }));
+    }
+  });
+
+  const singleClass = numClasses === 1;
+  model.add(tf.layers.dense({
+    inputShape: config.hiddenLayers.length === 0 ? [inputSize] : undefined,
+    units: singleClass ? 1 : numClasses,
+    activation: singleClass ? 'sigmoid' : 'softmax'
+  }));
+
+  model.compile({
+    optimizer: tf.train.adam(config.learningRate),
+    loss: singleClass ? 'binaryCrossentropy' : 'categoricalCrossentropy',
+    metrics: ['accuracy']
+  });
+  return model;
+}
+
+// Tracks the monitored loss across epochs; shouldStop() turns true after `patience` epochs without improvement
+export class EarlyStopping {
+  constructor(patience, minDelta = 0.0001) {
+    this.patience = patience;
+    this.minDelta = minDelta;
+    this.best = Infinity;
+    this.wait = 0;
+  }
+
+  // Validation loss when there is a validation set, training loss otherwise
+  update(logs) {
+    const value = logs.val_loss !== undefined ? logs.val_loss : logs.loss;
+    if (value < this.best - this.minDelta) {
+      this.best = value;
+      this.wait = 0;
+    } else {
+      this.wait++;
+    }
+  }
+
+  shouldStop() {
+    return this.patience > 0 && this.wait >= this.patience;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Training Progress
+ * Per-epoch bookkeeping (loss/accuracy history, ETA) and canvas charts for the training
+ * progress panel of the detector components
+ */
+
+export const TRAINING_CANCELLED = 'Training cancelled';
+
+// Error train() rejects with when training is cancelled (error.name is 'AbortError')
+export function createCancelError() {
+  const error = new Error(TRAINING_CANCELLED);
+  error.name = 'AbortError';
+  return error;
+}
+
+export class TrainingProgress {
+  constructor(totalEpochs) {
+    this.totalEpochs = totalEpochs;
+    this.epoch = 0;
+    this.startTime = performance.now();
+    this.history = { loss: [], acc: [], val_loss: [], val_acc: [] };
+  }
+
+  // Record the logs of one finished epoch (0-based, as passed to onEpochEnd)
+  update(epoch, logs) {
+    this.epoch = epoch + 1;
+    Object.keys(this.history).forEach(key => {
+      // tf.js names accuracy 'acc' or 'accuracy' depending on how the metric was given
+      const value = logs[key] !== undefined ? logs[key] : logs[key.replace('acc', 'accuracy')];
+      this.history[key].push(value !== undefined ? value : null);
+    });
+  }
+
+  get elapsedMs() {
+    return performance.now() - this.startTime;
+  }
+
+  // Remaining time estimated from the average epoch duration so far
+  get etaMs() {
+    if (this.epoch === 0) return null;
+    return (this.elapsedMs / this.epoch) * (this.totalEpochs - this.epoch);
+  }
+
+  // Plain object for the training-progress event
+  toEventDetail() {
+    const last = key => this.history[key][this.history[key].length - 1];
+    return {
+      epoch: this.epoch,
+      totalEpochs: this.totalEpochs,
+      loss: last('loss'),
+      accuracy: last('acc'),
+      validationLoss: last('val_loss'),
+      validationAccuracy: last('val_acc'),
+      elapsedMs: Math.round(this.elapsedMs),
+      etaMs: this.etaMs !== null ? Math.round(this.etaMs) : null
+    };
+  }
+
+  describe() {
+    const detail = this.toEventDetail();
+    const parts = [`Epoch ${detail.epoch} / ${detail.totalEpochs}`];
+    if (detail.loss !== null && detail.loss !== undefined) parts.push(`loss ${detail.loss.toFixed(4)}`);
+    if (detail.accuracy !== null && detail.accuracy !== undefined) parts.push(`acc ${(detail.accuracy * 100).toFixed(1)}%`);
+    if (detail.validationAccuracy !== null && detail.validationAccuracy !== undefined) parts.push(`val acc ${(detail.validationAccuracy * 100).toFixed(1)}%`);
+    if (detail.etaMs !== null) parts.push(`ETA ${formatDuration(detail.etaMs)}`);
+    return parts.join(' | ');
+  }
+}
+
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Line chart of a training series (solid) and its validation series (dashed) over the epochs
+// options: { title, totalEpochs, maxValue } - maxValue defaults to the largest value seen (use 1 for accuracy)
+export function drawTrainingChart(canvas, trainValues, validationValues, options = {}) {
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  const padding = { top: 22, right: 10, bottom: 20, left: 40 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const values = [...trainValues, ...validationValues].filter(value => value !== null && Number.isFinite(value));
+  const maxValue = options.maxValue || Math.max(...values, 0.0001);
+  const totalEpochs = Math.max(options.totalEpochs || trainValues.length, 2);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  // Title, axes and y labels
+  ctx.fillStyle = '#333';
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillText(options.title || '', padding.left, 14);
+  ctx.strokeStyle = '#ccc';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(padding.left, padding.top);
+  ctx.lineTo(padding.left, padding.top + plotHeight);
+  ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+  ctx.stroke();
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#666';
+  ctx.fillText(maxValue.toFixed(2), padding.left - 4, padding.top + 8);
+  ctx.fillText('0', padding.left - 4, padding.top + plotHeight);
+  ctx.textAlign = 'center';
+  ctx.fillText(`epoch ${trainValues.length} / ${options.totalEpochs || trainValues.length}`, padding.left + plotWidth / 2, height - 5);
+
+  const drawSeries = (series, color, dashed) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(dashed ? [5, 3] : []);
+    ctx.beginPath();
+    let started = false;
+    series.forEach((value, index) => {
+      if (value === null || !Number.isFinite(value)) return;
+      const x = padding.left + (index / (totalEpochs - 1)) * plotWidth;
+      const y = padding.top + plotHeight - (Math.min(value, maxValue) / maxValue) * plotHeight;
+      if (started) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+        started = true;
+      }
+    });
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+  drawSeries(trainValues, '#667eea', false);
+  drawSeries(validationValues, '#FF9800', true);
+
+  // Legend
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#667eea';
+  ctx.fillText('train', width - 90, 14);
+  ctx.fillStyle = '#FF9800';
+  ctx.fillText('validation', width - 60, 14);
+}